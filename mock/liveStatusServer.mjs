@@ -0,0 +1,188 @@
+/**
+ * Local mock of the appointment status stream (src/pages/patient/appointmentLiveUpdates.js), for trying live
+ * updates without the backend.
+ *
+ * - GET  /api/appointments?patient=<id>         → { appointments } (the polling fallback)
+ * - GET  /api/appointments/events?patient=<id>  → server-sent events, { type: 'appointment.updated', appointment }
+ * - POST /mock/appointments/<id>/status         → body { status }; changes the appointment and pushes the change
+ *
+ * Every patient id gets two seeded appointments (one pending, one confirmed) on first request.
+ * Run `node mock/liveStatusServer.mjs [--auto-confirm]` (PORT, default 4010) and proxy /api/appointments to it
+ * from the dev server. --auto-confirm confirms each pending appointment AUTO_CONFIRM_MS after it is seeded.
+ */
+
+import http from 'node:http';
+
+const PORT = Number(process.env.PORT ?? 4010);
+const AUTO_CONFIRM = process.argv.includes('--auto-confirm');
+const AUTO_CONFIRM_MS = 5000;
+const HEARTBEAT_MS = 15000;
+
+const appointmentsByPatient = new Map();
+const streams = new Set();
+
+function addDays(days) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function getAppointments(patientId) {
+  if (!appointmentsByPatient.has(patientId)) {
+    const appointments = [
+      {
+        _id: `${patientId}-mock-1`,
+        patient: patientId,
+        doctor: {
+          _id: 'mock-doctor-1',
+          name: 'Rivera',
+          specialization: 'Cardiology',
+        },
+        appointmentDate: addDays(3),
+        appointmentTime: '10:00',
+        reason: 'Follow-up on blood pressure',
+        status: 'pending',
+      },
+      {
+        _id: `${patientId}-mock-2`,
+        patient: patientId,
+        doctor: {
+          _id: 'mock-doctor-2',
+          name: 'Chen',
+          specialization: 'General',
+        },
+        appointmentDate: addDays(10),
+        appointmentTime: '14:30',
+        reason: 'Annual checkup',
+        status: 'confirmed',
+      },
+    ];
+    appointmentsByPatient.set(patientId, appointments);
+    if (AUTO_CONFIRM) {
+      setTimeout(() => {
+        appointments
+          .filter(({ status }) => status === 'pending')
+          .forEach(({ _id }) => updateStatus(_id, 'confirmed'));
+      }, AUTO_CONFIRM_MS);
+    }
+  }
+  return appointmentsByPatient.get(patientId);
+}
+
+function findAppointment(id) {
+  for (const appointments of appointmentsByPatient.values()) {
+    const appointment = appointments.find(({ _id }) => _id === id);
+    if (appointment) return appointment;
+  }
+  return null;
+}
+
+/** Changes an appointment and pushes { _id, status } to that patient's open streams. */
+function updateStatus(id, status) {
+  const appointment = findAppointment(id);
+  if (!appointment) return null;
+  appointment.status = status;
+  const message = JSON.stringify({
+    type: 'appointment.updated',
+    appointment: { _id: id, status },
+  });
+  for (const stream of streams) {
+    if (stream.patientId === appointment.patient) {
+      stream.res.write(`data: ${message}\n\n`);
+    }
+  }
+  console.log(`${id} → ${status}`);
+  return appointment;
+}
+
+function corsHeaders(req) {
+  return {
+    'Access-Control-Allow-Origin': req.headers.origin ?? '*',
+    'Access-Control-Allow-Credentials': 'true',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  };
+}
+
+function sendJson(req, res, status, body) {
+  res.writeHead(status, {
+    ...corsHeaders(req),
+    'Content-Type': 'application/json',
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body || '{}'));
+      } catch {
+        resolve({});
+      }
+    });
+  });
+}
+
+function openStream(req, res, patientId) {
+  getAppointments(patientId);
+  res.writeHead(200, {
+    ...corsHeaders(req),
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write('retry: 3000\n\n');
+  const stream = { patientId, res };
+  streams.add(stream);
+  const heartbeat = setInterval(
+    () => res.write(': keep-alive\n\n'),
+    HEARTBEAT_MS,
+  );
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    streams.delete(stream);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const patientId = url.searchParams.get('patient');
+  const statusMatch = url.pathname.match(
+    /^\/mock\/appointments\/([^/]+)\/status$/,
+  );
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, corsHeaders(req));
+    res.end();
+  } else if (
+    req.method === 'GET' &&
+    url.pathname === '/api/appointments/events'
+  ) {
+    if (!patientId) sendJson(req, res, 400, { message: 'patient is required' });
+    else openStream(req, res, patientId);
+  } else if (req.method === 'GET' && url.pathname === '/api/appointments') {
+    if (!patientId) sendJson(req, res, 400, { message: 'patient is required' });
+    else sendJson(req, res, 200, { appointments: getAppointments(patientId) });
+  } else if (req.method === 'POST' && statusMatch) {
+    const { status } = await readJson(req);
+    const appointment = status
+      ? updateStatus(decodeURIComponent(statusMatch[1]), status)
+      : null;
+    if (appointment) sendJson(req, res, 200, { appointment });
+    else sendJson(req, res, 404, { message: 'Appointment not found' });
+  } else {
+    sendJson(req, res, 404, { message: 'Not found' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock appointment status server on http://localhost:${PORT}`);
+  console.log(
+    `Change a status: curl -X POST -H 'Content-Type: application/json' -d '{"status":"confirmed"}' http://localhost:${PORT}/mock/appointments/<id>/status`,
+  );
+});
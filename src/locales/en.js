@@ -0,0 +1,346 @@
+/**
+ * English messages (the fallback for keys missing from other catalogs).
+ *
+ * - Keys are grouped by page or feature; {name} is filled from the call's params.
+ * - Plural messages list Intl.PluralRules categories ({ one, other }); {count} selects the form.
+ * - 'format.*' are date-fns patterns and the default time formats for the language: timeFormat for times,
+ *   scheduleTimeFormat for a doctor's hour ranges ("9 AM - 5 PM").
+ */
+
+export const en = {
+  'format.timeFormat': '24h',
+  'format.scheduleTimeFormat': '12h',
+  'format.dayMonth': 'MMM dd',
+  'format.date': 'MMM dd, yyyy',
+  'format.weekdayDate': 'EEE, MMM dd, yyyy',
+  'format.dateTime': '{date}, {time}',
+  'format.weekdayDayMonth': 'EEEE, MMM dd',
+  'format.monthYear': 'MMM yyyy',
+
+  'common.loading': 'Loading...',
+  'common.cancel': 'Cancel',
+  'common.dismiss': 'Dismiss',
+  'common.viewAll': 'View All',
+  'common.retry': 'Retry',
+  'common.retrying': 'Retrying...',
+  'common.doctorName': 'Dr. {name}',
+  'common.unknownDoctor': 'Unknown',
+  'common.dateAtTime': '{date} at {time}',
+
+  'status.pending': 'pending',
+  'status.confirmed': 'confirmed',
+  'status.completed': 'completed',
+  'status.cancelled': 'cancelled',
+
+  'language.settings': 'Language and time format',
+  'language.label': 'Display language',
+  'language.timeFormat': 'Time format',
+  'language.timeFormat.12h': '12-hour',
+  'language.timeFormat.24h': '24-hour',
+
+  'duration.hours': { one: '{count} hour', other: '{count} hours' },
+  'duration.minutes': { one: '{count} minute', other: '{count} minutes' },
+  'duration.days': { one: '{count} day', other: '{count} days' },
+  'duration.weeks': { one: '{count} week', other: '{count} weeks' },
+
+  'schedule.break': 'break',
+
+  'validation.doctorRequired': 'Doctor selection is required',
+  'validation.dateInFuture': 'Date must be in the future',
+  'validation.dateWithinHorizon': {
+    one: 'Date must be within {count} day',
+    other: 'Date must be within {count} days',
+  },
+  'validation.doctorUnavailable': 'The doctor is not available on this date',
+  'validation.businessHours': 'Time must be during business hours ({hours})',
+  'validation.outsideBusinessHours': 'Time must be during business hours',
+  'validation.leadTime': 'Time must be at least {duration} from now',
+  'validation.slotTaken': 'This time is already booked for the selected doctor',
+  'validation.reasonMinLength': {
+    one: 'Reason must be at least {count} character',
+    other: 'Reason must be at least {count} characters',
+  },
+  'validation.required': 'This field is required',
+  'validation.doctorNotFound': 'The selected doctor is no longer available',
+  'validation.duplicateBooking': 'You already have an appointment at this time',
+  'validation.appointmentNotFound': 'This appointment no longer exists',
+  'validation.checkField': 'Please check this field',
+  'validation.checkBooking':
+    'Some booking details were not accepted. Please check them.',
+
+  'recurrence.repeat': 'Repeat',
+  'recurrence.frequency': 'Frequency',
+  'recurrence.none': 'Does not repeat',
+  'recurrence.weekly': 'Every week',
+  'recurrence.biweekly': 'Every 2 weeks',
+  'recurrence.monthly': 'Every month',
+  'recurrence.ends': 'Ends',
+  'recurrence.endAfterCount': 'After a number of visits',
+  'recurrence.endOnDate': 'On a date',
+  'recurrence.count': 'Number of appointments',
+  'recurrence.until': 'End date',
+  'recurrence.preview': 'Series preview',
+  'recurrence.untilRequired': 'End date is required',
+  'recurrence.untilAfterStart': 'End date must be after the first appointment',
+  'recurrence.untilTooMany':
+    'A series can have at most {max} appointments; choose an earlier end date',
+  'recurrence.countRange':
+    'Number of appointments must be between {min} and {max}',
+
+  'doctors.label': 'Doctor',
+  'doctors.find': 'Find a doctor',
+  'doctors.search': 'Search doctors',
+  'doctors.searchPlaceholder': 'Name, specialty or location',
+  'doctors.specialization': 'Specialization',
+  'doctors.allSpecializations': 'All specializations',
+  'doctors.language': 'Language',
+  'doctors.anyLanguage': 'Any language',
+  'doctors.minRating': 'Minimum rating',
+  'doctors.anyRating': 'Any rating',
+  'doctors.ratingOption': '{rating}+',
+  'doctors.nextAvailable': 'Next available',
+  'doctors.anyTime': 'Any time',
+  'doctors.availableToday': 'Today',
+  'doctors.availableWithin3Days': 'Within 3 days',
+  'doctors.availableWithinWeek': 'Within a week',
+  'doctors.select': 'Select a doctor',
+  'doctors.recentlySeen': 'Recently seen',
+  'doctors.all': 'All doctors',
+  'doctors.matches': {
+    one: '{count} doctor matches',
+    other: '{count} doctors match',
+  },
+  'doctors.noMatches': 'No doctors match these filters',
+  'doctors.showAll': 'Show all doctors',
+  'doctors.profile': 'Doctor profile',
+  'doctors.rated': 'Rated {rating} of 5',
+  'doctors.speaks': 'Speaks {languages}',
+  'doctors.nextSlot': 'Next available: {date}',
+
+  'appointments.title': 'My Appointments',
+  'appointments.subtitle': 'Manage your medical appointments',
+  'appointments.exportUpcoming': 'Export upcoming',
+  'appointments.book': 'Book Appointment',
+  'appointments.booked': 'Appointment booked successfully.',
+  'appointments.seriesBooked': {
+    one: '{count} appointment booked successfully.',
+    other: '{count} appointments booked successfully.',
+  },
+  'appointments.rescheduled': 'Appointment rescheduled successfully.',
+  'appointments.savedOffline':
+    "You're offline. Your booking was saved and will be sent when you're back online.",
+  'appointments.createFailed': 'Failed to create appointment',
+  'appointments.rescheduleFailed': 'Failed to reschedule appointment',
+  'appointments.cancelFailed': 'Failed to cancel appointment',
+  'appointments.cancelSeriesFailed': 'Failed to cancel series',
+  'appointments.confirmCancel':
+    'Are you sure you want to cancel this appointment?',
+  'appointments.syncConflicts': 'Some offline changes could not be sent:',
+  'appointments.outboxBooking': 'Booking on {when}',
+  'appointments.outboxBookingWithDoctor': 'Booking on {when} with Dr. {doctor}',
+  'appointments.outboxSeries': {
+    one: 'Series of {count} appointment from {when}',
+    other: 'Series of {count} appointments from {when}',
+  },
+  'appointments.outboxSeriesWithDoctor': {
+    one: 'Series of {count} appointment from {when} with Dr. {doctor}',
+    other: 'Series of {count} appointments from {when} with Dr. {doctor}',
+  },
+  'appointments.outboxCancel': 'Cancellation of the appointment on {when}',
+  'appointments.outboxCancelWithDoctor':
+    'Cancellation of the appointment on {when} with Dr. {doctor}',
+  'appointments.offlineList':
+    "You're offline. Showing your saved appointments.",
+  'appointments.hours': 'Hours: {hours}',
+  'appointments.notAvailable': 'Not available on this date',
+  'appointments.clinicTime': '{hint} (clinic time, {zone})',
+  'appointments.yourTime': '({time} your time)',
+  'appointments.yourDateTime': '({date}, {time} your time)',
+
+  'booking.bookTitle': 'Book New Appointment',
+  'booking.rescheduleTitle': 'Reschedule Appointment',
+  'booking.bookLabel': 'Book new appointment',
+  'booking.rescheduleLabel': 'Reschedule appointment',
+  'booking.draftRestored': 'Draft restored from your last visit.',
+  'booking.replaceDraft':
+    'You have an unfinished booking. Replace it with this follow-up?',
+  'booking.followUp':
+    'Follow-up to your AI analysis from {date}. This appointment will be linked to it.',
+  'booking.followUpReason': 'Follow-up on AI analysis from {date}',
+  'booking.followUpReasonUndated': 'Follow-up on AI analysis',
+  'booking.date': 'Date',
+  'booking.time': 'Time',
+  'booking.reason': 'Reason',
+  'booking.reasonPlaceholder':
+    'Brief reason for visit (min {count} characters)',
+  'booking.symptoms': 'Symptoms (Optional)',
+  'booking.symptomsPlaceholder': 'Describe your symptoms...',
+  'booking.slots': 'Available time slots',
+  'booking.slotTaken': 'Already booked',
+  'booking.slotTooSoon': 'Too soon to book',
+  'booking.submit': 'Book Appointment',
+  'booking.submitting': 'Booking...',
+  'booking.reschedule': 'Reschedule',
+  'booking.rescheduling': 'Rescheduling...',
+  'booking.discardDraft': 'Discard draft',
+
+  'filters.label': 'Filter appointments',
+  'filters.status': 'Status',
+  'filters.search': 'Search',
+  'filters.searchPlaceholder': 'Reason or symptoms',
+  'filters.from': 'From',
+  'filters.to': 'To',
+  'filters.doctor': 'Filter by doctor',
+  'filters.allDoctors': 'All doctors',
+  'filters.clear': 'Clear filters',
+
+  'list.empty': 'No appointments found',
+  'list.noMatches': 'No appointments match your filters',
+  'list.noLoadedMatches':
+    'None of the appointments loaded so far match your filters',
+  'list.filtersPartial':
+    'Filters and search only cover the appointments loaded so far; more may match.',
+  'list.loadAll': 'Load all appointments',
+  'list.symptoms': 'Symptoms: {symptoms}',
+  'list.addToCalendar': 'Add to calendar',
+  'list.downloadIcs': 'Download .ics',
+  'list.pendingSync': 'Pending sync',
+  'list.recurring': 'Recurring',
+  'list.cancelRecurring': 'Cancel recurring appointment',
+  'list.thisOccurrence': 'This occurrence',
+  'list.wholeSeries': 'Whole series',
+  'list.keep': 'Keep',
+  'list.reschedule': 'Reschedule',
+  'list.loadMore': 'Load more',
+  'list.loadingMore': 'Loading more...',
+
+  'dashboard.welcome': 'Welcome back, {name}',
+  'dashboard.overview': "Here's your health overview",
+  'dashboard.customize': 'Customize',
+  'dashboard.done': 'Done',
+  'dashboard.customizeLabel': 'Customize dashboard',
+  'dashboard.moveUp': 'Move {title} up',
+  'dashboard.moveDown': 'Move {title} down',
+  'dashboard.resetLayout': 'Reset layout',
+  'dashboard.allHidden':
+    'All widgets are hidden. Use Customize to show them again.',
+
+  'widgets.appointmentStats': 'Appointments',
+  'widgets.analysesStats': 'AI Analyses',
+  'widgets.reportsStats': 'Reports',
+  'widgets.quickActions': 'Quick Actions',
+  'widgets.recentAppointments': 'Recent Appointments',
+  'widgets.recentAnalyses': 'Recent AI Analyses',
+  'widgets.trends': 'Health Trends',
+  'widgets.upcoming': { one: '{count} upcoming', other: '{count} upcoming' },
+  'widgets.totalAnalyses': 'Total analyses',
+  'widgets.medicalReports': 'Medical reports',
+  'widgets.actions.appointments': 'View Appointments',
+  'widgets.actions.symptomChecker': 'Symptom Checker',
+  'widgets.actions.reports': 'Medical Reports',
+  'widgets.actions.analyses': 'AI Analyses',
+  'widgets.actions.profile': 'My Profile',
+  'widgets.noRecentAppointments': 'No recent appointments',
+  'widgets.downloadEvent': 'Download calendar event',
+  'widgets.noAnalyses': 'No analyses yet',
+  'widgets.severity.low': 'LOW',
+  'widgets.severity.medium': 'MEDIUM',
+  'widgets.severity.high': 'HIGH',
+  'widgets.bookFollowUp': 'Book follow-up',
+  'widgets.retry': 'Retry {title}',
+  'widgets.refreshFailed': "Couldn't refresh.",
+  'widgets.staleSince': 'Showing data from {date}.',
+  'widgets.staleEarlier': 'Showing earlier data.',
+  'widgets.loadFailed': 'Failed to load {title}',
+
+  'nextAppointment.title': 'Next appointment',
+  'nextAppointment.none': 'No upcoming appointments',
+  'nextAppointment.book': 'Book an appointment',
+  'nextAppointment.startsIn': 'Starts in',
+  'nextAppointment.now': 'Happening now',
+  'nextAppointment.joinVideo': 'Join video visit',
+  'nextAppointment.directions': 'Get directions',
+  'nextAppointment.cancel': 'Cancel appointment',
+  'nextAppointment.cancelling': 'Cancelling...',
+  'nextAppointment.checklist': 'Preparation checklist',
+  'nextAppointment.checklistDone': '{done} of {total} done',
+  'countdown.days': '{days}d {hours}h {minutes}m',
+  'countdown.hours': '{hours}h {minutes}m',
+  'countdown.minutes': '{minutes}m {seconds}s',
+  'countdown.now': 'Now',
+  'checklist.id-insurance': 'Bring a photo ID and your insurance card',
+  'checklist.medications': 'List the medications and supplements you take',
+  'checklist.questions': 'Write down the questions you want to ask',
+  'checklist.fasting':
+    'Check whether you need to fast beforehand (water is fine)',
+  'checklist.bp-readings': 'Bring your recent blood pressure readings',
+  'checklist.glucose-log': 'Bring your glucose meter or log',
+  'checklist.skin-photos': 'Take photos of how the area has changed',
+  'checklist.no-lotion': "Don't put lotion or makeup on the area",
+  'checklist.previous-results': 'Bring results or images from earlier tests',
+  'checklist.symptom-diary':
+    'Note when your symptoms started and what makes them better or worse',
+  'checklist.test-devices': 'Test your camera, microphone and connection',
+  'checklist.quiet-room': 'Find a quiet, private place for the call',
+
+  'reminders.title': 'Notifications',
+  'reminders.unread': 'Notifications, {count} unread',
+  'reminders.none': 'No upcoming reminders',
+  'reminders.dismiss': 'Dismiss reminder',
+  'reminders.remindMe': 'Remind me',
+  'reminders.before': '{duration} before',
+  'reminders.browser': 'Browser notifications',
+  'reminders.blocked': 'Notifications are blocked in your browser settings.',
+  'reminders.unsupported': "Your browser doesn't support notifications.",
+  'reminders.notificationTitle': 'Appointment reminder',
+  'reminders.message': 'Your appointment is in {duration} ({when}).',
+  'reminders.messageWithDoctor':
+    'Your appointment with Dr. {doctor} is in {duration} ({when}).',
+
+  'liveUpdates.statusChanged': 'Your appointment on {when} is now {status}.',
+  'liveUpdates.statusChangedWithDoctor':
+    'Your appointment with Dr. {doctor} on {when} is now {status}.',
+  'liveUpdates.dismiss': 'Dismiss notification',
+
+  'trends.range': 'Trend range',
+  'trends.range.7d': '7 days',
+  'trends.range.30d': '30 days',
+  'trends.range.90d': '90 days',
+  'trends.range.1y': '1 year',
+  'trends.range.custom': 'Custom',
+  'trends.metrics': 'Metrics',
+  'trends.metric.confidence': 'Confidence',
+  'trends.metric.accuracy': 'Accuracy',
+  'trends.chooseDates': 'Choose a start and end date',
+  'trends.startAfterEnd': 'Start date must be on or before end date',
+  'trends.weekOf': 'Week of {date}',
+  'trends.summary.single': '{metric} was {value} (one reading in {period}).',
+  'trends.summary.same': '{metric} stayed at {value} over {period}.',
+  'trends.summary.rose': '{metric} rose from {first} to {last} over {period}.',
+  'trends.summary.fell': '{metric} fell from {first} to {last} over {period}.',
+  'trends.noData': 'No trend data yet',
+  'trends.selectMetric': 'Select at least one metric to plot',
+  'trends.noDataInRange': 'No trend data in this range',
+  'trends.caption': 'Health trends over {period}',
+  'trends.captionAveraged': 'Health trends over {period} ({averages})',
+  'trends.averages.week': 'weekly averages',
+  'trends.averages.month': 'monthly averages',
+  'trends.averagedBy.week': 'Averaged by week.',
+  'trends.averagedBy.month': 'Averaged by month.',
+  'trends.period': 'Period',
+  'trends.analyses': 'Analyses',
+  'trends.analysesCount': {
+    one: '{count} analysis',
+    other: '{count} analyses',
+  },
+  'trends.noReading': 'No reading',
+  'trends.viewAnalysis': 'View analysis',
+  'trends.viewTable': 'View as table',
+  'trends.exportCsv': 'Export CSV',
+  'trends.exportJson': 'Export JSON',
+  'trends.point': '{metric} {period}: {value}',
+  'trends.openAnalysis': '{point}. Open analysis',
+  'trends.analysesFor': 'Analyses for {period}',
+  'trends.closeAnalyses': 'Close analyses list',
+  'trends.analysisFrom': 'Analysis from {date}',
+};
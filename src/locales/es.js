@@ -0,0 +1,347 @@
+/** Spanish messages (keys as in en.js). */
+
+export const es = {
+  'format.timeFormat': '24h',
+  'format.scheduleTimeFormat': '24h',
+  'format.dayMonth': 'd MMM',
+  'format.date': "d 'de' MMM 'de' yyyy",
+  'format.weekdayDate': "EEE, d 'de' MMM 'de' yyyy",
+  'format.dateTime': '{date}, {time}',
+  'format.weekdayDayMonth': "EEEE, d 'de' MMM",
+  'format.monthYear': 'MMM yyyy',
+
+  'common.loading': 'Cargando...',
+  'common.cancel': 'Cancelar',
+  'common.dismiss': 'Cerrar',
+  'common.viewAll': 'Ver todo',
+  'common.retry': 'Reintentar',
+  'common.retrying': 'Reintentando...',
+  'common.doctorName': 'Dr. {name}',
+  'common.unknownDoctor': 'Desconocido',
+  'common.dateAtTime': '{date} a las {time}',
+
+  'status.pending': 'pendiente',
+  'status.confirmed': 'confirmada',
+  'status.completed': 'completada',
+  'status.cancelled': 'cancelada',
+
+  'language.settings': 'Idioma y formato de hora',
+  'language.label': 'Idioma de la interfaz',
+  'language.timeFormat': 'Formato de hora',
+  'language.timeFormat.12h': '12 horas',
+  'language.timeFormat.24h': '24 horas',
+
+  'duration.hours': { one: '{count} hora', other: '{count} horas' },
+  'duration.minutes': { one: '{count} minuto', other: '{count} minutos' },
+  'duration.days': { one: '{count} día', other: '{count} días' },
+  'duration.weeks': { one: '{count} semana', other: '{count} semanas' },
+
+  'schedule.break': 'descanso',
+
+  'validation.doctorRequired': 'Debe seleccionar un médico',
+  'validation.dateInFuture': 'La fecha debe ser futura',
+  'validation.dateWithinHorizon': {
+    one: 'La fecha debe estar dentro de {count} día',
+    other: 'La fecha debe estar dentro de {count} días',
+  },
+  'validation.doctorUnavailable': 'El médico no está disponible en esta fecha',
+  'validation.businessHours':
+    'La hora debe estar dentro del horario de atención ({hours})',
+  'validation.outsideBusinessHours':
+    'La hora debe estar dentro del horario de atención',
+  'validation.leadTime': 'La hora debe ser al menos dentro de {duration}',
+  'validation.slotTaken':
+    'Esta hora ya está reservada con el médico seleccionado',
+  'validation.reasonMinLength': {
+    one: 'El motivo debe tener al menos {count} carácter',
+    other: 'El motivo debe tener al menos {count} caracteres',
+  },
+  'validation.required': 'Este campo es obligatorio',
+  'validation.doctorNotFound': 'El médico seleccionado ya no está disponible',
+  'validation.duplicateBooking': 'Ya tiene una cita a esta hora',
+  'validation.appointmentNotFound': 'Esta cita ya no existe',
+  'validation.checkField': 'Revise este campo',
+  'validation.checkBooking':
+    'Algunos datos de la reserva no se aceptaron. Revíselos.',
+
+  'recurrence.repeat': 'Repetir',
+  'recurrence.frequency': 'Frecuencia',
+  'recurrence.none': 'No se repite',
+  'recurrence.weekly': 'Cada semana',
+  'recurrence.biweekly': 'Cada 2 semanas',
+  'recurrence.monthly': 'Cada mes',
+  'recurrence.ends': 'Termina',
+  'recurrence.endAfterCount': 'Tras un número de visitas',
+  'recurrence.endOnDate': 'En una fecha',
+  'recurrence.count': 'Número de citas',
+  'recurrence.until': 'Fecha de fin',
+  'recurrence.preview': 'Vista previa de la serie',
+  'recurrence.untilRequired': 'La fecha de fin es obligatoria',
+  'recurrence.untilAfterStart':
+    'La fecha de fin debe ser posterior a la primera cita',
+  'recurrence.untilTooMany':
+    'Una serie puede tener como máximo {max} citas; elija una fecha de fin anterior',
+  'recurrence.countRange': 'El número de citas debe estar entre {min} y {max}',
+
+  'doctors.label': 'Médico',
+  'doctors.find': 'Buscar un médico',
+  'doctors.search': 'Buscar médicos',
+  'doctors.searchPlaceholder': 'Nombre, especialidad o ubicación',
+  'doctors.specialization': 'Especialidad',
+  'doctors.allSpecializations': 'Todas las especialidades',
+  'doctors.language': 'Idioma',
+  'doctors.anyLanguage': 'Cualquier idioma',
+  'doctors.minRating': 'Valoración mínima',
+  'doctors.anyRating': 'Cualquier valoración',
+  'doctors.ratingOption': '{rating}+',
+  'doctors.nextAvailable': 'Próxima disponibilidad',
+  'doctors.anyTime': 'Cualquier momento',
+  'doctors.availableToday': 'Hoy',
+  'doctors.availableWithin3Days': 'En 3 días',
+  'doctors.availableWithinWeek': 'En una semana',
+  'doctors.select': 'Seleccione un médico',
+  'doctors.recentlySeen': 'Consultados recientemente',
+  'doctors.all': 'Todos los médicos',
+  'doctors.matches': {
+    one: '{count} médico coincide',
+    other: '{count} médicos coinciden',
+  },
+  'doctors.noMatches': 'Ningún médico coincide con estos filtros',
+  'doctors.showAll': 'Mostrar todos los médicos',
+  'doctors.profile': 'Perfil del médico',
+  'doctors.rated': 'Valoración {rating} de 5',
+  'doctors.speaks': 'Habla {languages}',
+  'doctors.nextSlot': 'Próxima disponibilidad: {date}',
+
+  'appointments.title': 'Mis citas',
+  'appointments.subtitle': 'Gestione sus citas médicas',
+  'appointments.exportUpcoming': 'Exportar próximas',
+  'appointments.book': 'Reservar cita',
+  'appointments.booked': 'Cita reservada correctamente.',
+  'appointments.seriesBooked': {
+    one: '{count} cita reservada correctamente.',
+    other: '{count} citas reservadas correctamente.',
+  },
+  'appointments.rescheduled': 'Cita reprogramada correctamente.',
+  'appointments.savedOffline':
+    'Está sin conexión. Su reserva se ha guardado y se enviará cuando vuelva a estar en línea.',
+  'appointments.createFailed': 'No se pudo crear la cita',
+  'appointments.rescheduleFailed': 'No se pudo reprogramar la cita',
+  'appointments.cancelFailed': 'No se pudo cancelar la cita',
+  'appointments.cancelSeriesFailed': 'No se pudo cancelar la serie',
+  'appointments.confirmCancel': '¿Seguro que desea cancelar esta cita?',
+  'appointments.syncConflicts':
+    'Algunos cambios sin conexión no se pudieron enviar:',
+  'appointments.outboxBooking': 'Reserva del {when}',
+  'appointments.outboxBookingWithDoctor':
+    'Reserva del {when} con el Dr. {doctor}',
+  'appointments.outboxSeries': {
+    one: 'Serie de {count} cita desde el {when}',
+    other: 'Serie de {count} citas desde el {when}',
+  },
+  'appointments.outboxSeriesWithDoctor': {
+    one: 'Serie de {count} cita desde el {when} con el Dr. {doctor}',
+    other: 'Serie de {count} citas desde el {when} con el Dr. {doctor}',
+  },
+  'appointments.outboxCancel': 'Cancelación de la cita del {when}',
+  'appointments.outboxCancelWithDoctor':
+    'Cancelación de la cita del {when} con el Dr. {doctor}',
+  'appointments.offlineList':
+    'Está sin conexión. Se muestran sus citas guardadas.',
+  'appointments.hours': 'Horario: {hours}',
+  'appointments.notAvailable': 'No disponible en esta fecha',
+  'appointments.clinicTime': '{hint} (hora de la clínica, {zone})',
+  'appointments.yourTime': '({time} su hora)',
+  'appointments.yourDateTime': '({date}, {time} su hora)',
+
+  'booking.bookTitle': 'Reservar nueva cita',
+  'booking.rescheduleTitle': 'Reprogramar cita',
+  'booking.bookLabel': 'Reservar nueva cita',
+  'booking.rescheduleLabel': 'Reprogramar cita',
+  'booking.draftRestored': 'Borrador restaurado de su última visita.',
+  'booking.replaceDraft':
+    'Tiene una reserva sin terminar. ¿Desea reemplazarla por este seguimiento?',
+  'booking.followUp':
+    'Seguimiento de su análisis de IA del {date}. Esta cita quedará vinculada a él.',
+  'booking.followUpReason': 'Seguimiento del análisis de IA del {date}',
+  'booking.followUpReasonUndated': 'Seguimiento del análisis de IA',
+  'booking.date': 'Fecha',
+  'booking.time': 'Hora',
+  'booking.reason': 'Motivo',
+  'booking.reasonPlaceholder':
+    'Breve motivo de la visita (mín. {count} caracteres)',
+  'booking.symptoms': 'Síntomas (opcional)',
+  'booking.symptomsPlaceholder': 'Describa sus síntomas...',
+  'booking.slots': 'Horarios disponibles',
+  'booking.slotTaken': 'Ya reservado',
+  'booking.slotTooSoon': 'Demasiado pronto para reservar',
+  'booking.submit': 'Reservar cita',
+  'booking.submitting': 'Reservando...',
+  'booking.reschedule': 'Reprogramar',
+  'booking.rescheduling': 'Reprogramando...',
+  'booking.discardDraft': 'Descartar borrador',
+
+  'filters.label': 'Filtrar citas',
+  'filters.status': 'Estado',
+  'filters.search': 'Buscar',
+  'filters.searchPlaceholder': 'Motivo o síntomas',
+  'filters.from': 'Desde',
+  'filters.to': 'Hasta',
+  'filters.doctor': 'Filtrar por médico',
+  'filters.allDoctors': 'Todos los médicos',
+  'filters.clear': 'Borrar filtros',
+
+  'list.empty': 'No se encontraron citas',
+  'list.noMatches': 'Ninguna cita coincide con sus filtros',
+  'list.noLoadedMatches':
+    'Ninguna de las citas cargadas hasta ahora coincide con sus filtros',
+  'list.filtersPartial':
+    'Los filtros y la búsqueda solo abarcan las citas cargadas hasta ahora; puede haber más coincidencias.',
+  'list.loadAll': 'Cargar todas las citas',
+  'list.symptoms': 'Síntomas: {symptoms}',
+  'list.addToCalendar': 'Añadir al calendario',
+  'list.downloadIcs': 'Descargar .ics',
+  'list.pendingSync': 'Pendiente de sincronizar',
+  'list.recurring': 'Periódica',
+  'list.cancelRecurring': 'Cancelar cita periódica',
+  'list.thisOccurrence': 'Solo esta cita',
+  'list.wholeSeries': 'Toda la serie',
+  'list.keep': 'Mantener',
+  'list.reschedule': 'Reprogramar',
+  'list.loadMore': 'Cargar más',
+  'list.loadingMore': 'Cargando más...',
+
+  'dashboard.welcome': 'Bienvenido de nuevo, {name}',
+  'dashboard.overview': 'Este es el resumen de su salud',
+  'dashboard.customize': 'Personalizar',
+  'dashboard.done': 'Listo',
+  'dashboard.customizeLabel': 'Personalizar panel',
+  'dashboard.moveUp': 'Subir {title}',
+  'dashboard.moveDown': 'Bajar {title}',
+  'dashboard.resetLayout': 'Restablecer diseño',
+  'dashboard.allHidden':
+    'Todos los módulos están ocultos. Use Personalizar para mostrarlos de nuevo.',
+
+  'widgets.appointmentStats': 'Citas',
+  'widgets.analysesStats': 'Análisis de IA',
+  'widgets.reportsStats': 'Informes',
+  'widgets.quickActions': 'Accesos rápidos',
+  'widgets.recentAppointments': 'Citas recientes',
+  'widgets.recentAnalyses': 'Análisis de IA recientes',
+  'widgets.trends': 'Tendencias de salud',
+  'widgets.upcoming': { one: '{count} próxima', other: '{count} próximas' },
+  'widgets.totalAnalyses': 'Análisis totales',
+  'widgets.medicalReports': 'Informes médicos',
+  'widgets.actions.appointments': 'Ver citas',
+  'widgets.actions.symptomChecker': 'Comprobador de síntomas',
+  'widgets.actions.reports': 'Informes médicos',
+  'widgets.actions.analyses': 'Análisis de IA',
+  'widgets.actions.profile': 'Mi perfil',
+  'widgets.noRecentAppointments': 'No hay citas recientes',
+  'widgets.downloadEvent': 'Descargar evento de calendario',
+  'widgets.noAnalyses': 'Aún no hay análisis',
+  'widgets.severity.low': 'BAJA',
+  'widgets.severity.medium': 'MEDIA',
+  'widgets.severity.high': 'ALTA',
+  'widgets.bookFollowUp': 'Reservar seguimiento',
+  'widgets.retry': 'Reintentar {title}',
+  'widgets.refreshFailed': 'No se pudo actualizar.',
+  'widgets.staleSince': 'Se muestran datos del {date}.',
+  'widgets.staleEarlier': 'Se muestran datos anteriores.',
+  'widgets.loadFailed': 'No se pudo cargar {title}',
+
+  'nextAppointment.title': 'Próxima cita',
+  'nextAppointment.none': 'No tiene citas próximas',
+  'nextAppointment.book': 'Reservar una cita',
+  'nextAppointment.startsIn': 'Empieza en',
+  'nextAppointment.now': 'En curso',
+  'nextAppointment.joinVideo': 'Unirse a la videoconsulta',
+  'nextAppointment.directions': 'Cómo llegar',
+  'nextAppointment.cancel': 'Cancelar cita',
+  'nextAppointment.cancelling': 'Cancelando...',
+  'nextAppointment.checklist': 'Lista de preparación',
+  'nextAppointment.checklistDone': '{done} de {total} hechas',
+  'countdown.days': '{days} d {hours} h {minutes} min',
+  'countdown.hours': '{hours} h {minutes} min',
+  'countdown.minutes': '{minutes} min {seconds} s',
+  'countdown.now': 'Ahora',
+  'checklist.id-insurance':
+    'Traiga un documento de identidad con foto y su tarjeta del seguro',
+  'checklist.medications': 'Anote los medicamentos y suplementos que toma',
+  'checklist.questions': 'Anote las preguntas que quiere hacer',
+  'checklist.fasting': 'Compruebe si debe ir en ayunas (puede beber agua)',
+  'checklist.bp-readings':
+    'Traiga sus mediciones recientes de presión arterial',
+  'checklist.glucose-log': 'Traiga su glucómetro o registro de glucosa',
+  'checklist.skin-photos': 'Haga fotos de cómo ha cambiado la zona',
+  'checklist.no-lotion': 'No se ponga crema ni maquillaje en la zona',
+  'checklist.previous-results':
+    'Traiga resultados o imágenes de pruebas anteriores',
+  'checklist.symptom-diary':
+    'Anote cuándo empezaron sus síntomas y qué los mejora o empeora',
+  'checklist.test-devices': 'Pruebe su cámara, micrófono y conexión',
+  'checklist.quiet-room': 'Busque un lugar tranquilo y privado para la llamada',
+
+  'reminders.title': 'Notificaciones',
+  'reminders.unread': 'Notificaciones, {count} sin leer',
+  'reminders.none': 'No hay recordatorios próximos',
+  'reminders.dismiss': 'Descartar recordatorio',
+  'reminders.remindMe': 'Recordarme',
+  'reminders.before': '{duration} antes',
+  'reminders.browser': 'Notificaciones del navegador',
+  'reminders.blocked':
+    'Las notificaciones están bloqueadas en la configuración del navegador.',
+  'reminders.unsupported': 'Su navegador no admite notificaciones.',
+  'reminders.notificationTitle': 'Recordatorio de cita',
+  'reminders.message': 'Su cita es dentro de {duration} ({when}).',
+  'reminders.messageWithDoctor':
+    'Su cita con el Dr. {doctor} es dentro de {duration} ({when}).',
+
+  'liveUpdates.statusChanged': 'Su cita del {when} ahora está {status}.',
+  'liveUpdates.statusChangedWithDoctor':
+    'Su cita con el Dr. {doctor} del {when} ahora está {status}.',
+  'liveUpdates.dismiss': 'Descartar notificación',
+
+  'trends.range': 'Periodo de tendencias',
+  'trends.range.7d': '7 días',
+  'trends.range.30d': '30 días',
+  'trends.range.90d': '90 días',
+  'trends.range.1y': '1 año',
+  'trends.range.custom': 'Personalizado',
+  'trends.metrics': 'Métricas',
+  'trends.metric.confidence': 'Confianza',
+  'trends.metric.accuracy': 'Precisión',
+  'trends.chooseDates': 'Elija una fecha de inicio y de fin',
+  'trends.startAfterEnd':
+    'La fecha de inicio debe ser igual o anterior a la de fin',
+  'trends.weekOf': 'Semana del {date}',
+  'trends.summary.single': '{metric} fue {value} (una medición en {period}).',
+  'trends.summary.same': '{metric} se mantuvo en {value} en {period}.',
+  'trends.summary.rose': '{metric} subió de {first} a {last} en {period}.',
+  'trends.summary.fell': '{metric} bajó de {first} a {last} en {period}.',
+  'trends.noData': 'Aún no hay datos de tendencias',
+  'trends.selectMetric': 'Seleccione al menos una métrica para el gráfico',
+  'trends.noDataInRange': 'No hay datos de tendencias en este periodo',
+  'trends.caption': 'Tendencias de salud en {period}',
+  'trends.captionAveraged': 'Tendencias de salud en {period} ({averages})',
+  'trends.averages.week': 'medias semanales',
+  'trends.averages.month': 'medias mensuales',
+  'trends.averagedBy.week': 'Promediado por semana.',
+  'trends.averagedBy.month': 'Promediado por mes.',
+  'trends.period': 'Periodo',
+  'trends.analyses': 'Análisis',
+  'trends.analysesCount': {
+    one: '{count} análisis',
+    other: '{count} análisis',
+  },
+  'trends.noReading': 'Sin medición',
+  'trends.viewAnalysis': 'Ver análisis',
+  'trends.viewTable': 'Ver como tabla',
+  'trends.exportCsv': 'Exportar CSV',
+  'trends.exportJson': 'Exportar JSON',
+  'trends.point': '{metric} {period}: {value}',
+  'trends.openAnalysis': '{point}. Abrir análisis',
+  'trends.analysesFor': 'Análisis de {period}',
+  'trends.closeAnalyses': 'Cerrar la lista de análisis',
+  'trends.analysisFrom': 'Análisis del {date}',
+};
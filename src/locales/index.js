@@ -0,0 +1,6 @@
+import { en } from './en';
+import { es } from './es';
+import { pl } from './pl';
+
+/** Message catalogs by language (utils/i18n). */
+export const catalogs = { en, es, pl };
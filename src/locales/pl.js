@@ -0,0 +1,382 @@
+/** Polish messages (keys as in en.js); counts use one / few / many forms. */
+
+export const pl = {
+  'format.timeFormat': '24h',
+  'format.scheduleTimeFormat': '24h',
+  'format.dayMonth': 'd MMM',
+  'format.date': 'd MMM yyyy',
+  'format.weekdayDate': 'EEE, d MMM yyyy',
+  'format.dateTime': '{date}, {time}',
+  'format.weekdayDayMonth': 'EEEE, d MMM',
+  'format.monthYear': 'LLL yyyy',
+
+  'common.loading': 'Ładowanie...',
+  'common.cancel': 'Anuluj',
+  'common.dismiss': 'Zamknij',
+  'common.viewAll': 'Pokaż wszystko',
+  'common.retry': 'Ponów',
+  'common.retrying': 'Ponawianie...',
+  'common.doctorName': 'dr {name}',
+  'common.unknownDoctor': 'Nieznany',
+  'common.dateAtTime': '{date} o {time}',
+
+  'status.pending': 'oczekująca',
+  'status.confirmed': 'potwierdzona',
+  'status.completed': 'zakończona',
+  'status.cancelled': 'odwołana',
+
+  'language.settings': 'Język i format godziny',
+  'language.label': 'Język interfejsu',
+  'language.timeFormat': 'Format godziny',
+  'language.timeFormat.12h': '12-godzinny',
+  'language.timeFormat.24h': '24-godzinny',
+
+  'duration.hours': {
+    one: '{count} godzina',
+    few: '{count} godziny',
+    many: '{count} godzin',
+    other: '{count} godziny',
+  },
+  'duration.minutes': {
+    one: '{count} minuta',
+    few: '{count} minuty',
+    many: '{count} minut',
+    other: '{count} minuty',
+  },
+  'duration.days': {
+    one: '{count} dzień',
+    few: '{count} dni',
+    many: '{count} dni',
+    other: '{count} dnia',
+  },
+  'duration.weeks': {
+    one: '{count} tydzień',
+    few: '{count} tygodnie',
+    many: '{count} tygodni',
+    other: '{count} tygodnia',
+  },
+
+  'schedule.break': 'przerwa',
+
+  'validation.doctorRequired': 'Wybór lekarza jest wymagany',
+  'validation.dateInFuture': 'Data musi być w przyszłości',
+  'validation.dateWithinHorizon': {
+    one: 'Data musi przypadać w ciągu {count} dnia',
+    few: 'Data musi przypadać w ciągu {count} dni',
+    many: 'Data musi przypadać w ciągu {count} dni',
+    other: 'Data musi przypadać w ciągu {count} dnia',
+  },
+  'validation.doctorUnavailable': 'Lekarz nie przyjmuje w tym dniu',
+  'validation.businessHours':
+    'Godzina musi mieścić się w godzinach pracy ({hours})',
+  'validation.outsideBusinessHours':
+    'Godzina musi mieścić się w godzinach pracy',
+  'validation.leadTime': 'Wizyta musi zaczynać się najwcześniej za {duration}',
+  'validation.slotTaken': 'Ten termin u wybranego lekarza jest już zajęty',
+  'validation.reasonMinLength': {
+    one: 'Powód musi mieć co najmniej {count} znak',
+    few: 'Powód musi mieć co najmniej {count} znaki',
+    many: 'Powód musi mieć co najmniej {count} znaków',
+    other: 'Powód musi mieć co najmniej {count} znaku',
+  },
+  'validation.required': 'To pole jest wymagane',
+  'validation.doctorNotFound': 'Wybrany lekarz nie jest już dostępny',
+  'validation.duplicateBooking': 'Masz już wizytę o tej godzinie',
+  'validation.appointmentNotFound': 'Ta wizyta już nie istnieje',
+  'validation.checkField': 'Sprawdź to pole',
+  'validation.checkBooking':
+    'Niektóre dane rezerwacji nie zostały przyjęte. Sprawdź je.',
+
+  'recurrence.repeat': 'Powtarzanie',
+  'recurrence.frequency': 'Częstotliwość',
+  'recurrence.none': 'Nie powtarza się',
+  'recurrence.weekly': 'Co tydzień',
+  'recurrence.biweekly': 'Co 2 tygodnie',
+  'recurrence.monthly': 'Co miesiąc',
+  'recurrence.ends': 'Koniec',
+  'recurrence.endAfterCount': 'Po określonej liczbie wizyt',
+  'recurrence.endOnDate': 'W określonym dniu',
+  'recurrence.count': 'Liczba wizyt',
+  'recurrence.until': 'Data zakończenia',
+  'recurrence.preview': 'Podgląd serii',
+  'recurrence.untilRequired': 'Data zakończenia jest wymagana',
+  'recurrence.untilAfterStart':
+    'Data zakończenia musi być późniejsza niż pierwsza wizyta',
+  'recurrence.untilTooMany':
+    'Seria może mieć najwyżej {max} wizyt; wybierz wcześniejszą datę końcową',
+  'recurrence.countRange': 'Liczba wizyt musi wynosić od {min} do {max}',
+
+  'doctors.label': 'Lekarz',
+  'doctors.find': 'Znajdź lekarza',
+  'doctors.search': 'Szukaj lekarzy',
+  'doctors.searchPlaceholder': 'Nazwisko, specjalizacja lub lokalizacja',
+  'doctors.specialization': 'Specjalizacja',
+  'doctors.allSpecializations': 'Wszystkie specjalizacje',
+  'doctors.language': 'Język',
+  'doctors.anyLanguage': 'Dowolny język',
+  'doctors.minRating': 'Minimalna ocena',
+  'doctors.anyRating': 'Dowolna ocena',
+  'doctors.ratingOption': '{rating}+',
+  'doctors.nextAvailable': 'Najbliższy termin',
+  'doctors.anyTime': 'Dowolny termin',
+  'doctors.availableToday': 'Dzisiaj',
+  'doctors.availableWithin3Days': 'W ciągu 3 dni',
+  'doctors.availableWithinWeek': 'W ciągu tygodnia',
+  'doctors.select': 'Wybierz lekarza',
+  'doctors.recentlySeen': 'Ostatnio odwiedzeni',
+  'doctors.all': 'Wszyscy lekarze',
+  'doctors.matches': {
+    one: 'Pasuje {count} lekarz',
+    few: 'Pasuje {count} lekarzy',
+    many: 'Pasuje {count} lekarzy',
+    other: 'Pasuje {count} lekarza',
+  },
+  'doctors.noMatches': 'Żaden lekarz nie pasuje do tych filtrów',
+  'doctors.showAll': 'Pokaż wszystkich lekarzy',
+  'doctors.profile': 'Profil lekarza',
+  'doctors.rated': 'Ocena {rating} na 5',
+  'doctors.speaks': 'Języki: {languages}',
+  'doctors.nextSlot': 'Najbliższy termin: {date}',
+
+  'appointments.title': 'Moje wizyty',
+  'appointments.subtitle': 'Zarządzaj swoimi wizytami lekarskimi',
+  'appointments.exportUpcoming': 'Eksportuj nadchodzące',
+  'appointments.book': 'Umów wizytę',
+  'appointments.booked': 'Wizyta została umówiona.',
+  'appointments.seriesBooked': {
+    one: 'Umówiono {count} wizytę.',
+    few: 'Umówiono {count} wizyty.',
+    many: 'Umówiono {count} wizyt.',
+    other: 'Umówiono {count} wizyty.',
+  },
+  'appointments.rescheduled': 'Termin wizyty został zmieniony.',
+  'appointments.savedOffline':
+    'Jesteś offline. Rezerwacja została zapisana i zostanie wysłana po przywróceniu połączenia.',
+  'appointments.createFailed': 'Nie udało się umówić wizyty',
+  'appointments.rescheduleFailed': 'Nie udało się zmienić terminu wizyty',
+  'appointments.cancelFailed': 'Nie udało się odwołać wizyty',
+  'appointments.cancelSeriesFailed': 'Nie udało się odwołać serii',
+  'appointments.confirmCancel': 'Czy na pewno chcesz odwołać tę wizytę?',
+  'appointments.syncConflicts': 'Nie udało się wysłać części zmian offline:',
+  'appointments.outboxBooking': 'Rezerwacja na {when}',
+  'appointments.outboxBookingWithDoctor': 'Rezerwacja na {when} u dr. {doctor}',
+  'appointments.outboxSeries': {
+    one: 'Seria {count} wizyty od {when}',
+    few: 'Seria {count} wizyt od {when}',
+    many: 'Seria {count} wizyt od {when}',
+    other: 'Seria {count} wizyty od {when}',
+  },
+  'appointments.outboxSeriesWithDoctor': {
+    one: 'Seria {count} wizyty od {when} u dr. {doctor}',
+    few: 'Seria {count} wizyt od {when} u dr. {doctor}',
+    many: 'Seria {count} wizyt od {when} u dr. {doctor}',
+    other: 'Seria {count} wizyty od {when} u dr. {doctor}',
+  },
+  'appointments.outboxCancel': 'Odwołanie wizyty z {when}',
+  'appointments.outboxCancelWithDoctor':
+    'Odwołanie wizyty z {when} u dr. {doctor}',
+  'appointments.offlineList': 'Jesteś offline. Wyświetlane są zapisane wizyty.',
+  'appointments.hours': 'Godziny: {hours}',
+  'appointments.notAvailable': 'Lekarz nie przyjmuje w tym dniu',
+  'appointments.clinicTime': '{hint} (czas przychodni, {zone})',
+  'appointments.yourTime': '({time} u Ciebie)',
+  'appointments.yourDateTime': '({date}, {time} u Ciebie)',
+
+  'booking.bookTitle': 'Umów nową wizytę',
+  'booking.rescheduleTitle': 'Zmień termin wizyty',
+  'booking.bookLabel': 'Umów nową wizytę',
+  'booking.rescheduleLabel': 'Zmień termin wizyty',
+  'booking.draftRestored': 'Przywrócono wersję roboczą z ostatniej wizyty.',
+  'booking.replaceDraft':
+    'Masz niedokończoną rezerwację. Zastąpić ją tą wizytą kontrolną?',
+  'booking.followUp':
+    'Wizyta kontrolna po analizie AI z {date}. Ta wizyta zostanie z nią powiązana.',
+  'booking.followUpReason': 'Kontrola po analizie AI z {date}',
+  'booking.followUpReasonUndated': 'Kontrola po analizie AI',
+  'booking.date': 'Data',
+  'booking.time': 'Godzina',
+  'booking.reason': 'Powód',
+  'booking.reasonPlaceholder': 'Krótki powód wizyty (min. {count} znaków)',
+  'booking.symptoms': 'Objawy (opcjonalnie)',
+  'booking.symptomsPlaceholder': 'Opisz swoje objawy...',
+  'booking.slots': 'Dostępne terminy',
+  'booking.slotTaken': 'Termin zajęty',
+  'booking.slotTooSoon': 'Za wcześnie na rezerwację',
+  'booking.submit': 'Umów wizytę',
+  'booking.submitting': 'Umawianie...',
+  'booking.reschedule': 'Zmień termin',
+  'booking.rescheduling': 'Zmienianie terminu...',
+  'booking.discardDraft': 'Odrzuć wersję roboczą',
+
+  'filters.label': 'Filtruj wizyty',
+  'filters.status': 'Status',
+  'filters.search': 'Szukaj',
+  'filters.searchPlaceholder': 'Powód lub objawy',
+  'filters.from': 'Od',
+  'filters.to': 'Do',
+  'filters.doctor': 'Filtruj według lekarza',
+  'filters.allDoctors': 'Wszyscy lekarze',
+  'filters.clear': 'Wyczyść filtry',
+
+  'list.empty': 'Nie znaleziono wizyt',
+  'list.noMatches': 'Żadna wizyta nie pasuje do filtrów',
+  'list.noLoadedMatches':
+    'Żadna z dotąd wczytanych wizyt nie pasuje do filtrów',
+  'list.filtersPartial':
+    'Filtry i wyszukiwanie obejmują tylko dotąd wczytane wizyty; więcej może pasować.',
+  'list.loadAll': 'Wczytaj wszystkie wizyty',
+  'list.symptoms': 'Objawy: {symptoms}',
+  'list.addToCalendar': 'Dodaj do kalendarza',
+  'list.downloadIcs': 'Pobierz .ics',
+  'list.pendingSync': 'Oczekuje na synchronizację',
+  'list.recurring': 'Cykliczna',
+  'list.cancelRecurring': 'Odwołaj wizytę cykliczną',
+  'list.thisOccurrence': 'Tylko tę wizytę',
+  'list.wholeSeries': 'Całą serię',
+  'list.keep': 'Zachowaj',
+  'list.reschedule': 'Zmień termin',
+  'list.loadMore': 'Wczytaj więcej',
+  'list.loadingMore': 'Wczytywanie...',
+
+  'dashboard.welcome': 'Witaj ponownie, {name}',
+  'dashboard.overview': 'Oto przegląd Twojego zdrowia',
+  'dashboard.customize': 'Dostosuj',
+  'dashboard.done': 'Gotowe',
+  'dashboard.customizeLabel': 'Dostosuj panel',
+  'dashboard.moveUp': 'Przesuń {title} w górę',
+  'dashboard.moveDown': 'Przesuń {title} w dół',
+  'dashboard.resetLayout': 'Przywróć układ',
+  'dashboard.allHidden':
+    'Wszystkie moduły są ukryte. Użyj opcji Dostosuj, aby je pokazać.',
+
+  'widgets.appointmentStats': 'Wizyty',
+  'widgets.analysesStats': 'Analizy AI',
+  'widgets.reportsStats': 'Raporty',
+  'widgets.quickActions': 'Szybkie akcje',
+  'widgets.recentAppointments': 'Ostatnie wizyty',
+  'widgets.recentAnalyses': 'Ostatnie analizy AI',
+  'widgets.trends': 'Trendy zdrowotne',
+  'widgets.upcoming': {
+    one: '{count} nadchodząca',
+    few: '{count} nadchodzące',
+    many: '{count} nadchodzących',
+    other: '{count} nadchodzącej',
+  },
+  'widgets.totalAnalyses': 'Wszystkie analizy',
+  'widgets.medicalReports': 'Raporty medyczne',
+  'widgets.actions.appointments': 'Zobacz wizyty',
+  'widgets.actions.symptomChecker': 'Sprawdzanie objawów',
+  'widgets.actions.reports': 'Raporty medyczne',
+  'widgets.actions.analyses': 'Analizy AI',
+  'widgets.actions.profile': 'Mój profil',
+  'widgets.noRecentAppointments': 'Brak ostatnich wizyt',
+  'widgets.downloadEvent': 'Pobierz wydarzenie kalendarza',
+  'widgets.noAnalyses': 'Brak analiz',
+  'widgets.severity.low': 'NISKI',
+  'widgets.severity.medium': 'ŚREDNI',
+  'widgets.severity.high': 'WYSOKI',
+  'widgets.bookFollowUp': 'Umów wizytę kontrolną',
+  'widgets.retry': 'Ponów: {title}',
+  'widgets.refreshFailed': 'Nie udało się odświeżyć.',
+  'widgets.staleSince': 'Dane z {date}.',
+  'widgets.staleEarlier': 'Wyświetlane są wcześniejsze dane.',
+  'widgets.loadFailed': 'Nie udało się wczytać: {title}',
+
+  'nextAppointment.title': 'Najbliższa wizyta',
+  'nextAppointment.none': 'Brak nadchodzących wizyt',
+  'nextAppointment.book': 'Umów wizytę',
+  'nextAppointment.startsIn': 'Zaczyna się za',
+  'nextAppointment.now': 'Trwa teraz',
+  'nextAppointment.joinVideo': 'Dołącz do wideowizyty',
+  'nextAppointment.directions': 'Wskazówki dojazdu',
+  'nextAppointment.cancel': 'Odwołaj wizytę',
+  'nextAppointment.cancelling': 'Odwoływanie...',
+  'nextAppointment.checklist': 'Lista przygotowań',
+  'nextAppointment.checklistDone': 'Zrobione: {done} z {total}',
+  'countdown.days': '{days} d {hours} godz. {minutes} min',
+  'countdown.hours': '{hours} godz. {minutes} min',
+  'countdown.minutes': '{minutes} min {seconds} s',
+  'countdown.now': 'Teraz',
+  'checklist.id-insurance':
+    'Weź dokument tożsamości ze zdjęciem i kartę ubezpieczenia',
+  'checklist.medications': 'Spisz przyjmowane leki i suplementy',
+  'checklist.questions': 'Zapisz pytania, które chcesz zadać',
+  'checklist.fasting': 'Sprawdź, czy trzeba przyjść na czczo (wodę można pić)',
+  'checklist.bp-readings': 'Weź ostatnie pomiary ciśnienia krwi',
+  'checklist.glucose-log': 'Weź glukometr lub dzienniczek pomiarów glukozy',
+  'checklist.skin-photos':
+    'Zrób zdjęcia pokazujące, jak zmieniało się to miejsce',
+  'checklist.no-lotion': 'Nie nakładaj na to miejsce balsamu ani makijażu',
+  'checklist.previous-results': 'Weź wyniki lub zdjęcia z wcześniejszych badań',
+  'checklist.symptom-diary':
+    'Zanotuj, kiedy zaczęły się objawy i co je łagodzi lub nasila',
+  'checklist.test-devices': 'Sprawdź kamerę, mikrofon i połączenie',
+  'checklist.quiet-room': 'Znajdź ciche, prywatne miejsce na rozmowę',
+
+  'reminders.title': 'Powiadomienia',
+  'reminders.unread': 'Powiadomienia, nieprzeczytane: {count}',
+  'reminders.none': 'Brak nadchodzących przypomnień',
+  'reminders.dismiss': 'Odrzuć przypomnienie',
+  'reminders.remindMe': 'Przypomnij mi',
+  'reminders.before': '{duration} wcześniej',
+  'reminders.browser': 'Powiadomienia w przeglądarce',
+  'reminders.blocked':
+    'Powiadomienia są zablokowane w ustawieniach przeglądarki.',
+  'reminders.unsupported': 'Twoja przeglądarka nie obsługuje powiadomień.',
+  'reminders.notificationTitle': 'Przypomnienie o wizycie',
+  'reminders.message': 'Twoja wizyta za: {duration} ({when}).',
+  'reminders.messageWithDoctor':
+    'Twoja wizyta u dr. {doctor} za: {duration} ({when}).',
+
+  'liveUpdates.statusChanged': 'Status wizyty {when}: {status}.',
+  'liveUpdates.statusChangedWithDoctor':
+    'Status wizyty u dr. {doctor} {when}: {status}.',
+  'liveUpdates.dismiss': 'Odrzuć powiadomienie',
+
+  'trends.range': 'Zakres trendów',
+  'trends.range.7d': '7 dni',
+  'trends.range.30d': '30 dni',
+  'trends.range.90d': '90 dni',
+  'trends.range.1y': '1 rok',
+  'trends.range.custom': 'Własny',
+  'trends.metrics': 'Wskaźniki',
+  'trends.metric.confidence': 'Pewność',
+  'trends.metric.accuracy': 'Trafność',
+  'trends.chooseDates': 'Wybierz datę początkową i końcową',
+  'trends.startAfterEnd': 'Data początkowa nie może być późniejsza niż końcowa',
+  'trends.weekOf': 'Tydzień od {date}',
+  'trends.summary.single':
+    '{metric}: {value} (jeden pomiar w okresie {period}).',
+  'trends.summary.same': '{metric}: bez zmian, {value} w okresie {period}.',
+  'trends.summary.rose':
+    '{metric}: wzrost z {first} do {last} w okresie {period}.',
+  'trends.summary.fell':
+    '{metric}: spadek z {first} do {last} w okresie {period}.',
+  'trends.noData': 'Brak danych o trendach',
+  'trends.selectMetric': 'Wybierz co najmniej jeden wskaźnik do wykresu',
+  'trends.noDataInRange': 'Brak danych o trendach w tym zakresie',
+  'trends.caption': 'Trendy zdrowia w okresie {period}',
+  'trends.captionAveraged': 'Trendy zdrowia w okresie {period} ({averages})',
+  'trends.averages.week': 'średnie tygodniowe',
+  'trends.averages.month': 'średnie miesięczne',
+  'trends.averagedBy.week': 'Uśrednione tygodniowo.',
+  'trends.averagedBy.month': 'Uśrednione miesięcznie.',
+  'trends.period': 'Okres',
+  'trends.analyses': 'Analizy',
+  'trends.analysesCount': {
+    one: '{count} analiza',
+    few: '{count} analizy',
+    many: '{count} analiz',
+    other: '{count} analizy',
+  },
+  'trends.noReading': 'Brak pomiaru',
+  'trends.viewAnalysis': 'Zobacz analizę',
+  'trends.viewTable': 'Pokaż jako tabelę',
+  'trends.exportCsv': 'Eksportuj CSV',
+  'trends.exportJson': 'Eksportuj JSON',
+  'trends.point': '{metric} {period}: {value}',
+  'trends.openAnalysis': '{point}. Otwórz analizę',
+  'trends.analysesFor': 'Analizy: {period}',
+  'trends.closeAnalyses': 'Zamknij listę analiz',
+  'trends.analysisFrom': 'Analiza z {date}',
+};
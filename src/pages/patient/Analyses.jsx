@@ -0,0 +1,324 @@
+'use client';
+
+/**
+ * AI analyses history for the signed-in patient.
+ *
+ * - Filters: severity, date range (clinic days) and keyword over the input and AI response, kept in the URL
+ *   query with the page number (analysisHistory).
+ * - High-severity analyses matching the filters are pinned above the list with a call to book an appointment;
+ *   the rest are paginated, newest first.
+ * - Each analysis links to its detail view (AnalysisDetail) with the full input and response, and to a
+ *   follow-up booking prefilled from it (analysisFollowUp).
+ * - Data: the same cached query as the dashboard's recent analyses (patientQueries); no PII in console.
+ */
+
+import { useEffect, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { AlertTriangle, Search } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import {
+  Card,
+  CardHeader,
+  CardTitle,
+  CardContent,
+} from '../../components/Card';
+import { Button } from '../../components/Button';
+import { Input } from '../../components/Input';
+import { Label } from '../../components/Label';
+import { formatDateKey } from '../../utils/dateTime';
+import { useQuery } from '../../utils/queryCache';
+import {
+  getCurrentPatientId,
+  patientQueries,
+  patientQueryKeys,
+} from './patientQueries';
+import {
+  ANALYSIS_SEVERITIES,
+  emptyAnalysisFilters,
+  filterAnalyses,
+  getAnalysisDateKey,
+  getAnalysisExcerpt,
+  getAnalysisPath,
+  getAnalysisSeverity,
+  hasActiveAnalysisFilters,
+  paginate,
+  parseAnalysisFilters,
+  serializeAnalysisFilters,
+  sortAnalysesNewestFirst,
+  splitPinnedAnalyses,
+} from './analysisHistory';
+import { getFollowUpPath } from './analysisFollowUp';
+
+export function getSeverityBadgeClass(severity) {
+  switch (severity) {
+    case 'high':
+      return 'bg-orange-100 text-orange-800';
+    case 'medium':
+      return 'bg-yellow-100 text-yellow-800';
+    default:
+      return 'bg-green-100 text-green-800';
+  }
+}
+
+function AnalysisItem({ analysis }) {
+  const severity = getAnalysisSeverity(analysis);
+  return (
+    <li className="space-y-1 rounded-lg border p-3">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-medium">
+          {formatDateKey(getAnalysisDateKey(analysis), 'MMM dd, yyyy')}
+        </span>
+        <span
+          className={`rounded-full px-2 py-1 text-xs font-medium ${getSeverityBadgeClass(
+            severity,
+          )}`}
+        >
+          {severity}
+        </span>
+      </div>
+      <p className="text-sm text-muted-foreground">
+        {getAnalysisExcerpt(analysis.userInput)}
+      </p>
+      <div className="flex items-center space-x-4">
+        <Link className="text-sm underline" to={getAnalysisPath(analysis._id)}>
+          View details
+        </Link>
+        <Link className="text-sm underline" to={getFollowUpPath(analysis._id)}>
+          Book follow-up
+        </Link>
+      </div>
+    </li>
+  );
+}
+
+export const Analyses = () => {
+  const { user } = useAuth();
+  const userId = getCurrentPatientId(user);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const analysesQuery = useQuery(
+    patientQueryKeys.analyses(userId),
+    patientQueries.analyses,
+    { enabled: !!userId },
+  );
+
+  const { filters, page: requestedPage } = useMemo(
+    () => parseAnalysisFilters(searchParams),
+    [searchParams],
+  );
+  const filtered = useMemo(
+    () =>
+      sortAnalysesNewestFirst(
+        filterAnalyses(analysesQuery.data ?? [], filters),
+      ),
+    [analysesQuery.data, filters],
+  );
+  const { pinned, rest } = splitPinnedAnalyses(filtered);
+  const { items, page, pageCount } = paginate(rest, requestedPage);
+
+  useEffect(() => {
+    if (analysesQuery.error) console.error('Failed to fetch analyses');
+  }, [analysesQuery.error]);
+
+  // Changing a filter goes back to the first page.
+  const updateFilters = (changes) => {
+    setSearchParams(serializeAnalysisFilters({ ...filters, ...changes }), {
+      replace: true,
+    });
+  };
+  const goToPage = (next) => {
+    setSearchParams(serializeAnalysisFilters(filters, next));
+  };
+  const toggleSeverity = (severity) => {
+    updateFilters({
+      severities: filters.severities.includes(severity)
+        ? filters.severities.filter((s) => s !== severity)
+        : [...filters.severities, severity],
+    });
+  };
+
+  if (analysesQuery.loading) {
+    return (
+      <div className="text-center py-12" role="status" aria-busy="true">
+        Loading...
+      </div>
+    );
+  }
+
+  if (analysesQuery.error && !analysesQuery.data) {
+    return (
+      <div className="space-y-2 py-12 text-center">
+        <p className="text-sm text-red-600" role="alert">
+          Failed to load analyses
+        </p>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => analysesQuery.refetch().catch(() => {})}
+        >
+          Retry
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold">AI Analyses</h1>
+        <p className="text-muted-foreground mt-2">
+          Every symptom analysis you have run
+        </p>
+      </div>
+
+      <section className="space-y-3" aria-label="Filter analyses">
+        <div
+          className="flex flex-wrap gap-2"
+          role="group"
+          aria-label="Severity"
+        >
+          {ANALYSIS_SEVERITIES.map((severity) => {
+            const active = filters.severities.includes(severity);
+            return (
+              <button
+                key={severity}
+                type="button"
+                className={`px-3 py-1 rounded-full text-xs font-medium border ${
+                  active ? getSeverityBadgeClass(severity) : 'border-input'
+                }`}
+                aria-pressed={active}
+                onClick={() => toggleSeverity(severity)}
+              >
+                {severity}
+              </button>
+            );
+          })}
+        </div>
+        <div className="grid gap-4 md:grid-cols-3">
+          <div className="space-y-2">
+            <Label htmlFor="analyses-q">Search</Label>
+            <div className="relative">
+              <Search
+                className="absolute left-2 top-3 h-4 w-4 text-muted-foreground"
+                aria-hidden
+              />
+              <Input
+                id="analyses-q"
+                type="search"
+                className="pl-8"
+                value={filters.q}
+                onChange={(e) => updateFilters({ q: e.target.value })}
+                placeholder="Symptoms or findings"
+              />
+            </div>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="analyses-from">From</Label>
+            <Input
+              id="analyses-from"
+              type="date"
+              value={filters.from}
+              max={filters.to || undefined}
+              onChange={(e) => updateFilters({ from: e.target.value })}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="analyses-to">To</Label>
+            <Input
+              id="analyses-to"
+              type="date"
+              value={filters.to}
+              min={filters.from || undefined}
+              onChange={(e) => updateFilters({ to: e.target.value })}
+            />
+          </div>
+        </div>
+        {hasActiveAnalysisFilters(filters) && (
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            onClick={() => updateFilters(emptyAnalysisFilters)}
+          >
+            Clear filters
+          </Button>
+        )}
+      </section>
+
+      {pinned.length > 0 && (
+        <section aria-label="Needs attention">
+          <Card className="border-orange-300">
+            <CardHeader>
+              <CardTitle className="flex items-center space-x-2">
+                <AlertTriangle
+                  className="h-5 w-5 text-orange-600"
+                  aria-hidden
+                />
+                <span>Needs attention</span>
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              <p className="text-sm">
+                {pinned.length === 1
+                  ? 'One analysis was rated high severity.'
+                  : `${pinned.length} analyses were rated high severity.`}{' '}
+                Consider booking a follow-up to discuss the results with a
+                doctor.
+              </p>
+              <ul className="space-y-3">
+                {pinned.map((analysis) => (
+                  <AnalysisItem key={analysis._id} analysis={analysis} />
+                ))}
+              </ul>
+            </CardContent>
+          </Card>
+        </section>
+      )}
+
+      <section className="space-y-3" aria-label="Analysis history">
+        <p className="text-sm text-muted-foreground" aria-live="polite">
+          {filtered.length === 1 ? '1 analysis' : `${filtered.length} analyses`}
+        </p>
+        {filtered.length === 0 && (
+          <p className="text-sm text-muted-foreground text-center py-4">
+            {hasActiveAnalysisFilters(filters)
+              ? 'No analyses match these filters'
+              : 'No analyses yet'}
+          </p>
+        )}
+        {items.length > 0 && (
+          <ul className="space-y-3">
+            {items.map((analysis) => (
+              <AnalysisItem key={analysis._id} analysis={analysis} />
+            ))}
+          </ul>
+        )}
+        {pageCount > 1 && (
+          <nav
+            className="flex items-center justify-between"
+            aria-label="Pagination"
+          >
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={page === 1}
+              onClick={() => goToPage(page - 1)}
+            >
+              Previous
+            </Button>
+            <span className="text-sm">
+              Page {page} of {pageCount}
+            </span>
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={page === pageCount}
+              onClick={() => goToPage(page + 1)}
+            >
+              Next
+            </Button>
+          </nav>
+        )}
+      </section>
+    </div>
+  );
+};
@@ -0,0 +1,225 @@
+/**
+ * @jest-environment jsdom
+ */
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import { Analyses } from './Analyses';
+import { AnalysisDetail } from './AnalysisDetail';
+import { aiService } from '../../services/aiService';
+import { clearQueryCache } from '../../utils/queryCache';
+
+jest.mock('../../context/AuthContext', () => ({
+  useAuth: () => ({ user: { _id: 'patient-1', name: 'Test Patient' } }),
+}));
+
+// 12 low-severity analyses on Jan 1–12 plus one high-severity one on Jan 20 (2030).
+const mockAnalyses = [
+  ...Array.from({ length: 12 }, (_, index) => ({
+    _id: `low-${index + 1}`,
+    createdAt: `2030-01-${String(index + 1).padStart(2, '0')}T15:00:00.000Z`,
+    userInput: `Mild cough, day ${index + 1}`,
+    aiResponse: { severity: 'low', summary: 'Rest and fluids' },
+  })),
+  {
+    _id: 'high-1',
+    createdAt: '2030-01-20T15:00:00.000Z',
+    userInput: 'Chest pain when climbing stairs',
+    aiResponse: {
+      severity: 'high',
+      possibleConditions: ['Angina'],
+      recommendations: ['See a cardiologist this week'],
+    },
+  },
+];
+
+jest.mock('../../services/aiService', () => ({
+  aiService: {
+    getAll: jest.fn(() => Promise.resolve({ analyses: mockAnalyses })),
+  },
+}));
+
+let mockInitialSearch = '';
+let mockParams = {};
+jest.mock('react-router-dom', () => {
+  const { useState } = jest.requireActual('react');
+  return {
+    Link: ({ children, to }) => <a href={to}>{children}</a>,
+    useParams: () => mockParams,
+    useSearchParams: () => {
+      const [params, setParams] = useState(
+        () => new URLSearchParams(mockInitialSearch),
+      );
+      return [params, (next) => setParams(new URLSearchParams(next))];
+    },
+  };
+});
+jest.mock('../../components/Card', () => ({
+  Card: ({ children }) => <div>{children}</div>,
+  CardHeader: ({ children }) => <div>{children}</div>,
+  CardTitle: ({ children }) => <div>{children}</div>,
+  CardContent: ({ children }) => <div>{children}</div>,
+}));
+jest.mock('../../components/Button', () => ({
+  Button: ({ children, disabled, ...p }) => (
+    <button disabled={disabled} {...p}>
+      {children}
+    </button>
+  ),
+}));
+jest.mock('../../components/Input', () => ({
+  Input: (p) => <input {...p} />,
+}));
+jest.mock('../../components/Label', () => ({
+  Label: ({ children, htmlFor }) => <label htmlFor={htmlFor}>{children}</label>,
+}));
+
+const historyItems = () =>
+  within(
+    screen.getByRole('region', { name: 'Analysis history' }),
+  ).queryAllByRole('listitem');
+
+describe('Analyses', () => {
+  beforeEach(() => {
+    clearQueryCache();
+    mockInitialSearch = '';
+    mockParams = {};
+    aiService.getAll.mockClear();
+  });
+
+  it('pins high-severity analyses with a call to book a follow-up', async () => {
+    render(<Analyses />);
+    const pinned = await screen.findByRole('region', {
+      name: 'Needs attention',
+    });
+    expect(pinned).toHaveTextContent('One analysis was rated high severity.');
+    expect(pinned).toHaveTextContent('Chest pain when climbing stairs');
+    expect(
+      within(pinned).getByText('Book follow-up').closest('a'),
+    ).toHaveAttribute('href', '/patient/appointments?followUp=high-1');
+    expect(
+      within(pinned).getByText('View details').closest('a'),
+    ).toHaveAttribute('href', '/patient/analyses/high-1');
+  });
+
+  it('paginates the rest newest first', async () => {
+    render(<Analyses />);
+    await screen.findByText('Page 1 of 2');
+    expect(screen.getByText('13 analyses')).toBeInTheDocument();
+    expect(historyItems()).toHaveLength(10);
+    expect(historyItems()[0]).toHaveTextContent('Mild cough, day 12');
+    expect(screen.getByText('Previous')).toBeDisabled();
+
+    fireEvent.click(screen.getByText('Next'));
+    expect(screen.getByText('Page 2 of 2')).toBeInTheDocument();
+    expect(historyItems().map((item) => item.textContent)).toEqual([
+      expect.stringContaining('day 2'),
+      expect.stringContaining('day 1'),
+    ]);
+  });
+
+  it('filters by severity and keyword over the input and response', async () => {
+    render(<Analyses />);
+    const severity = await screen.findByRole('group', { name: 'Severity' });
+    fireEvent.click(within(severity).getByText('high'));
+    expect(within(severity).getByText('high')).toHaveAttribute(
+      'aria-pressed',
+      'true',
+    );
+    expect(screen.getByText('1 analysis')).toBeInTheDocument();
+    expect(historyItems()).toHaveLength(0);
+
+    fireEvent.click(screen.getByText('Clear filters'));
+    fireEvent.change(screen.getByLabelText('Search'), {
+      target: { value: 'day 1' },
+    });
+    // "day 1", "day 10", "day 11", "day 12"
+    expect(screen.getByText('4 analyses')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Search'), {
+      target: { value: 'cardiologist' },
+    });
+    expect(
+      screen.getByRole('region', { name: 'Needs attention' }),
+    ).toBeInTheDocument();
+    expect(screen.getByText('1 analysis')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Search'), {
+      target: { value: 'nothing like this' },
+    });
+    expect(
+      screen.getByText('No analyses match these filters'),
+    ).toBeInTheDocument();
+  });
+
+  it('opens with filters and page from the query string', async () => {
+    mockInitialSearch = 'severity=low&from=2030-01-03&to=2030-01-05&page=4';
+    render(<Analyses />);
+    expect(await screen.findByText('3 analyses')).toBeInTheDocument();
+    expect(screen.getByLabelText('From')).toHaveValue('2030-01-03');
+    expect(screen.queryByRole('navigation')).not.toBeInTheDocument();
+    expect(historyItems()).toHaveLength(3);
+  });
+
+  it('offers a retry when loading fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    aiService.getAll.mockRejectedValueOnce(new Error('offline'));
+    render(<Analyses />);
+    fireEvent.click(await screen.findByText('Retry'));
+    expect(await screen.findByText('Page 1 of 2')).toBeInTheDocument();
+    console.error.mockRestore();
+  });
+});
+
+describe('AnalysisDetail', () => {
+  beforeEach(() => {
+    clearQueryCache();
+    mockParams = {};
+  });
+
+  it('shows the full input and every response section', async () => {
+    mockParams = { id: 'high-1' };
+    render(<AnalysisDetail />);
+    expect(
+      await screen.findByRole('heading', {
+        name: 'Analysis from Jan 20, 2030',
+      }),
+    ).toBeInTheDocument();
+    expect(screen.getByText('high severity')).toBeInTheDocument();
+    expect(
+      screen.getByText('Chest pain when climbing stairs'),
+    ).toBeInTheDocument();
+    expect(
+      within(
+        screen.getByRole('region', { name: 'Possible conditions' }),
+      ).getByText('Angina'),
+    ).toBeInTheDocument();
+    expect(
+      screen.getByRole('region', { name: 'Recommendations' }),
+    ).toHaveTextContent('See a cardiologist this week');
+    expect(
+      within(screen.getByRole('note')).getByText('Book follow-up').closest('a'),
+    ).toHaveAttribute('href', '/patient/appointments?followUp=high-1');
+  });
+
+  it('offers a follow-up without the call to action for lower severities', async () => {
+    mockParams = { id: 'low-3' };
+    render(<AnalysisDetail />);
+    expect(
+      await screen.findByRole('region', { name: 'Summary' }),
+    ).toHaveTextContent('Rest and fluids');
+    expect(screen.queryByRole('note')).not.toBeInTheDocument();
+    expect(screen.getByText('Book follow-up').closest('a')).toHaveAttribute(
+      'href',
+      '/patient/appointments?followUp=low-3',
+    );
+  });
+
+  it('reports unknown analyses', async () => {
+    mockParams = { id: 'missing' };
+    render(<AnalysisDetail />);
+    expect(await screen.findByText('Analysis not found')).toBeInTheDocument();
+    expect(screen.getByText('All analyses').closest('a')).toHaveAttribute(
+      'href',
+      '/patient/analyses',
+    );
+  });
+});
@@ -0,0 +1,188 @@
+'use client';
+
+/**
+ * One AI analysis (/patient/analyses/:id): the full input and every field of the AI response.
+ *
+ * - Looked up in the patient's cached analyses (patientQueries), so opening it from the history, the dashboard or
+ *   the trends chart needs no extra request.
+ * - "Book follow-up" opens the booking form prefilled from the analysis (analysisFollowUp); high-severity
+ *   analyses show it as a call to action.
+ */
+
+import { useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { AlertTriangle, ArrowLeft } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import {
+  Card,
+  CardHeader,
+  CardTitle,
+  CardContent,
+} from '../../components/Card';
+import { Button } from '../../components/Button';
+import { formatDateKey } from '../../utils/dateTime';
+import { useQuery } from '../../utils/queryCache';
+import {
+  getCurrentPatientId,
+  patientQueries,
+  patientQueryKeys,
+} from './patientQueries';
+import { getSeverityBadgeClass } from './Analyses';
+import {
+  getAnalysisDateKey,
+  getAnalysisResponseSections,
+  getAnalysisSeverity,
+} from './analysisHistory';
+import { getFollowUpPath } from './analysisFollowUp';
+
+const backLink = (
+  <Link
+    to="/patient/analyses"
+    className="inline-flex items-center text-sm underline"
+  >
+    <ArrowLeft className="mr-1 h-4 w-4" aria-hidden />
+    All analyses
+  </Link>
+);
+
+export const AnalysisDetail = () => {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const userId = getCurrentPatientId(user);
+  const analysesQuery = useQuery(
+    patientQueryKeys.analyses(userId),
+    patientQueries.analyses,
+    { enabled: !!userId },
+  );
+
+  useEffect(() => {
+    if (analysesQuery.error) console.error('Failed to fetch analysis');
+  }, [analysesQuery.error]);
+
+  if (analysesQuery.loading) {
+    return (
+      <div className="text-center py-12" role="status" aria-busy="true">
+        Loading...
+      </div>
+    );
+  }
+
+  if (analysesQuery.error && !analysesQuery.data) {
+    return (
+      <div className="space-y-2 py-12 text-center">
+        <p className="text-sm text-red-600" role="alert">
+          Failed to load analysis
+        </p>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => analysesQuery.refetch().catch(() => {})}
+        >
+          Retry
+        </Button>
+      </div>
+    );
+  }
+
+  const analysis = (analysesQuery.data ?? []).find(
+    ({ _id }) => String(_id) === id,
+  );
+  if (!analysis) {
+    return (
+      <div className="space-y-4">
+        {backLink}
+        <p className="text-sm text-muted-foreground">Analysis not found</p>
+      </div>
+    );
+  }
+
+  const severity = getAnalysisSeverity(analysis);
+  const sections = getAnalysisResponseSections(analysis.aiResponse);
+
+  return (
+    <div className="space-y-6">
+      {backLink}
+      <div className="flex items-center justify-between">
+        <h1 className="text-3xl font-bold">
+          Analysis from{' '}
+          {formatDateKey(getAnalysisDateKey(analysis), 'MMM dd, yyyy')}
+        </h1>
+        <div className="flex items-center space-x-2">
+          <span
+            className={`rounded-full px-2 py-1 text-xs font-medium ${getSeverityBadgeClass(
+              severity,
+            )}`}
+          >
+            {severity} severity
+          </span>
+          {severity !== 'high' && (
+            <Link to={getFollowUpPath(analysis._id)}>
+              <Button variant="outline" size="sm">
+                Book follow-up
+              </Button>
+            </Link>
+          )}
+        </div>
+      </div>
+
+      {severity === 'high' && (
+        <div
+          className="flex items-center justify-between space-x-4 rounded-lg border border-orange-300 p-4"
+          role="note"
+        >
+          <p className="flex items-center text-sm">
+            <AlertTriangle
+              className="mr-2 h-5 w-5 shrink-0 text-orange-600"
+              aria-hidden
+            />
+            This analysis was rated high severity. Book a follow-up to discuss
+            it with a doctor.
+          </p>
+          <Link to={getFollowUpPath(analysis._id)}>
+            <Button size="sm">Book follow-up</Button>
+          </Link>
+        </div>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Your input</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <p className="whitespace-pre-wrap text-sm">{analysis.userInput}</p>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>AI response</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {sections.length === 0 && (
+            <p className="text-sm text-muted-foreground">
+              No details were returned for this analysis.
+            </p>
+          )}
+          {sections.map((section) => (
+            <section key={section.key} aria-label={section.label}>
+              <h2 className="font-medium">{section.label}</h2>
+              {section.items ? (
+                <ul className="list-disc pl-5 text-sm">
+                  {section.items.map((item, index) => (
+                    <li key={index}>{item}</li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="whitespace-pre-wrap text-sm">{section.text}</p>
+              )}
+            </section>
+          ))}
+          <p className="text-xs text-muted-foreground">
+            AI analyses are not a diagnosis. Talk to a doctor about any
+            concerns.
+          </p>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
@@ -0,0 +1,39 @@
+/**
+ * Toasts announcing live appointment status changes (useAppointmentLiveUpdates).
+ *
+ * - The live region is always rendered so screen readers announce toasts added later.
+ * - Messages in the patient's language (usePatientI18n).
+ */
+
+import { BellRing, X } from 'lucide-react';
+import { describeStatusChange } from './appointmentLiveUpdates';
+import { usePatientI18n } from './patientI18n';
+
+export function AppointmentStatusToasts({ toasts, onDismiss }) {
+  const i18n = usePatientI18n();
+  return (
+    <div
+      className="fixed bottom-4 right-4 z-50 space-y-2"
+      role="status"
+      aria-live="polite"
+    >
+      {toasts.map((toast) => (
+        <div
+          key={toast.id}
+          className="flex items-start space-x-3 rounded-md border bg-background px-4 py-3 text-sm shadow-lg"
+        >
+          <BellRing className="mt-0.5 h-4 w-4 shrink-0" aria-hidden />
+          <p>{describeStatusChange(toast.appointment, i18n)}</p>
+          <button
+            type="button"
+            className="text-muted-foreground hover:text-foreground"
+            aria-label={i18n.t('liveUpdates.dismiss')}
+            onClick={() => onDismiss(toast.id)}
+          >
+            <X className="h-4 w-4" aria-hidden />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
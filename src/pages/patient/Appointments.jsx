@@ -1,17 +1,20 @@
 'use client';
 
 /**
- * Appointment booking form (Problem 2): validation and feedback.
+ * Patient appointments page: booking form and the patient's appointment list.
  *
- * - Real-time validation on field change (getFieldValidationError, validateBookingForm).
- * - Rules: date in future; time 9 AM–5 PM; doctor required; reason ≥ 10 chars.
- * - Submit disabled when invalid; success message after booking (timeout cleared on unmount).
+ * - Booking: schema validation on change and on submit, per-doctor schedules and taken slots, recurring series,
+ *   reschedules, follow-ups from an analysis and autosaved drafts.
+ * - List: cursor-paginated, filtered and searched via the URL query, with calendar export and live status updates.
+ * - Offline: failed changes wait in a per-user outbox and are replayed when back online.
+ * - Data comes from the shared query cache (patientQueries); text and dates follow the patient's language.
  * - Initial fetch: cancelled flag to avoid setState after unmount; no PII in console.
  */
 
 import { useState, useRef, useMemo, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
 import { appointmentService } from '../../services/appointmentService';
-import { userService } from '../../services/userService';
 import {
   Card,
   CardHeader,
@@ -21,31 +24,185 @@ import {
 import { Button } from '../../components/Button';
 import { Input } from '../../components/Input';
 import { Label } from '../../components/Label';
-import { format } from 'date-fns';
-import { Calendar, Clock, User, X } from 'lucide-react';
+import {
+  Calendar,
+  CalendarClock,
+  CalendarPlus,
+  Clock,
+  CloudOff,
+  Download,
+  Repeat,
+  Search,
+  User,
+  X,
+} from 'lucide-react';
+import {
+  DEFAULT_SCHEDULE,
+  describeWeeklySchedule,
+  formatScheduleHours,
+  generateScheduleSlots,
+  isWorkingDay,
+} from './doctorSchedule';
+import {
+  APPOINTMENT_STATUSES,
+  emptyAppointmentFilters,
+  filterAppointments,
+  getAppointmentDoctorOptions,
+  hasActiveFilters,
+  isUpcomingAppointment,
+  parseAppointmentFilters,
+  serializeAppointmentFilters,
+  sortAppointmentsUpcomingFirst,
+} from './appointmentFilters';
+import {
+  MAX_OCCURRENCES,
+  MIN_OCCURRENCES,
+  RECURRENCE_FREQUENCIES,
+  buildSeriesRequest,
+  generateOccurrenceDates,
+  getRecurrenceError,
+  initialRecurrence,
+  isRecurring,
+} from './recurrence';
+import {
+  buildIcsCalendar,
+  downloadIcs,
+  getGoogleCalendarUrl,
+  getEventSequences,
+  getIcsFilename,
+  getOutlookCalendarUrl,
+} from './appointmentIcs';
+import {
+  applyOutboxToAppointments,
+  cacheAppointments,
+  createBookingEntry,
+  createCancelEntry,
+  createSeriesEntry,
+  describeOutboxEntry,
+  enqueueOutboxEntry,
+  getConflictMessage,
+  isNetworkError,
+  loadCachedAppointments,
+  loadOutbox,
+  replayOutbox,
+} from './appointmentOutbox';
+import {
+  clearBookingDraft,
+  isBookingDraftEmpty,
+  loadBookingDraft,
+  saveBookingDraft,
+} from './bookingDraft';
+import { getFollowUpFormData, linkAnalysis } from './analysisFollowUp';
+import { getAnalysisDateKey } from './analysisHistory';
+import {
+  cancelAppointmentSeries,
+  createAppointment,
+  createAppointmentSeries,
+  getCurrentPatientId,
+  patientQueries,
+  patientQueryKeys,
+  updateAppointment,
+} from './patientQueries';
+import {
+  mergeAppointmentChange,
+  useAppointmentLiveUpdates,
+} from './appointmentLiveUpdates';
+import { AppointmentStatusToasts } from './AppointmentStatusToasts';
+import { DoctorPicker } from './DoctorPicker';
+import { LanguageSwitcher } from './LanguageSwitcher';
+import { usePatientI18n } from './patientI18n';
+import { usePatientSessionCleanup } from './patientSession';
+import { getRecentDoctorIds } from './doctorDirectory';
+import {
+  fetchQuery,
+  hashQueryKey,
+  invalidateQueries,
+  useQuery,
+} from '../../utils/queryCache';
+import {
+  CLINIC_TIME_ZONE,
+  getPatientLocalTime,
+  getPatientTimeZone,
+  getTodayKey,
+  normalizeDateKey,
+} from '../../utils/dateTime';
+import { getSchemaFields, hasValidationErrors } from '../../utils/validation';
+import {
+  REASON_MIN_LENGTH,
+  RESCHEDULE_FIELDS,
+  bookingSchema,
+  getBookingSubmitErrors,
+  getFieldValidationError,
+  getLastBookableDateKey,
+  isBusinessHours,
+  isDateInFuture,
+  isTooSoonToBook,
+  pickFieldErrors,
+  validateBookingForm,
+  validateBookingFormAsync,
+} from './bookingValidation';
 
-const BUSINESS_HOURS = { start: 9, end: 17 }; // 9 AM - 5 PM
-const REASON_MIN_LENGTH = 10;
 const SUCCESS_MESSAGE_HIDE_MS = 5000;
+const APPOINTMENTS_PAGE_SIZE = 20;
+
+export {
+  getFieldValidationError,
+  isBusinessHours,
+  isDateInFuture,
+  validateBookingForm,
+};
+
+/**
+ * Times already taken for doctor on date (doctor ref may be string or populated object; cancelled ones are free).
+ * excludeId: appointment being rescheduled, so its own slot stays selectable.
+ */
+export function getBookedTimes(appointments, doctorId, dateStr, excludeId) {
+  const booked = new Set();
+  if (!doctorId || !dateStr) return booked;
+  for (let i = 0; i < appointments.length; i++) {
+    const appointment = appointments[i];
+    if (appointment.status === 'cancelled') continue;
+    if (excludeId && appointment._id === excludeId) continue;
+    if (
+      String(appointment.doctor?._id ?? appointment.doctor ?? '') !== doctorId
+    )
+      continue;
+    if (normalizeDateKey(appointment.appointmentDate) !== dateStr) continue;
+    booked.add(appointment.appointmentTime);
+  }
+  return booked;
+}
 
-/** Req: "Date must be in the future" (today or later). */
-export function isDateInFuture(dateStr) {
-  if (!dateStr) return false;
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  const chosen = new Date(dateStr);
-  chosen.setHours(0, 0, 0, 0);
-  return chosen >= today;
+/** Appends a page to the loaded list, skipping ids already present (pages can shift after a booking). */
+export function mergeAppointmentPages(loaded, page) {
+  const seen = new Set(loaded.map((appointment) => appointment._id));
+  return [
+    ...loaded,
+    ...page.filter((appointment) => !seen.has(appointment._id)),
+  ];
 }
 
-/** Req: "Time must be during business hours (9 AM - 5 PM)". */
-export function isBusinessHours(timeStr) {
-  if (!timeStr) return false;
-  const [h, m] = timeStr.split(':').map(Number);
-  const minutes = h * 60 + (m ?? 0);
-  const startMinutes = BUSINESS_HOURS.start * 60;
-  const endMinutes = BUSINESS_HOURS.end * 60;
-  return minutes >= startMinutes && minutes <= endMinutes;
+/**
+ * Per-date errors for a series at one time ('' when that occurrence is bookable), in i18n's language.
+ * takenDates are the dates whose slot the doctor already has booked.
+ */
+export function getOccurrenceErrors(
+  dates,
+  timeStr,
+  schedule = DEFAULT_SCHEDULE,
+  i18n,
+  takenDates = [],
+) {
+  return dates.map(
+    (date) =>
+      getFieldValidationError('appointmentDate', date, { schedule, i18n }) ||
+      getFieldValidationError('appointmentTime', timeStr, {
+        schedule,
+        appointmentDate: date,
+        bookedTimes: takenDates.includes(date) ? new Set([timeStr]) : null,
+        i18n,
+      }),
+  );
 }
 
 const initialFormData = {
@@ -56,109 +213,347 @@ const initialFormData = {
   symptoms: '',
 };
 
-const initialErrors = {
-  doctor: '',
-  appointmentDate: '',
-  appointmentTime: '',
-  reason: '',
-};
-
-export function getFieldValidationError(name, value) {
-  switch (name) {
-    case 'doctor':
-      return value ? '' : 'Doctor selection is required';
-    case 'appointmentDate':
-      return value
-        ? isDateInFuture(value)
-          ? ''
-          : 'Date must be in the future'
-        : '';
-    case 'appointmentTime':
-      return value
-        ? isBusinessHours(value)
-          ? ''
-          : `Time must be during business hours (${BUSINESS_HOURS.start} AM - ${BUSINESS_HOURS.end} PM)`
-        : '';
-    case 'reason':
-      return value
-        ? value.trim().length >= REASON_MIN_LENGTH
-          ? ''
-          : `Reason must be at least ${REASON_MIN_LENGTH} characters`
-        : 'Reason must be at least 10 characters';
-    default:
-      return '';
-  }
-}
-
-export function validateBookingForm(data) {
+/** Booking form values for rescheduling an existing appointment (doctor ref may be populated). */
+export function getRescheduleFormData(appointment) {
   return {
-    doctor: getFieldValidationError('doctor', data.doctor),
-    appointmentDate: getFieldValidationError(
-      'appointmentDate',
-      data.appointmentDate,
-    ),
-    appointmentTime: getFieldValidationError(
-      'appointmentTime',
-      data.appointmentTime,
-    ),
-    reason: getFieldValidationError('reason', data.reason),
+    doctor: String(appointment.doctor?._id ?? appointment.doctor ?? ''),
+    appointmentDate: normalizeDateKey(appointment.appointmentDate),
+    appointmentTime: appointment.appointmentTime ?? '',
+    reason: appointment.reason ?? '',
+    symptoms: appointment.symptoms ?? '',
   };
 }
 
+const BOOKING_FIELDS = getSchemaFields(bookingSchema);
+
+const allFieldsTouched = Object.fromEntries(
+  BOOKING_FIELDS.map((name) => [name, true]),
+);
+
+// Prefilled (draft or follow-up) fields show their errors at once.
+function getFilledFieldsTouched(data) {
+  return Object.fromEntries(
+    BOOKING_FIELDS.filter((name) => data[name]).map((name) => [name, true]),
+  );
+}
+
 export const Appointments = () => {
   // State & refs
-  const [appointments, setAppointments] = useState([]);
-  const [doctors, setDoctors] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const [morePages, setMorePages] = useState([]);
+  const [moreCursor, setMoreCursor] = useState(undefined);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [cachedList, setCachedList] = useState(undefined);
   const [showForm, setShowForm] = useState(false);
   const [formData, setFormData] = useState(initialFormData);
-  const [errors, setErrors] = useState(initialErrors);
+  const [touched, setTouched] = useState({});
+  const [reschedulingId, setReschedulingId] = useState(null);
+  const [followUpAnalysis, setFollowUpAnalysis] = useState(null);
+  const [recurrence, setRecurrence] = useState(initialRecurrence);
+  const [cancelChoiceId, setCancelChoiceId] = useState(null);
   const [submitError, setSubmitError] = useState('');
+  const [serverErrors, setServerErrors] = useState({});
+  // Series dates found booked on submit, for the doctor and time they were checked at.
+  const [takenOccurrences, setTakenOccurrences] = useState(null);
   const [successMessage, setSuccessMessage] = useState('');
   const [submitting, setSubmitting] = useState(false);
+  const [exporting, setExporting] = useState(false);
   const successMessageTimeoutRef = useRef(null);
+  const loadMoreRef = useRef(null);
+  const [outbox, setOutbox] = useState([]);
+  const [syncConflicts, setSyncConflicts] = useState([]);
+  const syncingRef = useRef(false);
+  const { user } = useAuth();
+  const userId = getCurrentPatientId(user);
+  usePatientSessionCleanup(user);
+  const [draftRestored, setDraftRestored] = useState(false);
+  // Bumped whenever the form's content changes, so a draft that loads late never overwrites it.
+  const formChangesRef = useRef(0);
+  // Set by an edit; the autosave effect then saves the updated form.
+  const draftEditedRef = useRef(false);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const i18n = usePatientI18n();
+  const { t, formatDate, formatTime } = i18n;
 
-  const isFormValid = useMemo(() => {
-    const fieldErrors = validateBookingForm(formData);
-    return (
-      !fieldErrors.doctor &&
-      !fieldErrors.appointmentDate &&
-      !fieldErrors.appointmentTime &&
-      !fieldErrors.reason
-    );
-  }, [formData]);
+  // Server data comes from the shared query cache (patientQueries): cached data renders at once and is
+  // revalidated in the background; appointment mutations invalidate it.
+  const listKey = patientQueryKeys.appointmentList(
+    userId,
+    APPOINTMENTS_PAGE_SIZE,
+  );
+  const listQuery = useQuery(
+    listKey,
+    patientQueries.appointmentList(APPOINTMENTS_PAGE_SIZE),
+  );
+  const doctorsQuery = useQuery(
+    patientQueryKeys.doctors,
+    patientQueries.doctors,
+  );
+  const scheduleQuery = useQuery(
+    patientQueryKeys.doctorSchedule(formData.doctor),
+    patientQueries.doctorSchedule(formData.doctor),
+    { enabled: !!formData.doctor },
+  );
+  // The patient's own appointments (usually cached by the dashboard) tell which doctors they saw recently.
+  const ownAppointmentsQuery = useQuery(
+    patientQueryKeys.patientAppointments(userId),
+    patientQueries.patientAppointments(userId),
+    { enabled: showForm && !!userId },
+  );
+  const doctorDayQuery = useQuery(
+    patientQueryKeys.doctorDay(formData.doctor, formData.appointmentDate),
+    patientQueries.doctorDay(formData.doctor, formData.appointmentDate),
+    { enabled: !!formData.doctor && !!formData.appointmentDate },
+  );
+  // Pushed changes patch the cached first page; pages loaded by scrolling are patched here.
+  const { toasts, dismissToast } = useAppointmentLiveUpdates(userId, {
+    onChange: (change) => {
+      const previous = morePages.find(({ _id }) => _id === change._id);
+      if (!previous) return null;
+      setMorePages((pages) => mergeAppointmentChange(pages, change));
+      return { previous, appointment: { ...previous, ...change } };
+    },
+  });
+  const doctors = doctorsQuery.data ?? [];
+  const recentDoctorIds = useMemo(
+    () => getRecentDoctorIds(ownAppointmentsQuery.data ?? []),
+    [ownAppointmentsQuery.data],
+  );
+  const doctorSchedule =
+    (formData.doctor && scheduleQuery.data) || DEFAULT_SCHEDULE;
+  const doctorBookings = doctorDayQuery.data ?? [];
+  const availabilityLoading = doctorDayQuery.loading;
 
-  // Data loaders (used by effect; defined before effect so closure is correct)
-  const loadAppointments = async (isCancelled) => {
-    try {
-      const { appointments: data } = await appointmentService.getAll();
-      if (!isCancelled()) setAppointments(data ?? []);
-    } catch {
-      if (!isCancelled()) setAppointments([]);
-      console.error('Failed to fetch appointments');
-    } finally {
-      if (!isCancelled()) setLoading(false);
-    }
-  };
+  // First page from the cache (or the offline copy when it cannot be fetched), then pages loaded by scrolling.
+  const firstPage = listQuery.data?.appointments ?? cachedList;
+  const appointments = useMemo(
+    () => mergeAppointmentPages(firstPage ?? [], morePages),
+    [firstPage, morePages],
+  );
+  const nextCursor =
+    moreCursor !== undefined
+      ? moreCursor
+      : (listQuery.data?.nextCursor ?? null);
+  const loading =
+    listQuery.loading ||
+    (!!listQuery.error && !listQuery.data && cachedList === undefined);
+  const showingCachedList = !listQuery.data && cachedList != null;
 
-  const loadDoctors = async (isCancelled) => {
-    try {
-      const { users } = await userService.getAll({ role: 'doctor' });
-      if (!isCancelled()) setDoctors(users ?? []);
-    } catch {
-      console.error('Failed to fetch doctors');
+  // List filters live in the URL so they survive reloads and can be shared.
+  const filters = useMemo(
+    () => parseAppointmentFilters(searchParams),
+    [searchParams],
+  );
+  // Queued offline changes are shown on top of the server list until they sync.
+  const displayedAppointments = useMemo(
+    () => applyOutboxToAppointments(appointments, outbox),
+    [appointments, outbox],
+  );
+  const doctorOptions = useMemo(
+    () => getAppointmentDoctorOptions(displayedAppointments, i18n),
+    [displayedAppointments, i18n],
+  );
+  const upcomingAppointments = useMemo(
+    () =>
+      appointments.filter((appointment) => isUpcomingAppointment(appointment)),
+    [appointments],
+  );
+  const visibleAppointments = useMemo(
+    () =>
+      sortAppointmentsUpcomingFirst(
+        filterAppointments(displayedAppointments, filters),
+      ),
+    [displayedAppointments, filters],
+  );
+
+  const timeSlots = useMemo(
+    () => generateScheduleSlots(doctorSchedule, formData.appointmentDate),
+    [doctorSchedule, formData.appointmentDate],
+  );
+  const bookedTimes = useMemo(
+    () =>
+      getBookedTimes(
+        doctorBookings,
+        formData.doctor,
+        formData.appointmentDate,
+        reschedulingId,
+      ),
+    [doctorBookings, formData.doctor, formData.appointmentDate, reschedulingId],
+  );
+  const validationContext = useMemo(
+    () => ({
+      schedule: doctorSchedule,
+      appointmentDate: formData.appointmentDate,
+      bookedTimes,
+      i18n,
+    }),
+    [doctorSchedule, formData.appointmentDate, bookedTimes, i18n],
+  );
+
+  // Errors are derived, so they follow bookings/schedule arriving after the field was edited.
+  // A reschedule only moves the slot, so only date and time are validated.
+  const submittedErrors = (errors) =>
+    reschedulingId ? pickFieldErrors(errors, RESCHEDULE_FIELDS) : errors;
+  const fieldErrors = useMemo(
+    () => submittedErrors(validateBookingForm(formData, validationContext)),
+    [formData, validationContext, reschedulingId],
+  );
+  const errors = useMemo(
+    () =>
+      Object.fromEntries(
+        BOOKING_FIELDS.map((name) => [
+          name,
+          touched[name] ? fieldErrors[name] || serverErrors[name] || '' : '',
+        ]),
+      ),
+    [fieldErrors, serverErrors, touched],
+  );
+  const isFormValid = !hasValidationErrors(fieldErrors);
+
+  // Series preview: each generated date is validated like a single booking.
+  const recurring = !reschedulingId && isRecurring(recurrence);
+  const recurrenceError = recurring
+    ? getRecurrenceError(recurrence, formData.appointmentDate, i18n)
+    : '';
+  const occurrenceDates = useMemo(
+    () =>
+      recurring
+        ? generateOccurrenceDates(formData.appointmentDate, recurrence)
+        : [],
+    [recurring, formData.appointmentDate, recurrence],
+  );
+  const takenDates = useMemo(
+    () =>
+      takenOccurrences?.doctor === formData.doctor &&
+      takenOccurrences.time === formData.appointmentTime
+        ? takenOccurrences.dates
+        : [],
+    [takenOccurrences, formData.doctor, formData.appointmentTime],
+  );
+  const occurrenceErrors = useMemo(
+    () =>
+      getOccurrenceErrors(
+        occurrenceDates,
+        formData.appointmentTime,
+        doctorSchedule,
+        i18n,
+        takenDates,
+      ),
+    [
+      occurrenceDates,
+      formData.appointmentTime,
+      doctorSchedule,
+      i18n,
+      takenDates,
+    ],
+  );
+  const isSeriesValid =
+    !recurring ||
+    (!recurrenceError &&
+      occurrenceDates.length > 0 &&
+      occurrenceErrors.every((error) => !error));
+
+  useEffect(() => {
+    let cancelled = false;
+    loadOutbox(userId).then((entries) => {
+      if (!cancelled) setOutbox(entries);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  // Pages loaded by scrolling are dropped when the list is invalidated (a change was made, so they may be
+  // outdated) or its key changes. Background revalidation (window focus) and pushed changes keep them.
+  const listKeyHash = hashQueryKey(listKey);
+  useEffect(() => {
+    setMorePages([]);
+    setMoreCursor(undefined);
+  }, [listKeyHash, listQuery.invalidatedAt]);
+
+  // The first page is also kept offline.
+  useEffect(() => {
+    if (listQuery.data) {
+      cacheAppointments(userId, listQuery.data.appointments ?? []);
     }
-  };
+  }, [listQuery.data]);
 
   useEffect(() => {
+    if (!listQuery.error || listQuery.data) return;
+    console.error('Failed to fetch appointments');
     let cancelled = false;
-    const isCancelled = () => cancelled;
-    loadAppointments(isCancelled);
-    loadDoctors(isCancelled);
+    loadCachedAppointments(userId).then((cached) => {
+      if (!cancelled) setCachedList(cached ?? null);
+    });
     return () => {
       cancelled = true;
     };
-  }, []);
+  }, [listQuery.error]);
+
+  // The appointment may not be on a loaded page; the patient's own list (usually cached by the dashboard) has it.
+  const rescheduleId = searchParams.get('reschedule');
+  useEffect(() => {
+    if (!rescheduleId || !userId) return;
+    let cancelled = false;
+    const loaded = appointments.find(({ _id }) => _id === rescheduleId);
+    const request = loaded
+      ? Promise.resolve([loaded])
+      : fetchQuery(
+          patientQueryKeys.patientAppointments(userId),
+          patientQueries.patientAppointments(userId),
+        );
+    request
+      .then((list) => {
+        if (cancelled) return;
+        const appointment = list.find(({ _id }) => _id === rescheduleId);
+        if (appointment && appointment.status !== 'cancelled') {
+          handleRescheduleAppointment(appointment);
+        }
+        const params = new URLSearchParams(searchParams);
+        params.delete('reschedule');
+        setSearchParams(params, { replace: true });
+      })
+      .catch(() => console.error('Failed to load appointment to reschedule'));
+    return () => {
+      cancelled = true;
+    };
+  }, [rescheduleId, userId]);
+
+  // Analyses and doctors are usually cached already (dashboard, analysis history, this page).
+  const followUpId = searchParams.get('followUp');
+  useEffect(() => {
+    if (!followUpId || !userId) return;
+    let cancelled = false;
+    Promise.all([
+      fetchQuery(patientQueryKeys.analyses(userId), patientQueries.analyses),
+      fetchQuery(patientQueryKeys.doctors, patientQueries.doctors),
+    ])
+      .then(([analyses, doctorList]) => {
+        if (cancelled) return;
+        const analysis = analyses.find(({ _id }) => String(_id) === followUpId);
+        if (analysis) handleFollowUp(analysis, doctorList);
+        const params = new URLSearchParams(searchParams);
+        params.delete('followUp');
+        setSearchParams(params, { replace: true });
+      })
+      .catch(() => console.error('Failed to load analysis to follow up'));
+    return () => {
+      cancelled = true;
+    };
+  }, [followUpId, userId]);
+
+  useEffect(() => {
+    if (doctorsQuery.error) console.error('Failed to fetch doctors');
+  }, [doctorsQuery.error]);
+
+  useEffect(() => {
+    if (scheduleQuery.error) console.error('Failed to fetch doctor schedule');
+  }, [scheduleQuery.error]);
+
+  useEffect(() => {
+    if (doctorDayQuery.error) {
+      console.error('Failed to fetch doctor availability');
+    }
+  }, [doctorDayQuery.error]);
 
   useEffect(() => {
     return () => {
@@ -169,72 +564,402 @@ export const Appointments = () => {
   }, []);
 
   const handleFieldChange = (name, value) => {
+    formChangesRef.current += 1;
+    draftEditedRef.current = true;
     setFormData((prev) => ({ ...prev, [name]: value }));
-    setErrors((prev) => ({
-      ...prev,
-      [name]: getFieldValidationError(name, value),
-    }));
+    setTouched((prev) => ({ ...prev, [name]: true }));
     setSubmitError('');
+    setServerErrors(({ [name]: _edited, ...rest }) => rest);
   };
 
-  const refreshAppointments = async () => {
+  // Autosaves the new-booking form after each edit (reschedules keep no draft), with its follow-up link.
+  useEffect(() => {
+    if (!draftEditedRef.current) return;
+    draftEditedRef.current = false;
+    if (!reschedulingId) {
+      saveBookingDraft(userId, formData, followUpAnalysis?._id);
+    }
+  }, [formData, reschedulingId, userId, followUpAnalysis]);
+
+  // Replays the outbox once at a time; sent entries invalidate the list, so only rejections need a refetch.
+  const syncOutbox = async () => {
+    if (syncingRef.current) return;
+    syncingRef.current = true;
     try {
-      const { appointments: data } = await appointmentService.getAll();
-      setAppointments(data ?? []);
+      const { remaining, conflicts } = await replayOutbox(userId);
+      setOutbox(remaining);
+      if (conflicts.length) {
+        setSyncConflicts((prev) => [...prev, ...conflicts]);
+        invalidateQueries(patientQueryKeys.appointments);
+      }
     } catch {
-      console.error('Failed to fetch appointments');
+      console.error('Failed to sync offline changes');
+    } finally {
+      syncingRef.current = false;
     }
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    const fieldErrors = validateBookingForm(formData);
-    setErrors(fieldErrors);
-    if (
-      fieldErrors.doctor ||
-      fieldErrors.appointmentDate ||
-      fieldErrors.appointmentTime ||
-      fieldErrors.reason
-    ) {
+  useEffect(() => {
+    if (navigator.onLine !== false) syncOutbox();
+    window.addEventListener('online', syncOutbox);
+    return () => window.removeEventListener('online', syncOutbox);
+  }, [userId]);
+
+  const queueOfflineChange = async (entry) => {
+    setOutbox(await enqueueOutboxEntry(userId, entry));
+  };
+
+  // Next page, or with `all` every remaining one (filters and search only cover loaded pages).
+  const loadMoreAppointments = async (all = false) => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      let cursor = nextCursor;
+      do {
+        const { appointments: data, nextCursor: next } =
+          await appointmentService.getAll({
+            limit: APPOINTMENTS_PAGE_SIZE,
+            cursor,
+          });
+        setMorePages((prev) => mergeAppointmentPages(prev, data ?? []));
+        cursor = next ?? null;
+        setMoreCursor(cursor);
+      } while (all && cursor);
+    } catch {
+      console.error('Failed to fetch more appointments');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Infinite scroll: next page when the sentinel nears the viewport (button fallback without IntersectionObserver).
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor || typeof IntersectionObserver === 'undefined')
       return;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0]?.isIntersecting) loadMoreAppointments();
+      },
+      { rootMargin: '200px' },
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadingMore, loading]);
+
+  const finishSubmit = () => {
+    formChangesRef.current += 1;
+    if (!reschedulingId) clearBookingDraft(userId);
+    setDraftRestored(false);
+    setFormData(initialFormData);
+    setTouched({});
+    setReschedulingId(null);
+    setFollowUpAnalysis(null);
+    setRecurrence(initialRecurrence);
+    setShowForm(false);
+    if (successMessageTimeoutRef.current != null) {
+      clearTimeout(successMessageTimeoutRef.current);
     }
+    successMessageTimeoutRef.current = setTimeout(
+      () => setSuccessMessage(''),
+      SUCCESS_MESSAGE_HIDE_MS,
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setTouched(allFieldsTouched);
+    if (!isFormValid || !isSeriesValid) return;
     setSubmitting(true);
     setSubmitError('');
+    setServerErrors({});
+    const analysisId = followUpAnalysis?._id;
+    const loadBookedTimes = (values) =>
+      fetchQuery(
+        patientQueryKeys.doctorDay(values.doctor, values.appointmentDate),
+        patientQueries.doctorDay(values.doctor, values.appointmentDate),
+        { force: true },
+      ).then((list) =>
+        getBookedTimes(
+          list,
+          values.doctor,
+          values.appointmentDate,
+          reschedulingId,
+        ),
+      );
     try {
-      await appointmentService.create(formData);
-      setSuccessMessage('Appointment booked successfully.');
-      setFormData(initialFormData);
-      setErrors(initialErrors);
-      setShowForm(false);
-      refreshAppointments();
-      if (successMessageTimeoutRef.current != null) {
-        clearTimeout(successMessageTimeoutRef.current);
-      }
-      successMessageTimeoutRef.current = setTimeout(
-        () => setSuccessMessage(''),
-        SUCCESS_MESSAGE_HIDE_MS,
+      // The refetched bookings also update the slot grid and the inline time error.
+      const asyncErrors = submittedErrors(
+        await validateBookingFormAsync(formData, {
+          ...validationContext,
+          loadBookedTimes,
+        }),
       );
+      if (hasValidationErrors(asyncErrors)) return;
+      if (recurring) {
+        // The first date was checked above; the later ones are checked the same way (a failed lookup doesn't block).
+        const laterDates = occurrenceDates.slice(1);
+        const booked = await Promise.all(
+          laterDates.map((date) =>
+            loadBookedTimes({ ...formData, appointmentDate: date }).catch(
+              () => new Set(),
+            ),
+          ),
+        );
+        const dates = laterDates.filter((date, i) =>
+          booked[i].has(formData.appointmentTime),
+        );
+        if (dates.length) {
+          setTakenOccurrences({
+            doctor: formData.doctor,
+            time: formData.appointmentTime,
+            dates,
+          });
+          return;
+        }
+      }
+      if (reschedulingId) {
+        // Reason/symptoms stay as originally booked; only the slot moves.
+        await updateAppointment(reschedulingId, {
+          appointmentDate: formData.appointmentDate,
+          appointmentTime: formData.appointmentTime,
+        });
+        setSuccessMessage(t('appointments.rescheduled'));
+      } else if (recurring) {
+        await createAppointmentSeries(
+          linkAnalysis(
+            buildSeriesRequest(formData, recurrence, occurrenceDates),
+            analysisId,
+          ),
+        );
+        setSuccessMessage(
+          t('appointments.seriesBooked', { count: occurrenceDates.length }),
+        );
+      } else {
+        await createAppointment(linkAnalysis(formData, analysisId));
+        setSuccessMessage(t('appointments.booked'));
+      }
+      finishSubmit();
     } catch (error) {
-      setSubmitError(
-        error.response?.data?.message || 'Failed to create appointment',
+      // Offline: keep the booking in the outbox instead of losing the patient's input.
+      if (!reschedulingId && isNetworkError(error)) {
+        const doctor = doctors.find(({ _id }) => _id === formData.doctor);
+        await queueOfflineChange(
+          recurring
+            ? createSeriesEntry(
+                linkAnalysis(
+                  buildSeriesRequest(formData, recurrence, occurrenceDates),
+                  analysisId,
+                ),
+                doctor,
+              )
+            : createBookingEntry(linkAnalysis(formData, analysisId), doctor),
+        );
+        setSuccessMessage(t('appointments.savedOffline'));
+        finishSubmit();
+        return;
+      }
+      const { fieldErrors: rejected, formError } = getBookingSubmitErrors(
+        error,
+        t(
+          reschedulingId
+            ? 'appointments.rescheduleFailed'
+            : 'appointments.createFailed',
+        ),
+        i18n,
       );
+      setServerErrors(rejected);
+      setSubmitError(formError);
     } finally {
       setSubmitting(false);
     }
   };
 
-  const handleCancelAppointment = async (id) => {
+  const updateFilters = (changes) => {
+    setSearchParams(serializeAppointmentFilters({ ...filters, ...changes }), {
+      replace: true,
+    });
+  };
+
+  const toggleStatusFilter = (status) => {
+    updateFilters({
+      statuses: filters.statuses.includes(status)
+        ? filters.statuses.filter((s) => s !== status)
+        : [...filters.statuses, status],
+    });
+  };
+
+  // New bookings start from the user's saved draft, if any (restored fields show their errors), linked
+  // again to its analysis for a follow-up. The draft is applied only if the form is still untouched.
+  const openBookingForm = async () => {
+    setShowForm(true);
+    const changes = formChangesRef.current;
+    const draft = await loadBookingDraft(userId);
+    const analysis = draft?.analysisId
+      ? await fetchQuery(
+          patientQueryKeys.analyses(userId),
+          patientQueries.analyses,
+        )
+          .then((analyses) =>
+            analyses.find(({ _id }) => String(_id) === draft.analysisId),
+          )
+          .catch(() => console.error('Failed to load analysis to follow up'))
+      : null;
+    if (!draft || formChangesRef.current !== changes) return;
+    setFormData(draft.formData);
+    setTouched(getFilledFieldsTouched(draft.formData));
+    setFollowUpAnalysis(analysis ?? null);
+    setDraftRestored(true);
+  };
+
+  const handleToggleBookingForm = () => {
+    if (reschedulingId) {
+      setReschedulingId(null);
+      setFormData(initialFormData);
+      setTouched({});
+      setSubmitError('');
+      setServerErrors({});
+      openBookingForm();
+      return;
+    }
+    if (showForm) {
+      setShowForm(false);
+    } else {
+      openBookingForm();
+    }
+  };
+
+  const handleDiscardDraft = () => {
+    formChangesRef.current += 1;
+    clearBookingDraft(userId);
+    setFormData(initialFormData);
+    setTouched({});
+    setRecurrence(initialRecurrence);
+    setDraftRestored(false);
+    setFollowUpAnalysis(null);
+    setSubmitError('');
+    setServerErrors({});
+  };
+
+  const handleCloseForm = () => {
+    formChangesRef.current += 1;
+    if (reschedulingId) {
+      setReschedulingId(null);
+      setFormData(initialFormData);
+      setTouched({});
+    }
+    setDraftRestored(false);
+    setFollowUpAnalysis(null);
+    setRecurrence(initialRecurrence);
+    setSubmitError('');
+    setServerErrors({});
+    setShowForm(false);
+  };
+
+  const handleRescheduleAppointment = (appointment) => {
+    formChangesRef.current += 1;
+    setReschedulingId(appointment._id);
+    setDraftRestored(false);
+    setFollowUpAnalysis(null);
+    setFormData(getRescheduleFormData(appointment));
+    setTouched({});
+    setSubmitError('');
+    setServerErrors({});
+    setShowForm(true);
+  };
+
+  // Replaces the form (and the saved draft) with the follow-up; date and time are left for the patient.
+  // An unfinished booking is replaced only if the patient agrees; otherwise (or when the draft already is
+  // this follow-up) the draft is reopened.
+  const handleFollowUp = async (analysis, doctorList) => {
+    const draft = await loadBookingDraft(userId);
     if (
-      window.confirm('Are you sure you want to cancel this appointment?')
+      draft &&
+      (draft.analysisId === String(analysis._id) ||
+        !window.confirm(t('booking.replaceDraft')))
     ) {
-      try {
-        await appointmentService.update(id, { status: 'cancelled' });
-        refreshAppointments();
-      } catch (error) {
-        alert(
-          error.response?.data?.message || 'Failed to cancel appointment',
-        );
+      openBookingForm();
+      return;
+    }
+    const data = getFollowUpFormData(analysis, doctorList, i18n);
+    formChangesRef.current += 1;
+    setReschedulingId(null);
+    setDraftRestored(false);
+    setRecurrence(initialRecurrence);
+    setFollowUpAnalysis(analysis);
+    setFormData(data);
+    setTouched(getFilledFieldsTouched(data));
+    setSubmitError('');
+    setServerErrors({});
+    setShowForm(true);
+    saveBookingDraft(userId, data, String(analysis._id));
+  };
+
+  // Exports from the patient's full list, not only the pages loaded so far.
+  const handleExportUpcoming = async () => {
+    setExporting(true);
+    try {
+      const list = await fetchQuery(
+        patientQueryKeys.patientAppointments(userId),
+        patientQueries.patientAppointments(userId),
+      );
+      const upcoming = list.filter((appointment) =>
+        isUpcomingAppointment(appointment),
+      );
+      const sequences = await getEventSequences(userId, upcoming);
+      downloadIcs(
+        'upcoming-appointments.ics',
+        buildIcsCalendar(upcoming, new Date(), sequences),
+      );
+    } catch {
+      console.error('Failed to export appointments');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleDownloadEvent = async (appointment) => {
+    const sequences = await getEventSequences(userId, [appointment]);
+    downloadIcs(
+      getIcsFilename(appointment),
+      buildIcsCalendar([appointment], new Date(), sequences),
+    );
+  };
+
+  const handleRecurrenceChange = (name, value) => {
+    setRecurrence((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const cancelOccurrence = async (appointment) => {
+    setCancelChoiceId(null);
+    try {
+      await updateAppointment(appointment._id, { status: 'cancelled' });
+    } catch (error) {
+      if (isNetworkError(error)) {
+        await queueOfflineChange(createCancelEntry(appointment));
+        return;
       }
+      alert(t('appointments.cancelFailed'));
+    }
+  };
+
+  const cancelSeries = async (seriesId) => {
+    setCancelChoiceId(null);
+    try {
+      await cancelAppointmentSeries(seriesId);
+    } catch (error) {
+      alert(t('appointments.cancelSeriesFailed'));
+    }
+  };
+
+  // Series appointments get an inline "this occurrence / whole series" choice instead of confirm().
+  const handleCancelAppointment = async (appointment) => {
+    if (appointment.seriesId) {
+      setCancelChoiceId(appointment._id);
+      return;
+    }
+    if (window.confirm(t('appointments.confirmCancel'))) {
+      await cancelOccurrence(appointment);
     }
   };
 
@@ -258,18 +983,60 @@ export const Appointments = () => {
       ? 'border-red-500 focus:ring-red-500 focus:border-red-500'
       : 'border-input';
 
-  const selectClassName = `flex h-10 w-full rounded-md border bg-background px-3 py-2 text-sm ${errors.doctor ? 'border-red-500' : 'border-input'}`;
+  let scheduleHint = t('appointments.hours', {
+    hours: describeWeeklySchedule(doctorSchedule, i18n.scheduleLabels),
+  });
+  if (formData.appointmentDate) {
+    scheduleHint = isWorkingDay(formData.appointmentDate, doctorSchedule)
+      ? t('appointments.hours', {
+          hours: formatScheduleHours(
+            doctorSchedule,
+            formData.appointmentDate,
+            i18n.scheduleLabels,
+          ),
+        })
+      : t('appointments.notAvailable');
+  }
+  if (getPatientTimeZone() !== CLINIC_TIME_ZONE) {
+    scheduleHint = t('appointments.clinicTime', {
+      hint: scheduleHint,
+      zone: CLINIC_TIME_ZONE,
+    });
+  }
+
+  const patientTimeZone = getPatientTimeZone();
+  const patientLocalTimeLabel = (appointment) => {
+    const localTime = getPatientLocalTime(
+      appointment.appointmentDate,
+      appointment.appointmentTime,
+      patientTimeZone,
+    );
+    if (!localTime) return null;
+    const time = formatTime(localTime.time);
+    return (
+      <span>
+        {localTime.date
+          ? t('appointments.yourDateTime', {
+              date: formatDate(localTime.date, 'dayMonth'),
+              time,
+            })
+          : t('appointments.yourTime', { time })}
+      </span>
+    );
+  };
 
   if (loading) {
     return (
       <div className="text-center py-12" role="status">
-        Loading...
+        {t('common.loading')}
       </div>
     );
   }
 
   return (
-    <div className="space-y-6">
+    <div className="space-y-6" lang={i18n.locale}>
+      <AppointmentStatusToasts toasts={toasts} onDismiss={dismissToast} />
+
       {/* Req 4: Success message after booking (inline alert, auto-hide after 5s). */}
       {successMessage && (
         <div
@@ -280,25 +1047,100 @@ export const Appointments = () => {
         </div>
       )}
 
+      {syncConflicts.length > 0 && (
+        <div
+          className="rounded-md border border-red-200 bg-red-50 px-4 py-3 text-red-800"
+          role="alert"
+        >
+          <p className="font-medium">{t('appointments.syncConflicts')}</p>
+          <ul className="list-disc pl-5 text-sm">
+            {syncConflicts.map((conflict) => (
+              <li key={conflict.entry.id}>
+                {describeOutboxEntry(conflict.entry, i18n)}:{' '}
+                {getConflictMessage(conflict, i18n)}
+              </li>
+            ))}
+          </ul>
+          <Button
+            variant="outline"
+            size="sm"
+            className="mt-2"
+            onClick={() => setSyncConflicts([])}
+          >
+            {t('common.dismiss')}
+          </Button>
+        </div>
+      )}
+
+      {showingCachedList && (
+        <div
+          className="rounded-md border border-yellow-200 bg-yellow-50 px-4 py-3 text-yellow-800"
+          role="status"
+        >
+          {t('appointments.offlineList')}
+        </div>
+      )}
+
       <div className="flex justify-between items-center">
         <div>
-          <h1 className="text-3xl font-bold">My Appointments</h1>
+          <h1 className="text-3xl font-bold">{t('appointments.title')}</h1>
           <p className="text-muted-foreground mt-2">
-            Manage your medical appointments
+            {t('appointments.subtitle')}
           </p>
         </div>
-        <Button onClick={() => setShowForm(!showForm)}>
-          Book Appointment
-        </Button>
+        <div className="flex space-x-2">
+          <LanguageSwitcher />
+          <Button
+            variant="outline"
+            onClick={handleExportUpcoming}
+            disabled={
+              exporting ||
+              !userId ||
+              (upcomingAppointments.length === 0 && !nextCursor)
+            }
+          >
+            <Download className="h-4 w-4 mr-1" aria-hidden />
+            {t('appointments.exportUpcoming')}
+          </Button>
+          <Button onClick={handleToggleBookingForm}>
+            {t('appointments.book')}
+          </Button>
+        </div>
       </div>
 
       {showForm && (
         <Card>
           <CardHeader>
-            <CardTitle>Book New Appointment</CardTitle>
+            <CardTitle>
+              {t(
+                reschedulingId
+                  ? 'booking.rescheduleTitle'
+                  : 'booking.bookTitle',
+              )}
+            </CardTitle>
           </CardHeader>
           <CardContent>
-            <form onSubmit={handleSubmit} className="space-y-4">
+            <form
+              onSubmit={handleSubmit}
+              className="space-y-4"
+              aria-label={t(
+                reschedulingId
+                  ? 'booking.rescheduleLabel'
+                  : 'booking.bookLabel',
+              )}
+            >
+              {draftRestored && (
+                <p className="text-sm text-muted-foreground" role="status">
+                  {t('booking.draftRestored')}
+                </p>
+              )}
+              {followUpAnalysis && (
+                <p className="text-sm text-muted-foreground" role="status">
+                  {t('booking.followUp', {
+                    date: formatDate(getAnalysisDateKey(followUpAnalysis)),
+                  })}
+                </p>
+              )}
               {submitError && (
                 <p className="text-sm text-red-600" role="alert">
                   {submitError}
@@ -306,34 +1148,17 @@ export const Appointments = () => {
               )}
               <div className="grid gap-4 md:grid-cols-2">
                 {/* Req 2: Doctor selection required — inline error below. */}
-                <div className="space-y-2">
-                  <Label htmlFor="doctor">Doctor</Label>
-                  <select
-                    id="doctor"
-                    className={selectClassName}
-                    value={formData.doctor}
-                    onChange={(e) => handleFieldChange('doctor', e.target.value)}
-                    aria-invalid={!!errors.doctor}
-                    aria-describedby={errors.doctor ? 'doctor-error' : undefined}
-                  >
-                    <option value="">Select a doctor</option>
-                    {doctors.map((doctor) => (
-                      <option key={doctor._id} value={doctor._id}>
-                        {doctor.name}{' '}
-                        {doctor.specialization &&
-                          `- ${doctor.specialization}`}
-                      </option>
-                    ))}
-                  </select>
-                  {errors.doctor && (
-                    <p id="doctor-error" className="text-sm text-red-600">
-                      {errors.doctor}
-                    </p>
-                  )}
-                </div>
+                <DoctorPicker
+                  doctors={doctors}
+                  recentDoctorIds={recentDoctorIds}
+                  value={formData.doctor}
+                  onChange={(value) => handleFieldChange('doctor', value)}
+                  disabled={!!reschedulingId}
+                  error={errors.doctor}
+                />
                 {/* Req 2: Date must be in the future — inline error below. */}
                 <div className="space-y-2">
-                  <Label htmlFor="appointmentDate">Date</Label>
+                  <Label htmlFor="appointmentDate">{t('booking.date')}</Label>
                   <Input
                     id="appointmentDate"
                     type="date"
@@ -341,7 +1166,8 @@ export const Appointments = () => {
                     onChange={(e) =>
                       handleFieldChange('appointmentDate', e.target.value)
                     }
-                    min={new Date().toISOString().split('T')[0]}
+                    min={getTodayKey()}
+                    max={getLastBookableDateKey()}
                     className={inputErrorClass(errors.appointmentDate)}
                     aria-invalid={!!errors.appointmentDate}
                     aria-describedby={
@@ -359,9 +1185,15 @@ export const Appointments = () => {
                     </p>
                   )}
                 </div>
-                {/* Req 2: Time 9 AM - 5 PM — inline error below. */}
+                {/* Req 2: Time within doctor's hours and not already booked — inline error below. */}
                 <div className="space-y-2">
-                  <Label htmlFor="appointmentTime">Time</Label>
+                  <Label htmlFor="appointmentTime">{t('booking.time')}</Label>
+                  <p
+                    id="appointmentTime-hours"
+                    className="text-xs text-muted-foreground"
+                  >
+                    {scheduleHint}
+                  </p>
                   <Input
                     id="appointmentTime"
                     type="time"
@@ -373,8 +1205,8 @@ export const Appointments = () => {
                     aria-invalid={!!errors.appointmentTime}
                     aria-describedby={
                       errors.appointmentTime
-                        ? 'appointmentTime-error'
-                        : undefined
+                        ? 'appointmentTime-hours appointmentTime-error'
+                        : 'appointmentTime-hours'
                     }
                   />
                   {errors.appointmentTime && (
@@ -385,15 +1217,60 @@ export const Appointments = () => {
                       {errors.appointmentTime}
                     </p>
                   )}
+                  {formData.doctor && formData.appointmentDate && (
+                    <div
+                      className="grid grid-cols-4 gap-2"
+                      role="group"
+                      aria-label={t('booking.slots')}
+                      aria-busy={availabilityLoading}
+                    >
+                      {timeSlots.map((slot) => {
+                        const taken = bookedTimes.has(slot);
+                        const tooSoon = isTooSoonToBook(
+                          formData.appointmentDate,
+                          slot,
+                        );
+                        return (
+                          <Button
+                            key={slot}
+                            type="button"
+                            size="sm"
+                            variant={
+                              formData.appointmentTime === slot
+                                ? 'default'
+                                : 'outline'
+                            }
+                            disabled={taken || tooSoon || availabilityLoading}
+                            aria-pressed={formData.appointmentTime === slot}
+                            title={
+                              taken
+                                ? t('booking.slotTaken')
+                                : tooSoon
+                                  ? t('booking.slotTooSoon')
+                                  : undefined
+                            }
+                            onClick={() =>
+                              handleFieldChange('appointmentTime', slot)
+                            }
+                          >
+                            {formatTime(slot)}
+                          </Button>
+                        );
+                      })}
+                    </div>
+                  )}
                 </div>
                 {/* Req 2: Reason at least 10 characters — inline error below. */}
                 <div className="space-y-2">
-                  <Label htmlFor="reason">Reason</Label>
+                  <Label htmlFor="reason">{t('booking.reason')}</Label>
                   <Input
                     id="reason"
                     value={formData.reason}
                     onChange={(e) => handleFieldChange('reason', e.target.value)}
-                    placeholder="Brief reason for visit (min 10 characters)"
+                    readOnly={!!reschedulingId}
+                    placeholder={t('booking.reasonPlaceholder', {
+                      count: REASON_MIN_LENGTH,
+                    })}
                     className={inputErrorClass(errors.reason)}
                     aria-invalid={!!errors.reason}
                     aria-describedby={
@@ -408,47 +1285,308 @@ export const Appointments = () => {
                 </div>
               </div>
               <div className="space-y-2">
-                <Label htmlFor="symptoms">Symptoms (Optional)</Label>
+                <Label htmlFor="symptoms">{t('booking.symptoms')}</Label>
                 <textarea
                   id="symptoms"
-                  className="flex min-h-[100px] w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+                  className={`flex min-h-[100px] w-full rounded-md border bg-background px-3 py-2 text-sm ${inputErrorClass(errors.symptoms)}`}
                   value={formData.symptoms}
                   onChange={(e) =>
-                    setFormData({ ...formData, symptoms: e.target.value })
+                    handleFieldChange('symptoms', e.target.value)
+                  }
+                  readOnly={!!reschedulingId}
+                  placeholder={t('booking.symptomsPlaceholder')}
+                  aria-invalid={!!errors.symptoms}
+                  aria-describedby={
+                    errors.symptoms ? 'symptoms-error' : undefined
                   }
-                  placeholder="Describe your symptoms..."
                 />
+                {errors.symptoms && (
+                  <p id="symptoms-error" className="text-sm text-red-600">
+                    {errors.symptoms}
+                  </p>
+                )}
               </div>
+              {!reschedulingId && (
+                <fieldset className="space-y-2">
+                  <legend className="text-sm font-medium">
+                    {t('recurrence.repeat')}
+                  </legend>
+                  <div className="grid gap-4 md:grid-cols-3">
+                    <div className="space-y-2">
+                      <Label htmlFor="recurrence-frequency">
+                        {t('recurrence.frequency')}
+                      </Label>
+                      <select
+                        id="recurrence-frequency"
+                        className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+                        value={recurrence.frequency}
+                        onChange={(e) =>
+                          handleRecurrenceChange('frequency', e.target.value)
+                        }
+                      >
+                        <option value="none">{t('recurrence.none')}</option>
+                        {Object.entries(RECURRENCE_FREQUENCIES).map(
+                          ([value, rule]) => (
+                            <option key={value} value={value}>
+                              {t(rule.labelKey)}
+                            </option>
+                          ),
+                        )}
+                      </select>
+                    </div>
+                    {recurring && (
+                      <div className="space-y-2">
+                        <Label htmlFor="recurrence-end">
+                          {t('recurrence.ends')}
+                        </Label>
+                        <select
+                          id="recurrence-end"
+                          className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+                          value={recurrence.endType}
+                          onChange={(e) =>
+                            handleRecurrenceChange('endType', e.target.value)
+                          }
+                        >
+                          <option value="count">
+                            {t('recurrence.endAfterCount')}
+                          </option>
+                          <option value="until">
+                            {t('recurrence.endOnDate')}
+                          </option>
+                        </select>
+                      </div>
+                    )}
+                    {recurring && recurrence.endType === 'count' && (
+                      <div className="space-y-2">
+                        <Label htmlFor="recurrence-count">
+                          {t('recurrence.count')}
+                        </Label>
+                        <Input
+                          id="recurrence-count"
+                          type="number"
+                          min={MIN_OCCURRENCES}
+                          max={MAX_OCCURRENCES}
+                          value={recurrence.count}
+                          onChange={(e) =>
+                            handleRecurrenceChange('count', e.target.value)
+                          }
+                          aria-invalid={!!recurrenceError}
+                        />
+                      </div>
+                    )}
+                    {recurring && recurrence.endType === 'until' && (
+                      <div className="space-y-2">
+                        <Label htmlFor="recurrence-until">
+                          {t('recurrence.until')}
+                        </Label>
+                        <Input
+                          id="recurrence-until"
+                          type="date"
+                          min={formData.appointmentDate || getTodayKey()}
+                          value={recurrence.until}
+                          onChange={(e) =>
+                            handleRecurrenceChange('until', e.target.value)
+                          }
+                          aria-invalid={!!recurrenceError}
+                        />
+                      </div>
+                    )}
+                  </div>
+                  {recurrenceError && (
+                    <p className="text-sm text-red-600">{recurrenceError}</p>
+                  )}
+                  {occurrenceDates.length > 0 && (
+                    <ul
+                      className="space-y-1 text-sm"
+                      aria-label={t('recurrence.preview')}
+                      aria-live="polite"
+                    >
+                      {occurrenceDates.map((date, i) => (
+                        <li
+                          key={date}
+                          className={
+                            occurrenceErrors[i]
+                              ? 'text-red-600'
+                              : 'text-muted-foreground'
+                          }
+                        >
+                          {formData.appointmentTime
+                            ? t('common.dateAtTime', {
+                                date: formatDate(date, 'weekdayDate'),
+                                time: formatTime(formData.appointmentTime),
+                              })
+                            : formatDate(date, 'weekdayDate')}
+                          {occurrenceErrors[i] && ` — ${occurrenceErrors[i]}`}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </fieldset>
+              )}
               <div className="flex space-x-2">
                 {/* Req 3: Disable submit when form is invalid. */}
                 <Button
                   type="submit"
-                  disabled={!isFormValid || submitting}
+                  disabled={!isFormValid || !isSeriesValid || submitting}
                 >
-                  {submitting ? 'Booking...' : 'Book Appointment'}
+                  {t(
+                    reschedulingId
+                      ? submitting
+                        ? 'booking.rescheduling'
+                        : 'booking.reschedule'
+                      : submitting
+                        ? 'booking.submitting'
+                        : 'booking.submit',
+                  )}
                 </Button>
                 <Button
                   type="button"
                   variant="outline"
-                  onClick={() => setShowForm(false)}
+                  onClick={handleCloseForm}
                 >
-                  Cancel
+                  {t('common.cancel')}
                 </Button>
+                {!reschedulingId && !isBookingDraftEmpty(formData) && (
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    onClick={handleDiscardDraft}
+                  >
+                    {t('booking.discardDraft')}
+                  </Button>
+                )}
               </div>
             </form>
           </CardContent>
         </Card>
       )}
 
+      {displayedAppointments.length > 0 && (
+        <section className="space-y-3" aria-label={t('filters.label')}>
+          <div
+            className="flex flex-wrap gap-2"
+            role="group"
+            aria-label={t('filters.status')}
+          >
+            {APPOINTMENT_STATUSES.map((status) => {
+              const active = filters.statuses.includes(status);
+              return (
+                <button
+                  key={status}
+                  type="button"
+                  className={`px-3 py-1 rounded-full text-xs font-medium border ${
+                    active ? getStatusColor(status) : 'border-input'
+                  }`}
+                  aria-pressed={active}
+                  onClick={() => toggleStatusFilter(status)}
+                >
+                  {t(`status.${status}`)}
+                </button>
+              );
+            })}
+          </div>
+          <div className="grid gap-4 md:grid-cols-4">
+            <div className="space-y-2">
+              <Label htmlFor="filter-q">{t('filters.search')}</Label>
+              <div className="relative">
+                <Search
+                  className="absolute left-2 top-3 h-4 w-4 text-muted-foreground"
+                  aria-hidden
+                />
+                <Input
+                  id="filter-q"
+                  type="search"
+                  className="pl-8"
+                  value={filters.q}
+                  onChange={(e) => updateFilters({ q: e.target.value })}
+                  placeholder={t('filters.searchPlaceholder')}
+                />
+              </div>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="filter-from">{t('filters.from')}</Label>
+              <Input
+                id="filter-from"
+                type="date"
+                value={filters.from}
+                max={filters.to || undefined}
+                onChange={(e) => updateFilters({ from: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="filter-to">{t('filters.to')}</Label>
+              <Input
+                id="filter-to"
+                type="date"
+                value={filters.to}
+                min={filters.from || undefined}
+                onChange={(e) => updateFilters({ to: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="filter-doctor">{t('filters.doctor')}</Label>
+              <select
+                id="filter-doctor"
+                className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+                value={filters.doctor}
+                onChange={(e) => updateFilters({ doctor: e.target.value })}
+              >
+                <option value="">{t('filters.allDoctors')}</option>
+                {doctorOptions.map((doctor) => (
+                  <option key={doctor.id} value={doctor.id}>
+                    {doctor.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {hasActiveFilters(filters) && (
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => updateFilters(emptyAppointmentFilters)}
+            >
+              {t('filters.clear')}
+            </Button>
+          )}
+        </section>
+      )}
+
+      {hasActiveFilters(filters) && nextCursor && (
+        <div
+          className="flex items-center justify-between gap-2 rounded-md border px-4 py-3 text-sm"
+          role="status"
+        >
+          <span>{t('list.filtersPartial')}</span>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => loadMoreAppointments(true)}
+            disabled={loadingMore}
+          >
+            {t(loadingMore ? 'list.loadingMore' : 'list.loadAll')}
+          </Button>
+        </div>
+      )}
+
       <div className="grid gap-4">
-        {appointments.length === 0 ? (
+        {visibleAppointments.length === 0 ? (
           <Card>
             <CardContent className="pt-6 text-center">
-              <p className="text-muted-foreground">No appointments found</p>
+              <p className="text-muted-foreground">
+                {t(
+                  displayedAppointments.length === 0
+                    ? 'list.empty'
+                    : nextCursor
+                      ? 'list.noLoadedMatches'
+                      : 'list.noMatches',
+                )}
+              </p>
             </CardContent>
           </Card>
         ) : (
-          appointments.map((appointment) => (
+          visibleAppointments.map((appointment) => (
             <Card key={appointment._id}>
               <CardContent className="pt-6">
                 <div className="flex justify-between items-start">
@@ -456,7 +1594,9 @@ export const Appointments = () => {
                     <div className="flex items-center space-x-2">
                       <User className="h-5 w-5 text-muted-foreground" />
                       <span className="font-semibold">
-                        Dr. {appointment.doctor?.name}
+                        {t('common.doctorName', {
+                          name: appointment.doctor?.name ?? '',
+                        })}
                       </span>
                       {appointment.doctor?.specialization && (
                         <span className="text-sm text-muted-foreground">
@@ -467,16 +1607,12 @@ export const Appointments = () => {
                     <div className="flex items-center space-x-4 text-sm text-muted-foreground">
                       <div className="flex items-center space-x-1">
                         <Calendar className="h-4 w-4" />
-                        <span>
-                          {format(
-                            new Date(appointment.appointmentDate),
-                            'MMM dd, yyyy',
-                          )}
-                        </span>
+                        <span>{formatDate(appointment.appointmentDate)}</span>
                       </div>
                       <div className="flex items-center space-x-1">
                         <Clock className="h-4 w-4" />
-                        <span>{appointment.appointmentTime}</span>
+                        <span>{formatTime(appointment.appointmentTime)}</span>
+                        {patientLocalTimeLabel(appointment)}
                       </div>
                     </div>
                     {appointment.reason && (
@@ -484,9 +1620,47 @@ export const Appointments = () => {
                     )}
                     {appointment.symptoms && (
                       <p className="text-sm text-muted-foreground">
-                        Symptoms: {appointment.symptoms}
+                        {t('list.symptoms', {
+                          symptoms: appointment.symptoms,
+                        })}
                       </p>
                     )}
+                    {!appointment.pendingSync &&
+                      isUpcomingAppointment(appointment) && (
+                        <div
+                          className="flex items-center space-x-3 text-sm"
+                          aria-label={t('list.addToCalendar')}
+                          role="group"
+                        >
+                          <CalendarPlus
+                            className="h-4 w-4 text-muted-foreground"
+                            aria-hidden
+                          />
+                          <button
+                            type="button"
+                            className="underline"
+                            onClick={() => handleDownloadEvent(appointment)}
+                          >
+                            {t('list.downloadIcs')}
+                          </button>
+                          <a
+                            className="underline"
+                            href={getGoogleCalendarUrl(appointment)}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                          >
+                            Google
+                          </a>
+                          <a
+                            className="underline"
+                            href={getOutlookCalendarUrl(appointment)}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                          >
+                            Outlook
+                          </a>
+                        </div>
+                      )}
                   </div>
                   <div className="flex flex-col items-end space-y-2">
                     <span
@@ -494,19 +1668,74 @@ export const Appointments = () => {
                         appointment.status,
                       )}`}
                     >
-                      {appointment.status}
+                      {t(`status.${appointment.status}`)}
                     </span>
-                    {appointment.status !== 'cancelled' &&
-                      appointment.status !== 'completed' && (
+                    {appointment.pendingSync && (
+                      <span className="flex items-center text-xs text-muted-foreground">
+                        <CloudOff className="h-3 w-3 mr-1" aria-hidden />
+                        {t('list.pendingSync')}
+                      </span>
+                    )}
+                    {appointment.seriesId && (
+                      <span className="flex items-center text-xs text-muted-foreground">
+                        <Repeat className="h-3 w-3 mr-1" aria-hidden />
+                        {t('list.recurring')}
+                      </span>
+                    )}
+                    {cancelChoiceId === appointment._id ? (
+                      <div
+                        className="flex flex-col items-end space-y-1"
+                        role="group"
+                        aria-label={t('list.cancelRecurring')}
+                      >
                         <Button
                           variant="outline"
                           size="sm"
-                          onClick={() => handleCancelAppointment(appointment._id)}
+                          onClick={() => cancelOccurrence(appointment)}
                         >
-                          <X className="h-4 w-4 mr-1" />
-                          Cancel
+                          {t('list.thisOccurrence')}
                         </Button>
-                      )}
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => cancelSeries(appointment.seriesId)}
+                        >
+                          {t('list.wholeSeries')}
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => setCancelChoiceId(null)}
+                        >
+                          {t('list.keep')}
+                        </Button>
+                      </div>
+                    ) : (
+                      !appointment.pendingSync &&
+                      appointment.status !== 'cancelled' &&
+                      appointment.status !== 'completed' && (
+                        <>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() =>
+                              handleRescheduleAppointment(appointment)
+                            }
+                          >
+                            <CalendarClock className="h-4 w-4 mr-1" />
+                            {t('list.reschedule')}
+                          </Button>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => handleCancelAppointment(appointment)}
+                          >
+                            <X className="h-4 w-4 mr-1" />
+                            {t('common.cancel')}
+                          </Button>
+                        </>
+                      )
+                    )}
                   </div>
                 </div>
               </CardContent>
@@ -514,6 +1743,17 @@ export const Appointments = () => {
           ))
         )}
       </div>
+      {nextCursor && (
+        <div ref={loadMoreRef} className="flex justify-center">
+          <Button
+            variant="outline"
+            onClick={() => loadMoreAppointments()}
+            disabled={loadingMore}
+          >
+            {t(loadingMore ? 'list.loadingMore' : 'list.loadMore')}
+          </Button>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,29 +1,115 @@
 /**
  * @jest-environment jsdom
  */
-import { render, screen, waitFor, within, fireEvent } from '@testing-library/react';
+import { act, render, screen, waitFor, within, fireEvent } from '@testing-library/react';
 import {
   Appointments,
   isDateInFuture,
   isBusinessHours,
+  getBookedTimes,
+  getOccurrenceErrors,
+  getRescheduleFormData,
+  mergeAppointmentPages,
   getFieldValidationError,
   validateBookingForm,
 } from './Appointments';
+import { appointmentService } from '../../services/appointmentService';
+import { userService } from '../../services/userService';
+import { addDaysToDateKey, formatDateKey, getTodayKey } from '../../utils/dateTime';
+import { downloadIcs } from './appointmentIcs';
+import { clearBookingDraft, saveBookingDraft } from './bookingDraft';
+import { clearQueryCache } from '../../utils/queryCache';
+import { useAuth } from '../../context/AuthContext';
+import { clearSessionLocalePreferences } from './patientI18n';
 
-jest.mock('../../services/appointmentService', () => ({
-  appointmentService: {
-    getAll: () => Promise.resolve({ appointments: [] }),
-    create: () => Promise.resolve({}),
-  },
-}));
+jest.mock('../../services/appointmentService', () => {
+  const dateTime = jest.requireActual('../../utils/dateTime');
+  const own = {
+    _id: 'a1',
+    doctor: { _id: 'd1', name: 'Smith', specialization: 'General' },
+    appointmentDate: dateTime.addDaysToDateKey(dateTime.getTodayKey(), 1),
+    appointmentTime: '10:00',
+    reason: 'Follow-up on blood work',
+    symptoms: 'Fatigue',
+    status: 'pending',
+  };
+  return {
+    appointmentService: {
+      getAll: jest.fn((params) =>
+        Promise.resolve({
+          appointments: params?.doctor
+            ? [
+                own,
+                {
+                  _id: 'b1',
+                  doctor: params.doctor,
+                  appointmentDate: params.date,
+                  appointmentTime: '11:00',
+                  status: 'confirmed',
+                },
+              ]
+            : [own],
+        }),
+      ),
+      create: jest.fn(() => Promise.resolve({})),
+      update: jest.fn(() => Promise.resolve({})),
+      createSeries: jest.fn(() => Promise.resolve({})),
+      cancelSeries: jest.fn(() => Promise.resolve({})),
+    },
+  };
+});
 jest.mock('../../services/userService', () => ({
   userService: {
-    getAll: () =>
+    getAll: jest.fn(() =>
       Promise.resolve({
         users: [{ _id: 'd1', name: 'Dr. Smith', specialization: 'General' }],
       }),
+    ),
+    getSchedule: () =>
+      Promise.resolve({
+        schedule: { breaks: [{ start: '12:00', end: '13:00' }] },
+      }),
+    updateProfile: jest.fn(() => Promise.resolve({})),
+  },
+}));
+jest.mock('../../services/aiService', () => ({
+  aiService: {
+    getAll: () =>
+      Promise.resolve({
+        analyses: [
+          {
+            _id: 'an1',
+            createdAt: '2030-01-20T15:00:00.000Z',
+            userInput: 'Dizziness when standing up',
+            aiResponse: {
+              severity: 'medium',
+              summary: 'Possible low blood pressure',
+              recommendedSpecialist: 'General practitioner',
+            },
+          },
+        ],
+      }),
   },
 }));
+jest.mock('../../context/AuthContext', () => ({
+  useAuth: jest.fn(() => ({ user: { _id: 'patient-1', name: 'Jane Doe' } })),
+}));
+jest.mock('./appointmentIcs', () => ({
+  ...jest.requireActual('./appointmentIcs'),
+  downloadIcs: jest.fn(),
+}));
+
+// Query string the page opens with (e.g. a dashboard reschedule link).
+let mockInitialSearch = '';
+jest.mock('react-router-dom', () => {
+  const { useState } = jest.requireActual('react');
+  return {
+    useSearchParams: () => {
+      const [params, setParams] = useState(() => new URLSearchParams(mockInitialSearch));
+      return [params, (next) => setParams(new URLSearchParams(next))];
+    },
+  };
+});
 jest.mock('../../components/Card', () => ({
   Card: ({ children }) => <div>{children}</div>,
   CardHeader: ({ children }) => <div>{children}</div>,
@@ -40,12 +126,43 @@ jest.mock('../../components/Label', () => ({
   Label: ({ children, htmlFor }) => <label htmlFor={htmlFor}>{children}</label>,
 }));
 
-const todayStr = () => new Date().toISOString().split('T')[0];
-const yesterdayStr = () => {
-  const d = new Date();
-  d.setDate(d.getDate() - 1);
-  return d.toISOString().split('T')[0];
+// jsdom has no EventSource; live status updates connect to this stand-in (the last one opened is `current`).
+class FakeEventSource {
+  constructor(url) {
+    this.url = url;
+    this.readyState = 1;
+    FakeEventSource.current = this;
+  }
+  push(appointment) {
+    act(() => this.onmessage?.({ data: JSON.stringify({ type: 'appointment.updated', appointment }) }));
+  }
+  close() {
+    this.readyState = 2;
+  }
+}
+FakeEventSource.CLOSED = 2;
+beforeAll(() => {
+  global.EventSource = FakeEventSource;
+});
+afterAll(() => {
+  delete global.EventSource;
+});
+
+// Clinic calendar days (not UTC), so the tests hold at any hour in any zone.
+const todayStr = () => getTodayKey();
+const tomorrowStr = () => addDaysToDateKey(getTodayKey(), 1);
+const yesterdayStr = () => addDaysToDateKey(getTodayKey(), -1);
+// Fixed-date cases run at a pinned clock so they stay inside the 90-day booking horizon.
+const atClock = (isoString, run) => {
+  jest.useFakeTimers({ now: new Date(isoString) });
+  try {
+    run();
+  } finally {
+    jest.useRealTimers();
+  }
 };
+// Today's slots depend on the clock (minimum lead time), so form tests that need free slots book later.
+const inTwoDaysStr = () => addDaysToDateKey(getTodayKey(), 2);
 
 describe('Appointments validation', () => {
   describe('isDateInFuture', () => {
@@ -54,14 +171,91 @@ describe('Appointments validation', () => {
       expect(isDateInFuture(yesterdayStr())).toBe(false);
       expect(isDateInFuture(todayStr())).toBe(true);
     });
+    it('uses clinic day, not UTC day, near midnight', () => {
+      // 03:30 UTC on Jan 8 is still Jan 7 in New York.
+      jest.useFakeTimers({ now: new Date('2030-01-08T03:30:00.000Z') });
+      try {
+        expect(isDateInFuture('2030-01-07')).toBe(true);
+        expect(isDateInFuture('2030-01-07', 'UTC')).toBe(false);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
   });
   describe('isBusinessHours', () => {
     it('9–17 only', () => {
       expect(isBusinessHours('08:59')).toBe(false);
       expect(isBusinessHours('09:00')).toBe(true);
-      expect(isBusinessHours('17:00')).toBe(true);
+      // The last 30-minute slot starts at 16:30; 17:00 is closing time.
+      expect(isBusinessHours('16:30')).toBe(true);
+      expect(isBusinessHours('17:00')).toBe(false);
       expect(isBusinessHours('17:01')).toBe(false);
     });
+    it('uses doctor schedule when given', () => {
+      const schedule = { weekly: { 1: [{ start: '10:00', end: '14:00' }] } };
+      expect(isBusinessHours('09:00', schedule)).toBe(false);
+      expect(isBusinessHours('13:00', schedule)).toBe(true);
+      // 2030-01-05 is a Saturday
+      expect(isBusinessHours('13:00', schedule, '2030-01-05')).toBe(false);
+    });
+  });
+  describe('getBookedTimes', () => {
+    it('only doctor/date matches, cancelled ignored', () => {
+      const list = [
+        { doctor: 'd1', appointmentDate: '2030-01-02', appointmentTime: '09:00', status: 'pending' },
+        { doctor: { _id: 'd1' }, appointmentDate: '2030-01-02T00:00:00.000Z', appointmentTime: '10:00', status: 'confirmed' },
+        { doctor: 'd1', appointmentDate: '2030-01-02', appointmentTime: '11:00', status: 'cancelled' },
+        { doctor: 'd2', appointmentDate: '2030-01-02', appointmentTime: '12:00', status: 'pending' },
+        { doctor: 'd1', appointmentDate: '2030-01-03', appointmentTime: '13:00', status: 'pending' },
+      ];
+      expect([...getBookedTimes(list, 'd1', '2030-01-02')]).toEqual(['09:00', '10:00']);
+      expect(getBookedTimes(list, '', '2030-01-02').size).toBe(0);
+    });
+    it('excludes appointment being rescheduled', () => {
+      const list = [
+        { _id: 'a1', doctor: 'd1', appointmentDate: '2030-01-02', appointmentTime: '09:00', status: 'pending' },
+      ];
+      expect(getBookedTimes(list, 'd1', '2030-01-02', 'a1').size).toBe(0);
+    });
+  });
+  describe('getOccurrenceErrors', () => {
+    it('each date checked against schedule', () => {
+      const schedule = { weekly: { 1: [{ start: '09:00', end: '17:00' }] }, holidays: ['2030-01-14'] };
+      atClock('2030-01-01T12:00:00.000Z', () => {
+        expect(getOccurrenceErrors(['2030-01-07', '2030-01-14', '2030-01-21'], '10:00', schedule)).toEqual([
+          '',
+          'The doctor is not available on this date',
+          '',
+        ]);
+        expect(getOccurrenceErrors(['2030-01-07'], '18:00', schedule)[0]).toMatch(/business hours/);
+        expect(getOccurrenceErrors(['2030-04-08'], '10:00', schedule)[0]).toBe('Date must be within 90 days');
+      });
+    });
+  });
+  describe('mergeAppointmentPages', () => {
+    it('appends without duplicates', () => {
+      expect(
+        mergeAppointmentPages([{ _id: '1' }, { _id: '2' }], [{ _id: '2' }, { _id: '3' }]),
+      ).toEqual([{ _id: '1' }, { _id: '2' }, { _id: '3' }]);
+    });
+  });
+  describe('getRescheduleFormData', () => {
+    it('prefills from populated appointment', () => {
+      expect(
+        getRescheduleFormData({
+          doctor: { _id: 'd1', name: 'Smith' },
+          appointmentDate: '2030-01-02T00:00:00.000Z',
+          appointmentTime: '09:30',
+          reason: 'Annual checkup',
+        }),
+      ).toEqual({
+        doctor: 'd1',
+        appointmentDate: '2030-01-02',
+        appointmentTime: '09:30',
+        reason: 'Annual checkup',
+        symptoms: '',
+      });
+    });
   });
   describe('getFieldValidationError', () => {
     it('doctor', () => {
@@ -76,6 +270,25 @@ describe('Appointments validation', () => {
       expect(getFieldValidationError('reason', '')).toMatch(/10 characters/);
       expect(getFieldValidationError('reason', 'long enough!!')).toBe('');
     });
+    it('date on doctor day off / time outside doctor hours', () => {
+      const schedule = {
+        weekly: { 1: [{ start: '10:00', end: '14:00' }] },
+        holidays: ['2030-01-14'],
+      };
+      atClock('2030-01-01T12:00:00.000Z', () => {
+        expect(getFieldValidationError('appointmentDate', '2030-01-07', { schedule })).toBe('');
+        expect(getFieldValidationError('appointmentDate', '2030-01-08', { schedule })).toMatch(/not available/);
+        expect(getFieldValidationError('appointmentDate', '2030-01-14', { schedule })).toMatch(/not available/);
+        expect(
+          getFieldValidationError('appointmentTime', '09:00', { schedule, appointmentDate: '2030-01-07' }),
+        ).toBe('Time must be during business hours (10 AM - 2 PM)');
+      });
+    });
+    it('time already booked for doctor', () => {
+      const context = { bookedTimes: new Set(['10:00']) };
+      expect(getFieldValidationError('appointmentTime', '10:00', context)).toMatch(/already booked/);
+      expect(getFieldValidationError('appointmentTime', '10:30', context)).toBe('');
+    });
   });
   describe('validateBookingForm', () => {
     it('empty vs valid', () => {
@@ -97,13 +310,19 @@ describe('Appointments validation', () => {
   });
   describe('form UX', () => {
     const openForm = async () => {
-      render(<Appointments />);
+      const view = render(<Appointments />);
       await waitFor(() => expect(screen.queryByText(/Loading/)).not.toBeInTheDocument());
       fireEvent.click(screen.getByRole('button', { name: /Book Appointment/ }));
+      return view;
     };
     const getSubmit = () =>
       within(screen.getByRole('form')).getByRole('button', { name: /^Book Appointment$/ });
 
+    beforeEach(() => {
+      clearQueryCache();
+      return clearBookingDraft('patient-1');
+    });
+
     it('submit disabled when empty or missing doctor', async () => {
       await openForm();
       expect(getSubmit()).toBeDisabled();
@@ -121,12 +340,889 @@ describe('Appointments validation', () => {
       });
       expect(screen.getByText(/at least 10 characters/)).toBeInTheDocument();
       fireEvent.change(screen.getByLabelText(/^Doctor$/), { target: { value: 'd1' } });
-      fireEvent.change(screen.getByLabelText(/^Date$/), { target: { value: todayStr() } });
+      fireEvent.change(screen.getByLabelText(/^Date$/), { target: { value: inTwoDaysStr() } });
       fireEvent.change(screen.getByLabelText(/^Time$/), { target: { value: '10:00' } });
       fireEvent.change(screen.getByPlaceholderText(/Brief reason/), {
         target: { value: 'Annual checkup and blood work' },
       });
       await waitFor(() => expect(getSubmit()).not.toBeDisabled());
     });
+    it('slot grid disables taken slots and rejects booked time', async () => {
+      await openForm();
+      fireEvent.change(screen.getByLabelText(/^Doctor$/), { target: { value: 'd1' } });
+      fireEvent.change(screen.getByLabelText(/^Date$/), { target: { value: inTwoDaysStr() } });
+      const slots = screen.getByRole('group', { name: /Available time slots/ });
+      await waitFor(() => {
+        expect(within(slots).getByRole('button', { name: '11:00' })).toBeDisabled();
+        expect(within(slots).getByRole('button', { name: '10:00' })).not.toBeDisabled();
+      });
+      expect(within(slots).queryByRole('button', { name: '12:00' })).not.toBeInTheDocument();
+      expect(screen.getByText(/Hours: 9 AM - 5 PM, break 12 PM - 1 PM/)).toBeInTheDocument();
+      fireEvent.change(screen.getByLabelText(/^Time$/), { target: { value: '11:00' } });
+      expect(screen.getByText(/already booked/)).toBeInTheDocument();
+      fireEvent.click(within(slots).getByRole('button', { name: '10:00' }));
+      expect(screen.getByLabelText(/^Time$/)).toHaveValue('10:00');
+      expect(screen.queryByText(/already booked/)).not.toBeInTheDocument();
+    });
+    it('re-checks the slot on submit and stops when it was taken meanwhile', async () => {
+      await openForm();
+      fireEvent.change(screen.getByLabelText(/^Doctor$/), { target: { value: 'd1' } });
+      fireEvent.change(screen.getByLabelText(/^Date$/), { target: { value: tomorrowStr() } });
+      fireEvent.change(screen.getByLabelText(/^Time$/), { target: { value: '14:00' } });
+      fireEvent.change(screen.getByPlaceholderText(/Brief reason/), {
+        target: { value: 'Annual checkup and blood work' },
+      });
+      await waitFor(() => expect(getSubmit()).not.toBeDisabled());
+      const listAppointments = appointmentService.getAll.getMockImplementation();
+      appointmentService.getAll.mockImplementation((params) =>
+        params?.doctor
+          ? Promise.resolve({
+              appointments: [
+                {
+                  _id: 'c1',
+                  doctor: 'd1',
+                  appointmentDate: tomorrowStr(),
+                  appointmentTime: '14:00',
+                  status: 'pending',
+                },
+              ],
+            })
+          : listAppointments(params),
+      );
+      const creates = appointmentService.create.mock.calls.length;
+      try {
+        fireEvent.click(getSubmit());
+        expect(await screen.findByText(/already booked/)).toBeInTheDocument();
+        expect(appointmentService.create).toHaveBeenCalledTimes(creates);
+      } finally {
+        appointmentService.getAll.mockImplementation(listAppointments);
+      }
+    });
+    it('shows server field errors on their inputs and others in the banner', async () => {
+      appointmentService.create
+        .mockRejectedValueOnce({
+          response: {
+            status: 422,
+            data: {
+              message: 'slot_conflict: d1@14:00',
+              errors: { appointmentTime: { code: 'SLOT_TAKEN', message: 'slot_conflict' } },
+            },
+          },
+        })
+        .mockRejectedValueOnce({
+          response: { status: 422, data: { errors: [{ field: 'insurance', code: 'X_UNKNOWN' }] } },
+        })
+        .mockRejectedValueOnce({
+          response: { status: 422, data: { errors: [{ field: 'symptoms', code: 'TOO_LONG' }] } },
+        })
+        .mockRejectedValueOnce({
+          response: { status: 500, data: { message: 'E11000 duplicate key error' } },
+        });
+      await openForm();
+      fireEvent.change(screen.getByLabelText(/^Doctor$/), { target: { value: 'd1' } });
+      fireEvent.change(screen.getByLabelText(/^Date$/), { target: { value: tomorrowStr() } });
+      fireEvent.change(screen.getByLabelText(/^Time$/), { target: { value: '14:00' } });
+      fireEvent.change(screen.getByPlaceholderText(/Brief reason/), {
+        target: { value: 'Annual checkup and blood work' },
+      });
+      await waitFor(() => expect(getSubmit()).not.toBeDisabled());
+      fireEvent.click(getSubmit());
+      expect(
+        await screen.findByText('This time is already booked for the selected doctor'),
+      ).toBeInTheDocument();
+      expect(screen.getByLabelText(/^Time$/)).toHaveAttribute('aria-invalid', 'true');
+      expect(screen.getByLabelText(/^Date$/)).toHaveAttribute('aria-invalid', 'false');
+      expect(screen.queryByText(/slot_conflict/)).not.toBeInTheDocument();
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText(/^Time$/), { target: { value: '15:00' } });
+      expect(screen.getByLabelText(/^Time$/)).toHaveAttribute('aria-invalid', 'false');
+      fireEvent.click(getSubmit());
+      expect(await screen.findByRole('alert')).toHaveTextContent(
+        'Some booking details were not accepted. Please check them.',
+      );
+      expect(screen.getByLabelText(/^Time$/)).toHaveAttribute('aria-invalid', 'false');
+
+      fireEvent.click(getSubmit());
+      const symptoms = screen.getByLabelText(/^Symptoms/);
+      await waitFor(() => expect(symptoms).toHaveAttribute('aria-invalid', 'true'));
+      expect(symptoms).toHaveAccessibleDescription('Please check this field');
+
+      // A bare server message is never shown; the translated fallback is.
+      fireEvent.click(getSubmit());
+      expect(await screen.findByRole('alert')).toHaveTextContent('Failed to create appointment');
+      expect(screen.queryByText(/E11000/)).not.toBeInTheDocument();
+    });
+    it('books a weekly series from the preview', async () => {
+      await openForm();
+      fireEvent.change(screen.getByLabelText(/^Doctor$/), { target: { value: 'd1' } });
+      fireEvent.change(screen.getByLabelText(/^Date$/), { target: { value: tomorrowStr() } });
+      fireEvent.change(screen.getByLabelText(/^Time$/), { target: { value: '14:00' } });
+      fireEvent.change(screen.getByPlaceholderText(/Brief reason/), {
+        target: { value: 'Physiotherapy session' },
+      });
+      fireEvent.change(screen.getByLabelText(/^Frequency$/), { target: { value: 'weekly' } });
+      fireEvent.change(screen.getByLabelText(/^Number of appointments$/), { target: { value: '3' } });
+      const preview = screen.getByRole('list', { name: /Series preview/ });
+      expect(within(preview).getAllByRole('listitem')).toHaveLength(3);
+      await waitFor(() => expect(getSubmit()).not.toBeDisabled());
+      fireEvent.click(getSubmit());
+      await waitFor(() =>
+        expect(screen.getByText(/3 appointments booked successfully/)).toBeInTheDocument(),
+      );
+      expect(appointmentService.createSeries).toHaveBeenCalledWith(
+        expect.objectContaining({
+          doctor: 'd1',
+          appointmentTime: '14:00',
+          recurrence: { frequency: 'weekly', count: 3 },
+          dates: [tomorrowStr(), addDaysToDateKey(tomorrowStr(), 7), addDaysToDateKey(tomorrowStr(), 14)],
+        }),
+      );
+    });
+    it('checks every date of a series against the booked slots before creating it', async () => {
+      await openForm();
+      fireEvent.change(screen.getByLabelText(/^Doctor$/), { target: { value: 'd1' } });
+      fireEvent.change(screen.getByLabelText(/^Date$/), { target: { value: tomorrowStr() } });
+      fireEvent.change(screen.getByLabelText(/^Time$/), { target: { value: '14:00' } });
+      fireEvent.change(screen.getByPlaceholderText(/Brief reason/), {
+        target: { value: 'Physiotherapy session' },
+      });
+      fireEvent.change(screen.getByLabelText(/^Frequency$/), { target: { value: 'weekly' } });
+      fireEvent.change(screen.getByLabelText(/^Number of appointments$/), { target: { value: '3' } });
+      await waitFor(() => expect(getSubmit()).not.toBeDisabled());
+      const takenDate = addDaysToDateKey(tomorrowStr(), 14);
+      const listAppointments = appointmentService.getAll.getMockImplementation();
+      appointmentService.getAll.mockImplementation((params) =>
+        params?.doctor && params.date === takenDate
+          ? Promise.resolve({
+              appointments: [
+                { _id: 'c2', doctor: 'd1', appointmentDate: takenDate, appointmentTime: '14:00', status: 'confirmed' },
+              ],
+            })
+          : listAppointments(params),
+      );
+      const series = appointmentService.createSeries.mock.calls.length;
+      try {
+        fireEvent.click(getSubmit());
+        const preview = screen.getByRole('list', { name: /Series preview/ });
+        await waitFor(() => expect(within(preview).getByText(/already booked/)).toBeInTheDocument());
+        expect(within(preview).getAllByText(/already booked/)).toHaveLength(1);
+        expect(getSubmit()).toBeDisabled();
+        expect(appointmentService.createSeries).toHaveBeenCalledTimes(series);
+      } finally {
+        appointmentService.getAll.mockImplementation(listAppointments);
+      }
+    });
+    it('rejects an end date that would exceed the series limit', async () => {
+      await openForm();
+      fireEvent.change(screen.getByLabelText(/^Date$/), { target: { value: tomorrowStr() } });
+      fireEvent.change(screen.getByLabelText(/^Frequency$/), { target: { value: 'weekly' } });
+      fireEvent.change(screen.getByLabelText(/^Ends$/), { target: { value: 'until' } });
+      fireEvent.change(screen.getByLabelText(/^End date$/), {
+        target: { value: addDaysToDateKey(tomorrowStr(), 7 * 26) },
+      });
+      expect(screen.getByText(/at most 26 appointments/)).toBeInTheDocument();
+      expect(screen.queryByRole('list', { name: /Series preview/ })).not.toBeInTheDocument();
+    });
+    it('series appointment offers occurrence vs whole series cancel', async () => {
+      appointmentService.getAll.mockImplementationOnce(() =>
+        Promise.resolve({
+          appointments: [
+            { _id: 's1', seriesId: 'series-1', appointmentDate: tomorrowStr(), reason: 'Weekly therapy', status: 'confirmed' },
+          ],
+        }),
+      );
+      render(<Appointments />);
+      await waitFor(() => expect(screen.getByText('Weekly therapy')).toBeInTheDocument());
+      expect(screen.getByText('Recurring')).toBeInTheDocument();
+      fireEvent.click(screen.getByRole('button', { name: /^Cancel$/ }));
+      const choice = screen.getByRole('group', { name: /Cancel recurring appointment/ });
+      fireEvent.click(within(choice).getByRole('button', { name: /Whole series/ }));
+      await waitFor(() => expect(appointmentService.cancelSeries).toHaveBeenCalledWith('series-1'));
+      expect(screen.queryByRole('group', { name: /Cancel recurring appointment/ })).not.toBeInTheDocument();
+    });
+    it('exports upcoming appointments as one .ics file', async () => {
+      render(<Appointments />);
+      await waitFor(() => expect(screen.queryByText(/Loading/)).not.toBeInTheDocument());
+      expect(screen.getByRole('link', { name: 'Google' })).toHaveAttribute(
+        'href',
+        expect.stringContaining('calendar.google.com'),
+      );
+      fireEvent.click(screen.getByRole('button', { name: /Export upcoming/ }));
+      await waitFor(() =>
+        expect(downloadIcs).toHaveBeenCalledWith(
+          'upcoming-appointments.ics',
+          expect.stringContaining('UID:appointment-a1@patient-portal'),
+        ),
+      );
+    });
+    it('exports upcoming appointments that are not on a loaded page', async () => {
+      const getAll = appointmentService.getAll.getMockImplementation();
+      const later = {
+        _id: 'a9',
+        doctor: { _id: 'd1', name: 'Smith' },
+        appointmentDate: addDaysToDateKey(getTodayKey(), 40),
+        appointmentTime: '09:00',
+        status: 'confirmed',
+      };
+      appointmentService.getAll.mockImplementation((params) =>
+        params?.patient
+          ? getAll(params).then(({ appointments }) => ({ appointments: [...appointments, later] }))
+          : getAll(params),
+      );
+      try {
+        render(<Appointments />);
+        await waitFor(() => expect(screen.queryByText(/Loading/)).not.toBeInTheDocument());
+        fireEvent.click(screen.getByRole('button', { name: /Export upcoming/ }));
+        await waitFor(() => expect(downloadIcs).toHaveBeenCalled());
+        const ics = downloadIcs.mock.calls.at(-1)[1];
+        expect(ics).toContain('UID:appointment-a1@patient-portal');
+        expect(ics).toContain('UID:appointment-a9@patient-portal');
+      } finally {
+        appointmentService.getAll.mockImplementation(getAll);
+      }
+    });
+    it('queues a booking while offline and sends it when back online', async () => {
+      appointmentService.create.mockRejectedValueOnce(
+        Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK' }),
+      );
+      await openForm();
+      fireEvent.change(screen.getByLabelText(/^Doctor$/), { target: { value: 'd1' } });
+      fireEvent.change(screen.getByLabelText(/^Date$/), { target: { value: tomorrowStr() } });
+      fireEvent.change(screen.getByLabelText(/^Time$/), { target: { value: '15:00' } });
+      fireEvent.change(screen.getByPlaceholderText(/Brief reason/), {
+        target: { value: 'Offline booking test' },
+      });
+      await waitFor(() => expect(getSubmit()).not.toBeDisabled());
+      fireEvent.click(getSubmit());
+      await waitFor(() => expect(screen.getByText(/Your booking was saved/)).toBeInTheDocument());
+      expect(screen.getByText('Offline booking test')).toBeInTheDocument();
+      expect(screen.getByText('Pending sync')).toBeInTheDocument();
+      fireEvent(window, new Event('online'));
+      await waitFor(() => expect(screen.queryByText('Pending sync')).not.toBeInTheDocument());
+      expect(appointmentService.create).toHaveBeenLastCalledWith(
+        expect.objectContaining({ doctor: 'd1', appointmentTime: '15:00' }),
+      );
+    });
+    it('reports a conflict when a queued booking is rejected on replay', async () => {
+      appointmentService.create
+        .mockRejectedValueOnce(Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK' }))
+        .mockRejectedValueOnce({ response: { status: 409 } });
+      await openForm();
+      fireEvent.change(screen.getByLabelText(/^Doctor$/), { target: { value: 'd1' } });
+      fireEvent.change(screen.getByLabelText(/^Date$/), { target: { value: tomorrowStr() } });
+      fireEvent.change(screen.getByLabelText(/^Time$/), { target: { value: '15:00' } });
+      fireEvent.change(screen.getByPlaceholderText(/Brief reason/), {
+        target: { value: 'Offline booking test' },
+      });
+      await waitFor(() => expect(getSubmit()).not.toBeDisabled());
+      fireEvent.click(getSubmit());
+      await waitFor(() => expect(screen.getByText('Pending sync')).toBeInTheDocument());
+      fireEvent(window, new Event('online'));
+      await waitFor(() =>
+        expect(screen.getByText(/Some offline changes could not be sent/)).toBeInTheDocument(),
+      );
+      expect(screen.getByText(/This time is already booked for the selected doctor/)).toBeInTheDocument();
+      expect(screen.queryByText('Pending sync')).not.toBeInTheDocument();
+    });
+    it('queues a cancellation while offline', async () => {
+      appointmentService.update.mockRejectedValueOnce(
+        Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK' }),
+      );
+      jest.spyOn(window, 'confirm').mockReturnValue(true);
+      render(<Appointments />);
+      await waitFor(() => expect(screen.getByText('Follow-up on blood work')).toBeInTheDocument());
+      fireEvent.click(screen.getByRole('button', { name: /^Cancel$/ }));
+      await waitFor(() => expect(screen.getByText('Pending sync')).toBeInTheDocument());
+      expect(screen.queryByRole('button', { name: /^Cancel$/ })).not.toBeInTheDocument();
+      fireEvent(window, new Event('online'));
+      await waitFor(() => expect(screen.queryByText('Pending sync')).not.toBeInTheDocument());
+      expect(appointmentService.update).toHaveBeenLastCalledWith('a1', { status: 'cancelled' });
+      window.confirm.mockRestore();
+    });
+    it('shows the cached list when appointments cannot be fetched', async () => {
+      const { unmount } = render(<Appointments />);
+      await waitFor(() => expect(screen.getByText('Follow-up on blood work')).toBeInTheDocument());
+      unmount();
+      // A reload starts with an empty query cache.
+      clearQueryCache();
+      appointmentService.getAll.mockRejectedValueOnce(new Error('Network Error'));
+      render(<Appointments />);
+      await waitFor(() => expect(screen.getByText(/Showing your saved appointments/)).toBeInTheDocument());
+      expect(screen.getByText('Follow-up on blood work')).toBeInTheDocument();
+    });
+    it('restores the draft for the same user and discards it on request', async () => {
+      const { unmount } = await openForm();
+      fireEvent.change(screen.getByLabelText(/^Doctor$/), { target: { value: 'd1' } });
+      fireEvent.change(screen.getByPlaceholderText(/Brief reason/), {
+        target: { value: 'Knee pain after running' },
+      });
+      fireEvent.change(screen.getByLabelText(/^Symptoms/), { target: { value: 'Swelling' } });
+      unmount();
+      await openForm();
+      await waitFor(() => expect(screen.getByText(/Draft restored/)).toBeInTheDocument());
+      expect(screen.getByLabelText(/^Doctor$/)).toHaveValue('d1');
+      expect(screen.getByPlaceholderText(/Brief reason/)).toHaveValue('Knee pain after running');
+      expect(screen.getByLabelText(/^Symptoms/)).toHaveValue('Swelling');
+      fireEvent.click(screen.getByRole('button', { name: /Discard draft/ }));
+      expect(screen.getByLabelText(/^Doctor$/)).toHaveValue('');
+      expect(screen.queryByText(/Draft restored/)).not.toBeInTheDocument();
+    });
+    it('keeps what the patient typed when the draft loads afterwards', async () => {
+      const { unmount } = await openForm();
+      fireEvent.change(screen.getByPlaceholderText(/Brief reason/), {
+        target: { value: 'Knee pain after running' },
+      });
+      unmount();
+      await openForm();
+      // Typed before the saved draft has loaded.
+      fireEvent.change(screen.getByPlaceholderText(/Brief reason/), {
+        target: { value: 'Sore throat for a week' },
+      });
+      await act(() => new Promise((resolve) => setTimeout(resolve, 20)));
+      expect(screen.getByPlaceholderText(/Brief reason/)).toHaveValue('Sore throat for a week');
+      expect(screen.queryByText(/Draft restored/)).not.toBeInTheDocument();
+    });
+    it('does not restore another user\'s draft', async () => {
+      const { unmount } = await openForm();
+      fireEvent.change(screen.getByPlaceholderText(/Brief reason/), {
+        target: { value: 'Knee pain after running' },
+      });
+      unmount();
+      useAuth.mockReturnValue({ user: { _id: 'patient-2' } });
+      await openForm();
+      await waitFor(() => expect(screen.getByLabelText(/^Doctor$/)).toBeInTheDocument());
+      expect(screen.getByPlaceholderText(/Brief reason/)).toHaveValue('');
+      expect(screen.queryByText(/Draft restored/)).not.toBeInTheDocument();
+      useAuth.mockReturnValue({ user: { _id: 'patient-1', name: 'Jane Doe' } });
+    });
+    it('clears the draft after a successful booking', async () => {
+      const { unmount } = await openForm();
+      fireEvent.change(screen.getByLabelText(/^Doctor$/), { target: { value: 'd1' } });
+      fireEvent.change(screen.getByLabelText(/^Date$/), { target: { value: tomorrowStr() } });
+      fireEvent.change(screen.getByLabelText(/^Time$/), { target: { value: '15:00' } });
+      fireEvent.change(screen.getByPlaceholderText(/Brief reason/), {
+        target: { value: 'Knee pain after running' },
+      });
+      await waitFor(() => expect(getSubmit()).not.toBeDisabled());
+      fireEvent.click(getSubmit());
+      await waitFor(() => expect(screen.getByText(/Appointment booked successfully/)).toBeInTheDocument());
+      unmount();
+      await openForm();
+      await waitFor(() => expect(screen.getByLabelText(/^Doctor$/)).toBeInTheDocument());
+      expect(screen.getByPlaceholderText(/Brief reason/)).toHaveValue('');
+      expect(screen.queryByText(/Draft restored/)).not.toBeInTheDocument();
+    });
+    it('loads the next page by cursor', async () => {
+      appointmentService.getAll
+        .mockImplementationOnce(() =>
+          Promise.resolve({
+            appointments: [{ _id: 'p1', appointmentDate: '2030-01-02', reason: 'First page visit', status: 'completed' }],
+            nextCursor: 'c2',
+          }),
+        )
+        .mockImplementationOnce(() =>
+          Promise.resolve({
+            appointments: [{ _id: 'p2', appointmentDate: '2030-01-01', reason: 'Second page visit', status: 'completed' }],
+            nextCursor: null,
+          }),
+        );
+      render(<Appointments />);
+      await waitFor(() => expect(screen.getByText('First page visit')).toBeInTheDocument());
+      expect(appointmentService.getAll).toHaveBeenLastCalledWith({ limit: 20 });
+      fireEvent.click(screen.getByRole('button', { name: /Load more/ }));
+      await waitFor(() => expect(screen.getByText('Second page visit')).toBeInTheDocument());
+      expect(appointmentService.getAll).toHaveBeenLastCalledWith({ limit: 20, cursor: 'c2' });
+      expect(screen.getByText('First page visit')).toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: /Load more/ })).not.toBeInTheDocument();
+    });
+    it('updates a pushed status change in place and announces it', async () => {
+      render(<Appointments />);
+      await waitFor(() => expect(screen.getByText('pending', { selector: 'span' })).toBeInTheDocument());
+      const listCalls = appointmentService.getAll.mock.calls.length;
+      expect(FakeEventSource.current.url).toBe('/api/appointments/events?patient=patient-1');
+
+      FakeEventSource.current.push({ _id: 'a1', status: 'confirmed' });
+      expect(screen.getByText('confirmed', { selector: 'span' })).toBeInTheDocument();
+      expect(screen.queryByText('pending', { selector: 'span' })).not.toBeInTheDocument();
+      expect(
+        screen.getByText(
+          `Your appointment with Dr. Smith on ${formatDateKey(tomorrowStr(), 'MMM dd')} at 10:00 is now confirmed.`,
+        ),
+      ).toBeInTheDocument();
+      expect(appointmentService.getAll).toHaveBeenCalledTimes(listCalls);
+      fireEvent.click(screen.getByRole('button', { name: 'Dismiss notification' }));
+      expect(screen.queryByText(/is now confirmed/)).not.toBeInTheDocument();
+    });
+    it('keeps pages loaded by scrolling when a change is pushed', async () => {
+      appointmentService.getAll
+        .mockImplementationOnce(() =>
+          Promise.resolve({
+            appointments: [{ _id: 'p1', appointmentDate: '2030-01-02', reason: 'First page visit', status: 'completed' }],
+            nextCursor: 'c2',
+          }),
+        )
+        .mockImplementationOnce(() =>
+          Promise.resolve({
+            appointments: [{ _id: 'p2', appointmentDate: '2030-01-01', appointmentTime: '09:00', reason: 'Second page visit', status: 'pending' }],
+            nextCursor: null,
+          }),
+        );
+      render(<Appointments />);
+      await waitFor(() => expect(screen.getByText('First page visit')).toBeInTheDocument());
+      fireEvent.click(screen.getByRole('button', { name: /Load more/ }));
+      await waitFor(() => expect(screen.getByText('Second page visit')).toBeInTheDocument());
+      const listCalls = appointmentService.getAll.mock.calls.length;
+
+      FakeEventSource.current.push({ _id: 'p1', status: 'cancelled' });
+      FakeEventSource.current.push({ _id: 'p2', status: 'confirmed' });
+      expect(screen.getByText('confirmed', { selector: 'span' })).toBeInTheDocument();
+      expect(screen.getByText('cancelled', { selector: 'span' })).toBeInTheDocument();
+      expect(screen.getByText(/on Jan 01 at 09:00 is now confirmed/)).toBeInTheDocument();
+      // Both appointments were already loaded, so nothing is refetched and the second page stays.
+      await act(() => Promise.resolve());
+      expect(appointmentService.getAll).toHaveBeenCalledTimes(listCalls);
+      expect(screen.getByText('Second page visit')).toBeInTheDocument();
+    });
+    it('keeps pages loaded by scrolling when the list is revalidated on focus', async () => {
+      const page = (id, reason, nextCursor) => ({
+        appointments: [{ _id: id, appointmentDate: '2030-01-02', reason, status: 'completed' }],
+        nextCursor,
+      });
+      let firstPage = page('p1', 'First page visit', 'c2');
+      const getAll = appointmentService.getAll.getMockImplementation();
+      appointmentService.getAll.mockImplementation((params) =>
+        Promise.resolve(params?.cursor ? page('p2', 'Second page visit', null) : firstPage),
+      );
+      const now = Date.now();
+      try {
+        render(<Appointments />);
+        await waitFor(() => expect(screen.getByText('First page visit')).toBeInTheDocument());
+        fireEvent.click(screen.getByRole('button', { name: /Load more/ }));
+        await waitFor(() => expect(screen.getByText('Second page visit')).toBeInTheDocument());
+
+        // Back on the tab after the list went stale: the first page is refetched in the background.
+        firstPage = page('p1', 'First page visit, refreshed', 'c2');
+        jest.spyOn(Date, 'now').mockReturnValue(now + 60000);
+        fireEvent(window, new Event('focus'));
+        await waitFor(() =>
+          expect(screen.getByText('First page visit, refreshed')).toBeInTheDocument(),
+        );
+        expect(screen.getByText('Second page visit')).toBeInTheDocument();
+      } finally {
+        Date.now.mockRestore?.();
+        appointmentService.getAll.mockImplementation(getAll);
+      }
+    });
+    it('status chips and search narrow the list', async () => {
+      render(<Appointments />);
+      await waitFor(() => expect(screen.queryByText(/Loading/)).not.toBeInTheDocument());
+      expect(screen.getByText('Follow-up on blood work')).toBeInTheDocument();
+      fireEvent.click(screen.getByRole('button', { name: 'confirmed' }));
+      expect(screen.getByRole('button', { name: 'confirmed' })).toHaveAttribute('aria-pressed', 'true');
+      expect(screen.getByText(/No appointments match your filters/)).toBeInTheDocument();
+      fireEvent.click(screen.getByRole('button', { name: /Clear filters/ }));
+      fireEvent.change(screen.getByLabelText(/^Search$/), { target: { value: 'FATIGUE' } });
+      expect(screen.getByText('Follow-up on blood work')).toBeInTheDocument();
+      fireEvent.change(screen.getByLabelText(/^Search$/), { target: { value: 'migraine' } });
+      expect(screen.queryByText('Follow-up on blood work')).not.toBeInTheDocument();
+    });
+    it('says when matches may be on pages not loaded yet and loads them all', async () => {
+      const page = (id, status, reason, nextCursor) => ({
+        appointments: [{ _id: id, appointmentDate: '2030-01-02', reason, status }],
+        nextCursor,
+      });
+      const pages = {
+        c2: page('p2', 'completed', 'Second page visit', 'c3'),
+        c3: page('p3', 'confirmed', 'Third page visit', null),
+      };
+      const getAll = appointmentService.getAll.getMockImplementation();
+      appointmentService.getAll.mockImplementation((params) =>
+        Promise.resolve(
+          params?.cursor ? pages[params.cursor] : page('p1', 'completed', 'First page visit', 'c2'),
+        ),
+      );
+      try {
+        render(<Appointments />);
+        await waitFor(() => expect(screen.getByText('First page visit')).toBeInTheDocument());
+        fireEvent.click(screen.getByRole('button', { name: 'confirmed' }));
+        expect(screen.getByText(/None of the appointments loaded so far match/)).toBeInTheDocument();
+        expect(screen.getByText(/only cover the appointments loaded so far/)).toBeInTheDocument();
+        fireEvent.click(screen.getByRole('button', { name: /Load all appointments/ }));
+        await waitFor(() => expect(screen.getByText('Third page visit')).toBeInTheDocument());
+        expect(screen.queryByText(/loaded so far/)).not.toBeInTheDocument();
+        expect(appointmentService.getAll).toHaveBeenCalledWith({ limit: 20, cursor: 'c3' });
+      } finally {
+        appointmentService.getAll.mockImplementation(getAll);
+      }
+    });
+    it('reschedule prefills form and sends only date/time', async () => {
+      render(<Appointments />);
+      await waitFor(() => expect(screen.queryByText(/Loading/)).not.toBeInTheDocument());
+      fireEvent.click(screen.getByRole('button', { name: /Reschedule/ }));
+      const form = screen.getByRole('form', { name: /Reschedule appointment/ });
+      expect(screen.getByLabelText(/^Doctor$/)).toHaveValue('d1');
+      expect(screen.getByLabelText(/^Doctor$/)).toBeDisabled();
+      expect(screen.getByLabelText(/^Date$/)).toHaveValue(tomorrowStr());
+      expect(screen.getByPlaceholderText(/Brief reason/)).toHaveValue('Follow-up on blood work');
+      const submit = within(form).getByRole('button', { name: /^Reschedule$/ });
+      await waitFor(() => expect(submit).not.toBeDisabled());
+      expect(screen.queryByText(/already booked/)).not.toBeInTheDocument();
+      fireEvent.change(screen.getByLabelText(/^Time$/), { target: { value: '14:00' } });
+      fireEvent.click(submit);
+      await waitFor(() =>
+        expect(screen.getByText(/rescheduled successfully/)).toBeInTheDocument(),
+      );
+      expect(appointmentService.update).toHaveBeenCalledWith('a1', {
+        appointmentDate: tomorrowStr(),
+        appointmentTime: '14:00',
+      });
+    });
+    it('reschedules an appointment whose reason is shorter than the current minimum', async () => {
+      const getAll = appointmentService.getAll.getMockImplementation();
+      appointmentService.getAll.mockImplementation((params) =>
+        getAll(params).then((response) =>
+          params?.doctor
+            ? response
+            : { appointments: response.appointments.map((a) => ({ ...a, reason: 'Checkup' })) },
+        ),
+      );
+      try {
+        render(<Appointments />);
+        await waitFor(() => expect(screen.queryByText(/Loading/)).not.toBeInTheDocument());
+        fireEvent.click(screen.getByRole('button', { name: /Reschedule/ }));
+        const form = screen.getByRole('form', { name: /Reschedule appointment/ });
+        expect(screen.getByPlaceholderText(/Brief reason/)).toHaveValue('Checkup');
+        fireEvent.change(screen.getByLabelText(/^Time$/), { target: { value: '14:00' } });
+        const submit = within(form).getByRole('button', { name: /^Reschedule$/ });
+        await waitFor(() => expect(submit).not.toBeDisabled());
+        expect(screen.getByPlaceholderText(/Brief reason/)).toHaveAttribute('aria-invalid', 'false');
+        fireEvent.click(submit);
+        await waitFor(() => expect(screen.getByText(/rescheduled successfully/)).toBeInTheDocument());
+        expect(appointmentService.update).toHaveBeenCalledWith('a1', {
+          appointmentDate: tomorrowStr(),
+          appointmentTime: '14:00',
+        });
+      } finally {
+        appointmentService.getAll.mockImplementation(getAll);
+      }
+    });
+    describe('reschedule link', () => {
+      afterEach(() => {
+        mockInitialSearch = '';
+      });
+
+      it('opens the reschedule form for the linked appointment', async () => {
+        mockInitialSearch = 'reschedule=a1';
+        render(<Appointments />);
+        const form = await screen.findByRole('form', { name: /Reschedule appointment/ });
+        expect(within(form).getByLabelText(/^Date$/)).toHaveValue(tomorrowStr());
+      });
+      it('looks the appointment up in the patient list and ignores unknown ids', async () => {
+        mockInitialSearch = 'reschedule=missing';
+        render(<Appointments />);
+        await waitFor(() =>
+          expect(appointmentService.getAll).toHaveBeenCalledWith({ patient: 'patient-1' }),
+        );
+        await waitFor(() => expect(screen.queryByText(/Loading/)).not.toBeInTheDocument());
+        expect(screen.queryByRole('form')).not.toBeInTheDocument();
+      });
+    });
+    describe('booking window', () => {
+      // Monday 2030-01-07, 13:00 in New York. Only Date is faked; the form's async work runs on real timers.
+      beforeEach(() => {
+        jest.useFakeTimers({
+          now: new Date('2030-01-07T18:00:00.000Z'),
+          doNotFake: [
+            'nextTick',
+            'setImmediate',
+            'clearImmediate',
+            'setTimeout',
+            'clearTimeout',
+            'setInterval',
+            'clearInterval',
+            'queueMicrotask',
+            'requestAnimationFrame',
+            'cancelAnimationFrame',
+            'requestIdleCallback',
+            'cancelIdleCallback',
+            'hrtime',
+            'performance',
+          ],
+        });
+      });
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      it('rejects same-day times within two hours, inline and in the slot grid', async () => {
+        await openForm();
+        fireEvent.change(screen.getByLabelText(/^Doctor$/), { target: { value: 'd1' } });
+        fireEvent.change(screen.getByLabelText(/^Date$/), { target: { value: '2030-01-07' } });
+        const slots = screen.getByRole('group', { name: /Available time slots/ });
+        await waitFor(() =>
+          expect(within(slots).getByRole('button', { name: '15:00' })).not.toBeDisabled(),
+        );
+        expect(within(slots).getByRole('button', { name: '10:00' })).toBeDisabled();
+        expect(within(slots).getByRole('button', { name: '14:30' })).toHaveAttribute(
+          'title',
+          'Too soon to book',
+        );
+        expect(within(slots).getByRole('button', { name: '14:30' })).toBeDisabled();
+
+        fireEvent.change(screen.getByLabelText(/^Time$/), { target: { value: '10:00' } });
+        expect(screen.getByText('Time must be at least 2 hours from now')).toBeInTheDocument();
+        fireEvent.change(screen.getByLabelText(/^Time$/), { target: { value: '14:30' } });
+        expect(screen.getByText('Time must be at least 2 hours from now')).toBeInTheDocument();
+        fireEvent.click(within(slots).getByRole('button', { name: '15:00' }));
+        expect(screen.queryByText(/from now/)).not.toBeInTheDocument();
+
+        // The next day's morning is far enough ahead.
+        fireEvent.change(screen.getByLabelText(/^Date$/), { target: { value: '2030-01-08' } });
+        fireEvent.change(screen.getByLabelText(/^Time$/), { target: { value: '09:00' } });
+        expect(screen.queryByText(/from now/)).not.toBeInTheDocument();
+      });
+      it('accepts dates up to 90 days out', async () => {
+        await openForm();
+        expect(screen.getByLabelText(/^Date$/)).toHaveAttribute('max', '2030-04-07');
+        fireEvent.change(screen.getByLabelText(/^Date$/), { target: { value: '2030-04-07' } });
+        expect(screen.queryByText(/within 90 days/)).not.toBeInTheDocument();
+        fireEvent.change(screen.getByLabelText(/^Date$/), { target: { value: '2030-04-08' } });
+        expect(screen.getByText('Date must be within 90 days')).toBeInTheDocument();
+      });
+    });
+    describe('doctor picker', () => {
+      const directory = [
+        { _id: 'd1', name: 'Dr. Smith', specialization: 'General', rating: 4.1 },
+        {
+          _id: 'd2',
+          name: 'Dr. Jones',
+          specialization: 'Cardiology',
+          languages: ['English', 'Spanish'],
+          rating: 4.8,
+          bio: 'Heart rhythm specialist',
+          location: '1 Main St, Springfield',
+          photoUrl: 'https://cdn.example.com/jones.jpg',
+          nextAvailableSlot: { date: tomorrowStr(), time: '09:00' },
+        },
+        { _id: 'd3', name: 'Dr. Lee', specialization: 'Cardiology', rating: 3.5 },
+      ];
+      let listAppointments;
+      beforeEach(() => {
+        userService.getAll.mockResolvedValueOnce({ users: directory });
+        listAppointments = appointmentService.getAll.getMockImplementation();
+        // The patient saw Dr. Jones last week.
+        appointmentService.getAll.mockImplementation((params) =>
+          params?.patient
+            ? Promise.resolve({
+                appointments: [
+                  {
+                    _id: 'past',
+                    doctor: { _id: 'd2', name: 'Dr. Jones' },
+                    appointmentDate: addDaysToDateKey(todayStr(), -7),
+                    appointmentTime: '10:00',
+                    status: 'completed',
+                  },
+                ],
+              })
+            : listAppointments(params),
+        );
+      });
+      afterEach(() => {
+        appointmentService.getAll.mockImplementation(listAppointments);
+      });
+      const doctorOptions = () =>
+        within(screen.getByLabelText(/^Doctor$/))
+          .getAllByRole('option')
+          .map((option) => option.textContent);
+
+      it('lists recently seen doctors first and narrows the list with filters', async () => {
+        await openForm();
+        await waitFor(() =>
+          expect(screen.getByRole('group', { name: 'Recently seen' })).toHaveTextContent(
+            'Dr. Jones',
+          ),
+        );
+        expect(doctorOptions()).toEqual([
+          'Select a doctor',
+          'Dr. Jones - Cardiology',
+          'Dr. Smith - General',
+          'Dr. Lee - Cardiology',
+        ]);
+
+        fireEvent.change(screen.getByLabelText('Specialization'), {
+          target: { value: 'Cardiology' },
+        });
+        fireEvent.change(screen.getByLabelText('Minimum rating'), { target: { value: '4' } });
+        expect(screen.getByText('1 doctor matches')).toBeInTheDocument();
+        expect(doctorOptions()).toEqual(['Select a doctor', 'Dr. Jones - Cardiology']);
+
+        fireEvent.click(screen.getByRole('button', { name: 'Show all doctors' }));
+        fireEvent.change(screen.getByLabelText('Search doctors'), { target: { value: 'lee' } });
+        expect(doctorOptions()).toEqual(['Select a doctor', 'Dr. Lee - Cardiology']);
+        fireEvent.change(screen.getByLabelText('Search doctors'), { target: { value: '' } });
+        fireEvent.change(screen.getByLabelText('Next available'), { target: { value: '3' } });
+        expect(doctorOptions()).toEqual(['Select a doctor', 'Dr. Jones - Cardiology']);
+      });
+      it('keeps the chosen doctor listed and previews their profile', async () => {
+        await openForm();
+        await waitFor(() => expect(doctorOptions()).toHaveLength(4));
+        fireEvent.change(screen.getByLabelText(/^Doctor$/), { target: { value: 'd2' } });
+        const profile = screen.getByRole('region', { name: 'Doctor profile' });
+        expect(within(profile).getByRole('img', { name: 'Dr. Jones' })).toHaveAttribute(
+          'src',
+          'https://cdn.example.com/jones.jpg',
+        );
+        expect(profile).toHaveTextContent('Rated 4.8 of 5');
+        expect(profile).toHaveTextContent('Speaks English, Spanish');
+        expect(profile).toHaveTextContent('1 Main St, Springfield');
+        expect(profile).toHaveTextContent(
+          `Next available: ${formatDateKey(tomorrowStr(), 'MMM dd')} at 09:00`,
+        );
+        expect(profile).toHaveTextContent('Heart rhythm specialist');
+
+        fireEvent.change(screen.getByLabelText('Search doctors'), { target: { value: 'smith' } });
+        expect(screen.getByLabelText(/^Doctor$/)).toHaveValue('d2');
+        expect(doctorOptions()).toContain('Dr. Jones - Cardiology');
+      });
+    });
+    describe('language', () => {
+      afterEach(() => {
+        clearSessionLocalePreferences();
+        useAuth.mockReturnValue({ user: { _id: 'patient-1', name: 'Jane Doe' } });
+      });
+
+      it('shows the page in Spanish with 24h times and saves the choice', async () => {
+        await openForm();
+        fireEvent.change(screen.getByLabelText('Display language'), { target: { value: 'es' } });
+        expect(screen.getByRole('heading', { name: 'Mis citas' })).toBeInTheDocument();
+        expect(userService.updateProfile).toHaveBeenLastCalledWith({
+          preferences: { language: 'es', timeFormat: '' },
+        });
+
+        fireEvent.change(screen.getByPlaceholderText(/Breve motivo/), { target: { value: 'short' } });
+        expect(screen.getByText('El motivo debe tener al menos 10 caracteres')).toBeInTheDocument();
+        fireEvent.change(screen.getByLabelText(/^Médico$/), { target: { value: 'd1' } });
+        fireEvent.change(screen.getByLabelText(/^Fecha$/), { target: { value: inTwoDaysStr() } });
+        const slots = screen.getByRole('group', { name: 'Horarios disponibles' });
+        await waitFor(() =>
+          expect(within(slots).getByRole('button', { name: '11:00' })).toHaveAttribute('title', 'Ya reservado'),
+        );
+        expect(screen.getByText(/Horario: 09:00 - 17:00, descanso 12:00 - 13:00/)).toBeInTheDocument();
+        fireEvent.change(screen.getByLabelText(/^Hora$/), { target: { value: '11:00' } });
+        expect(screen.getByText('Esta hora ya está reservada con el médico seleccionado')).toBeInTheDocument();
+
+        fireEvent.change(screen.getByLabelText('Formato de hora'), { target: { value: '12h' } });
+        expect(within(slots).queryByRole('button', { name: '11:00' })).not.toBeInTheDocument();
+        expect(within(slots).getByRole('button', { name: '11 AM' })).toBeDisabled();
+        expect(userService.updateProfile).toHaveBeenLastCalledWith({
+          preferences: { language: 'es', timeFormat: '12h' },
+        });
+      });
+      it('starts in the language saved in the profile and keeps a choice that failed to save', async () => {
+        useAuth.mockReturnValue({
+          user: { _id: 'patient-1', name: 'Jane Doe', preferences: { language: 'pl' } },
+        });
+        userService.updateProfile.mockRejectedValueOnce(new Error('Server error'));
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+          render(<Appointments />);
+          expect(await screen.findByRole('heading', { name: 'Moje wizyty' })).toBeInTheDocument();
+          fireEvent.change(screen.getByLabelText('Język interfejsu'), { target: { value: 'en' } });
+          await waitFor(() =>
+            expect(consoleError).toHaveBeenCalledWith('Failed to save language preference'),
+          );
+          expect(screen.getByRole('heading', { name: 'My Appointments' })).toBeInTheDocument();
+        } finally {
+          consoleError.mockRestore();
+        }
+      });
+    });
+    describe('follow-up link', () => {
+      afterEach(() => {
+        mockInitialSearch = '';
+      });
+
+      it('prefills the booking from the analysis and links it', async () => {
+        mockInitialSearch = 'followUp=an1';
+        render(<Appointments />);
+        const form = await screen.findByRole('form', { name: /Book new appointment/ });
+        expect(
+          within(form).getByText(/Follow-up to your AI analysis from Jan 20, 2030/),
+        ).toBeInTheDocument();
+        expect(within(form).getByLabelText(/^Doctor$/)).toHaveValue('d1');
+        expect(within(form).getByPlaceholderText(/Brief reason/)).toHaveValue(
+          'Possible low blood pressure',
+        );
+        expect(within(form).getByLabelText(/^Symptoms/)).toHaveValue('Dizziness when standing up');
+        fireEvent.change(screen.getByLabelText(/^Date$/), { target: { value: tomorrowStr() } });
+        fireEvent.change(screen.getByLabelText(/^Time$/), { target: { value: '14:00' } });
+        await waitFor(() => expect(getSubmit()).not.toBeDisabled());
+        fireEvent.click(getSubmit());
+        await waitFor(() =>
+          expect(screen.getByText(/booked successfully/)).toBeInTheDocument(),
+        );
+        expect(appointmentService.create).toHaveBeenCalledWith({
+          doctor: 'd1',
+          appointmentDate: tomorrowStr(),
+          appointmentTime: '14:00',
+          reason: 'Possible low blood pressure',
+          symptoms: 'Dizziness when standing up',
+          analysis: 'an1',
+        });
+      });
+      it('asks before replacing an unfinished booking with the follow-up', async () => {
+        await saveBookingDraft('patient-1', {
+          doctor: 'd1',
+          appointmentDate: '',
+          appointmentTime: '',
+          reason: 'Knee pain after running',
+          symptoms: '',
+        });
+        jest.spyOn(window, 'confirm').mockReturnValue(false);
+        try {
+          mockInitialSearch = 'followUp=an1';
+          const { unmount } = render(<Appointments />);
+          await waitFor(() => expect(screen.getByText(/Draft restored/)).toBeInTheDocument());
+          expect(window.confirm).toHaveBeenCalledWith(expect.stringMatching(/unfinished booking/));
+          expect(screen.getByPlaceholderText(/Brief reason/)).toHaveValue('Knee pain after running');
+          expect(screen.queryByText(/Follow-up to your AI analysis/)).not.toBeInTheDocument();
+          unmount();
+
+          window.confirm.mockReturnValue(true);
+          mockInitialSearch = 'followUp=an1';
+          render(<Appointments />);
+          await waitFor(() =>
+            expect(screen.getByText(/Follow-up to your AI analysis/)).toBeInTheDocument(),
+          );
+          expect(screen.getByPlaceholderText(/Brief reason/)).toHaveValue(
+            'Possible low blood pressure',
+          );
+        } finally {
+          window.confirm.mockRestore();
+        }
+      });
+      it('keeps the analysis link with the saved draft', async () => {
+        mockInitialSearch = 'followUp=an1';
+        const { unmount } = render(<Appointments />);
+        await screen.findByText(/Follow-up to your AI analysis/);
+        fireEvent.change(screen.getByLabelText(/^Symptoms/), { target: { value: 'Headache' } });
+        unmount();
+        mockInitialSearch = '';
+        render(<Appointments />);
+        await waitFor(() => expect(screen.queryByText(/Loading/)).not.toBeInTheDocument());
+        fireEvent.click(screen.getByRole('button', { name: /Book Appointment/ }));
+        await waitFor(() => expect(screen.getByText(/Draft restored/)).toBeInTheDocument());
+        expect(screen.getByText(/Follow-up to your AI analysis from Jan 20, 2030/)).toBeInTheDocument();
+        expect(screen.getByLabelText(/^Symptoms/)).toHaveValue('Headache');
+      });
+      it('leaves the form closed for unknown analyses', async () => {
+        mockInitialSearch = 'followUp=missing';
+        render(<Appointments />);
+        await waitFor(() => expect(screen.queryByText(/Loading/)).not.toBeInTheDocument());
+        await act(() => Promise.resolve());
+        expect(screen.queryByRole('form')).not.toBeInTheDocument();
+      });
+    });
   });
 });
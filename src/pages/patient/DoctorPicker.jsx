@@ -0,0 +1,269 @@
+/**
+ * Booking form doctor field: a doctor select narrowed by search and filters, with a profile preview
+ * (doctorDirectory).
+ *
+ * - Filters: specialization, language, minimum rating and next available slot. The selected doctor stays
+ *   listed when the filters hide them, so narrowing never clears the choice.
+ * - The patient's recently seen doctors are grouped first.
+ * - The preview shows the selected doctor's photo, bio, location, languages, rating and next free slot.
+ * - While rescheduling the doctor is fixed: no filters, preview only.
+ * - Text in the patient's language (patientI18n).
+ */
+
+import { useMemo, useState } from 'react';
+import { Clock, MapPin, Star, User } from 'lucide-react';
+import { Input } from '../../components/Input';
+import { Label } from '../../components/Label';
+import {
+  DOCTOR_AVAILABILITY_OPTIONS,
+  DOCTOR_RATING_OPTIONS,
+  emptyDoctorFilters,
+  filterDoctors,
+  getDoctorLanguages,
+  getDoctorLocation,
+  getDoctorNextSlot,
+  getDoctorPhotoUrl,
+  getDoctorRating,
+  getDoctorSpecializations,
+  hasActiveDoctorFilters,
+  splitRecentDoctors,
+} from './doctorDirectory';
+import { usePatientI18n } from './patientI18n';
+
+const filterClassName =
+  'flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm';
+
+function DoctorOption({ doctor }) {
+  return (
+    <option value={doctor._id}>
+      {doctor.name} {doctor.specialization && `- ${doctor.specialization}`}
+    </option>
+  );
+}
+
+function DoctorProfilePreview({ doctor }) {
+  const { t, formatDate, formatTime } = usePatientI18n();
+  const photoUrl = getDoctorPhotoUrl(doctor);
+  const rating = getDoctorRating(doctor);
+  const location = getDoctorLocation(doctor);
+  const nextSlot = getDoctorNextSlot(doctor);
+  const languages = Array.isArray(doctor.languages) ? doctor.languages : [];
+  return (
+    <section
+      className="flex space-x-3 rounded-lg border p-3"
+      aria-label={t('doctors.profile')}
+    >
+      {photoUrl ? (
+        <img
+          src={photoUrl}
+          alt={doctor.name}
+          className="h-16 w-16 shrink-0 rounded-full object-cover"
+        />
+      ) : (
+        <div className="flex h-16 w-16 shrink-0 items-center justify-center rounded-full bg-muted">
+          <User className="h-8 w-8 text-muted-foreground" aria-hidden />
+        </div>
+      )}
+      <div className="space-y-1 text-sm">
+        <p className="font-medium">{doctor.name}</p>
+        {doctor.specialization && (
+          <p className="text-muted-foreground">{doctor.specialization}</p>
+        )}
+        {rating != null && (
+          <p className="flex items-center">
+            <Star className="mr-1 h-4 w-4 text-yellow-500" aria-hidden />
+            {t('doctors.rated', { rating: rating.toFixed(1) })}
+          </p>
+        )}
+        {languages.length > 0 && (
+          <p>{t('doctors.speaks', { languages: languages.join(', ') })}</p>
+        )}
+        {location && (
+          <p className="flex items-center">
+            <MapPin className="mr-1 h-4 w-4" aria-hidden />
+            {location}
+          </p>
+        )}
+        {nextSlot && (
+          <p className="flex items-center">
+            <Clock className="mr-1 h-4 w-4" aria-hidden />
+            {t('doctors.nextSlot', {
+              date: nextSlot.time
+                ? t('common.dateAtTime', {
+                    date: formatDate(nextSlot.date, 'dayMonth'),
+                    time: formatTime(nextSlot.time),
+                  })
+                : formatDate(nextSlot.date, 'dayMonth'),
+            })}
+          </p>
+        )}
+        {doctor.bio && <p className="text-muted-foreground">{doctor.bio}</p>}
+      </div>
+    </section>
+  );
+}
+
+export function DoctorPicker({
+  doctors,
+  recentDoctorIds,
+  value,
+  onChange,
+  disabled,
+  error,
+}) {
+  const { t } = usePatientI18n();
+  const [filters, setFilters] = useState(emptyDoctorFilters);
+  const specializations = useMemo(
+    () => getDoctorSpecializations(doctors),
+    [doctors],
+  );
+  const languages = useMemo(() => getDoctorLanguages(doctors), [doctors]);
+  const filtersActive = hasActiveDoctorFilters(filters);
+
+  const selected = doctors.find(({ _id }) => String(_id) === value) ?? null;
+  const matching = useMemo(
+    () => filterDoctors(doctors, filters),
+    [doctors, filters],
+  );
+  const { recent, others } = useMemo(
+    () =>
+      splitRecentDoctors(
+        selected && !matching.includes(selected)
+          ? [selected, ...matching]
+          : matching,
+        recentDoctorIds,
+      ),
+    [matching, selected, recentDoctorIds],
+  );
+
+  const updateFilter = (name, filterValue) => {
+    setFilters((prev) => ({ ...prev, [name]: filterValue }));
+  };
+
+  return (
+    <div className="space-y-2 md:col-span-2">
+      <Label htmlFor="doctor">{t('doctors.label')}</Label>
+      {!disabled && (
+        <div
+          className="grid gap-2 md:grid-cols-5"
+          role="group"
+          aria-label={t('doctors.find')}
+        >
+          <Input
+            type="search"
+            className="md:col-span-2"
+            aria-label={t('doctors.search')}
+            placeholder={t('doctors.searchPlaceholder')}
+            value={filters.q}
+            onChange={(e) => updateFilter('q', e.target.value)}
+          />
+          <select
+            className={filterClassName}
+            aria-label={t('doctors.specialization')}
+            value={filters.specialization}
+            onChange={(e) => updateFilter('specialization', e.target.value)}
+          >
+            <option value="">{t('doctors.allSpecializations')}</option>
+            {specializations.map((specialization) => (
+              <option key={specialization} value={specialization}>
+                {specialization}
+              </option>
+            ))}
+          </select>
+          <select
+            className={filterClassName}
+            aria-label={t('doctors.language')}
+            value={filters.language}
+            onChange={(e) => updateFilter('language', e.target.value)}
+          >
+            <option value="">{t('doctors.anyLanguage')}</option>
+            {languages.map((language) => (
+              <option key={language} value={language}>
+                {language}
+              </option>
+            ))}
+          </select>
+          <div className="grid grid-cols-2 gap-2">
+            <select
+              className={filterClassName}
+              aria-label={t('doctors.minRating')}
+              value={filters.minRating}
+              onChange={(e) => updateFilter('minRating', e.target.value)}
+            >
+              <option value="">{t('doctors.anyRating')}</option>
+              {DOCTOR_RATING_OPTIONS.map((rating) => (
+                <option key={rating} value={rating}>
+                  {t('doctors.ratingOption', { rating })}
+                </option>
+              ))}
+            </select>
+            <select
+              className={filterClassName}
+              aria-label={t('doctors.nextAvailable')}
+              value={filters.availableWithin}
+              onChange={(e) => updateFilter('availableWithin', e.target.value)}
+            >
+              <option value="">{t('doctors.anyTime')}</option>
+              {DOCTOR_AVAILABILITY_OPTIONS.map(({ days, labelKey }) => (
+                <option key={days} value={days}>
+                  {t(labelKey)}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+      <select
+        id="doctor"
+        className={`flex h-10 w-full rounded-md border bg-background px-3 py-2 text-sm ${error ? 'border-red-500' : 'border-input'}`}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        aria-invalid={!!error}
+        aria-describedby={error ? 'doctor-error' : undefined}
+      >
+        <option value="">{t('doctors.select')}</option>
+        {recent.length > 0 ? (
+          <>
+            <optgroup label={t('doctors.recentlySeen')}>
+              {recent.map((doctor) => (
+                <DoctorOption key={doctor._id} doctor={doctor} />
+              ))}
+            </optgroup>
+            {others.length > 0 && (
+              <optgroup label={t('doctors.all')}>
+                {others.map((doctor) => (
+                  <DoctorOption key={doctor._id} doctor={doctor} />
+                ))}
+              </optgroup>
+            )}
+          </>
+        ) : (
+          others.map((doctor) => (
+            <DoctorOption key={doctor._id} doctor={doctor} />
+          ))
+        )}
+      </select>
+      {filtersActive && !disabled && (
+        <p className="text-xs text-muted-foreground" aria-live="polite">
+          {matching.length === 0
+            ? t('doctors.noMatches')
+            : t('doctors.matches', { count: matching.length })}
+          <button
+            type="button"
+            className="ml-2 underline"
+            onClick={() => setFilters(emptyDoctorFilters)}
+          >
+            {t('doctors.showAll')}
+          </button>
+        </p>
+      )}
+      {error && (
+        <p id="doctor-error" className="text-sm text-red-600">
+          {error}
+        </p>
+      )}
+      {selected && <DoctorProfilePreview doctor={selected} />}
+    </div>
+  );
+}
@@ -0,0 +1,433 @@
+/**
+ * Health Trends dashboard widget: range and metric selection over the trend entries, with drill-down.
+ *
+ * - Range buttons (7 days … 1 year, custom from/to) and metric checkboxes; long ranges are averaged by
+ *   week or month and days/weeks without readings show as gaps (healthTrends).
+ * - Clicking (or Enter on) a point opens the AI analysis behind it; a point averaging several analyses lists
+ *   them to choose from.
+ * - "View as table" swaps the chart for a table of the same series (screen readers); the chart is captioned
+ *   with a text summary. The plotted series can be exported as CSV or JSON.
+ * - Text and dates in the patient's language (usePatientI18n).
+ */
+
+import { useMemo, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { Download, X } from 'lucide-react';
+import { Button } from '../../components/Button';
+import { downloadFile } from '../../utils/download';
+import {
+  DEFAULT_TREND_RANGE,
+  TREND_RANGES,
+  buildTrendCsv,
+  buildTrendJson,
+  buildTrendSeries,
+  getAvailableTrendMetrics,
+  getTrendBucket,
+  getTrendExportFilename,
+  getTrendPeriodLabel,
+  getTrendRangeBounds,
+  getTrendRangeError,
+  getTrendRows,
+  getTrendSummary,
+} from './healthTrends';
+import { getAnalysisPath } from './analysisHistory';
+import { usePatientI18n } from './patientI18n';
+
+/** Chart point; a button when analyses are behind it. */
+function TrendDot({ cx, cy, value, payload, metric, onSelect, t }) {
+  if (cx == null || cy == null || value == null) return null;
+  const label = t('trends.point', {
+    metric: metric.label,
+    period: payload.label,
+    value,
+  });
+  const selectable = payload.analyses.length > 0;
+  return (
+    <circle
+      cx={cx}
+      cy={cy}
+      r={4}
+      fill={metric.color}
+      stroke="#fff"
+      strokeWidth={1}
+      className={selectable ? 'cursor-pointer' : undefined}
+      role={selectable ? 'button' : 'img'}
+      tabIndex={selectable ? 0 : undefined}
+      aria-label={
+        selectable ? t('trends.openAnalysis', { point: label }) : label
+      }
+      onClick={selectable ? () => onSelect(payload) : undefined}
+      onKeyDown={
+        selectable
+          ? (event) => {
+              if (event.key !== 'Enter' && event.key !== ' ') return;
+              event.preventDefault();
+              onSelect(payload);
+            }
+          : undefined
+      }
+    />
+  );
+}
+
+export function HealthTrendsWidget({ data }) {
+  const navigate = useNavigate();
+  const i18n = usePatientI18n();
+  const { t, formatDate } = i18n;
+  const [rangeId, setRangeId] = useState(DEFAULT_TREND_RANGE);
+  const [customRange, setCustomRange] = useState({ from: '', to: '' });
+  const [hiddenMetrics, setHiddenMetrics] = useState([]);
+  const [selectedPoint, setSelectedPoint] = useState(null);
+  const [showTable, setShowTable] = useState(false);
+
+  const metrics = useMemo(
+    () => getAvailableTrendMetrics(data.trends, i18n),
+    [data.trends, i18n],
+  );
+  const plottedMetrics = metrics.filter(
+    ({ key }) => !hiddenMetrics.includes(key),
+  );
+  const bounds = getTrendRangeBounds(rangeId, customRange);
+  const bucket = bounds ? getTrendBucket(bounds) : 'day';
+  const series = useMemo(
+    () =>
+      bounds
+        ? buildTrendSeries(
+            data.trends,
+            bounds,
+            metrics.map(({ key }) => key),
+            i18n,
+          )
+        : [],
+    [data.trends, bounds?.from, bounds?.to, metrics, i18n],
+  );
+  const hasReadings = series.some((point) =>
+    plottedMetrics.some(({ key }) => point[key] != null),
+  );
+  const rangeError =
+    rangeId === 'custom' ? getTrendRangeError(customRange, i18n) : '';
+  const periodLabel = bounds ? getTrendPeriodLabel(rangeId, bounds, i18n) : '';
+  const summary = getTrendSummary(series, plottedMetrics, periodLabel, i18n);
+
+  const selectRange = (id) => {
+    setRangeId(id);
+    setSelectedPoint(null);
+  };
+  const toggleMetric = (key) => {
+    setHiddenMetrics((hidden) =>
+      hidden.includes(key)
+        ? hidden.filter((hiddenKey) => hiddenKey !== key)
+        : [...hidden, key],
+    );
+  };
+  const exportTrends = (extension) => {
+    if (extension === 'csv') {
+      downloadFile(
+        getTrendExportFilename(bounds, 'csv'),
+        buildTrendCsv(series, plottedMetrics),
+        'text/csv;charset=utf-8',
+      );
+    } else {
+      downloadFile(
+        getTrendExportFilename(bounds, 'json'),
+        buildTrendJson(series, plottedMetrics, bounds),
+        'application/json',
+      );
+    }
+  };
+  // One analysis opens directly; an averaged point lists its analyses.
+  const selectPoint = (point) => {
+    if (point.analyses.length === 1) {
+      navigate(getAnalysisPath(point.analyses[0].id));
+    } else {
+      setSelectedPoint(point);
+    }
+  };
+
+  if (data.trends.length === 0) {
+    return (
+      <p className="text-sm text-muted-foreground text-center py-4">
+        {t('trends.noData')}
+      </p>
+    );
+  }
+
+  let chart;
+  if (!bounds) {
+    chart = null;
+  } else if (plottedMetrics.length === 0) {
+    chart = (
+      <p className="text-sm text-muted-foreground text-center py-4">
+        {t('trends.selectMetric')}
+      </p>
+    );
+  } else if (!hasReadings) {
+    chart = (
+      <p className="text-sm text-muted-foreground text-center py-4">
+        {t('trends.noDataInRange')}
+      </p>
+    );
+  } else if (showTable) {
+    chart = (
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <caption className="mb-2 text-left text-xs text-muted-foreground">
+            {bucket === 'day'
+              ? t('trends.caption', { period: periodLabel })
+              : t('trends.captionAveraged', {
+                  period: periodLabel,
+                  averages: t(`trends.averages.${bucket}`),
+                })}
+          </caption>
+          <thead>
+            <tr>
+              <th scope="col" className="p-2 text-left">
+                {t('trends.period')}
+              </th>
+              {plottedMetrics.map((metric) => (
+                <th key={metric.key} scope="col" className="p-2 text-right">
+                  {metric.label}
+                </th>
+              ))}
+              <th scope="col" className="p-2 text-left">
+                {t('trends.analyses')}
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {getTrendRows(series, plottedMetrics).map((point) => (
+              <tr key={point.key} className="border-t">
+                <th scope="row" className="p-2 text-left font-medium">
+                  {point.label}
+                </th>
+                {plottedMetrics.map((metric) => (
+                  <td key={metric.key} className="p-2 text-right">
+                    {point[metric.key] ?? (
+                      <>
+                        <span aria-hidden>—</span>
+                        <span className="sr-only">{t('trends.noReading')}</span>
+                      </>
+                    )}
+                  </td>
+                ))}
+                <td className="p-2">
+                  {point.analyses.length === 1 && (
+                    <Link
+                      className="underline"
+                      to={getAnalysisPath(point.analyses[0].id)}
+                    >
+                      {t('trends.viewAnalysis')}
+                    </Link>
+                  )}
+                  {point.analyses.length > 1 && (
+                    <button
+                      type="button"
+                      className="underline"
+                      onClick={() => setSelectedPoint(point)}
+                    >
+                      {t('trends.analysesCount', {
+                        count: point.analyses.length,
+                      })}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  } else {
+    chart = (
+      <ResponsiveContainer width="100%" height={300}>
+        <LineChart data={series}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="label" />
+          <YAxis />
+          <Tooltip />
+          <Legend />
+          {plottedMetrics.map((metric) => (
+            <Line
+              key={metric.key}
+              type="monotone"
+              dataKey={metric.key}
+              stroke={metric.color}
+              name={metric.label}
+              connectNulls={false}
+              isAnimationActive={false}
+              activeDot={false}
+              // Recharts puts its own key in the dot props; a key can't be spread into JSX.
+              dot={({ key: _key, ...props }) => (
+                <TrendDot
+                  key={`${metric.key}-${props.index}`}
+                  {...props}
+                  metric={metric}
+                  onSelect={selectPoint}
+                  t={t}
+                />
+              )}
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div
+        className="flex flex-wrap gap-1"
+        role="group"
+        aria-label={t('trends.range')}
+      >
+        {TREND_RANGES.map((range) => (
+          <Button
+            key={range.id}
+            variant={rangeId === range.id ? 'default' : 'outline'}
+            size="sm"
+            aria-pressed={rangeId === range.id}
+            onClick={() => selectRange(range.id)}
+          >
+            {t(`trends.range.${range.id}`)}
+          </Button>
+        ))}
+      </div>
+
+      {rangeId === 'custom' && (
+        <div className="flex flex-wrap items-end gap-3 text-sm">
+          <label className="flex flex-col">
+            {t('filters.from')}
+            <input
+              type="date"
+              className="rounded-md border border-input px-2 py-1"
+              value={customRange.from}
+              onChange={(e) =>
+                setCustomRange({ ...customRange, from: e.target.value })
+              }
+            />
+          </label>
+          <label className="flex flex-col">
+            {t('filters.to')}
+            <input
+              type="date"
+              className="rounded-md border border-input px-2 py-1"
+              value={customRange.to}
+              onChange={(e) =>
+                setCustomRange({ ...customRange, to: e.target.value })
+              }
+            />
+          </label>
+          {rangeError && (
+            <p className="text-sm text-red-600" role="alert">
+              {rangeError}
+            </p>
+          )}
+        </div>
+      )}
+
+      <fieldset className="flex flex-wrap gap-3 text-sm">
+        <legend className="sr-only">{t('trends.metrics')}</legend>
+        {metrics.map((metric) => (
+          <label key={metric.key} className="flex items-center space-x-1">
+            <input
+              type="checkbox"
+              checked={!hiddenMetrics.includes(metric.key)}
+              onChange={() => toggleMetric(metric.key)}
+            />
+            <span>{metric.label}</span>
+          </label>
+        ))}
+      </fieldset>
+
+      <div className="flex flex-wrap gap-2">
+        <Button
+          variant="outline"
+          size="sm"
+          aria-pressed={showTable}
+          onClick={() => setShowTable(!showTable)}
+        >
+          {t('trends.viewTable')}
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          disabled={!hasReadings}
+          onClick={() => exportTrends('csv')}
+        >
+          <Download className="mr-2 h-4 w-4" aria-hidden />
+          {t('trends.exportCsv')}
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          disabled={!hasReadings}
+          onClick={() => exportTrends('json')}
+        >
+          <Download className="mr-2 h-4 w-4" aria-hidden />
+          {t('trends.exportJson')}
+        </Button>
+      </div>
+
+      {hasReadings ? (
+        <figure className="space-y-2">
+          {chart}
+          <figcaption className="text-sm text-muted-foreground">
+            {summary.join(' ')}
+          </figcaption>
+        </figure>
+      ) : (
+        chart
+      )}
+      {bounds && bucket !== 'day' && hasReadings && (
+        <p className="text-xs text-muted-foreground">
+          {t(`trends.averagedBy.${bucket}`)}
+        </p>
+      )}
+
+      {selectedPoint && (
+        <section
+          className="rounded-lg border p-3 text-sm space-y-2"
+          aria-label={t('trends.analysesFor', { period: selectedPoint.label })}
+        >
+          <div className="flex items-center justify-between">
+            <p className="font-medium">
+              {selectedPoint.label}:{' '}
+              {t('trends.analysesCount', {
+                count: selectedPoint.analyses.length,
+              })}
+            </p>
+            <button
+              type="button"
+              className="text-muted-foreground hover:text-foreground"
+              aria-label={t('trends.closeAnalyses')}
+              onClick={() => setSelectedPoint(null)}
+            >
+              <X className="h-4 w-4" aria-hidden />
+            </button>
+          </div>
+          <ul className="space-y-1">
+            {selectedPoint.analyses.map((analysis) => (
+              <li key={analysis.id}>
+                <Link className="underline" to={getAnalysisPath(analysis.id)}>
+                  {t('trends.analysisFrom', {
+                    date: formatDate(analysis.dateKey),
+                  })}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+/**
+ * Language and 12h/24h time format pickers for the patient pages' headers; the choice is saved to the
+ * patient's profile (patientI18n).
+ */
+
+import { Languages } from 'lucide-react';
+import {
+  LANGUAGE_NAMES,
+  SUPPORTED_LOCALES,
+  TIME_FORMATS,
+} from '../../utils/i18n';
+import { usePatientI18n } from './patientI18n';
+
+const selectClassName =
+  'h-9 rounded-md border border-input bg-background px-2 text-sm';
+
+export function LanguageSwitcher() {
+  const { t, locale, timeFormat, updatePreferences } = usePatientI18n();
+  return (
+    <div
+      className="flex items-center space-x-2"
+      role="group"
+      aria-label={t('language.settings')}
+    >
+      <Languages className="h-4 w-4 text-muted-foreground" aria-hidden />
+      <select
+        className={selectClassName}
+        aria-label={t('language.label')}
+        value={locale}
+        onChange={(e) => updatePreferences({ locale: e.target.value })}
+      >
+        {SUPPORTED_LOCALES.map((code) => (
+          <option key={code} value={code} lang={code}>
+            {LANGUAGE_NAMES[code]}
+          </option>
+        ))}
+      </select>
+      <select
+        className={selectClassName}
+        aria-label={t('language.timeFormat')}
+        value={timeFormat}
+        onChange={(e) => updatePreferences({ timeFormat: e.target.value })}
+      >
+        {TIME_FORMATS.map((format) => (
+          <option key={format} value={format}>
+            {t(`language.timeFormat.${format}`)}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
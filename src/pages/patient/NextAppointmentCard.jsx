@@ -0,0 +1,236 @@
+/**
+ * Dashboard hero card for the patient's next visit (nextAppointment), shown above the widgets.
+ *
+ * - Doctor, specialization, clinic date/time and a live countdown (every second within the hour, else every
+ *   30 seconds).
+ * - Telehealth visits get a "Join video visit" link, in-person ones directions to the location.
+ * - Preparation checklist; ticks are saved per user and appointment.
+ * - Reschedule opens the Appointments page with the reschedule form for this visit; Cancel asks first, then
+ *   cancels this appointment only (updateAppointment invalidates the cached appointments).
+ * - Text, dates and times in the patient's language and time format (usePatientI18n).
+ */
+
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { CalendarClock, MapPin, Video } from 'lucide-react';
+import {
+  Card,
+  CardHeader,
+  CardTitle,
+  CardContent,
+} from '../../components/Card';
+import { Button } from '../../components/Button';
+import { getAppointmentInterval } from './appointmentIcs';
+import { updateAppointment } from './patientQueries';
+import {
+  formatCountdown,
+  getAppointmentLocation,
+  getNextAppointment,
+  getPreparationChecklist,
+  loadChecklistProgress,
+  saveChecklistProgress,
+} from './nextAppointment';
+import { usePatientI18n } from './patientI18n';
+
+const COUNTDOWN_SECONDS_WITHIN_MS = 3600000;
+
+/** Current time, ticking faster as `until` gets close. */
+function useNow(until) {
+  const [now, setNow] = useState(() => Date.now());
+  const interval =
+    until != null && until - now < COUNTDOWN_SECONDS_WITHIN_MS ? 1000 : 30000;
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), interval);
+    return () => clearInterval(timer);
+  }, [interval]);
+  return now;
+}
+
+function PreparationChecklist({ appointment, userId }) {
+  const i18n = usePatientI18n();
+  const { t } = i18n;
+  const items = getPreparationChecklist(appointment, i18n);
+  const [checked, setChecked] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setChecked([]);
+    loadChecklistProgress(userId, appointment._id).then((saved) => {
+      if (!cancelled) setChecked(saved);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, appointment._id]);
+
+  const toggle = (id) => {
+    const next = checked.includes(id)
+      ? checked.filter((checkedId) => checkedId !== id)
+      : [...checked, id];
+    setChecked(next);
+    saveChecklistProgress(userId, appointment._id, next);
+  };
+  const done = items.filter(({ id }) => checked.includes(id)).length;
+
+  return (
+    <fieldset className="space-y-2 text-sm">
+      <legend className="font-medium">{t('nextAppointment.checklist')}</legend>
+      <p className="text-xs text-muted-foreground">
+        {t('nextAppointment.checklistDone', { done, total: items.length })}
+      </p>
+      {items.map((item) => (
+        <label key={item.id} className="flex items-start space-x-2">
+          <input
+            type="checkbox"
+            className="mt-0.5"
+            checked={checked.includes(item.id)}
+            onChange={() => toggle(item.id)}
+          />
+          <span>{item.label}</span>
+        </label>
+      ))}
+    </fieldset>
+  );
+}
+
+export function NextAppointmentCard({ appointments, userId }) {
+  const i18n = usePatientI18n();
+  const { t, formatDate, formatTime } = i18n;
+  const [cancelling, setCancelling] = useState(false);
+  const next = appointments ? getNextAppointment(appointments) : null;
+  const startsAt = next ? getAppointmentInterval(next).start.getTime() : null;
+  const now = useNow(startsAt);
+
+  if (!appointments) return null;
+
+  if (!next) {
+    return (
+      <section aria-label={t('nextAppointment.title')}>
+        <Card>
+          <CardContent className="flex items-center justify-between pt-6">
+            <p className="text-sm text-muted-foreground">
+              {t('nextAppointment.none')}
+            </p>
+            <Link to="/patient/appointments">
+              <Button size="sm">{t('nextAppointment.book')}</Button>
+            </Link>
+          </CardContent>
+        </Card>
+      </section>
+    );
+  }
+
+  const location = getAppointmentLocation(next);
+  const handleCancel = async () => {
+    if (!window.confirm(t('appointments.confirmCancel'))) return;
+    setCancelling(true);
+    try {
+      await updateAppointment(next._id, { status: 'cancelled' });
+    } catch {
+      alert(t('appointments.cancelFailed'));
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  return (
+    <section aria-label={t('nextAppointment.title')}>
+      <Card className="border-primary">
+        <CardHeader>
+          <CardTitle className="flex items-center space-x-2">
+            <CalendarClock className="h-5 w-5" aria-hidden />
+            <span>{t('nextAppointment.title')}</span>
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="grid gap-6 md:grid-cols-2">
+          <div className="space-y-3">
+            <div>
+              <p className="text-lg font-semibold">
+                {t('common.doctorName', {
+                  name: next.doctor?.name ?? t('common.unknownDoctor'),
+                })}
+              </p>
+              {next.doctor?.specialization && (
+                <p className="text-sm text-muted-foreground">
+                  {next.doctor.specialization}
+                </p>
+              )}
+              <p className="text-sm">
+                {t('common.dateAtTime', {
+                  date: formatDate(next.appointmentDate, 'weekdayDayMonth'),
+                  time: formatTime(next.appointmentTime),
+                })}
+                <span className="ml-2 text-xs text-muted-foreground">
+                  {t(`status.${next.status}`)}
+                </span>
+              </p>
+            </div>
+
+            {startsAt > now ? (
+              <p className="text-sm">
+                {t('nextAppointment.startsIn')}{' '}
+                <span role="timer" className="text-2xl font-bold tabular-nums">
+                  {formatCountdown(startsAt - now, i18n)}
+                </span>
+              </p>
+            ) : (
+              <p className="text-2xl font-bold">{t('nextAppointment.now')}</p>
+            )}
+
+            {location?.type === 'telehealth' && (
+              <a
+                className="inline-flex items-center text-sm underline"
+                href={location.url}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                <Video className="mr-2 h-4 w-4" aria-hidden />
+                {t('nextAppointment.joinVideo')}
+              </a>
+            )}
+            {location?.type === 'in-person' && (
+              <div className="flex items-start space-x-2 text-sm">
+                <MapPin className="mt-0.5 h-4 w-4 shrink-0" aria-hidden />
+                <div>
+                  <p>{location.address}</p>
+                  <a
+                    className="underline"
+                    href={location.directionsUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                  >
+                    {t('nextAppointment.directions')}
+                  </a>
+                </div>
+              </div>
+            )}
+
+            <div className="flex space-x-2">
+              <Link
+                to={`/patient/appointments?reschedule=${encodeURIComponent(next._id)}`}
+              >
+                <Button variant="outline" size="sm">
+                  {t('list.reschedule')}
+                </Button>
+              </Link>
+              <Button
+                variant="outline"
+                size="sm"
+                disabled={cancelling}
+                onClick={handleCancel}
+              >
+                {t(
+                  cancelling
+                    ? 'nextAppointment.cancelling'
+                    : 'nextAppointment.cancel',
+                )}
+              </Button>
+            </div>
+          </div>
+
+          <PreparationChecklist appointment={next} userId={userId} />
+        </CardContent>
+      </Card>
+    </section>
+  );
+}
@@ -0,0 +1,149 @@
+/**
+ * Dashboard header notification center: due appointment reminders and reminder settings (appointmentReminders).
+ *
+ * - The bell shows the unread count; opening the panel marks the listed reminders as read.
+ * - Settings: which lead times to be reminded at and whether to also get browser notifications (asks for
+ *   permission the first time; explains when the browser blocks or lacks them).
+ * - Text in the patient's language (usePatientI18n).
+ */
+
+import { useState } from 'react';
+import { Bell, X } from 'lucide-react';
+import { Button } from '../../components/Button';
+import {
+  formatReminderLeadTime,
+  REMINDER_LEAD_TIMES,
+} from './appointmentReminders';
+import { usePatientI18n } from './patientI18n';
+
+const PERMISSION_NOTES = {
+  denied: 'reminders.blocked',
+  unsupported: 'reminders.unsupported',
+};
+
+export function NotificationCenter({
+  reminders,
+  unreadCount,
+  markAllRead,
+  dismiss,
+  preferences,
+  updatePreferences,
+  permission,
+  setBrowserNotifications,
+}) {
+  const i18n = usePatientI18n();
+  const { t } = i18n;
+  const [open, setOpen] = useState(false);
+
+  const toggleOpen = () => {
+    if (!open) markAllRead();
+    setOpen(!open);
+  };
+  const toggleLeadTime = (minutes) => {
+    const leadTimes = preferences.leadTimes.includes(minutes)
+      ? preferences.leadTimes.filter((leadTime) => leadTime !== minutes)
+      : REMINDER_LEAD_TIMES.map((option) => option.minutes).filter(
+          (leadTime) =>
+            leadTime === minutes || preferences.leadTimes.includes(leadTime),
+        );
+    updatePreferences({ ...preferences, leadTimes });
+  };
+
+  return (
+    <div className="relative">
+      <Button
+        variant="outline"
+        size="sm"
+        aria-expanded={open}
+        aria-label={
+          unreadCount > 0
+            ? t('reminders.unread', { count: unreadCount })
+            : t('reminders.title')
+        }
+        onClick={toggleOpen}
+      >
+        <Bell className="h-4 w-4" aria-hidden />
+        {unreadCount > 0 && (
+          <span
+            className="ml-1 rounded-full bg-red-600 px-1.5 text-xs text-white"
+            aria-hidden
+          >
+            {unreadCount}
+          </span>
+        )}
+      </Button>
+
+      {open && (
+        <section
+          className="absolute right-0 z-40 mt-2 w-80 rounded-lg border bg-background p-4 shadow-lg space-y-4"
+          aria-label={t('reminders.title')}
+        >
+          {reminders.length === 0 ? (
+            <p className="text-sm text-muted-foreground">
+              {t('reminders.none')}
+            </p>
+          ) : (
+            <ul className="space-y-2">
+              {reminders.map((reminder) => (
+                <li
+                  key={reminder.id}
+                  className="flex items-start justify-between space-x-2 text-sm"
+                >
+                  <p>{reminder.message}</p>
+                  <button
+                    type="button"
+                    className="text-muted-foreground hover:text-foreground"
+                    aria-label={t('reminders.dismiss')}
+                    onClick={() => dismiss(reminder.id)}
+                  >
+                    <X className="h-4 w-4" aria-hidden />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <fieldset className="space-y-1 border-t pt-3 text-sm">
+            <legend className="font-medium">{t('reminders.remindMe')}</legend>
+            {REMINDER_LEAD_TIMES.map((option) => (
+              <label
+                key={option.minutes}
+                className="flex items-center space-x-2"
+              >
+                <input
+                  type="checkbox"
+                  checked={preferences.leadTimes.includes(option.minutes)}
+                  onChange={() => toggleLeadTime(option.minutes)}
+                />
+                <span>
+                  {t('reminders.before', {
+                    duration: formatReminderLeadTime(option.minutes, i18n),
+                  })}
+                </span>
+              </label>
+            ))}
+          </fieldset>
+
+          <div className="space-y-1 text-sm">
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={preferences.browser}
+                disabled={
+                  permission === 'denied' || permission === 'unsupported'
+                }
+                onChange={(e) => setBrowserNotifications(e.target.checked)}
+              />
+              <span>{t('reminders.browser')}</span>
+            </label>
+            {PERMISSION_NOTES[permission] && (
+              <p className="text-xs text-muted-foreground">
+                {t(PERMISSION_NOTES[permission])}
+              </p>
+            )}
+          </div>
+        </section>
+      )}
+    </div>
+  );
+}
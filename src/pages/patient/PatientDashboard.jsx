@@ -3,50 +3,51 @@
 /**
  * Patient Dashboard — health overview for the logged-in patient.
  *
- * Problem 1 (fixed): Statistics and recent list now use only the current patient's appointments.
- * Root cause: Raw API appointments were used without filtering; stats came from userService only.
- * Fix: Single O(n) pass (filterAppointmentsForPatientAndCountUpcoming); stable effect deps (userId); cleanup to avoid setState after unmount.
+ * - Next appointment card, reminders in the notification center and live status toasts.
+ * - Widgets from a registry (dashboardWidgets) in a per-user layout; each loads and fails on its own.
+ * - Data is scoped to the current patient and comes from the shared query cache (patientQueries).
+ * - Text and dates follow the patient's language; appointment days are clinic calendar days (utils/dateTime).
+ * - Stable effect deps (userId); cleanup to avoid setState after unmount.
  */
 
-import { useState, useMemo, useEffect } from 'react';
-import { Link } from 'react-router-dom';
-import { format } from 'date-fns';
+import { useState, useEffect, useMemo } from 'react';
+import { ArrowDown, ArrowUp, Settings2 } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { Button } from '../../components/Button';
 import {
-  LineChart,
-  Line,
-  XAxis,
-  YAxis,
-  CartesianGrid,
-  Tooltip,
-  Legend,
-  ResponsiveContainer,
-} from 'recharts';
+  CLINIC_TIME_ZONE,
+  getTodayKey,
+  normalizeDateKey,
+} from '../../utils/dateTime';
 import {
-  Calendar,
-  Activity,
-  FileText,
-  Stethoscope,
-  TrendingUp,
-  User,
-} from 'lucide-react';
-import { useAuth } from '../../context/AuthContext';
-import { userService } from '../../services/userService';
-import { appointmentService } from '../../services/appointmentService';
-import { aiService } from '../../services/aiService';
+  DASHBOARD_WIDGET_IDS,
+  DashboardWidget,
+  getDashboardWidget,
+} from './dashboardWidgets';
 import {
-  Card,
-  CardHeader,
-  CardTitle,
-  CardContent,
-} from '../../components/Card';
-import { Button } from '../../components/Button';
-
-const RECENT_LIMIT = 3;
+  getDefaultDashboardLayout,
+  loadDashboardLayout,
+  moveDashboardWidget,
+  saveDashboardLayout,
+  toggleDashboardWidget,
+} from './dashboardLayout';
+import {
+  getCurrentPatientId,
+  patientQueries,
+  patientQueryKeys,
+} from './patientQueries';
+import { useAppointmentLiveUpdates } from './appointmentLiveUpdates';
+import { AppointmentStatusToasts } from './AppointmentStatusToasts';
+import { useAppointmentReminders } from './appointmentReminders';
+import { NotificationCenter } from './NotificationCenter';
+import { NextAppointmentCard } from './NextAppointmentCard';
+import { LanguageSwitcher } from './LanguageSwitcher';
+import { usePatientI18n } from './patientI18n';
+import { usePatientSessionCleanup } from './patientSession';
+import { getOfflineValue, setOfflineValue } from '../../utils/offlineStore';
+import { useQuery } from '../../utils/queryCache';
 
-/** Returns current user id (supports user._id and user.id for JWT/API). */
-export function getCurrentPatientId(user) {
-  return user ? String(user._id ?? user.id ?? '') : '';
-}
+export { getCurrentPatientId };
 
 /** Extracts patient id from appointment (patient ref may be string or populated object; supports userId/user). */
 export function getPatientIdFromAppointment(appointment) {
@@ -63,15 +64,15 @@ export function getPatientIdFromAppointment(appointment) {
 
 /**
  * Single O(n) pass: filter appointments for current patient and count upcoming (confirmed/pending from today).
- * Empty patientId → empty result (no data leak).
+ * "Today" is the clinic's calendar day. Empty patientId → empty result (no data leak).
  */
 export function filterAppointmentsForPatientAndCountUpcoming(
   appointments,
   patientId,
+  timeZone = CLINIC_TIME_ZONE,
 ) {
   if (!patientId) return { patientAppointments: [], upcomingCount: 0 };
-  const todayStart = new Date();
-  todayStart.setHours(0, 0, 0, 0);
+  const todayKey = getTodayKey(timeZone);
   const patientAppointments = [];
   let upcomingCount = 0;
   for (let i = 0; i < appointments.length; i++) {
@@ -79,7 +80,7 @@ export function filterAppointmentsForPatientAndCountUpcoming(
     if (getPatientIdFromAppointment(appointment) !== patientId) continue;
     patientAppointments.push(appointment);
     if (
-      new Date(appointment.appointmentDate) >= todayStart &&
+      normalizeDateKey(appointment.appointmentDate) >= todayKey &&
       (appointment.status === 'confirmed' ||
         appointment.status === 'pending')
     ) {
@@ -89,143 +90,156 @@ export function filterAppointmentsForPatientAndCountUpcoming(
   return { patientAppointments, upcomingCount };
 }
 
-function getStatusBadgeClass(status) {
-  switch (status) {
-    case 'confirmed':
-      return 'bg-green-100 text-green-800';
-    case 'pending':
-      return 'bg-yellow-100 text-yellow-800';
-    default:
-      return 'bg-gray-100 text-gray-800';
-  }
+/** Query key and fetcher per data source (patientQueries); all are the current patient's data. */
+const DASHBOARD_SOURCES = {
+  stats: (patientId) => ({
+    key: patientQueryKeys.stats(patientId),
+    fetcher: patientQueries.stats,
+  }),
+  appointments: (patientId) => ({
+    key: patientQueryKeys.patientAppointments(patientId),
+    fetcher: patientQueries.patientAppointments(patientId),
+  }),
+  analyses: (patientId) => ({
+    key: patientQueryKeys.analyses(patientId),
+    fetcher: patientQueries.analyses,
+  }),
+  trends: (patientId) => ({
+    key: patientQueryKeys.trends(patientId),
+    fetcher: patientQueries.trends,
+  }),
+};
+
+/** Offline-store key for a source's last successful response (per patient). */
+export function getDashboardSourceCacheKey(patientId, name) {
+  return `dashboard.${name}.${patientId}`;
 }
 
-function getSeverityClass(severity) {
-  switch (severity) {
-    case 'high':
-      return 'text-orange-600';
-    case 'medium':
-      return 'text-yellow-600';
-    default:
-      return 'text-green-600';
-  }
+/**
+ * One dashboard source from the shared query cache: { data, loading, error, stale, updatedAt, retry }.
+ * Each success is also kept offline; when the source fails with nothing cached in memory, that copy is
+ * shown as stale.
+ */
+function useDashboardSource(name, patientId) {
+  const { key, fetcher } = DASHBOARD_SOURCES[name](patientId);
+  const query = useQuery(key, fetcher, { enabled: !!patientId });
+  const cacheKey = getDashboardSourceCacheKey(patientId, name);
+  const [fallback, setFallback] = useState(null);
+
+  useEffect(() => {
+    if (query.data === undefined || !patientId) return;
+    setOfflineValue(cacheKey, {
+      data: query.data,
+      updatedAt: new Date(query.updatedAt).toISOString(),
+    });
+  }, [query.data]);
+
+  useEffect(() => {
+    if (!query.error || !patientId) return;
+    console.error(`Failed to fetch dashboard ${name}`);
+    if (query.data !== undefined) return;
+    let cancelled = false;
+    getOfflineValue(cacheKey).then((cached) => {
+      if (!cancelled && cached) setFallback({ ...cached, cacheKey });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [query.error, cacheKey]);
+
+  const offlineCopy = fallback?.cacheKey === cacheKey ? fallback : null;
+  const data = query.data ?? offlineCopy?.data ?? null;
+  return {
+    data,
+    loading: query.loading || query.fetching,
+    error: query.error,
+    stale: !!query.error && data != null,
+    updatedAt:
+      query.data !== undefined
+        ? new Date(query.updatedAt).toISOString()
+        : (offlineCopy?.updatedAt ?? null),
+    retry: () => query.refetch().catch(() => {}),
+  };
 }
 
-/** Fetches dashboard data; filters by current patient in one O(n) pass; stable deps (userId), cleanup. */
+/**
+ * Dashboard data, each source loaded and cached independently; appointments filtered by current patient in one
+ * O(n) pass. Returns { sources, retrySource }: sources[name] is { data, loading, error, stale, updatedAt }; a
+ * failed source keeps its last successful data (marked stale) and can be retried on its own.
+ */
 function usePatientDashboardData(user) {
-  // 1. State
   const userId = user?.id ?? user?._id ?? null;
-  const [stats, setStats] = useState(null);
-  const [appointments, setAppointments] = useState([]);
-  const [analyses, setAnalyses] = useState([]);
-  const [trends, setTrends] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const currentPatientId = userId ? String(userId) : '';
+  const stats = useDashboardSource('stats', currentPatientId);
+  const appointments = useDashboardSource('appointments', currentPatientId);
+  const analyses = useDashboardSource('analyses', currentPatientId);
+  const trends = useDashboardSource('trends', currentPatientId);
 
-  // 2. Derived state (useMemo)
-  const recentAppointments = useMemo(
-    () => appointments.slice(0, RECENT_LIMIT),
-    [appointments],
-  );
-  const recentAnalyses = useMemo(
-    () => analyses.slice(0, RECENT_LIMIT),
-    [analyses],
+  const appointmentSummary = useMemo(
+    () =>
+      appointments.data &&
+      filterAppointmentsForPatientAndCountUpcoming(
+        appointments.data,
+        currentPatientId,
+      ),
+    [appointments.data, currentPatientId],
   );
 
-  // 3. Data loader (used by effect; defined before effect)
-  const fetchDashboardData = async (currentPatientId, isCancelled) => {
-    try {
-      const [
-        statsResponse,
-        appointmentsResponse,
-        analysesResponse,
-        trendsResponse,
-      ] = await Promise.all([
-        userService.getStats(),
-        appointmentService.getAll().catch(() => ({ appointments: [] })),
-        aiService.getAll().catch(() => ({ analyses: [] })),
-        userService.getTrends().catch(() => ({ trends: [] })),
-      ]);
-
-      if (isCancelled()) return;
+  const sources = {
+    stats,
+    appointments: { ...appointments, data: appointmentSummary },
+    analyses,
+    trends,
+  };
+  const retrySource = (name) => sources[name].retry();
 
-      const allAppointments = appointmentsResponse?.appointments ?? [];
-      const { patientAppointments, upcomingCount } =
-        filterAppointmentsForPatientAndCountUpcoming(
-          allAppointments,
-          currentPatientId,
-        );
+  return { sources, retrySource };
+}
 
-      setStats({
-        ...statsResponse?.stats,
-        myAppointments: patientAppointments.length,
-        upcomingAppointments: upcomingCount,
-      });
-      setAppointments(patientAppointments);
-      setAnalyses(analysesResponse?.analyses ?? []);
-      setTrends(trendsResponse?.trends ?? []);
-    } catch (err) {
-      if (!isCancelled()) {
-        setError(err);
-        console.error('Failed to fetch dashboard data');
-      }
-    } finally {
-      if (!isCancelled()) setLoading(false);
-    }
-  };
+/** Per-user widget layout (default until the saved one loads); changes are saved immediately. */
+function useDashboardLayout(user) {
+  const layoutUserId = getCurrentPatientId(user);
+  const [layout, setLayout] = useState(null);
 
-  // 4. Effect
   useEffect(() => {
-    const currentPatientId = userId ? String(userId) : '';
-    if (!currentPatientId) {
-      setLoading(false);
-      setError(null);
-      return;
-    }
-
     let cancelled = false;
-    const isCancelled = () => cancelled;
-    setLoading(true);
-    setError(null);
-
-    fetchDashboardData(currentPatientId, isCancelled);
+    setLayout(null);
+    loadDashboardLayout(layoutUserId, DASHBOARD_WIDGET_IDS).then((saved) => {
+      if (!cancelled) setLayout(saved);
+    });
     return () => {
       cancelled = true;
     };
-  }, [userId]);
+  }, [layoutUserId]);
 
-  return {
-    stats,
-    recentAppointments,
-    recentAnalyses,
-    trends,
-    loading,
-    error,
+  const updateLayout = (next) => {
+    setLayout(next);
+    saveDashboardLayout(layoutUserId, next);
   };
+
+  return { layout, updateLayout };
 }
 
 export const PatientDashboard = () => {
   const { user } = useAuth();
-  const {
-    stats,
-    recentAppointments,
-    recentAnalyses,
-    trends,
-    loading,
-    error,
-  } = usePatientDashboardData(user);
-
-  const trendsChartData = useMemo(
-    () =>
-      trends.map((entry) => ({
-        date: format(new Date(entry.date), 'MMM dd'),
-        confidence: entry.confidence ?? 0,
-        accuracy: entry.accuracy ?? 0,
-      })),
-    [trends],
+  usePatientSessionCleanup(user);
+  const { sources, retrySource } = usePatientDashboardData(user);
+  const { layout, updateLayout } = useDashboardLayout(user);
+  const { toasts, dismissToast } = useAppointmentLiveUpdates(
+    getCurrentPatientId(user),
   );
+  const patientAppointments =
+    sources.appointments.data?.patientAppointments ?? null;
+  const i18n = usePatientI18n();
+  const { t, locale } = i18n;
+  const reminders = useAppointmentReminders(
+    getCurrentPatientId(user),
+    patientAppointments,
+    i18n,
+  );
+  const [customizing, setCustomizing] = useState(false);
 
-  if (loading) {
+  if (!layout) {
     return (
       <div
         className="text-center py-12"
@@ -233,266 +247,123 @@ export const PatientDashboard = () => {
         aria-live="polite"
         aria-busy="true"
       >
-        Loading...
+        {t('common.loading')}
       </div>
     );
   }
 
-  if (error) {
-    return (
-      <div className="text-center py-12" role="alert">
-        <p className="text-destructive font-medium">
-          Failed to load dashboard
-        </p>
-        <p className="text-sm text-muted-foreground mt-1">{error.message}</p>
-      </div>
-    );
-  }
+  const visibleWidgets = layout
+    .filter((item) => item.visible)
+    .map((item) => getDashboardWidget(item.id));
 
   return (
-    <div className="space-y-6">
-      <header>
-        <h1 className="text-3xl font-bold">Welcome back, {user?.name}</h1>
-        <p className="text-muted-foreground mt-2">
-          Here's your health overview
-        </p>
+    <div className="space-y-6" lang={locale}>
+      <AppointmentStatusToasts toasts={toasts} onDismiss={dismissToast} />
+      <header className="flex justify-between items-start">
+        <div>
+          <h1 className="text-3xl font-bold">
+            {t('dashboard.welcome', { name: user?.name ?? '' })}
+          </h1>
+          <p className="text-muted-foreground mt-2">
+            {t('dashboard.overview')}
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          <LanguageSwitcher />
+          <NotificationCenter {...reminders} />
+          <Button
+            variant="outline"
+            size="sm"
+            aria-expanded={customizing}
+            onClick={() => setCustomizing(!customizing)}
+          >
+            <Settings2 className="mr-2 h-4 w-4" aria-hidden />
+            {t(customizing ? 'dashboard.done' : 'dashboard.customize')}
+          </Button>
+        </div>
       </header>
 
-      <section
-        className="grid gap-4 md:grid-cols-2 lg:grid-cols-4"
-        aria-label="Statistics"
-      >
-        <Card>
-          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-            <CardTitle className="text-sm font-medium">Appointments</CardTitle>
-            <Calendar
-              className="h-4 w-4 text-muted-foreground"
-              aria-hidden
-            />
-          </CardHeader>
-          <CardContent>
-            <div className="text-2xl font-bold">
-              {stats?.myAppointments ?? 0}
-            </div>
-            <p className="text-xs text-muted-foreground">
-              {stats?.upcomingAppointments ?? 0} upcoming
-            </p>
-          </CardContent>
-        </Card>
-        <Card>
-          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-            <CardTitle className="text-sm font-medium">AI Analyses</CardTitle>
-            <Activity
-              className="h-4 w-4 text-muted-foreground"
-              aria-hidden
-            />
-          </CardHeader>
-          <CardContent>
-            <div className="text-2xl font-bold">{stats?.myAnalyses ?? 0}</div>
-            <p className="text-xs text-muted-foreground">Total analyses</p>
-          </CardContent>
-        </Card>
-        <Card>
-          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-            <CardTitle className="text-sm font-medium">Reports</CardTitle>
-            <FileText
-              className="h-4 w-4 text-muted-foreground"
-              aria-hidden
-            />
-          </CardHeader>
-          <CardContent>
-            <div className="text-2xl font-bold">{stats?.myReports ?? 0}</div>
-            <p className="text-xs text-muted-foreground">Medical reports</p>
-          </CardContent>
-        </Card>
-        <Card>
-          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-            <CardTitle className="text-sm font-medium">Quick Actions</CardTitle>
-            <Stethoscope
-              className="h-4 w-4 text-muted-foreground"
-              aria-hidden
-            />
-          </CardHeader>
-          <CardContent>
-            <div className="space-y-2">
-              <Link to="/patient/symptom-checker">
-                <Button variant="outline" size="sm" className="w-full">
-                  Check Symptoms
-                </Button>
-              </Link>
-            </div>
-          </CardContent>
-        </Card>
-      </section>
-
-      <div className="grid gap-4 md:grid-cols-2">
-        <Card>
-          <CardHeader>
-            <CardTitle>Quick Actions</CardTitle>
-          </CardHeader>
-          <CardContent className="space-y-2">
-            <Link to="/patient/appointments">
-              <Button variant="outline" className="w-full justify-start">
-                <Calendar className="mr-2 h-4 w-4" aria-hidden />
-                View Appointments
-              </Button>
-            </Link>
-            <Link to="/patient/symptom-checker">
-              <Button variant="outline" className="w-full justify-start">
-                <Stethoscope className="mr-2 h-4 w-4" aria-hidden />
-                Symptom Checker
-              </Button>
-            </Link>
-            <Link to="/patient/reports">
-              <Button variant="outline" className="w-full justify-start">
-                <FileText className="mr-2 h-4 w-4" aria-hidden />
-                Medical Reports
-              </Button>
-            </Link>
-            <Link to="/patient/analyses">
-              <Button variant="outline" className="w-full justify-start">
-                <Activity className="mr-2 h-4 w-4" aria-hidden />
-                AI Analyses
-              </Button>
-            </Link>
-            <Link to="/patient/profile">
-              <Button variant="outline" className="w-full justify-start">
-                <User className="mr-2 h-4 w-4" aria-hidden />
-                My Profile
-              </Button>
-            </Link>
-          </CardContent>
-        </Card>
-
-        <Card>
-          <CardHeader>
-            <CardTitle>Recent Appointments</CardTitle>
-          </CardHeader>
-          <CardContent>
-            {recentAppointments.length === 0 ? (
-              <p className="text-sm text-muted-foreground text-center py-4">
-                No recent appointments
-              </p>
-            ) : (
-              <div className="space-y-3">
-                {recentAppointments.map((appointment) => (
-                  <div
-                    key={appointment._id}
-                    className="flex justify-between items-center p-2 border rounded-lg"
-                  >
-                    <div>
-                      <p className="font-medium text-sm">
-                        Dr. {appointment.doctor?.name ?? 'Unknown'}
-                      </p>
-                      <p className="text-xs text-muted-foreground">
-                        {format(
-                          new Date(appointment.appointmentDate),
-                          'MMM dd',
-                        )}{' '}
-                        at {appointment.appointmentTime}
-                      </p>
-                    </div>
-                    <span
-                      className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusBadgeClass(
-                        appointment.status,
-                      )}`}
+      {customizing && (
+        <section
+          className="rounded-lg border p-4 space-y-2"
+          aria-label={t('dashboard.customizeLabel')}
+        >
+          <ul className="space-y-2">
+            {layout.map((item, index) => {
+              const title = t(getDashboardWidget(item.id).titleKey);
+              return (
+                <li key={item.id} className="flex items-center justify-between">
+                  <label className="flex items-center space-x-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={item.visible}
+                      onChange={() =>
+                        updateLayout(toggleDashboardWidget(layout, item.id))
+                      }
+                    />
+                    <span>{title}</span>
+                  </label>
+                  <div className="flex space-x-1">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      aria-label={t('dashboard.moveUp', { title })}
+                      disabled={index === 0}
+                      onClick={() =>
+                        updateLayout(moveDashboardWidget(layout, item.id, -1))
+                      }
                     >
-                      {appointment.status}
-                    </span>
+                      <ArrowUp className="h-4 w-4" aria-hidden />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      aria-label={t('dashboard.moveDown', { title })}
+                      disabled={index === layout.length - 1}
+                      onClick={() =>
+                        updateLayout(moveDashboardWidget(layout, item.id, 1))
+                      }
+                    >
+                      <ArrowDown className="h-4 w-4" aria-hidden />
+                    </Button>
                   </div>
-                ))}
-                <Link to="/patient/appointments">
-                  <Button variant="outline" size="sm" className="w-full mt-2">
-                    View All
-                  </Button>
-                </Link>
-              </div>
-            )}
-          </CardContent>
-        </Card>
+                </li>
+              );
+            })}
+          </ul>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() =>
+              updateLayout(getDefaultDashboardLayout(DASHBOARD_WIDGET_IDS))
+            }
+          >
+            {t('dashboard.resetLayout')}
+          </Button>
+        </section>
+      )}
 
-        <Card>
-          <CardHeader>
-            <CardTitle>Recent AI Analyses</CardTitle>
-          </CardHeader>
-          <CardContent>
-            {recentAnalyses.length === 0 ? (
-              <p className="text-sm text-muted-foreground text-center py-4">
-                No analyses yet
-              </p>
-            ) : (
-              <div className="space-y-3">
-                {recentAnalyses.map((analysis) => (
-                  <div
-                    key={analysis._id}
-                    className="p-2 border rounded-lg"
-                  >
-                    <div className="flex justify-between items-center mb-1">
-                      <span className="text-sm font-medium">
-                        {format(
-                          new Date(analysis.createdAt),
-                          'MMM dd',
-                        )}
-                      </span>
-                      <span
-                        className={`text-xs font-medium ${getSeverityClass(
-                          analysis.aiResponse?.severity,
-                        )}`}
-                      >
-                        {analysis.aiResponse?.severity?.toUpperCase() ??
-                          'LOW'}
-                      </span>
-                    </div>
-                    <p className="text-xs text-muted-foreground line-clamp-2">
-                      {analysis.userInput?.substring(0, 100)}...
-                    </p>
-                  </div>
-                ))}
-                <Link to="/patient/analyses">
-                  <Button variant="outline" size="sm" className="w-full mt-2">
-                    View All
-                  </Button>
-                </Link>
-              </div>
-            )}
-          </CardContent>
-        </Card>
-      </div>
+      <NextAppointmentCard
+        appointments={patientAppointments}
+        userId={getCurrentPatientId(user)}
+      />
 
-      {trends.length > 0 && (
-        <Card>
-          <CardHeader>
-            <CardTitle className="flex items-center space-x-2">
-              <TrendingUp className="h-5 w-5" aria-hidden />
-              <span>Health Trends</span>
-            </CardTitle>
-          </CardHeader>
-          <CardContent>
-            <ResponsiveContainer width="100%" height={300}>
-              <LineChart
-                data={trendsChartData}
-              >
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="date" />
-                <YAxis />
-                <Tooltip />
-                <Legend />
-                <Line
-                  type="monotone"
-                  dataKey="confidence"
-                  stroke="#8884d8"
-                  name="Confidence %"
-                />
-                <Line
-                  type="monotone"
-                  dataKey="accuracy"
-                  stroke="#82ca9d"
-                  name="Accuracy %"
-                />
-              </LineChart>
-            </ResponsiveContainer>
-          </CardContent>
-        </Card>
+      {visibleWidgets.length === 0 ? (
+        <p className="text-sm text-muted-foreground text-center py-4">
+          {t('dashboard.allHidden')}
+        </p>
+      ) : (
+        <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-4">
+          {visibleWidgets.map((widget) => (
+            <DashboardWidget
+              key={widget.id}
+              widget={widget}
+              sources={sources}
+              userId={getCurrentPatientId(user)}
+              onRetry={retrySource}
+            />
+          ))}
+        </div>
       )}
     </div>
   );
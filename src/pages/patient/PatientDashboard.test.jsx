@@ -1,13 +1,39 @@
 /**
  * @jest-environment jsdom
  */
-import { render, screen, waitFor } from '@testing-library/react';
+import {
+  act,
+  render,
+  screen,
+  waitFor,
+  within,
+  fireEvent,
+} from '@testing-library/react';
 import {
   PatientDashboard,
+  getDashboardSourceCacheKey,
   getCurrentPatientId,
   getPatientIdFromAppointment,
   filterAppointmentsForPatientAndCountUpcoming,
 } from './PatientDashboard';
+import { appointmentService } from '../../services/appointmentService';
+import { userService } from '../../services/userService';
+import { aiService } from '../../services/aiService';
+import {
+  deleteOfflineValue,
+  getOfflineValue,
+  setOfflineValue,
+} from '../../utils/offlineStore';
+import { clearQueryCache } from '../../utils/queryCache';
+import { addDaysToDateKey, getTodayKey } from '../../utils/dateTime';
+import { downloadFile } from '../../utils/download';
+import {
+  getReminderPreferencesKey,
+  getReminderStateKey,
+} from './appointmentReminders';
+import { getChecklistProgressKey } from './nextAppointment';
+import { getEventSequencesKey } from './appointmentIcs';
+import { clearSessionLocalePreferences } from './patientI18n';
 
 // --- mocks
 jest.mock('../../context/AuthContext', () => ({
@@ -18,15 +44,17 @@ jest.mock('../../context/AuthContext', () => ({
 
 jest.mock('../../services/userService', () => ({
   userService: {
-    getStats: () =>
+    getStats: jest.fn(() =>
       Promise.resolve({ stats: { myAnalyses: 0, myReports: 0 } }),
-    getTrends: () => Promise.resolve({ trends: [] }),
+    ),
+    getTrends: jest.fn(() => Promise.resolve({ trends: [] })),
+    updateProfile: jest.fn(() => Promise.resolve({})),
   },
 }));
 
 jest.mock('../../services/appointmentService', () => ({
   appointmentService: {
-    getAll: () =>
+    getAll: jest.fn(() =>
       Promise.resolve({
         appointments: [
           {
@@ -55,19 +83,35 @@ jest.mock('../../services/appointmentService', () => ({
           },
         ],
       }),
+    ),
+    update: jest.fn(() => Promise.resolve({})),
   },
 }));
 
 jest.mock('../../services/aiService', () => ({
   aiService: {
-    getAll: () => Promise.resolve({ analyses: [] }),
+    getAll: jest.fn(() => Promise.resolve({ analyses: [] })),
   },
 }));
 
+const mockNavigate = jest.fn();
 jest.mock('react-router-dom', () => ({
   Link: ({ children, to }) => <a href={to}>{children}</a>,
+  useNavigate: () => mockNavigate,
 }));
 
+jest.mock('../../utils/download', () => ({ downloadFile: jest.fn() }));
+
+// ResponsiveContainer measures its parent, which is 0×0 in jsdom; give the chart a fixed size instead.
+jest.mock('recharts', () => {
+  const { cloneElement } = jest.requireActual('react');
+  return {
+    ...jest.requireActual('recharts'),
+    ResponsiveContainer: ({ children }) =>
+      cloneElement(children, { width: 600, height: 300 }),
+  };
+});
+
 jest.mock('../../components/Card', () => ({
   Card: ({ children }) => <div data-testid="card">{children}</div>,
   CardHeader: ({ children }) => (
@@ -85,6 +129,32 @@ jest.mock('../../components/Button', () => ({
   Button: ({ children, ...props }) => <button {...props}>{children}</button>,
 }));
 
+// jsdom has no EventSource; live status updates connect to this stand-in.
+class FakeEventSource {
+  constructor(url) {
+    this.url = url;
+    this.readyState = 1;
+    FakeEventSource.current = this;
+  }
+  push(appointment) {
+    act(() =>
+      this.onmessage?.({
+        data: JSON.stringify({ type: 'appointment.updated', appointment }),
+      }),
+    );
+  }
+  close() {
+    this.readyState = 2;
+  }
+}
+FakeEventSource.CLOSED = 2;
+beforeAll(() => {
+  global.EventSource = FakeEventSource;
+});
+afterAll(() => {
+  delete global.EventSource;
+});
+
 describe('getCurrentPatientId', () => {
   it('returns id from user.id', () => {
     expect(getCurrentPatientId({ id: 'uid-1' })).toBe('uid-1');
@@ -137,6 +207,25 @@ describe('filterAppointmentsForPatientAndCountUpcoming', () => {
     expect(patientAppointments.map((a) => a._id)).toEqual(['1', '3', '4']);
     expect(upcomingCount).toBe(2);
   });
+  it('counts today in the clinic zone, not UTC (pinned clock)', () => {
+    // 03:30 UTC on Jan 8 is still Jan 7 in New York.
+    jest.useFakeTimers({ now: new Date('2030-01-08T03:30:00.000Z') });
+    try {
+      const list = [
+        { _id: '1', patient: 'p1', appointmentDate: '2030-01-07T00:00:00.000Z', status: 'confirmed' },
+        { _id: '2', patient: 'p1', appointmentDate: '2030-01-06', status: 'confirmed' },
+      ];
+      expect(
+        filterAppointmentsForPatientAndCountUpcoming(list, 'p1').upcomingCount,
+      ).toBe(1);
+      expect(
+        filterAppointmentsForPatientAndCountUpcoming(list, 'p1', 'UTC')
+          .upcomingCount,
+      ).toBe(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
   it('returns empty list and 0 when patientId is empty (no data leak)', () => {
     const list = [{ _id: '1', patient: 'p1' }];
     const { patientAppointments, upcomingCount } =
@@ -148,6 +237,17 @@ describe('filterAppointmentsForPatientAndCountUpcoming', () => {
 
 // --- RTL: component shows only current patient's appointments
 describe('PatientDashboard', () => {
+  beforeEach(() => {
+    clearQueryCache();
+    return Promise.all([
+      ...['stats', 'appointments', 'analyses', 'trends'].map((name) =>
+        deleteOfflineValue(getDashboardSourceCacheKey('patient-1', name)),
+      ),
+      deleteOfflineValue(getReminderPreferencesKey('patient-1')),
+      deleteOfflineValue(getReminderStateKey('patient-1')),
+    ]);
+  });
+
   it('shows loading then only current patient appointments and correct count', async () => {
     render(<PatientDashboard />);
     expect(screen.getByText(/Loading/)).toBeInTheDocument();
@@ -163,4 +263,699 @@ describe('PatientDashboard', () => {
     expect(screen.getByText(/Dr. C/)).toBeInTheDocument();
     expect(screen.queryByText(/Dr. B/)).not.toBeInTheDocument();
   });
+  it('requests only the current patient appointments', async () => {
+    render(<PatientDashboard />);
+    await waitFor(() => {
+      expect(screen.queryByText(/Loading/)).not.toBeInTheDocument();
+    });
+    expect(appointmentService.getAll).toHaveBeenCalledWith({
+      patient: 'patient-1',
+    });
+  });
+  it('shows cached data at once when revisited and refreshes it in the background', async () => {
+    const { unmount } = render(<PatientDashboard />);
+    await waitFor(() => {
+      expect(screen.queryByText(/Loading/)).not.toBeInTheDocument();
+    });
+    unmount();
+
+    appointmentService.getAll.mockClear();
+    render(<PatientDashboard />);
+    // Only the saved layout is read first; the widgets render from the cache without a loading state.
+    const region = await screen.findByRole('region', {
+      name: 'Recent Appointments',
+    });
+    expect(within(region).queryByText(/Loading/)).not.toBeInTheDocument();
+    expect(within(region).getByText(/Dr. A/)).toBeInTheDocument();
+    // Cached data is still fresh, so no request is made.
+    expect(appointmentService.getAll).not.toHaveBeenCalled();
+  });
+  it('updates counters in place when a status change is pushed', async () => {
+    appointmentService.getAll.mockResolvedValueOnce({
+      appointments: [
+        {
+          _id: 'a1',
+          patient: 'patient-1',
+          doctor: { name: 'Lee' },
+          appointmentDate: '2030-02-10',
+          appointmentTime: '10:00',
+          status: 'confirmed',
+        },
+      ],
+    });
+    render(<PatientDashboard />);
+    const region = await screen.findByRole('region', { name: 'Appointments' });
+    await waitFor(() => {
+      expect(within(region).getByText('1 upcoming')).toBeInTheDocument();
+    });
+
+    FakeEventSource.current.push({ _id: 'a1', status: 'cancelled' });
+    expect(within(region).getByText('0 upcoming')).toBeInTheDocument();
+    expect(
+      screen.getByText(
+        'Your appointment with Dr. Lee on Feb 10 at 10:00 is now cancelled.',
+      ),
+    ).toBeInTheDocument();
+  });
+  it('downloads an event with the next SEQUENCE after the list exported it', async () => {
+    appointmentService.getAll.mockResolvedValueOnce({
+      appointments: [
+        {
+          _id: 'a1',
+          patient: 'patient-1',
+          doctor: { name: 'Lee' },
+          appointmentDate: '2030-02-10',
+          appointmentTime: '10:00',
+          status: 'confirmed',
+          updatedAt: '2030-01-05T10:00:00.000Z',
+        },
+      ],
+    });
+    // Exported twice from the Appointments list before it changed again.
+    await setOfflineValue(getEventSequencesKey('patient-1'), {
+      a1: { revision: '2030-01-02T10:00:00.000Z', sequence: 1 },
+    });
+    try {
+      render(<PatientDashboard />);
+      fireEvent.click(
+        await screen.findByRole('button', { name: 'Download calendar event' }),
+      );
+      await waitFor(() => expect(downloadFile).toHaveBeenCalled());
+      expect(downloadFile.mock.calls.at(-1)[1]).toContain('SEQUENCE:2');
+    } finally {
+      await deleteOfflineValue(getEventSequencesKey('patient-1'));
+    }
+  });
+  it('switches language, pluralizes counts and saves the choice to the profile', async () => {
+    const appointment = {
+      patient: 'patient-1',
+      doctor: { name: 'Lee' },
+      appointmentDate: '2030-02-10',
+      appointmentTime: '14:30',
+      status: 'confirmed',
+    };
+    appointmentService.getAll.mockResolvedValueOnce({
+      appointments: [
+        { ...appointment, _id: 'a1' },
+        { ...appointment, _id: 'a2', appointmentDate: '2030-02-11' },
+      ],
+    });
+    const { unmount } = render(<PatientDashboard />);
+    const region = await screen.findByRole('region', { name: 'Appointments' });
+    await waitFor(() => {
+      expect(within(region).getByText('2 upcoming')).toBeInTheDocument();
+    });
+    expect(screen.getAllByText('Feb 10 at 14:30')).not.toHaveLength(0);
+
+    try {
+      fireEvent.change(screen.getByLabelText('Display language'), {
+        target: { value: 'pl' },
+      });
+      expect(
+        screen.getByRole('heading', { name: 'Witaj ponownie, Test Patient' }),
+      ).toBeInTheDocument();
+      const wizyty = screen.getByRole('region', { name: 'Wizyty' });
+      expect(within(wizyty).getByText('2 nadchodzące')).toBeInTheDocument();
+      expect(
+        within(
+          screen.getByRole('region', { name: 'Ostatnie wizyty' }),
+        ).getAllByText('potwierdzona'),
+      ).toHaveLength(2);
+      expect(screen.getAllByText('10 lut o 14:30')).not.toHaveLength(0);
+      // No time format chosen yet: Polish shows 24h and the profile keeps following the language.
+      expect(userService.updateProfile).toHaveBeenCalledWith({
+        preferences: { language: 'pl', timeFormat: '' },
+      });
+
+      // The next-appointment card, the notification bell and status toasts follow the language too.
+      expect(
+        within(
+          screen.getByRole('region', { name: 'Najbliższa wizyta' }),
+        ).getByText(/Zaczyna się za/),
+      ).toBeInTheDocument();
+      expect(
+        screen.getByRole('button', { name: /^Powiadomienia/ }),
+      ).toBeInTheDocument();
+
+      FakeEventSource.current.push({ _id: 'a2', status: 'cancelled' });
+      expect(within(wizyty).getByText('1 nadchodząca')).toBeInTheDocument();
+      expect(
+        screen.getByText('Status wizyty u dr. Lee 11 lut o 14:30: odwołana.'),
+      ).toBeInTheDocument();
+
+      // The choice holds when the patient comes back to the page.
+      unmount();
+      render(<PatientDashboard />);
+      expect(
+        await screen.findByRole('heading', {
+          name: 'Witaj ponownie, Test Patient',
+        }),
+      ).toBeInTheDocument();
+    } finally {
+      clearSessionLocalePreferences();
+    }
+  });
+  it('hides and reorders widgets and keeps the layout for the user', async () => {
+    const { unmount } = render(<PatientDashboard />);
+    await waitFor(() => {
+      expect(screen.queryByText(/Loading/)).not.toBeInTheDocument();
+    });
+    fireEvent.click(screen.getByRole('button', { name: /Customize/ }));
+    const panel = screen.getByRole('region', { name: 'Customize dashboard' });
+    fireEvent.click(within(panel).getByLabelText('Reports'));
+    fireEvent.click(
+      within(panel).getByRole('button', { name: 'Move Health Trends up' }),
+    );
+    expect(
+      screen.queryByRole('region', { name: 'Reports' }),
+    ).not.toBeInTheDocument();
+    unmount();
+
+    render(<PatientDashboard />);
+    await waitFor(() => {
+      expect(
+        screen.getByRole('region', { name: 'Appointments' }),
+      ).toBeInTheDocument();
+    });
+    expect(
+      screen.queryByRole('region', { name: 'Reports' }),
+    ).not.toBeInTheDocument();
+    const titles = screen
+      .getAllByRole('region')
+      .map((region) => region.getAttribute('aria-label'));
+    expect(titles.slice(-2)).toEqual(['Health Trends', 'Recent AI Analyses']);
+
+    fireEvent.click(screen.getByRole('button', { name: /Customize/ }));
+    fireEvent.click(screen.getByRole('button', { name: 'Reset layout' }));
+    expect(screen.getByRole('region', { name: 'Reports' })).toBeInTheDocument();
+  });
+  it('a failing source only affects the widgets that use it', async () => {
+    userService.getStats.mockRejectedValueOnce(new Error('Server error'));
+    render(<PatientDashboard />);
+    await waitFor(() => {
+      expect(screen.queryByText(/Loading/)).not.toBeInTheDocument();
+    });
+    expect(
+      within(screen.getByRole('region', { name: 'AI Analyses' })).getByRole(
+        'alert',
+      ),
+    ).toHaveTextContent('Failed to load AI Analyses');
+    expect(
+      within(screen.getByRole('region', { name: 'Reports' })).getByRole(
+        'alert',
+      ),
+    ).toBeInTheDocument();
+    expect(screen.getByText(/Dr. A/)).toBeInTheDocument();
+    expect(
+      screen.queryByText(/Failed to load dashboard/),
+    ).not.toBeInTheDocument();
+  });
+
+  const widgetTitles = [
+    'Appointments',
+    'AI Analyses',
+    'Reports',
+    'Quick Actions',
+    'Recent Appointments',
+    'Recent AI Analyses',
+    'Health Trends',
+  ];
+
+  it.each([
+    ['stats', () => userService.getStats, ['AI Analyses', 'Reports']],
+    [
+      'appointments',
+      () => appointmentService.getAll,
+      ['Appointments', 'Recent Appointments'],
+    ],
+    ['analyses', () => aiService.getAll, ['Recent AI Analyses']],
+    ['trends', () => userService.getTrends, ['Health Trends']],
+  ])(
+    '%s failing shows an inline error only in its widgets',
+    async (_source, getFetcher, failedTitles) => {
+      getFetcher().mockRejectedValueOnce(new Error('Server error'));
+      render(<PatientDashboard />);
+      await waitFor(() => {
+        expect(screen.queryByText(/Loading/)).not.toBeInTheDocument();
+      });
+      for (const title of widgetTitles) {
+        const region = screen.getByRole('region', { name: title });
+        if (failedTitles.includes(title)) {
+          expect(within(region).getByRole('alert')).toHaveTextContent(
+            `Failed to load ${title}`,
+          );
+          expect(
+            within(region).getByRole('button', { name: `Retry ${title}` }),
+          ).toBeInTheDocument();
+        } else {
+          expect(within(region).queryByRole('alert')).not.toBeInTheDocument();
+        }
+      }
+    },
+  );
+  it('retries a failed source on its own', async () => {
+    userService.getStats.mockRejectedValueOnce(new Error('Server error'));
+    render(<PatientDashboard />);
+    const region = await screen.findByRole('region', { name: 'AI Analyses' });
+    await waitFor(() => {
+      expect(within(region).getByRole('alert')).toBeInTheDocument();
+    });
+    const appointmentCalls = appointmentService.getAll.mock.calls.length;
+    fireEvent.click(
+      within(region).getByRole('button', { name: 'Retry AI Analyses' }),
+    );
+    await waitFor(() => {
+      expect(within(region).queryByRole('alert')).not.toBeInTheDocument();
+    });
+    expect(within(region).getByText('0')).toBeInTheDocument();
+    expect(appointmentService.getAll).toHaveBeenCalledTimes(appointmentCalls);
+  });
+  it('shows the last successful data as stale while a retry runs', async () => {
+    userService.getStats.mockResolvedValueOnce({
+      stats: { myAnalyses: 5, myReports: 1 },
+    });
+    const { unmount } = render(<PatientDashboard />);
+    await waitFor(() => {
+      expect(screen.getByText('5')).toBeInTheDocument();
+    });
+    unmount();
+    // A reload starts with an empty query cache.
+    clearQueryCache();
+
+    userService.getStats.mockRejectedValueOnce(new Error('Server error'));
+    render(<PatientDashboard />);
+    const region = await screen.findByRole('region', { name: 'AI Analyses' });
+    await waitFor(() => {
+      expect(within(region).getByRole('alert')).toHaveTextContent(
+        /Couldn't refresh/,
+      );
+    });
+    expect(within(region).getByText('5')).toBeInTheDocument();
+
+    let resolveStats;
+    userService.getStats.mockImplementationOnce(
+      () =>
+        new Promise((resolve) => {
+          resolveStats = resolve;
+        }),
+    );
+    fireEvent.click(
+      within(region).getByRole('button', { name: 'Retry AI Analyses' }),
+    );
+    expect(within(region).getByText('Retrying...')).toBeInTheDocument();
+    expect(within(region).getByText('5')).toBeInTheDocument();
+
+    resolveStats({ stats: { myAnalyses: 6, myReports: 1 } });
+    await waitFor(() => {
+      expect(within(region).getByText('6')).toBeInTheDocument();
+    });
+    expect(within(region).queryByRole('alert')).not.toBeInTheDocument();
+  });
+  it('links recent analyses to their details and a follow-up booking', async () => {
+    aiService.getAll.mockResolvedValueOnce({
+      analyses: [
+        {
+          _id: 'an1',
+          createdAt: '2030-01-20T15:00:00.000Z',
+          userInput: 'Chest pain when climbing stairs',
+          aiResponse: { severity: 'high' },
+        },
+      ],
+    });
+    render(<PatientDashboard />);
+    const region = await screen.findByRole('region', {
+      name: 'Recent AI Analyses',
+    });
+    await within(region).findByText('Chest pain when climbing stairs');
+    expect(within(region).getByText('Jan 20').closest('a')).toHaveAttribute(
+      'href',
+      '/patient/analyses/an1',
+    );
+    expect(
+      within(region).getByText('Book follow-up').closest('a'),
+    ).toHaveAttribute('href', '/patient/appointments?followUp=an1');
+  });
+
+  describe('Next appointment', () => {
+    const upcoming = (overrides) => ({
+      patient: 'patient-1',
+      doctor: { name: 'Okafor', specialization: 'Dermatology' },
+      appointmentTime: '09:30',
+      status: 'confirmed',
+      ...overrides,
+    });
+    const renderNext = async (appointments) => {
+      appointmentService.getAll.mockResolvedValueOnce({ appointments });
+      render(<PatientDashboard />);
+      return screen.findByRole('region', { name: 'Next appointment' });
+    };
+
+    it('highlights the soonest upcoming visit with a countdown and directions', async () => {
+      const card = await renderNext([
+        upcoming({
+          _id: 'n2',
+          doctor: { name: 'Later' },
+          appointmentDate: addDaysToDateKey(getTodayKey(), 9),
+        }),
+        upcoming({
+          _id: 'n1',
+          appointmentDate: addDaysToDateKey(getTodayKey(), 3),
+          location: { address: '1 Main St' },
+          reason: 'Itchy rash on arm',
+        }),
+      ]);
+      expect(within(card).getByText('Dr. Okafor')).toBeInTheDocument();
+      expect(within(card).getByText('Dermatology')).toBeInTheDocument();
+      expect(within(card).getByRole('timer')).toHaveTextContent(
+        /^\dd \d{2}h \d{2}m$/,
+      );
+      expect(
+        within(card).getByRole('link', { name: 'Get directions' }),
+      ).toHaveAttribute(
+        'href',
+        'https://www.google.com/maps/dir/?api=1&destination=1%20Main%20St',
+      );
+      expect(
+        within(card).getByRole('link', { name: 'Reschedule' }),
+      ).toHaveAttribute('href', '/patient/appointments?reschedule=n1');
+      expect(
+        within(card).getByLabelText('Take photos of how the area has changed'),
+      ).toBeInTheDocument();
+    });
+    it('shows the telehealth link and keeps checklist ticks', async () => {
+      const card = await renderNext([
+        upcoming({
+          _id: 'n1',
+          appointmentDate: addDaysToDateKey(getTodayKey(), 2),
+          telehealthUrl: 'https://meet.example.com/n1',
+        }),
+      ]);
+      expect(
+        within(card).getByRole('link', { name: 'Join video visit' }),
+      ).toHaveAttribute('href', 'https://meet.example.com/n1');
+      fireEvent.click(
+        within(card).getByLabelText(
+          'Test your camera, microphone and connection',
+        ),
+      );
+      expect(within(card).getByText('1 of 5 done')).toBeInTheDocument();
+      await waitFor(async () => {
+        expect(
+          await getOfflineValue(getChecklistProgressKey('patient-1', 'n1')),
+        ).toEqual(['test-devices']);
+      });
+      await deleteOfflineValue(getChecklistProgressKey('patient-1', 'n1'));
+    });
+    it('cancels the visit after confirming and moves on to the next one', async () => {
+      const next = upcoming({
+        _id: 'n1',
+        appointmentDate: addDaysToDateKey(getTodayKey(), 2),
+      });
+      const after = upcoming({
+        _id: 'n2',
+        doctor: { name: 'Later' },
+        appointmentDate: addDaysToDateKey(getTodayKey(), 5),
+      });
+      const card = await renderNext([next, after]);
+      const confirmSpy = jest.spyOn(window, 'confirm').mockReturnValue(true);
+      appointmentService.getAll.mockResolvedValueOnce({
+        appointments: [{ ...next, status: 'cancelled' }, after],
+      });
+      fireEvent.click(
+        within(card).getByRole('button', { name: 'Cancel appointment' }),
+      );
+      await waitFor(() => {
+        expect(within(card).getByText('Dr. Later')).toBeInTheDocument();
+      });
+      expect(appointmentService.update).toHaveBeenCalledWith('n1', {
+        status: 'cancelled',
+      });
+      confirmSpy.mockRestore();
+    });
+    it('offers booking when nothing is upcoming', async () => {
+      const card = await renderNext([]);
+      expect(
+        within(card).getByText('No upcoming appointments'),
+      ).toBeInTheDocument();
+      expect(
+        within(card).getByRole('link', { name: 'Book an appointment' }),
+      ).toHaveAttribute('href', '/patient/appointments');
+    });
+  });
+
+  describe('Reminders', () => {
+    // Midnight (clinic time) tomorrow: always within 24 hours, never within 1 hour of the test.
+    const tomorrow = {
+      _id: 'r1',
+      patient: 'patient-1',
+      doctor: { name: 'Reyes' },
+      appointmentDate: addDaysToDateKey(getTodayKey(), 1),
+      appointmentTime: '00:00',
+      status: 'confirmed',
+    };
+    const openNotifications = async () => {
+      appointmentService.getAll.mockResolvedValueOnce({
+        appointments: [tomorrow],
+      });
+      render(<PatientDashboard />);
+      const bell = await screen.findByRole('button', {
+        name: 'Notifications, 1 unread',
+      });
+      fireEvent.click(bell);
+      return screen.getByRole('region', { name: 'Notifications' });
+    };
+
+    afterEach(() => {
+      delete global.Notification;
+    });
+
+    it('lists due reminders, marks them read and drops a cancelled appointment', async () => {
+      const panel = await openNotifications();
+      expect(
+        within(panel).getByText(
+          /^Your appointment with Dr\. Reyes is in \d+ (hours?|minutes)/,
+        ),
+      ).toBeInTheDocument();
+      expect(
+        screen.getByRole('button', { name: 'Notifications' }),
+      ).toBeInTheDocument();
+
+      FakeEventSource.current.push({ _id: 'r1', status: 'cancelled' });
+      expect(
+        within(panel).getByText('No upcoming reminders'),
+      ).toBeInTheDocument();
+    });
+    it('saves lead times per user and recalculates the reminders', async () => {
+      const panel = await openNotifications();
+      fireEvent.click(within(panel).getByLabelText('24 hours before'));
+      expect(
+        within(panel).getByText('No upcoming reminders'),
+      ).toBeInTheDocument();
+      await waitFor(async () => {
+        expect(
+          await getOfflineValue(getReminderPreferencesKey('patient-1')),
+        ).toEqual({ leadTimes: [60], browser: false });
+      });
+
+      fireEvent.click(within(panel).getByLabelText('1 week before'));
+      expect(
+        within(panel).getByText(/^Your appointment with Dr\. Reyes/),
+      ).toBeInTheDocument();
+    });
+    it('asks for permission when browser notifications are turned on', async () => {
+      global.Notification = jest.fn();
+      global.Notification.permission = 'default';
+      global.Notification.requestPermission = jest.fn(() =>
+        Promise.resolve('granted'),
+      );
+      const panel = await openNotifications();
+      fireEvent.click(within(panel).getByLabelText('Browser notifications'));
+      await waitFor(() => {
+        expect(
+          within(panel).getByLabelText('Browser notifications'),
+        ).toBeChecked();
+      });
+      expect(global.Notification.requestPermission).toHaveBeenCalled();
+      // A reminder already listed in the center isn't sent again.
+      expect(global.Notification).not.toHaveBeenCalled();
+    });
+    it('sends each due reminder as a browser notification once', async () => {
+      global.Notification = jest.fn();
+      global.Notification.permission = 'granted';
+      await setOfflineValue(getReminderPreferencesKey('patient-1'), {
+        leadTimes: [24 * 60, 60],
+        browser: true,
+      });
+      appointmentService.getAll.mockResolvedValueOnce({
+        appointments: [tomorrow],
+      });
+      const { unmount } = render(<PatientDashboard />);
+      await waitFor(() => {
+        expect(global.Notification).toHaveBeenCalledTimes(1);
+      });
+      expect(global.Notification).toHaveBeenCalledWith(
+        'Appointment reminder',
+        expect.objectContaining({
+          body: expect.stringMatching(/^Your appointment with Dr\. Reyes/),
+        }),
+      );
+      unmount();
+
+      render(<PatientDashboard />);
+      await screen.findByRole('button', { name: 'Notifications, 1 unread' });
+      expect(global.Notification).toHaveBeenCalledTimes(1);
+    });
+    it('explains when the browser blocks notifications', async () => {
+      global.Notification = jest.fn();
+      global.Notification.permission = 'denied';
+      const panel = await openNotifications();
+      expect(
+        within(panel).getByLabelText('Browser notifications'),
+      ).toBeDisabled();
+      expect(
+        within(panel).getByText(
+          'Notifications are blocked in your browser settings.',
+        ),
+      ).toBeInTheDocument();
+    });
+  });
+
+  describe('Health Trends', () => {
+    // Mid-day UTC, so the entry falls on the same clinic day.
+    const daysAgo = (days) =>
+      `${addDaysToDateKey(getTodayKey(), -days)}T15:00:00.000Z`;
+    const renderTrends = async (trends) => {
+      userService.getTrends.mockResolvedValueOnce({ trends });
+      render(<PatientDashboard />);
+      const region = await screen.findByRole('region', {
+        name: 'Health Trends',
+      });
+      await waitFor(() => {
+        expect(
+          within(region).getByRole('group', { name: 'Trend range' }),
+        ).toBeInTheDocument();
+      });
+      return region;
+    };
+
+    it('plots the selected metrics and opens the analysis behind a point', async () => {
+      const region = await renderTrends([
+        { date: daysAgo(2), confidence: 80, accuracy: 70, analysisId: 'an1' },
+        { date: daysAgo(1), confidence: 90, accuracy: 75, analysisId: 'an2' },
+      ]);
+      expect(
+        within(region).getAllByRole('button', { name: /^Confidence %/ }),
+      ).toHaveLength(2);
+      expect(
+        within(region).getAllByRole('button', { name: /^Accuracy %/ }),
+      ).toHaveLength(2);
+
+      fireEvent.click(within(region).getByLabelText('Accuracy %'));
+      expect(
+        within(region).queryByRole('button', { name: /^Accuracy %/ }),
+      ).not.toBeInTheDocument();
+
+      const [firstPoint] = within(region).getAllByRole('button', {
+        name: /^Confidence %.*: 80\. Open analysis$/,
+      });
+      fireEvent.click(firstPoint);
+      expect(mockNavigate).toHaveBeenCalledWith('/patient/analyses/an1');
+    });
+    it('averages long ranges and lists the analyses behind a point', async () => {
+      // Same clinic week: both within the last week, in a 90-day range averaged by week.
+      const today = getTodayKey();
+      const monday = addDaysToDateKey(
+        today,
+        -((new Date(`${today}T12:00:00Z`).getUTCDay() + 6) % 7),
+      );
+      const region = await renderTrends([
+        { date: `${monday}T15:00:00.000Z`, confidence: 80, analysisId: 'an1' },
+        { date: `${today}T16:00:00.000Z`, confidence: 90, analysisId: 'an2' },
+      ]);
+      fireEvent.click(within(region).getByRole('button', { name: '90 days' }));
+      expect(within(region).getByText('Averaged by week.')).toBeInTheDocument();
+
+      fireEvent.click(
+        within(region).getByRole('button', {
+          name: /^Confidence %.*: 85\. Open analysis$/,
+        }),
+      );
+      const list = within(region).getByRole('region', {
+        name: /^Analyses for Week of/,
+      });
+      expect(within(list).getAllByRole('link')).toHaveLength(2);
+      expect(within(list).getAllByRole('link')[1]).toHaveAttribute(
+        'href',
+        '/patient/analyses/an2',
+      );
+    });
+    it('shows an empty range and rejects an inverted custom range', async () => {
+      const region = await renderTrends([
+        { date: daysAgo(200), confidence: 80, analysisId: 'an1' },
+      ]);
+      expect(
+        within(region).getByText('No trend data in this range'),
+      ).toBeInTheDocument();
+
+      fireEvent.click(within(region).getByRole('button', { name: 'Custom' }));
+      fireEvent.change(within(region).getByLabelText('From'), {
+        target: { value: addDaysToDateKey(getTodayKey(), -1) },
+      });
+      fireEvent.change(within(region).getByLabelText('To'), {
+        target: { value: addDaysToDateKey(getTodayKey(), -5) },
+      });
+      expect(within(region).getByRole('alert')).toHaveTextContent(
+        'Start date must be on or before end date',
+      );
+    });
+    it('shows the series as a table with a summary and exports it', async () => {
+      const region = await renderTrends([
+        { date: daysAgo(5), confidence: 60, accuracy: 70, analysisId: 'an1' },
+        { date: daysAgo(1), confidence: 82, analysisId: 'an2' },
+      ]);
+      expect(
+        within(region).getByText(
+          'Confidence rose from 60% to 82% over 30 days. Accuracy was 70% (one reading in 30 days).',
+        ),
+      ).toBeInTheDocument();
+
+      fireEvent.click(
+        within(region).getByRole('button', { name: 'View as table' }),
+      );
+      const table = within(region).getByRole('table', {
+        name: 'Health trends over 30 days',
+      });
+      expect(
+        within(table)
+          .getAllByRole('columnheader')
+          .map((header) => header.textContent),
+      ).toEqual(['Period', 'Confidence %', 'Accuracy %', 'Analyses']);
+      const rows = within(table).getAllByRole('row').slice(1);
+      expect(rows).toHaveLength(2);
+      expect(within(rows[1]).getByRole('rowheader')).toHaveTextContent(
+        /^[A-Z][a-z]{2} \d{2}$/,
+      );
+      expect(within(rows[1]).getByText('No reading')).toBeInTheDocument();
+      expect(
+        within(rows[1]).getByRole('link', { name: 'View analysis' }),
+      ).toHaveAttribute('href', '/patient/analyses/an2');
+
+      const today = getTodayKey();
+      const from = addDaysToDateKey(today, -29);
+      fireEvent.click(
+        within(region).getByRole('button', { name: /Export CSV/ }),
+      );
+      expect(downloadFile).toHaveBeenLastCalledWith(
+        `health-trends-${from}-to-${today}.csv`,
+        expect.stringContaining('Period,Start date,Confidence %,Accuracy %'),
+        'text/csv;charset=utf-8',
+      );
+      fireEvent.click(
+        within(region).getByRole('button', { name: /Export JSON/ }),
+      );
+      const [filename, content] = downloadFile.mock.calls.at(-1);
+      expect(filename).toBe(`health-trends-${from}-to-${today}.json`);
+      expect(JSON.parse(content).points).toHaveLength(2);
+    });
+  });
 });
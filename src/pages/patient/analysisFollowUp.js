@@ -0,0 +1,85 @@
+/**
+ * Follow-up bookings from an AI analysis: ?followUp=<analysisId> opens the booking form prefilled from it.
+ *
+ * - reason: the AI summary (a dated note in the patient's language when there is none); symptoms: the patient's input.
+ * - doctor: the first doctor whose specialization matches the specialist the AI suggested; left empty when
+ *   nothing matches. "Cardiologist" matches "Cardiology" (specialist and field names share their stem).
+ * - The booking carries the analysis id (`analysis`) so the appointment stays linked to it.
+ */
+
+import { defaultI18n } from '../../utils/i18n';
+import { getAnalysisDateKey } from './analysisHistory';
+
+// aiResponse fields that may name the suggested specialist, in order of preference.
+const SPECIALIZATION_FIELDS = [
+  'recommendedSpecialist',
+  'recommendedSpecialization',
+  'suggestedSpecialist',
+  'suggestedSpecialization',
+  'specialist',
+  'specialization',
+];
+
+export function getFollowUpPath(analysisId) {
+  return `/patient/appointments?followUp=${encodeURIComponent(analysisId)}`;
+}
+
+/** Specialization suggested by the AI ('' when none). */
+export function getSuggestedSpecialization(aiResponse) {
+  for (const field of SPECIALIZATION_FIELDS) {
+    const value = aiResponse?.[field];
+    const text = Array.isArray(value) ? value[0] : value;
+    if (typeof text === 'string' && text.trim()) return text.trim();
+  }
+  return '';
+}
+
+function toStem(specialization) {
+  return specialization
+    .toLowerCase()
+    .replace(/[^a-z ]/g, '')
+    .trim()
+    .replace(/(ician|ists?|ics|y)$/, '');
+}
+
+/** First doctor whose specialization matches (either name may extend the other), or null. */
+export function findDoctorForSpecialization(doctors, specialization) {
+  const wanted = toStem(specialization ?? '');
+  if (!wanted) return null;
+  return (
+    doctors.find((doctor) => {
+      const stem = toStem(doctor.specialization ?? '');
+      return !!stem && (stem.startsWith(wanted) || wanted.startsWith(stem));
+    }) ?? null
+  );
+}
+
+/** Booking form values for a follow-up to the analysis (date and time left for the patient). */
+export function getFollowUpFormData(
+  analysis,
+  doctors,
+  { t, formatDate } = defaultI18n,
+) {
+  const summary = String(analysis.aiResponse?.summary ?? '').trim();
+  const dateKey = getAnalysisDateKey(analysis);
+  const doctor = findDoctorForSpecialization(
+    doctors,
+    getSuggestedSpecialization(analysis.aiResponse),
+  );
+  return {
+    doctor: doctor ? String(doctor._id) : '',
+    appointmentDate: '',
+    appointmentTime: '',
+    reason:
+      summary ||
+      (dateKey
+        ? t('booking.followUpReason', { date: formatDate(dateKey) })
+        : t('booking.followUpReasonUndated')),
+    symptoms: analysis.userInput ?? '',
+  };
+}
+
+/** Booking payload linked to the analysis (unchanged without one). */
+export function linkAnalysis(data, analysisId) {
+  return analysisId ? { ...data, analysis: analysisId } : data;
+}
@@ -0,0 +1,90 @@
+import {
+  findDoctorForSpecialization,
+  getFollowUpFormData,
+  getFollowUpPath,
+  getSuggestedSpecialization,
+  linkAnalysis,
+} from './analysisFollowUp';
+import { createI18n } from '../../utils/i18n';
+
+const doctors = [
+  { _id: 'd1', name: 'Dr. Smith', specialization: 'General' },
+  { _id: 'd2', name: 'Dr. Jones', specialization: 'Cardiology' },
+  { _id: 'd3', name: 'Dr. Brown', specialization: 'Pediatrics' },
+];
+
+describe('analysisFollowUp', () => {
+  it('links to the booking page with the analysis id', () => {
+    expect(getFollowUpPath('a/1')).toBe('/patient/appointments?followUp=a%2F1');
+  });
+
+  it('reads the suggested specialist from the AI response', () => {
+    expect(
+      getSuggestedSpecialization({ recommendedSpecialist: ' Cardiologist ' }),
+    ).toBe('Cardiologist');
+    expect(
+      getSuggestedSpecialization({ specialization: ['Neurology', 'ENT'] }),
+    ).toBe('Neurology');
+    expect(getSuggestedSpecialization({ severity: 'high' })).toBe('');
+    expect(getSuggestedSpecialization(undefined)).toBe('');
+  });
+
+  it('matches specialists to specializations', () => {
+    const match = (specialization) =>
+      findDoctorForSpecialization(doctors, specialization)?._id ?? null;
+    expect(match('Cardiologist')).toBe('d2');
+    expect(match('pediatrician')).toBe('d3');
+    expect(match('General practitioner')).toBe('d1');
+    expect(match('Dermatologist')).toBeNull();
+    expect(match('')).toBeNull();
+  });
+
+  it('prefills reason, symptoms and doctor from the analysis', () => {
+    expect(
+      getFollowUpFormData(
+        {
+          _id: 'an1',
+          createdAt: '2030-01-20T15:00:00.000Z',
+          userInput: 'Chest pain when climbing stairs',
+          aiResponse: {
+            severity: 'high',
+            summary: 'Possible angina',
+            recommendedSpecialist: 'Cardiologist',
+          },
+        },
+        doctors,
+      ),
+    ).toEqual({
+      doctor: 'd2',
+      appointmentDate: '',
+      appointmentTime: '',
+      reason: 'Possible angina',
+      symptoms: 'Chest pain when climbing stairs',
+    });
+    expect(
+      getFollowUpFormData(
+        { createdAt: '2030-01-20T15:00:00.000Z', userInput: 'Rash' },
+        doctors,
+      ),
+    ).toMatchObject({
+      doctor: '',
+      reason: 'Follow-up on AI analysis from Jan 20, 2030',
+      symptoms: 'Rash',
+    });
+    expect(
+      getFollowUpFormData(
+        { userInput: 'Rash' },
+        doctors,
+        createI18n({ locale: 'pl' }),
+      ).reason,
+    ).toBe('Kontrola po analizie AI');
+  });
+
+  it('adds the analysis id to the booking payload', () => {
+    expect(linkAnalysis({ doctor: 'd1' }, 'an1')).toEqual({
+      doctor: 'd1',
+      analysis: 'an1',
+    });
+    expect(linkAnalysis({ doctor: 'd1' }, undefined)).toEqual({ doctor: 'd1' });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * AI analysis history: filters kept in the URL query string, pinning, pagination and response formatting.
+ *
+ * Query params: severity=high,medium · from=YYYY-MM-DD · to=YYYY-MM-DD · q=<text> · page=<n>
+ *
+ * - An analysis's day is its createdAt instant on the clinic calendar (utils/dateTime).
+ * - High-severity analyses are pinned above the paginated list; missing/unknown severities count as low.
+ * - The detail view lists every aiResponse field (besides severity) as a titled section.
+ */
+
+import { normalizeDateKey, toDateKey } from '../../utils/dateTime';
+
+export const ANALYSIS_SEVERITIES = ['high', 'medium', 'low'];
+export const ANALYSES_PAGE_SIZE = 10;
+const EXCERPT_LENGTH = 160;
+
+export const emptyAnalysisFilters = {
+  severities: [],
+  from: '',
+  to: '',
+  q: '',
+};
+
+export function getAnalysisSeverity(analysis) {
+  const severity = String(analysis.aiResponse?.severity ?? '').toLowerCase();
+  return ANALYSIS_SEVERITIES.includes(severity) ? severity : 'low';
+}
+
+/** Clinic calendar day of an analysis ('' when createdAt is missing/invalid). */
+export function getAnalysisDateKey(analysis) {
+  const date = new Date(analysis.createdAt);
+  return Number.isNaN(date.getTime()) ? '' : toDateKey(date);
+}
+
+/** Filters and page (1-based) from URLSearchParams (unknown severities dropped). */
+export function parseAnalysisFilters(searchParams) {
+  const severities = (searchParams.get('severity') ?? '')
+    .split(',')
+    .filter((severity) => ANALYSIS_SEVERITIES.includes(severity));
+  const page = Number.parseInt(searchParams.get('page') ?? '', 10);
+  return {
+    filters: {
+      severities,
+      from: normalizeDateKey(searchParams.get('from')),
+      to: normalizeDateKey(searchParams.get('to')),
+      q: searchParams.get('q') ?? '',
+    },
+    page: page > 0 ? page : 1,
+  };
+}
+
+/** URLSearchParams for filters and page; empty values and page 1 are left out. */
+export function serializeAnalysisFilters(filters, page = 1) {
+  const params = new URLSearchParams();
+  if (filters.severities.length) {
+    params.set('severity', filters.severities.join(','));
+  }
+  if (filters.from) params.set('from', filters.from);
+  if (filters.to) params.set('to', filters.to);
+  if (filters.q) params.set('q', filters.q);
+  if (page > 1) params.set('page', String(page));
+  return params;
+}
+
+export function hasActiveAnalysisFilters(filters) {
+  return !!(
+    filters.severities.length ||
+    filters.from ||
+    filters.to ||
+    filters.q.trim()
+  );
+}
+
+function toLabel(key) {
+  const words = key.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function toText(value) {
+  if (value == null) return '';
+  if (typeof value !== 'object') return String(value);
+  return (
+    value.name ??
+    value.title ??
+    value.description ??
+    Object.values(value).map(toText).filter(Boolean).join(' — ')
+  );
+}
+
+/**
+ * aiResponse fields other than severity as [{ key, label, text } | { key, label, items }]: strings become text,
+ * arrays a list (objects shown by name/title/description). Empty fields are left out.
+ */
+export function getAnalysisResponseSections(aiResponse) {
+  if (!aiResponse || typeof aiResponse !== 'object') return [];
+  return Object.entries(aiResponse).flatMap(([key, value]) => {
+    if (key === 'severity') return [];
+    if (Array.isArray(value)) {
+      const items = value.map(toText).filter(Boolean);
+      return items.length ? [{ key, label: toLabel(key), items }] : [];
+    }
+    const text = toText(value);
+    return text ? [{ key, label: toLabel(key), text }] : [];
+  });
+}
+
+/** Severity, inclusive day range and case-insensitive text over the input and the AI response. */
+export function filterAnalyses(analyses, filters) {
+  const query = filters.q.trim().toLowerCase();
+  return analyses.filter((analysis) => {
+    if (
+      filters.severities.length &&
+      !filters.severities.includes(getAnalysisSeverity(analysis))
+    ) {
+      return false;
+    }
+    const dateKey = getAnalysisDateKey(analysis);
+    if (filters.from && dateKey < filters.from) return false;
+    if (filters.to && dateKey > filters.to) return false;
+    if (query) {
+      const text = [
+        analysis.userInput ?? '',
+        ...getAnalysisResponseSections(analysis.aiResponse).map(
+          (section) => section.text ?? section.items.join(' '),
+        ),
+      ].join(' ');
+      if (!text.toLowerCase().includes(query)) return false;
+    }
+    return true;
+  });
+}
+
+/** Newest first; analyses without a date last. */
+export function sortAnalysesNewestFirst(analyses) {
+  const time = (analysis) => new Date(analysis.createdAt).getTime() || 0;
+  return [...analyses].sort((a, b) => time(b) - time(a));
+}
+
+/** { pinned: high-severity analyses, rest } keeping order. */
+export function splitPinnedAnalyses(analyses) {
+  const pinned = [];
+  const rest = [];
+  for (const analysis of analyses) {
+    (getAnalysisSeverity(analysis) === 'high' ? pinned : rest).push(analysis);
+  }
+  return { pinned, rest };
+}
+
+/** One page of items: { items, page (clamped to 1…pageCount), pageCount (at least 1) }. */
+export function paginate(items, page, pageSize = ANALYSES_PAGE_SIZE) {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(1, page), pageCount);
+  return {
+    items: items.slice((current - 1) * pageSize, current * pageSize),
+    page: current,
+    pageCount,
+  };
+}
+
+/** Input shortened at a word boundary, with an ellipsis only when cut. */
+export function getAnalysisExcerpt(text, maxLength = EXCERPT_LENGTH) {
+  const value = (text ?? '').trim();
+  if (value.length <= maxLength) return value;
+  const cut = value.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
+
+export function getAnalysisPath(analysisId) {
+  return `/patient/analyses/${analysisId}`;
+}
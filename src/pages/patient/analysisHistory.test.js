@@ -0,0 +1,143 @@
+import {
+  emptyAnalysisFilters,
+  filterAnalyses,
+  getAnalysisDateKey,
+  getAnalysisExcerpt,
+  getAnalysisResponseSections,
+  getAnalysisSeverity,
+  hasActiveAnalysisFilters,
+  paginate,
+  parseAnalysisFilters,
+  serializeAnalysisFilters,
+  sortAnalysesNewestFirst,
+  splitPinnedAnalyses,
+} from './analysisHistory';
+
+const analyses = [
+  {
+    _id: '1',
+    createdAt: '2030-01-05T15:00:00.000Z',
+    userInput: 'Headache and blurred vision since Monday',
+    aiResponse: {
+      severity: 'high',
+      possibleConditions: [{ name: 'Migraine' }, 'Hypertension'],
+    },
+  },
+  {
+    _id: '2',
+    createdAt: '2030-01-12T15:00:00.000Z',
+    userInput: 'Sore throat',
+    aiResponse: { severity: 'Low', summary: 'Likely a common cold' },
+  },
+  {
+    _id: '3',
+    createdAt: '2030-01-09T15:00:00.000Z',
+    userInput: 'Knee pain after running',
+    aiResponse: { severity: 'medium' },
+  },
+  { _id: '4', createdAt: 'bad date', userInput: 'Rash' },
+];
+
+const ids = (items) => items.map(({ _id }) => _id);
+
+describe('analysisHistory', () => {
+  it('parses and serializes filters and page', () => {
+    const { filters, page } = parseAnalysisFilters(
+      new URLSearchParams(
+        'severity=high,bogus,low&from=2030-01-01&to=2030-01-31&q=pain&page=3',
+      ),
+    );
+    expect(filters).toEqual({
+      severities: ['high', 'low'],
+      from: '2030-01-01',
+      to: '2030-01-31',
+      q: 'pain',
+    });
+    expect(page).toBe(3);
+    expect(serializeAnalysisFilters(filters, 3).toString()).toBe(
+      'severity=high%2Clow&from=2030-01-01&to=2030-01-31&q=pain&page=3',
+    );
+    expect(parseAnalysisFilters(new URLSearchParams('page=-2'))).toEqual({
+      filters: emptyAnalysisFilters,
+      page: 1,
+    });
+    expect(serializeAnalysisFilters(emptyAnalysisFilters, 1).toString()).toBe(
+      '',
+    );
+    expect(hasActiveAnalysisFilters({ ...emptyAnalysisFilters, q: ' ' })).toBe(
+      false,
+    );
+  });
+
+  it('treats missing or unknown severities as low', () => {
+    expect(analyses.map(getAnalysisSeverity)).toEqual([
+      'high',
+      'low',
+      'medium',
+      'low',
+    ]);
+  });
+
+  it('places analyses on clinic days', () => {
+    // 03:00 UTC on Jan 8 is still Jan 7 in New York.
+    expect(getAnalysisDateKey({ createdAt: '2030-01-08T03:00:00.000Z' })).toBe(
+      '2030-01-07',
+    );
+    expect(getAnalysisDateKey(analyses[3])).toBe('');
+  });
+
+  it('filters by severity, day range and text in the input or response', () => {
+    const filter = (changes) =>
+      ids(filterAnalyses(analyses, { ...emptyAnalysisFilters, ...changes }));
+    expect(filter({ severities: ['high', 'medium'] })).toEqual(['1', '3']);
+    expect(filter({ from: '2030-01-06', to: '2030-01-12' })).toEqual([
+      '2',
+      '3',
+    ]);
+    expect(filter({ q: 'KNEE' })).toEqual(['3']);
+    expect(filter({ q: 'migraine' })).toEqual(['1']);
+    expect(filter({ q: 'cold' })).toEqual(['2']);
+  });
+
+  it('sorts newest first and pins high severity', () => {
+    const sorted = sortAnalysesNewestFirst(analyses);
+    expect(ids(sorted)).toEqual(['2', '3', '1', '4']);
+    const { pinned, rest } = splitPinnedAnalyses(sorted);
+    expect(ids(pinned)).toEqual(['1']);
+    expect(ids(rest)).toEqual(['2', '3', '4']);
+  });
+
+  it('paginates and clamps the page', () => {
+    const items = Array.from({ length: 23 }, (_, index) => index);
+    expect(paginate(items, 3)).toEqual({
+      items: [20, 21, 22],
+      page: 3,
+      pageCount: 3,
+    });
+    expect(paginate(items, 9).page).toBe(3);
+    expect(paginate([], 2)).toEqual({ items: [], page: 1, pageCount: 1 });
+  });
+
+  it('lists response fields as sections', () => {
+    expect(getAnalysisResponseSections(analyses[0].aiResponse)).toEqual([
+      {
+        key: 'possibleConditions',
+        label: 'Possible conditions',
+        items: ['Migraine', 'Hypertension'],
+      },
+    ]);
+    expect(
+      getAnalysisResponseSections({
+        summary: 'Rest',
+        recommendations: [],
+        urgency: null,
+      }),
+    ).toEqual([{ key: 'summary', label: 'Summary', text: 'Rest' }]);
+    expect(getAnalysisResponseSections(undefined)).toEqual([]);
+  });
+
+  it('shortens long input at a word boundary', () => {
+    expect(getAnalysisExcerpt('Short input')).toBe('Short input');
+    expect(getAnalysisExcerpt('one two three four five', 12)).toBe('one two…');
+  });
+});
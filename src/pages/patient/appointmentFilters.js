@@ -0,0 +1,128 @@
+/**
+ * My Appointments list: filters kept in the URL query string, search and upcoming-first sorting.
+ *
+ * Query params: status=pending,confirmed · from=YYYY-MM-DD · to=YYYY-MM-DD · doctor=<id> · q=<text>
+ */
+
+import { getTodayKey, normalizeDateKey } from '../../utils/dateTime';
+import { defaultI18n } from '../../utils/i18n';
+
+export const APPOINTMENT_STATUSES = [
+  'pending',
+  'confirmed',
+  'completed',
+  'cancelled',
+];
+
+const UPCOMING_STATUSES = ['pending', 'confirmed'];
+
+export const emptyAppointmentFilters = {
+  statuses: [],
+  from: '',
+  to: '',
+  doctor: '',
+  q: '',
+};
+
+/** Filters from URLSearchParams (unknown statuses dropped). */
+export function parseAppointmentFilters(searchParams) {
+  const statuses = (searchParams.get('status') ?? '')
+    .split(',')
+    .filter((status) => APPOINTMENT_STATUSES.includes(status));
+  return {
+    statuses,
+    from: normalizeDateKey(searchParams.get('from')),
+    to: normalizeDateKey(searchParams.get('to')),
+    doctor: searchParams.get('doctor') ?? '',
+    q: searchParams.get('q') ?? '',
+  };
+}
+
+/** URLSearchParams for filters; empty values are left out so a clean list has a clean URL. */
+export function serializeAppointmentFilters(filters) {
+  const params = new URLSearchParams();
+  if (filters.statuses.length) params.set('status', filters.statuses.join(','));
+  if (filters.from) params.set('from', filters.from);
+  if (filters.to) params.set('to', filters.to);
+  if (filters.doctor) params.set('doctor', filters.doctor);
+  if (filters.q) params.set('q', filters.q);
+  return params;
+}
+
+export function hasActiveFilters(filters) {
+  return !!(
+    filters.statuses.length ||
+    filters.from ||
+    filters.to ||
+    filters.doctor ||
+    filters.q.trim()
+  );
+}
+
+export function getAppointmentDoctorId(appointment) {
+  return String(appointment.doctor?._id ?? appointment.doctor ?? '');
+}
+
+/** Status, inclusive date range, doctor and case-insensitive text over reason/symptoms. */
+export function filterAppointments(appointments, filters) {
+  const query = filters.q.trim().toLowerCase();
+  return appointments.filter((appointment) => {
+    if (
+      filters.statuses.length &&
+      !filters.statuses.includes(appointment.status)
+    ) {
+      return false;
+    }
+    const dateKey = normalizeDateKey(appointment.appointmentDate);
+    if (filters.from && dateKey < filters.from) return false;
+    if (filters.to && dateKey > filters.to) return false;
+    if (
+      filters.doctor &&
+      getAppointmentDoctorId(appointment) !== filters.doctor
+    )
+      return false;
+    if (query) {
+      const text = `${appointment.reason ?? ''} ${appointment.symptoms ?? ''}`;
+      if (!text.toLowerCase().includes(query)) return false;
+    }
+    return true;
+  });
+}
+
+/** Pending/confirmed on or after today (clinic day). */
+export function isUpcomingAppointment(appointment, todayKey = getTodayKey()) {
+  return (
+    UPCOMING_STATUSES.includes(appointment.status) &&
+    normalizeDateKey(appointment.appointmentDate) >= todayKey
+  );
+}
+
+function getSortKey(appointment) {
+  return `${normalizeDateKey(appointment.appointmentDate)} ${appointment.appointmentTime ?? ''}`;
+}
+
+/** Upcoming (pending/confirmed from today) soonest first, then everything else most recent first. */
+export function sortAppointmentsUpcomingFirst(
+  appointments,
+  todayKey = getTodayKey(),
+) {
+  return [...appointments].sort((a, b) => {
+    const aUpcoming = isUpcomingAppointment(a, todayKey);
+    const bUpcoming = isUpcomingAppointment(b, todayKey);
+    if (aUpcoming !== bUpcoming) return aUpcoming ? -1 : 1;
+    const order = getSortKey(a).localeCompare(getSortKey(b));
+    return aUpcoming ? order : -order;
+  });
+}
+
+/** Doctors appearing in the patient's appointments, for the doctor filter. */
+export function getAppointmentDoctorOptions(appointments, { t } = defaultI18n) {
+  const byId = new Map();
+  for (const appointment of appointments) {
+    const id = getAppointmentDoctorId(appointment);
+    if (id && !byId.has(id)) {
+      byId.set(id, appointment.doctor?.name ?? t('common.unknownDoctor'));
+    }
+  }
+  return [...byId].map(([id, name]) => ({ id, name }));
+}
@@ -0,0 +1,132 @@
+import {
+  parseAppointmentFilters,
+  serializeAppointmentFilters,
+  hasActiveFilters,
+  emptyAppointmentFilters,
+  filterAppointments,
+  sortAppointmentsUpcomingFirst,
+  getAppointmentDoctorOptions,
+} from './appointmentFilters';
+import { createI18n } from '../../utils/i18n';
+
+const list = [
+  {
+    _id: '1',
+    doctor: { _id: 'd1', name: 'Smith' },
+    appointmentDate: '2030-01-05',
+    appointmentTime: '10:00',
+    status: 'completed',
+    reason: 'Annual checkup',
+  },
+  {
+    _id: '2',
+    doctor: { _id: 'd2', name: 'Jones' },
+    appointmentDate: '2030-01-12',
+    appointmentTime: '09:00',
+    status: 'confirmed',
+    reason: 'Knee pain',
+    symptoms: 'Swelling',
+  },
+  {
+    _id: '3',
+    doctor: 'd1',
+    appointmentDate: '2030-01-10T00:00:00.000Z',
+    appointmentTime: '14:00',
+    status: 'pending',
+    reason: 'Follow-up',
+  },
+  {
+    _id: '4',
+    doctor: { _id: 'd1', name: 'Smith' },
+    appointmentDate: '2030-01-10',
+    appointmentTime: '09:30',
+    status: 'cancelled',
+    reason: 'Flu shot',
+  },
+  {
+    _id: '5',
+    doctor: { _id: 'd2', name: 'Jones' },
+    appointmentDate: '2030-01-03',
+    appointmentTime: '11:00',
+    status: 'pending',
+    reason: 'Missed visit',
+  },
+];
+
+const ids = (items) => items.map((a) => a._id);
+
+describe('URL query round trip', () => {
+  it('parses and serializes', () => {
+    const params = new URLSearchParams(
+      'status=pending,bogus,confirmed&from=2030-01-01&to=2030-01-31&doctor=d1&q=knee',
+    );
+    const filters = parseAppointmentFilters(params);
+    expect(filters).toEqual({
+      statuses: ['pending', 'confirmed'],
+      from: '2030-01-01',
+      to: '2030-01-31',
+      doctor: 'd1',
+      q: 'knee',
+    });
+    expect(serializeAppointmentFilters(filters).toString()).toBe(
+      'status=pending%2Cconfirmed&from=2030-01-01&to=2030-01-31&doctor=d1&q=knee',
+    );
+  });
+  it('empty filters → empty query', () => {
+    expect(parseAppointmentFilters(new URLSearchParams())).toEqual(
+      emptyAppointmentFilters,
+    );
+    expect(
+      serializeAppointmentFilters(emptyAppointmentFilters).toString(),
+    ).toBe('');
+    expect(hasActiveFilters(emptyAppointmentFilters)).toBe(false);
+    expect(hasActiveFilters({ ...emptyAppointmentFilters, q: '  ' })).toBe(
+      false,
+    );
+  });
+});
+
+describe('filterAppointments', () => {
+  it('status, date range, doctor and text', () => {
+    const f = (changes) =>
+      ids(filterAppointments(list, { ...emptyAppointmentFilters, ...changes }));
+    expect(f({ statuses: ['pending'] })).toEqual(['3', '5']);
+    expect(f({ from: '2030-01-05', to: '2030-01-10' })).toEqual([
+      '1',
+      '3',
+      '4',
+    ]);
+    expect(f({ doctor: 'd1' })).toEqual(['1', '3', '4']);
+    expect(f({ q: 'swell' })).toEqual(['2']);
+    expect(f({ q: 'FOLLOW' })).toEqual(['3']);
+  });
+});
+
+describe('sortAppointmentsUpcomingFirst', () => {
+  it('upcoming soonest first, then the rest most recent first', () => {
+    expect(ids(sortAppointmentsUpcomingFirst(list, '2030-01-08'))).toEqual([
+      '3',
+      '2',
+      '4',
+      '1',
+      '5',
+    ]);
+  });
+});
+
+describe('getAppointmentDoctorOptions', () => {
+  it('unique doctors by id', () => {
+    expect(getAppointmentDoctorOptions(list)).toEqual([
+      { id: 'd1', name: 'Smith' },
+      { id: 'd2', name: 'Jones' },
+    ]);
+  });
+  it('names a doctor without a populated name in the patient language', () => {
+    expect(
+      getAppointmentDoctorOptions(
+        [{ doctor: 'd3' }],
+        createI18n({ locale: 'es' }),
+      ),
+    ).toEqual([{ id: 'd3', name: 'Desconocido' }]);
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * iCalendar (.ics, RFC 5545) export and add-to-calendar links for appointments.
+ *
+ * - Times: clinic wall-clock converted to UTC instants (DTSTART/DTEND with "Z"), so every calendar shows them
+ *   correctly in the patient's own zone without shipping VTIMEZONE data.
+ * - UID is derived from the appointment id; SEQUENCE is a small per-user revision counter (getEventSequences),
+ *   raised whenever an exported appointment changed since its last export, so a re-import updates the event.
+ * - Lines are folded at 75 octets of UTF-8, never inside a character.
+ * - Google/Outlook links carry only the doctor, time and location: URLs end up in history and logs, so the
+ *   reason and symptoms stay in the downloaded .ics.
+ */
+
+import { normalizeDateKey, zonedTimeToUtc } from '../../utils/dateTime';
+import { downloadFile } from '../../utils/download';
+import {
+  deleteOfflineValue,
+  getOfflineValue,
+  setOfflineValue,
+} from '../../utils/offlineStore';
+
+export const DEFAULT_APPOINTMENT_MINUTES = 30;
+const PRODUCT_ID = '-//Patient Portal//Appointments//EN';
+const UID_DOMAIN = 'patient-portal';
+const MAX_LINE_LENGTH = 75;
+
+/** Escapes TEXT values (backslash, semicolon, comma, newline). */
+export function escapeIcsText(text) {
+  return String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function getUtf8Length(char) {
+  const codePoint = char.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  return codePoint < 0x10000 ? 3 : 4;
+}
+
+/** Folds a content line at 75 octets (continuation lines start with a space, which counts). */
+export function foldIcsLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+  for (const char of line) {
+    const length = getUtf8Length(char);
+    if (octets + length > MAX_LINE_LENGTH) {
+      chunks.push(chunk);
+      chunk = ' ';
+      octets = 1;
+    }
+    chunk += char;
+    octets += length;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n');
+}
+
+/** 2030-01-07T14:00:00.000Z → "20300107T140000Z". */
+export function formatIcsDateTime(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+}
+
+export function getAppointmentUid(appointment) {
+  return `appointment-${appointment._id}@${UID_DOMAIN}`;
+}
+
+/** Start/end instants of an appointment (clinic wall-clock → UTC). */
+export function getAppointmentInterval(appointment) {
+  const start = zonedTimeToUtc(
+    appointment.appointmentDate,
+    appointment.appointmentTime,
+  );
+  const minutes = appointment.durationMinutes ?? DEFAULT_APPOINTMENT_MINUTES;
+  return { start, end: new Date(start.getTime() + minutes * 60000) };
+}
+
+function getEventSummary(appointment) {
+  return `Appointment with Dr. ${appointment.doctor?.name ?? 'Unknown'}`;
+}
+
+function getEventDescription(appointment) {
+  return [
+    appointment.doctor?.specialization &&
+      `Specialization: ${appointment.doctor.specialization}`,
+    appointment.reason && `Reason: ${appointment.reason}`,
+    appointment.symptoms && `Symptoms: ${appointment.symptoms}`,
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Only what a calendar link may reveal: who and when (the time itself is in the link's dates).
+function getLinkDetails(appointment) {
+  return [
+    `Doctor: Dr. ${appointment.doctor?.name ?? 'Unknown'}`,
+    `Clinic time: ${normalizeDateKey(appointment.appointmentDate)} ${appointment.appointmentTime}`,
+  ].join('\n');
+}
+
+function getEventStatus(status) {
+  switch (status) {
+    case 'confirmed':
+      return 'CONFIRMED';
+    case 'cancelled':
+      return 'CANCELLED';
+    default:
+      return 'TENTATIVE';
+  }
+}
+
+/** VEVENT lines for one appointment; `sequence` is its revision (getEventSequences). */
+export function buildAppointmentEvent(
+  appointment,
+  now = new Date(),
+  sequence = 0,
+) {
+  const { start, end } = getAppointmentInterval(appointment);
+  const updatedAt = appointment.updatedAt
+    ? new Date(appointment.updatedAt)
+    : null;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getAppointmentUid(appointment)}`,
+    `DTSTAMP:${formatIcsDateTime(now)}`,
+    `DTSTART:${formatIcsDateTime(start)}`,
+    `DTEND:${formatIcsDateTime(end)}`,
+    `SUMMARY:${escapeIcsText(getEventSummary(appointment))}`,
+  ];
+  const description = getEventDescription(appointment);
+  if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+  if (appointment.location) {
+    lines.push(`LOCATION:${escapeIcsText(appointment.location)}`);
+  }
+  lines.push(`STATUS:${getEventStatus(appointment.status)}`);
+  if (updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatIcsDateTime(updatedAt)}`);
+  }
+  lines.push(`SEQUENCE:${sequence}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/** Full VCALENDAR document (CRLF line endings, folded lines); `sequences` maps appointment id → SEQUENCE. */
+export function buildIcsCalendar(
+  appointments,
+  now = new Date(),
+  sequences = {},
+) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...appointments.flatMap((appointment) =>
+      buildAppointmentEvent(appointment, now, sequences[appointment._id]),
+    ),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+export function getEventSequencesKey(userId) {
+  return `appointments.icsSequences.${userId}`;
+}
+
+// What an exported event shows that can change: a new value means a new revision.
+function getEventRevision(appointment) {
+  return (
+    appointment.updatedAt ??
+    [
+      normalizeDateKey(appointment.appointmentDate),
+      appointment.appointmentTime,
+      appointment.durationMinutes,
+      appointment.status,
+      appointment.location,
+    ].join('|')
+  );
+}
+
+/**
+ * SEQUENCE per appointment id for an export: 0 on the first export, one more each time the appointment
+ * changed since it was last exported. Stored per user (offline store); without a user id everything is 0.
+ */
+export async function getEventSequences(userId, appointments) {
+  if (!userId) return {};
+  const key = getEventSequencesKey(userId);
+  const stored = await getOfflineValue(key, {});
+  const next = { ...stored };
+  appointments.forEach((appointment) => {
+    const revision = getEventRevision(appointment);
+    const previous = stored[appointment._id];
+    if (!previous) {
+      next[appointment._id] = { revision, sequence: 0 };
+    } else if (previous.revision !== revision) {
+      next[appointment._id] = { revision, sequence: previous.sequence + 1 };
+    }
+  });
+  await setOfflineValue(key, next);
+  return Object.fromEntries(
+    Object.entries(next).map(([id, { sequence }]) => [id, sequence]),
+  );
+}
+
+export function clearEventSequences(userId) {
+  return userId
+    ? deleteOfflineValue(getEventSequencesKey(userId))
+    : Promise.resolve();
+}
+
+export function getIcsFilename(appointment) {
+  return `appointment-${normalizeDateKey(appointment.appointmentDate)}-${appointment._id}.ics`;
+}
+
+/** Triggers a browser download of an .ics document. */
+export function downloadIcs(filename, content) {
+  downloadFile(filename, content, 'text/calendar;charset=utf-8');
+}
+
+/** Google Calendar "create event" link. */
+export function getGoogleCalendarUrl(appointment) {
+  const { start, end } = getAppointmentInterval(appointment);
+  const params = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: getEventSummary(appointment),
+    dates: `${formatIcsDateTime(start)}/${formatIcsDateTime(end)}`,
+    details: getLinkDetails(appointment),
+  });
+  if (appointment.location) params.set('location', appointment.location);
+  return `https://calendar.google.com/calendar/render?${params}`;
+}
+
+/** Outlook.com "compose event" link. */
+export function getOutlookCalendarUrl(appointment) {
+  const { start, end } = getAppointmentInterval(appointment);
+  const params = new URLSearchParams({
+    path: '/calendar/action/compose',
+    rru: 'addevent',
+    subject: getEventSummary(appointment),
+    startdt: start.toISOString(),
+    enddt: end.toISOString(),
+    body: getLinkDetails(appointment),
+  });
+  if (appointment.location) params.set('location', appointment.location);
+  return `https://outlook.live.com/calendar/0/deeplink/compose?${params}`;
+}
@@ -0,0 +1,156 @@
+import {
+  escapeIcsText,
+  foldIcsLine,
+  formatIcsDateTime,
+  getAppointmentInterval,
+  buildAppointmentEvent,
+  buildIcsCalendar,
+  getIcsFilename,
+  getGoogleCalendarUrl,
+  getOutlookCalendarUrl,
+  getEventSequences,
+  clearEventSequences,
+} from './appointmentIcs';
+
+const appointment = {
+  _id: 'a1',
+  doctor: { name: 'Smith', specialization: 'Cardiology' },
+  appointmentDate: '2030-01-07T00:00:00.000Z',
+  appointmentTime: '09:00',
+  reason: 'Chest pain, follow-up; ECG',
+  status: 'confirmed',
+  updatedAt: '2030-01-02T10:00:00.000Z',
+};
+const now = new Date('2030-01-03T12:00:00.000Z');
+
+describe('text helpers', () => {
+  it('escapes TEXT values', () => {
+    expect(escapeIcsText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+  });
+  it('folds long lines', () => {
+    const folded = foldIcsLine(`DESCRIPTION:${'x'.repeat(200)}`);
+    const lines = folded.split('\r\n');
+    expect(lines.every((line) => line.length <= 75)).toBe(true);
+    expect(lines.slice(1).every((line) => line.startsWith(' '))).toBe(true);
+    expect(lines.map((line, i) => (i ? line.slice(1) : line)).join('')).toBe(
+      `DESCRIPTION:${'x'.repeat(200)}`,
+    );
+  });
+  it('folds at 75 octets without splitting characters', () => {
+    const line = `DESCRIPTION:${'żółw 🐢 '.repeat(30)}`;
+    const lines = foldIcsLine(line).split('\r\n');
+    const octets = (text) => Buffer.byteLength(text, 'utf8');
+    expect(lines.length).toBeGreaterThan(1);
+    expect(lines.every((folded) => octets(folded) <= 75)).toBe(true);
+    expect(
+      lines.map((folded, i) => (i ? folded.slice(1) : folded)).join(''),
+    ).toBe(line);
+    expect(lines.join('')).not.toMatch(/[\uD800-\uDBFF](?![\uDC00-\uDFFF])/);
+  });
+  it('formats UTC date-time', () => {
+    expect(formatIcsDateTime(new Date('2030-01-07T14:00:00.000Z'))).toBe(
+      '20300107T140000Z',
+    );
+  });
+});
+
+describe('events', () => {
+  it('clinic time converted to UTC, default 30 minutes', () => {
+    const { start, end } = getAppointmentInterval(appointment);
+    expect(start.toISOString()).toBe('2030-01-07T14:00:00.000Z');
+    expect(end.toISOString()).toBe('2030-01-07T14:30:00.000Z');
+  });
+  it('stable UID, sequence from the revision counter', () => {
+    const lines = buildAppointmentEvent(appointment, now);
+    expect(lines).toContain('UID:appointment-a1@patient-portal');
+    expect(lines).toContain('DTSTART:20300107T140000Z');
+    expect(lines).toContain('DTEND:20300107T143000Z');
+    expect(lines).toContain('SUMMARY:Appointment with Dr. Smith');
+    expect(lines).toContain(
+      'DESCRIPTION:Specialization: Cardiology\\nReason: Chest pain\\, follow-up\\; ECG',
+    );
+    expect(lines).toContain('STATUS:CONFIRMED');
+    expect(lines).toContain('LAST-MODIFIED:20300102T100000Z');
+    expect(lines).toContain('SEQUENCE:0');
+    expect(buildAppointmentEvent(appointment, now, 2)).toContain('SEQUENCE:2');
+    const { updatedAt, ...withoutUpdatedAt } = appointment;
+    expect(buildAppointmentEvent(withoutUpdatedAt, now)).toContain(
+      'SEQUENCE:0',
+    );
+  });
+  it('calendar wraps events with CRLF', () => {
+    const ics = buildIcsCalendar(
+      [appointment, { ...appointment, _id: 'a2', status: 'pending' }],
+      now,
+    );
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(ics).toContain('STATUS:TENTATIVE');
+  });
+  it('filename uses calendar day', () => {
+    expect(getIcsFilename(appointment)).toBe('appointment-2030-01-07-a1.ics');
+  });
+});
+
+describe('getEventSequences', () => {
+  afterEach(() => clearEventSequences('patient-1'));
+
+  it('raises the sequence only when an appointment changed since its last export', async () => {
+    const other = { ...appointment, _id: 'a2', updatedAt: undefined };
+    expect(await getEventSequences('patient-1', [appointment, other])).toEqual({
+      a1: 0,
+      a2: 0,
+    });
+    expect(await getEventSequences('patient-1', [appointment])).toEqual({
+      a1: 0,
+      a2: 0,
+    });
+    const moved = { ...other, appointmentTime: '10:00' };
+    const updated = { ...appointment, updatedAt: '2030-01-03T10:00:00.000Z' };
+    expect(await getEventSequences('patient-1', [updated, moved])).toEqual({
+      a1: 1,
+      a2: 1,
+    });
+    expect(await getEventSequences('patient-2', [updated])).toEqual({ a1: 0 });
+    await clearEventSequences('patient-2');
+  });
+
+  it('keeps nothing without a user', async () => {
+    expect(await getEventSequences('', [appointment])).toEqual({});
+  });
+});
+
+describe('add-to-calendar links', () => {
+  it('google and outlook carry UTC times', () => {
+    const google = new URL(getGoogleCalendarUrl(appointment));
+    expect(google.searchParams.get('dates')).toBe(
+      '20300107T140000Z/20300107T143000Z',
+    );
+    expect(google.searchParams.get('text')).toBe('Appointment with Dr. Smith');
+    const outlook = new URL(getOutlookCalendarUrl(appointment));
+    expect(outlook.searchParams.get('startdt')).toBe(
+      '2030-01-07T14:00:00.000Z',
+    );
+  });
+  it('leave the reason and symptoms out of the URL', () => {
+    const withDetails = {
+      ...appointment,
+      symptoms: 'Shortness of breath',
+      location: 'Room 4',
+    };
+    const google = new URL(getGoogleCalendarUrl(withDetails));
+    const outlook = new URL(getOutlookCalendarUrl(withDetails));
+    expect(google.searchParams.get('details')).toBe(
+      'Doctor: Dr. Smith\nClinic time: 2030-01-07 09:00',
+    );
+    expect(outlook.searchParams.get('body')).toBe(
+      google.searchParams.get('details'),
+    );
+    expect(google.searchParams.get('location')).toBe('Room 4');
+    expect(outlook.searchParams.get('location')).toBe('Room 4');
+    [google, outlook].forEach((url) => {
+      expect(url.href).not.toMatch(/Chest|breath/);
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Live appointment status: changes pushed by the server (e.g. a doctor confirming a booking) for the signed-in
+ * patient.
+ *
+ * - Server-sent events from APPOINTMENT_EVENTS_URL, one { type: 'appointment.updated', appointment } message per
+ *   change (appointment carries its _id and the changed fields). When EventSource is unavailable or the stream
+ *   cannot connect, the patient's appointments are polled instead and status changes are derived from them.
+ * - Changes are merged into every cached appointment query (utils/queryCache), so open lists and the dashboard
+ *   counters update in place; an appointment no query holds yet triggers a refetch instead.
+ * - A status change of a known appointment is announced with a toast (AppointmentStatusToasts), worded in the
+ *   patient's language when it is shown.
+ * - mock/liveStatusServer.mjs serves the stream and the polling endpoint locally.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { patientQueries, patientQueryKeys } from './patientQueries';
+import { invalidateQueries, updateQueriesData } from '../../utils/queryCache';
+import { defaultI18n } from '../../utils/i18n';
+
+export const APPOINTMENT_EVENTS_URL = '/api/appointments/events';
+export const LIVE_POLL_INTERVAL_MS = 30000;
+export const STATUS_TOAST_HIDE_MS = 6000;
+
+/** Change from a pushed message ({ _id, ...fields }); null for other or malformed messages. */
+export function parseAppointmentEvent(data) {
+  try {
+    const event = JSON.parse(data);
+    return event?.type === 'appointment.updated' && event.appointment?._id
+      ? event.appointment
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Polled appointments whose status differs from the previous poll (id → status); new ones included. */
+export function getAppointmentStatusChanges(previousStatuses, appointments) {
+  return appointments.filter(
+    (appointment) =>
+      previousStatuses.get(appointment._id) !== appointment.status,
+  );
+}
+
+/** List with the change merged into the appointment it targets; the same list when none matches. */
+export function mergeAppointmentChange(appointments, change) {
+  const index = appointments.findIndex(({ _id }) => _id === change._id);
+  if (index === -1) return appointments;
+  const next = [...appointments];
+  next[index] = { ...appointments[index], ...change };
+  return next;
+}
+
+/**
+ * Merges a change into every cached appointment query. Returns { previous, appointment } from the first query
+ * holding it, or null when none does.
+ */
+export function applyAppointmentChange(change) {
+  let result = null;
+  updateQueriesData(patientQueryKeys.appointments, (data) => {
+    const list = Array.isArray(data) ? data : data?.appointments;
+    if (!Array.isArray(list)) return data;
+    const merged = mergeAppointmentChange(list, change);
+    if (merged === list) return data;
+    if (!result) {
+      const previous = list.find(({ _id }) => _id === change._id);
+      result = { previous, appointment: { ...previous, ...change } };
+    }
+    return Array.isArray(data) ? merged : { ...data, appointments: merged };
+  });
+  return result;
+}
+
+/** "Your appointment with Dr. Smith on Jan 07 at 10:00 is now confirmed." */
+export function describeStatusChange(appointment, i18n = defaultI18n) {
+  const { t, formatDate, formatTime } = i18n;
+  const params = {
+    doctor: appointment.doctor?.name,
+    when: t('common.dateAtTime', {
+      date: formatDate(appointment.appointmentDate, 'dayMonth'),
+      time: formatTime(appointment.appointmentTime),
+    }),
+    status: t(`status.${appointment.status}`),
+  };
+  return t(
+    params.doctor
+      ? 'liveUpdates.statusChangedWithDoctor'
+      : 'liveUpdates.statusChanged',
+    params,
+  );
+}
+
+/**
+ * Calls onChange(change) for each appointment change of the patient: server-sent events from `url`, or polling
+ * `poll()` (resolves with the patient's appointments) every `pollIntervalMs` when EventSource is unavailable or
+ * the stream fails. Returns an unsubscribe function.
+ */
+export function subscribeToAppointmentChanges(
+  patientId,
+  onChange,
+  {
+    url = APPOINTMENT_EVENTS_URL,
+    poll,
+    pollIntervalMs = LIVE_POLL_INTERVAL_MS,
+  } = {},
+) {
+  let closed = false;
+  let source = null;
+  let pollTimer = null;
+
+  const startPolling = () => {
+    if (!poll || pollTimer != null) return;
+    let previousStatuses = null;
+    const check = async () => {
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return;
+      }
+      try {
+        const appointments = await poll();
+        if (closed) return;
+        // The first poll only records the current statuses.
+        if (previousStatuses) {
+          getAppointmentStatusChanges(previousStatuses, appointments).forEach(
+            (change) => onChange(change),
+          );
+        }
+        previousStatuses = new Map(
+          appointments.map(({ _id, status }) => [_id, status]),
+        );
+      } catch {
+        // Tried again on the next interval.
+      }
+    };
+    check();
+    pollTimer = setInterval(check, pollIntervalMs);
+  };
+
+  if (typeof EventSource === 'undefined') {
+    startPolling();
+  } else {
+    let opened = false;
+    source = new EventSource(
+      `${url}?patient=${encodeURIComponent(patientId)}`,
+      { withCredentials: true },
+    );
+    source.onopen = () => {
+      opened = true;
+    };
+    source.onmessage = (event) => {
+      const change = parseAppointmentEvent(event.data);
+      if (change) onChange(change);
+    };
+    source.onerror = () => {
+      // The browser reconnects a dropped stream by itself; one that never opened or was closed is replaced by polling.
+      if (opened && source.readyState !== EventSource.CLOSED) return;
+      source.close();
+      source = null;
+      if (!closed) startPolling();
+    };
+  }
+
+  return () => {
+    closed = true;
+    source?.close();
+    if (pollTimer != null) clearInterval(pollTimer);
+  };
+}
+
+/**
+ * Keeps cached appointment data in step with pushed changes while mounted. Returns { toasts, dismissToast }:
+ * toasts are { id, appointment } for status changes, hidden after STATUS_TOAST_HIDE_MS. `onChange` also receives
+ * every change, for pages holding appointments outside the cache; it returns { previous, appointment } when it
+ * holds the changed one. A change nobody holds refetches the appointment queries.
+ */
+export function useAppointmentLiveUpdates(patientId, { onChange } = {}) {
+  const [toasts, setToasts] = useState([]);
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  const dismissToast = (id) => {
+    setToasts((current) => current.filter((toast) => toast.id !== id));
+  };
+
+  useEffect(() => {
+    if (!patientId) return;
+    const timers = new Set();
+    const unsubscribe = subscribeToAppointmentChanges(
+      patientId,
+      (change) => {
+        const cached = applyAppointmentChange(change);
+        const result = onChangeRef.current?.(change) ?? cached;
+        if (!result) {
+          invalidateQueries(patientQueryKeys.appointments);
+          return;
+        }
+        if (result.previous.status === result.appointment.status) return;
+        const toast = {
+          id: `${change._id}-${Date.now()}`,
+          appointment: result.appointment,
+        };
+        setToasts((current) => [...current, toast]);
+        const timer = setTimeout(() => {
+          timers.delete(timer);
+          dismissToast(toast.id);
+        }, STATUS_TOAST_HIDE_MS);
+        timers.add(timer);
+      },
+      { poll: patientQueries.patientAppointments(patientId) },
+    );
+    return () => {
+      unsubscribe();
+      timers.forEach((timer) => clearTimeout(timer));
+    };
+  }, [patientId]);
+
+  return { toasts, dismissToast };
+}
@@ -0,0 +1,221 @@
+import {
+  applyAppointmentChange,
+  describeStatusChange,
+  getAppointmentStatusChanges,
+  mergeAppointmentChange,
+  parseAppointmentEvent,
+  subscribeToAppointmentChanges,
+} from './appointmentLiveUpdates';
+import { patientQueryKeys } from './patientQueries';
+import { createI18n } from '../../utils/i18n';
+import {
+  clearQueryCache,
+  getQueryState,
+  setQueryData,
+} from '../../utils/queryCache';
+
+jest.mock('../../services/appointmentService', () => ({
+  appointmentService: {},
+}));
+jest.mock('../../services/userService', () => ({ userService: {} }));
+jest.mock('../../services/aiService', () => ({ aiService: {} }));
+
+class FakeEventSource {
+  constructor(url, options) {
+    this.url = url;
+    this.options = options;
+    this.readyState = 0;
+    this.closed = false;
+    FakeEventSource.current = this;
+  }
+  close() {
+    this.closed = true;
+    this.readyState = FakeEventSource.CLOSED;
+  }
+}
+FakeEventSource.CLOSED = 2;
+
+const pending = {
+  _id: 'a1',
+  doctor: { _id: 'd1', name: 'Smith' },
+  appointmentDate: '2030-01-07',
+  appointmentTime: '10:00',
+  status: 'pending',
+};
+
+afterEach(() => {
+  delete global.EventSource;
+  jest.useRealTimers();
+});
+
+describe('parseAppointmentEvent', () => {
+  it('returns the change of an appointment.updated message', () => {
+    expect(
+      parseAppointmentEvent(
+        JSON.stringify({
+          type: 'appointment.updated',
+          appointment: { _id: 'a1', status: 'confirmed' },
+        }),
+      ),
+    ).toEqual({ _id: 'a1', status: 'confirmed' });
+  });
+
+  it('ignores other and malformed messages', () => {
+    expect(parseAppointmentEvent('{"type":"ping"}')).toBeNull();
+    expect(
+      parseAppointmentEvent('{"type":"appointment.updated","appointment":{}}'),
+    ).toBeNull();
+    expect(parseAppointmentEvent('not json')).toBeNull();
+  });
+});
+
+describe('getAppointmentStatusChanges', () => {
+  it('returns appointments whose status changed or that are new', () => {
+    const previous = new Map([
+      ['a1', 'pending'],
+      ['a2', 'confirmed'],
+    ]);
+    const changes = getAppointmentStatusChanges(previous, [
+      { _id: 'a1', status: 'confirmed' },
+      { _id: 'a2', status: 'confirmed' },
+      { _id: 'a3', status: 'pending' },
+    ]);
+    expect(changes.map(({ _id }) => _id)).toEqual(['a1', 'a3']);
+  });
+});
+
+describe('mergeAppointmentChange', () => {
+  it('merges the changed fields and keeps the rest', () => {
+    const [merged] = mergeAppointmentChange([pending], {
+      _id: 'a1',
+      status: 'confirmed',
+    });
+    expect(merged).toEqual({ ...pending, status: 'confirmed' });
+  });
+
+  it('returns the same list when no appointment matches', () => {
+    const list = [pending];
+    expect(mergeAppointmentChange(list, { _id: 'other' })).toBe(list);
+  });
+});
+
+describe('applyAppointmentChange', () => {
+  beforeEach(() => clearQueryCache());
+
+  it('updates every cached appointment query in place', () => {
+    const listKey = patientQueryKeys.appointmentList('patient-1', 20);
+    const patientKey = patientQueryKeys.patientAppointments('patient-1');
+    setQueryData(listKey, { appointments: [pending], nextCursor: 'c2' });
+    setQueryData(patientKey, [pending]);
+    const { updatedAt } = getQueryState(listKey);
+
+    const result = applyAppointmentChange({ _id: 'a1', status: 'confirmed' });
+    expect(result.previous.status).toBe('pending');
+    expect(result.appointment).toEqual({ ...pending, status: 'confirmed' });
+    expect(getQueryState(listKey)).toMatchObject({
+      data: { appointments: [{ status: 'confirmed' }], nextCursor: 'c2' },
+      updatedAt,
+    });
+    expect(getQueryState(patientKey).data[0].status).toBe('confirmed');
+  });
+
+  it('returns null when no cached query holds the appointment', () => {
+    setQueryData(patientQueryKeys.patientAppointments('patient-1'), [pending]);
+    expect(
+      applyAppointmentChange({ _id: 'unknown', status: 'confirmed' }),
+    ).toBeNull();
+  });
+});
+
+describe('describeStatusChange', () => {
+  it('names the doctor, day, time and new status', () => {
+    expect(describeStatusChange({ ...pending, status: 'confirmed' })).toBe(
+      'Your appointment with Dr. Smith on Jan 07 at 10:00 is now confirmed.',
+    );
+    expect(
+      describeStatusChange(
+        { ...pending, status: 'confirmed' },
+        createI18n({ locale: 'es' }),
+      ),
+    ).toBe(
+      'Su cita con el Dr. Smith del 7 ene a las 10:00 ahora está confirmada.',
+    );
+  });
+});
+
+describe('subscribeToAppointmentChanges', () => {
+  it('streams changes from server-sent events', () => {
+    global.EventSource = FakeEventSource;
+    const onChange = jest.fn();
+    const unsubscribe = subscribeToAppointmentChanges('patient 1', onChange);
+    const source = FakeEventSource.current;
+    expect(source.url).toBe('/api/appointments/events?patient=patient%201');
+    expect(source.options).toEqual({ withCredentials: true });
+
+    source.onopen();
+    source.onmessage({
+      data: JSON.stringify({
+        type: 'appointment.updated',
+        appointment: { _id: 'a1', status: 'confirmed' },
+      }),
+    });
+    source.onmessage({ data: 'keep-alive' });
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith({ _id: 'a1', status: 'confirmed' });
+
+    unsubscribe();
+    expect(source.closed).toBe(true);
+  });
+
+  it('lets an open stream reconnect by itself', () => {
+    global.EventSource = FakeEventSource;
+    const poll = jest.fn(() => Promise.resolve([]));
+    subscribeToAppointmentChanges('patient-1', jest.fn(), { poll });
+    const source = FakeEventSource.current;
+    source.onopen();
+    source.readyState = 0;
+    source.onerror();
+    expect(source.closed).toBe(false);
+    expect(poll).not.toHaveBeenCalled();
+  });
+
+  it('falls back to polling when the stream cannot connect', async () => {
+    jest.useFakeTimers();
+    global.EventSource = FakeEventSource;
+    const poll = jest
+      .fn()
+      .mockResolvedValueOnce([pending])
+      .mockResolvedValueOnce([{ ...pending, status: 'confirmed' }]);
+    const onChange = jest.fn();
+    const unsubscribe = subscribeToAppointmentChanges('patient-1', onChange, {
+      poll,
+      pollIntervalMs: 1000,
+    });
+    const source = FakeEventSource.current;
+    source.onerror();
+    expect(source.closed).toBe(true);
+    await jest.advanceTimersByTimeAsync(0);
+    expect(onChange).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(onChange).toHaveBeenCalledWith({ ...pending, status: 'confirmed' });
+    unsubscribe();
+  });
+
+  it('polls when EventSource is unavailable and stops on unsubscribe', async () => {
+    jest.useFakeTimers();
+    const poll = jest.fn(() => Promise.resolve([pending]));
+    const onChange = jest.fn();
+    const unsubscribe = subscribeToAppointmentChanges('patient-1', onChange, {
+      poll,
+      pollIntervalMs: 1000,
+    });
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(poll).toHaveBeenCalledTimes(3);
+    expect(onChange).not.toHaveBeenCalled();
+
+    unsubscribe();
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(poll).toHaveBeenCalledTimes(3);
+  });
+});
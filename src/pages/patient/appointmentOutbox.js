@@ -0,0 +1,249 @@
+/**
+ * Offline bookings: an outbox of bookings/cancellations made without a connection, replayed when it returns.
+ *
+ * - Entries persist in the offline store (IndexedDB) so they survive reloads; replay runs in queue order
+ *   through the cache-aware calls (patientQueries), so sent entries refresh the cached appointment queries.
+ * - A failure that may pass (no connection, timeout, expired session, server error) stops the replay and
+ *   keeps the rest queued; a definitive rejection (e.g. 409, the slot was taken meanwhile) drops the entry
+ *   and is reported as a conflict.
+ * - Conflicts are { entry, status }; describeOutboxEntry/getConflictMessage put them in the patient's language
+ *   when shown, so the server's own message never reaches the patient.
+ * - The first page of the appointment list is cached so the page renders offline.
+ * - Both are keyed by the signed-in user's id (nothing is stored without one), so on a shared device one
+ *   patient's queue is never shown to or replayed for another; clearOfflineAppointments removes them.
+ */
+
+import {
+  createAppointment,
+  createAppointmentSeries,
+  updateAppointment,
+} from './patientQueries';
+import {
+  deleteOfflineValue,
+  getOfflineValue,
+  setOfflineValue,
+} from '../../utils/offlineStore';
+import { defaultI18n } from '../../utils/i18n';
+
+export function getOutboxKey(userId) {
+  return `appointments.outbox.${userId}`;
+}
+
+export function getAppointmentsCacheKey(userId) {
+  return `appointments.list.${userId}`;
+}
+
+const SLOT_TAKEN_STATUS = 409;
+// Client errors that may succeed on a later replay: expired session, request timeout, rate limit.
+const RETRYABLE_STATUSES = [401, 408, 429];
+
+/** True when a request failed for lack of a connection rather than being rejected by the server. */
+export function isNetworkError(error) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return true;
+  }
+  if (!error || error.response) return false;
+  return error.code === 'ERR_NETWORK' || error.message === 'Network Error';
+}
+
+/**
+ * True when a queued change should be kept for a later replay: no connection, timeout, 401/408/429 or 5xx.
+ * Anything else (a rejection, or an error before the request was sent) is reported as a conflict.
+ */
+export function isRetryableError(error) {
+  if (isNetworkError(error) || error?.code === 'ECONNABORTED') return true;
+  const status = error?.response?.status;
+  if (!status) return false;
+  return RETRYABLE_STATUSES.includes(status) || status >= 500;
+}
+
+function createEntryId() {
+  return `outbox-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/** Queued single booking; `doctor` ({ _id, name, specialization }) is kept for the pending card. */
+export function createBookingEntry(formData, doctor) {
+  return {
+    id: createEntryId(),
+    type: 'create',
+    payload: formData,
+    doctor: doctor ?? { _id: formData.doctor },
+    queuedAt: new Date().toISOString(),
+  };
+}
+
+/** Queued recurring series (payload from buildSeriesRequest). */
+export function createSeriesEntry(seriesRequest, doctor) {
+  return {
+    id: createEntryId(),
+    type: 'createSeries',
+    payload: seriesRequest,
+    doctor: doctor ?? { _id: seriesRequest.doctor },
+    queuedAt: new Date().toISOString(),
+  };
+}
+
+/** Queued cancellation of one appointment. */
+export function createCancelEntry(appointment) {
+  return {
+    id: createEntryId(),
+    type: 'cancel',
+    appointmentId: appointment._id,
+    payload: {
+      appointmentDate: appointment.appointmentDate,
+      appointmentTime: appointment.appointmentTime,
+    },
+    doctor: appointment.doctor,
+    queuedAt: new Date().toISOString(),
+  };
+}
+
+/** "Booking on Jan 07, 2030 at 10:00 with Dr. Smith" — used in conflict reports. */
+export function describeOutboxEntry(
+  entry,
+  { t, formatDate, formatTime } = defaultI18n,
+) {
+  const { appointmentDate, appointmentTime, dates } = entry.payload;
+  const params = {
+    when: t('common.dateAtTime', {
+      date: formatDate(appointmentDate),
+      time: formatTime(appointmentTime),
+    }),
+    doctor: entry.doctor?.name,
+    count: dates?.length ?? 0,
+  };
+  const key =
+    {
+      createSeries: 'appointments.outboxSeries',
+      cancel: 'appointments.outboxCancel',
+    }[entry.type] ?? 'appointments.outboxBooking';
+  return t(params.doctor ? `${key}WithDoctor` : key, params);
+}
+
+/** Why a queued change was rejected, translated (the server's own message is not shown). */
+export function getConflictMessage({ entry, status }, { t } = defaultI18n) {
+  if (status === SLOT_TAKEN_STATUS && entry.type !== 'cancel') {
+    return t('validation.slotTaken');
+  }
+  return t(
+    entry.type === 'cancel'
+      ? 'appointments.cancelFailed'
+      : 'appointments.createFailed',
+  );
+}
+
+function sendOutboxEntry(entry) {
+  switch (entry.type) {
+    case 'createSeries':
+      return createAppointmentSeries(entry.payload);
+    case 'cancel':
+      return updateAppointment(entry.appointmentId, { status: 'cancelled' });
+    default:
+      return createAppointment(entry.payload);
+  }
+}
+
+// Read-modify-write of the stored queue is serialized so an entry queued during a replay is not lost.
+let outboxQueue = Promise.resolve();
+
+function updateOutbox(userId, update) {
+  const next = outboxQueue.then(async () => {
+    const entries = await getOfflineValue(getOutboxKey(userId), []);
+    const updated = update(entries);
+    await setOfflineValue(getOutboxKey(userId), updated);
+    return updated;
+  });
+  outboxQueue = next.catch(() => {});
+  return next;
+}
+
+/** The user's queued changes ([] when signed out). */
+export function loadOutbox(userId) {
+  if (!userId) return Promise.resolve([]);
+  return getOfflineValue(getOutboxKey(userId), []);
+}
+
+/** Appends an entry to the user's queue; resolves with the whole queue. */
+export function enqueueOutboxEntry(userId, entry) {
+  if (!userId) return Promise.resolve([]);
+  return updateOutbox(userId, (entries) => [...entries, entry]);
+}
+
+/**
+ * Sends the user's queued entries in order. Resolves with { remaining, sent, conflicts }, where conflicts
+ * are { entry, status } (status of the rejection, if any); the stored queue keeps only entries still waiting to be sent.
+ */
+export async function replayOutbox(userId) {
+  const entries = await loadOutbox(userId);
+  const sent = [];
+  const conflicts = [];
+  for (const entry of entries) {
+    try {
+      await sendOutboxEntry(entry);
+      sent.push(entry);
+    } catch (error) {
+      if (isRetryableError(error)) break;
+      conflicts.push({ entry, status: error?.response?.status });
+    }
+  }
+  const processed = new Set(
+    [...sent, ...conflicts.map(({ entry }) => entry)].map(({ id }) => id),
+  );
+  const remaining = await updateOutbox(userId, (current) =>
+    current.filter(({ id }) => !processed.has(id)),
+  );
+  return { remaining, sent, conflicts };
+}
+
+/** Server list with queued changes applied: pending bookings first, queued cancellations marked. */
+export function applyOutboxToAppointments(appointments, entries) {
+  const cancelling = new Set(
+    entries
+      .filter(({ type }) => type === 'cancel')
+      .map(({ appointmentId }) => appointmentId),
+  );
+  const pendingBookings = entries.flatMap((entry) => {
+    if (entry.type === 'cancel') return [];
+    const { dates, recurrence, ...booking } = entry.payload;
+    const bookingDates = entry.type === 'createSeries' ? dates : [null];
+    return bookingDates.map((date, index) => ({
+      ...booking,
+      _id: `${entry.id}-${index}`,
+      appointmentDate: date ?? booking.appointmentDate,
+      doctor: entry.doctor,
+      status: 'pending',
+      pendingSync: true,
+    }));
+  });
+  return [
+    ...pendingBookings,
+    ...appointments.map((appointment) =>
+      cancelling.has(appointment._id)
+        ? { ...appointment, status: 'cancelled', pendingSync: true }
+        : appointment,
+    ),
+  ];
+}
+
+export function loadCachedAppointments(userId) {
+  if (!userId) return Promise.resolve(null);
+  return getOfflineValue(getAppointmentsCacheKey(userId), null);
+}
+
+export function cacheAppointments(userId, appointments) {
+  if (!userId) return Promise.resolve();
+  return setOfflineValue(getAppointmentsCacheKey(userId), appointments);
+}
+
+/** Removes the user's queued changes and cached list (sign-out). */
+export function clearOfflineAppointments(userId) {
+  if (!userId) return Promise.resolve();
+  const cleared = outboxQueue.then(() =>
+    Promise.all([
+      deleteOfflineValue(getOutboxKey(userId)),
+      deleteOfflineValue(getAppointmentsCacheKey(userId)),
+    ]),
+  );
+  outboxQueue = cleared.catch(() => {});
+  return cleared;
+}
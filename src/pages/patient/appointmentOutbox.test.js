@@ -0,0 +1,215 @@
+import {
+  applyOutboxToAppointments,
+  cacheAppointments,
+  clearOfflineAppointments,
+  createBookingEntry,
+  createCancelEntry,
+  createSeriesEntry,
+  describeOutboxEntry,
+  enqueueOutboxEntry,
+  getConflictMessage,
+  getOutboxKey,
+  isNetworkError,
+  isRetryableError,
+  loadCachedAppointments,
+  loadOutbox,
+  replayOutbox,
+} from './appointmentOutbox';
+import { appointmentService } from '../../services/appointmentService';
+import { setOfflineValue } from '../../utils/offlineStore';
+import { createI18n } from '../../utils/i18n';
+
+jest.mock('../../services/appointmentService', () => ({
+  appointmentService: {
+    create: jest.fn(() => Promise.resolve({})),
+    createSeries: jest.fn(() => Promise.resolve({})),
+    update: jest.fn(() => Promise.resolve({})),
+  },
+}));
+
+const USER = 'patient-1';
+const networkError = () =>
+  Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK' });
+const doctor = { _id: 'd1', name: 'Smith', specialization: 'General' };
+const booking = {
+  doctor: 'd1',
+  appointmentDate: '2030-01-07',
+  appointmentTime: '10:00',
+  reason: 'Follow-up on blood work',
+  symptoms: '',
+};
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  await setOfflineValue(getOutboxKey(USER), []);
+});
+
+describe('isNetworkError', () => {
+  it('no response means no connection; HTTP errors are rejections', () => {
+    expect(isNetworkError(networkError())).toBe(true);
+    expect(isNetworkError({ response: { status: 409 } })).toBe(false);
+    expect(isNetworkError(new TypeError('x is undefined'))).toBe(false);
+  });
+  it('keeps changes that may go through later', () => {
+    expect(isRetryableError(networkError())).toBe(true);
+    expect(isRetryableError({ code: 'ECONNABORTED' })).toBe(true);
+    expect(isRetryableError({ response: { status: 401 } })).toBe(true);
+    expect(isRetryableError({ response: { status: 503 } })).toBe(true);
+    expect(isRetryableError({ response: { status: 409 } })).toBe(false);
+    expect(isRetryableError({ response: { status: 422 } })).toBe(false);
+    expect(isRetryableError(new TypeError('payload is undefined'))).toBe(false);
+  });
+});
+
+describe('entries', () => {
+  it('describes queued changes for conflict reports', () => {
+    expect(describeOutboxEntry(createBookingEntry(booking, doctor))).toBe(
+      'Booking on Jan 07, 2030 at 10:00 with Dr. Smith',
+    );
+    expect(
+      describeOutboxEntry(
+        createSeriesEntry(
+          { ...booking, dates: ['2030-01-07', '2030-01-14'] },
+          doctor,
+        ),
+      ),
+    ).toBe(
+      'Series of 2 appointments from Jan 07, 2030 at 10:00 with Dr. Smith',
+    );
+    expect(
+      describeOutboxEntry(createCancelEntry({ _id: 'a1', ...booking, doctor })),
+    ).toBe(
+      'Cancellation of the appointment on Jan 07, 2030 at 10:00 with Dr. Smith',
+    );
+    expect(
+      describeOutboxEntry(
+        createBookingEntry(booking),
+        createI18n({ locale: 'es' }),
+      ),
+    ).toBe('Reserva del 7 de ene de 2030 a las 10:00');
+  });
+  it('applies queued bookings and cancellations to the list', () => {
+    const existing = { _id: 'a1', ...booking, doctor, status: 'confirmed' };
+    const list = applyOutboxToAppointments(
+      [existing],
+      [
+        createSeriesEntry(
+          {
+            ...booking,
+            recurrence: { frequency: 'weekly', count: 2 },
+            dates: ['2030-01-08', '2030-01-15'],
+          },
+          doctor,
+        ),
+        createCancelEntry(existing),
+      ],
+    );
+    expect(list).toHaveLength(3);
+    expect(list.map((a) => a.appointmentDate)).toEqual([
+      '2030-01-08',
+      '2030-01-15',
+      '2030-01-07',
+    ]);
+    expect(list[0]).toMatchObject({ status: 'pending', pendingSync: true });
+    expect(list[0]).not.toHaveProperty('dates');
+    expect(list[2]).toMatchObject({ status: 'cancelled', pendingSync: true });
+  });
+});
+
+describe('replayOutbox', () => {
+  it('sends entries in order and empties the queue', async () => {
+    await enqueueOutboxEntry(USER, createBookingEntry(booking, doctor));
+    await enqueueOutboxEntry(
+      USER,
+      createCancelEntry({ _id: 'a1', ...booking }),
+    );
+    const { remaining, sent, conflicts } = await replayOutbox(USER);
+    expect(sent).toHaveLength(2);
+    expect(conflicts).toEqual([]);
+    expect(remaining).toEqual([]);
+    expect(appointmentService.create).toHaveBeenCalledWith(booking);
+    expect(appointmentService.update).toHaveBeenCalledWith('a1', {
+      status: 'cancelled',
+    });
+    expect(await loadOutbox(USER)).toEqual([]);
+  });
+  it('stops on a network failure and keeps the rest queued', async () => {
+    appointmentService.create.mockRejectedValueOnce(networkError());
+    const first = createBookingEntry(booking, doctor);
+    const second = createCancelEntry({ _id: 'a1', ...booking });
+    await enqueueOutboxEntry(USER, first);
+    await enqueueOutboxEntry(USER, second);
+    const { remaining, sent } = await replayOutbox(USER);
+    expect(sent).toEqual([]);
+    expect(remaining.map(({ id }) => id)).toEqual([first.id, second.id]);
+    expect(appointmentService.update).not.toHaveBeenCalled();
+  });
+  it('reports a taken slot as a conflict and drops the entry', async () => {
+    appointmentService.create.mockRejectedValueOnce({
+      response: { status: 409 },
+    });
+    await enqueueOutboxEntry(USER, createBookingEntry(booking, doctor));
+    const { remaining, conflicts } = await replayOutbox(USER);
+    expect(remaining).toEqual([]);
+    expect(conflicts).toEqual([
+      { entry: expect.objectContaining({ type: 'create' }), status: 409 },
+    ]);
+    expect(getConflictMessage(conflicts[0])).toBe(
+      'This time is already booked for the selected doctor',
+    );
+  });
+  it("shows the translated message, not the server's", async () => {
+    appointmentService.update.mockRejectedValueOnce({
+      response: { status: 400, data: { message: 'Already cancelled' } },
+    });
+    await enqueueOutboxEntry(
+      USER,
+      createCancelEntry({ _id: 'a1', ...booking }),
+    );
+    const { conflicts } = await replayOutbox(USER);
+    expect(getConflictMessage(conflicts[0])).toBe(
+      'Failed to cancel appointment',
+    );
+    expect(getConflictMessage(conflicts[0], createI18n({ locale: 'es' }))).toBe(
+      'No se pudo cancelar la cita',
+    );
+  });
+  it.each([
+    ['an expired session', { response: { status: 401 } }],
+    ['a server error', { response: { status: 500 } }],
+    ['a timeout', { code: 'ECONNABORTED', message: 'timeout exceeded' }],
+  ])('keeps the queue on %s', async (_, error) => {
+    appointmentService.create.mockRejectedValueOnce(error);
+    const entry = createBookingEntry(booking, doctor);
+    await enqueueOutboxEntry(USER, entry);
+    await enqueueOutboxEntry(
+      USER,
+      createCancelEntry({ _id: 'a1', ...booking }),
+    );
+    const { remaining, sent, conflicts } = await replayOutbox(USER);
+    expect(sent).toEqual([]);
+    expect(conflicts).toEqual([]);
+    expect(remaining).toHaveLength(2);
+    expect(appointmentService.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('per-user storage', () => {
+  it("never shows or replays another user's changes", async () => {
+    await enqueueOutboxEntry(USER, createBookingEntry(booking, doctor));
+    await cacheAppointments(USER, [{ _id: 'a1', ...booking }]);
+    expect(await loadOutbox('patient-2')).toEqual([]);
+    expect(await loadCachedAppointments('patient-2')).toBeNull();
+    const { sent } = await replayOutbox('patient-2');
+    expect(sent).toEqual([]);
+    expect(appointmentService.create).not.toHaveBeenCalled();
+    expect(await loadOutbox('')).toEqual([]);
+  });
+  it("clears the user's data on sign-out", async () => {
+    await enqueueOutboxEntry(USER, createBookingEntry(booking, doctor));
+    await cacheAppointments(USER, [{ _id: 'a1', ...booking }]);
+    await clearOfflineAppointments(USER);
+    expect(await loadOutbox(USER)).toEqual([]);
+    expect(await loadCachedAppointments(USER)).toBeNull();
+  });
+});
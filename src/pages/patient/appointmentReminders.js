@@ -0,0 +1,322 @@
+/**
+ * Upcoming-appointment reminders for the dashboard notification center (NotificationCenter).
+ *
+ * - Each upcoming (pending/confirmed) appointment gets one reminder per lead time the patient picked (24 hours and
+ *   1 hour before by default). A reminder is due from its lead time until the appointment starts; only the latest
+ *   due one per appointment is shown.
+ * - Reminders are derived from the cached appointments (utils/queryCache), so a cancelled appointment loses its
+ *   reminders and a rescheduled one gets new ones (ids include the start time) as soon as the cache changes.
+ * - Preferences (lead times, browser notifications) and which reminders were read, dismissed or sent as browser
+ *   notifications are kept per user in the offline store. Browser notifications are only shown once permitted.
+ * - Messages, durations and dates are in the patient's language (i18n param, English by default).
+ */
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { isUpcomingAppointment } from './appointmentFilters';
+import { getAppointmentInterval } from './appointmentIcs';
+import { normalizeDateKey } from '../../utils/dateTime';
+import { defaultI18n } from '../../utils/i18n';
+import { getOfflineValue, setOfflineValue } from '../../utils/offlineStore';
+
+export const REMINDER_LEAD_TIMES = [
+  { minutes: 7 * 24 * 60 },
+  { minutes: 24 * 60 },
+  { minutes: 2 * 60 },
+  { minutes: 60 },
+  { minutes: 15 },
+];
+
+const WEEK_MINUTES = 7 * 24 * 60;
+
+/** "1 week", "24 hours", "15 minutes" for a lead time. */
+export function formatReminderLeadTime(minutes, { t } = defaultI18n) {
+  if (minutes % WEEK_MINUTES === 0) {
+    return t('duration.weeks', { count: minutes / WEEK_MINUTES });
+  }
+  return minutes % 60
+    ? t('duration.minutes', { count: minutes })
+    : t('duration.hours', { count: minutes / 60 });
+}
+
+export const DEFAULT_REMINDER_PREFERENCES = {
+  leadTimes: [24 * 60, 60],
+  browser: false,
+};
+
+/** Longest wait between checks, so reminders still appear on time after the device sleeps. */
+export const REMINDER_CHECK_MAX_MS = 60000;
+
+const MAX_STORED_REMINDER_IDS = 200;
+const EMPTY_REMINDER_STATE = { read: [], dismissed: [], notified: [] };
+
+/** Saved preferences with unknown lead times dropped (longest first); defaults when missing. */
+export function normalizeReminderPreferences(saved) {
+  if (!saved || typeof saved !== 'object') return DEFAULT_REMINDER_PREFERENCES;
+  const leadTimes = Array.isArray(saved.leadTimes)
+    ? REMINDER_LEAD_TIMES.map(({ minutes }) => minutes).filter((minutes) =>
+        saved.leadTimes.includes(minutes),
+      )
+    : DEFAULT_REMINDER_PREFERENCES.leadTimes;
+  return { leadTimes, browser: saved.browser === true };
+}
+
+export function getReminderPreferencesKey(userId) {
+  return `reminders.preferences.${userId}`;
+}
+
+export function getReminderStateKey(userId) {
+  return `reminders.state.${userId}`;
+}
+
+export async function loadReminderPreferences(userId) {
+  const saved = userId
+    ? await getOfflineValue(getReminderPreferencesKey(userId))
+    : null;
+  return normalizeReminderPreferences(saved);
+}
+
+export function saveReminderPreferences(userId, preferences) {
+  if (!userId) return Promise.resolve();
+  return setOfflineValue(getReminderPreferencesKey(userId), preferences);
+}
+
+/**
+ * Reminders for the upcoming appointments, earliest first: { id, appointment, leadMinutes, remindAt, startsAt }
+ * (times in ms). Appointments without a date or time are skipped.
+ */
+export function getAppointmentReminders(appointments, leadTimes) {
+  const reminders = [];
+  for (const appointment of appointments) {
+    if (
+      !isUpcomingAppointment(appointment) ||
+      !normalizeDateKey(appointment.appointmentDate) ||
+      !appointment.appointmentTime
+    ) {
+      continue;
+    }
+    const startsAt = getAppointmentInterval(appointment).start.getTime();
+    for (const leadMinutes of leadTimes) {
+      reminders.push({
+        id: `${appointment._id}@${startsAt}/${leadMinutes}`,
+        appointment,
+        leadMinutes,
+        remindAt: startsAt - leadMinutes * 60000,
+        startsAt,
+      });
+    }
+  }
+  return reminders.sort((a, b) => a.remindAt - b.remindAt);
+}
+
+/** Reminders due at `now` (latest lead time per appointment), minus dismissed ones; soonest appointment first. */
+export function getDueReminders(reminders, now, dismissedIds = []) {
+  const latest = new Map();
+  for (const reminder of reminders) {
+    if (reminder.remindAt > now || reminder.startsAt <= now) continue;
+    const current = latest.get(reminder.appointment._id);
+    if (!current || reminder.leadMinutes < current.leadMinutes) {
+      latest.set(reminder.appointment._id, reminder);
+    }
+  }
+  return [...latest.values()]
+    .filter(({ id }) => !dismissedIds.includes(id))
+    .sort((a, b) => a.startsAt - b.startsAt);
+}
+
+/** Next time the due reminders change (one becomes due or its appointment starts); null when none will. */
+export function getNextReminderChange(reminders, now) {
+  let next = null;
+  for (const { remindAt, startsAt } of reminders) {
+    const at = remindAt > now ? remindAt : startsAt;
+    if (at > now && (next == null || at < next)) next = at;
+  }
+  return next;
+}
+
+/** "45 minutes", "3 hours", "2 days" until a time. */
+export function formatTimeUntil(at, now, { t } = defaultI18n) {
+  const minutes = Math.max(1, Math.round((at - now) / 60000));
+  if (minutes < 60) return t('duration.minutes', { count: minutes });
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return t('duration.hours', { count: hours });
+  return t('duration.days', { count: Math.round(hours / 24) });
+}
+
+/** "Your appointment with Dr. Smith is in 1 hour (Jan 07 at 10:00)." */
+export function describeReminder(
+  { appointment, startsAt },
+  now,
+  i18n = defaultI18n,
+) {
+  const { t, formatDate, formatTime } = i18n;
+  const params = {
+    doctor: appointment.doctor?.name,
+    duration: formatTimeUntil(startsAt, now, i18n),
+    when: t('common.dateAtTime', {
+      date: formatDate(appointment.appointmentDate, 'dayMonth'),
+      time: formatTime(appointment.appointmentTime),
+    }),
+  };
+  return t(
+    params.doctor ? 'reminders.messageWithDoctor' : 'reminders.message',
+    params,
+  );
+}
+
+function hasNotificationApi() {
+  return typeof window !== 'undefined' && 'Notification' in window;
+}
+
+/** 'granted', 'denied', 'default', or 'unsupported' without the Notification API. */
+export function getNotificationPermission() {
+  return hasNotificationApi() ? Notification.permission : 'unsupported';
+}
+
+/** Asks the browser for permission; the current permission when it cannot ask or the request fails. */
+export async function requestNotificationPermission() {
+  if (!hasNotificationApi()) return 'unsupported';
+  try {
+    return (await Notification.requestPermission()) ?? Notification.permission;
+  } catch {
+    console.error('Failed to request notification permission');
+    return getNotificationPermission();
+  }
+}
+
+/** Shows a reminder as a browser notification when permitted; false otherwise. */
+export function showBrowserNotification(reminder, now, i18n = defaultI18n) {
+  if (getNotificationPermission() !== 'granted') return false;
+  try {
+    new Notification(i18n.t('reminders.notificationTitle'), {
+      body: describeReminder(reminder, now, i18n),
+      tag: reminder.id,
+    });
+    return true;
+  } catch {
+    console.error('Failed to show browser notification');
+    return false;
+  }
+}
+
+function addReminderIds(ids, added) {
+  return [...new Set([...ids, ...added])].slice(-MAX_STORED_REMINDER_IDS);
+}
+
+/**
+ * Reminders for the patient's appointments while mounted: { reminders (due, with message), unreadCount, markAllRead,
+ * dismiss, preferences, updatePreferences, permission, setBrowserNotifications }. `appointments` is null while
+ * loading. Due reminders not yet sent are shown as browser notifications when the patient enabled them.
+ * Until the saved read/dismissed state has loaded there are no reminders, and markAllRead/dismiss do nothing.
+ */
+export function useAppointmentReminders(
+  userId,
+  appointments,
+  i18n = defaultI18n,
+) {
+  const [preferences, setPreferences] = useState(DEFAULT_REMINDER_PREFERENCES);
+  const [state, setState] = useState(null);
+  const [permission, setPermission] = useState(getNotificationPermission);
+  const [now, setNow] = useState(() => Date.now());
+  // Set by updateState; the next render's effect saves the changed state.
+  const stateChangedRef = useRef(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setState(null);
+    Promise.all([
+      loadReminderPreferences(userId),
+      userId
+        ? getOfflineValue(getReminderStateKey(userId), EMPTY_REMINDER_STATE)
+        : EMPTY_REMINDER_STATE,
+    ]).then(([savedPreferences, savedState]) => {
+      if (cancelled) return;
+      setPreferences(savedPreferences);
+      setState({ ...EMPTY_REMINDER_STATE, ...savedState });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  const reminders = useMemo(
+    () => getAppointmentReminders(appointments ?? [], preferences.leadTimes),
+    [appointments, preferences.leadTimes],
+  );
+  const due = state ? getDueReminders(reminders, now, state.dismissed) : [];
+
+  useEffect(() => {
+    const next = getNextReminderChange(reminders, now);
+    if (next == null) return;
+    const timer = setTimeout(
+      () => setNow(Date.now()),
+      Math.min(next - now, REMINDER_CHECK_MAX_MS),
+    );
+    return () => clearTimeout(timer);
+  }, [reminders, now]);
+
+  // `update(state)` returns the changed fields; applied to the latest state, and skipped before it loads.
+  const updateState = (update) => {
+    stateChangedRef.current = true;
+    setState((prev) => (prev ? { ...prev, ...update(prev) } : prev));
+  };
+
+  useEffect(() => {
+    if (!stateChangedRef.current || !state) return;
+    stateChangedRef.current = false;
+    if (userId) setOfflineValue(getReminderStateKey(userId), state);
+  }, [state, userId]);
+
+  const unsent = due.filter(({ id }) => !state?.notified.includes(id));
+  const unsentIds = unsent.map(({ id }) => id);
+  useEffect(() => {
+    if (unsentIds.length === 0) return;
+    if (preferences.browser) {
+      unsent.forEach((reminder) =>
+        showBrowserNotification(reminder, now, i18n),
+      );
+    }
+    // Recorded either way, so enabling notifications later doesn't send old reminders.
+    updateState((current) => ({
+      notified: addReminderIds(current.notified, unsentIds),
+    }));
+  }, [unsentIds.join()]);
+
+  const updatePreferences = (next) => {
+    setPreferences(next);
+    saveReminderPreferences(userId, next);
+  };
+
+  return {
+    reminders: due.map((reminder) => ({
+      ...reminder,
+      message: describeReminder(reminder, now, i18n),
+    })),
+    unreadCount: due.filter(({ id }) => !state?.read.includes(id)).length,
+    markAllRead: () =>
+      updateState((current) => ({
+        read: addReminderIds(
+          current.read,
+          due.map(({ id }) => id),
+        ),
+      })),
+    dismiss: (id) =>
+      updateState((current) => ({
+        dismissed: addReminderIds(current.dismissed, [id]),
+      })),
+    preferences,
+    updatePreferences,
+    permission,
+    // Asks for permission the first time; stays off when the browser blocks notifications.
+    setBrowserNotifications: async (enabled) => {
+      let current = getNotificationPermission();
+      if (enabled && current === 'default') {
+        current = await requestNotificationPermission();
+        setPermission(current);
+      }
+      updatePreferences({
+        ...preferences,
+        browser: enabled && current === 'granted',
+      });
+    },
+  };
+}
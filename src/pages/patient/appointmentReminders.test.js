@@ -0,0 +1,222 @@
+/**
+ * @jest-environment jsdom
+ */
+import { act, renderHook, waitFor } from '@testing-library/react';
+import {
+  DEFAULT_REMINDER_PREFERENCES,
+  describeReminder,
+  formatReminderLeadTime,
+  formatTimeUntil,
+  getAppointmentReminders,
+  getDueReminders,
+  getNextReminderChange,
+  loadReminderPreferences,
+  normalizeReminderPreferences,
+  saveReminderPreferences,
+  requestNotificationPermission,
+  showBrowserNotification,
+  getReminderStateKey,
+  useAppointmentReminders,
+} from './appointmentReminders';
+import { getOfflineValue } from '../../utils/offlineStore';
+import { createI18n } from '../../utils/i18n';
+
+const HOUR = 3600000;
+// 10:00 in New York on 2030-01-07 (EST).
+const STARTS_AT = Date.UTC(2030, 0, 7, 15);
+
+const appointment = {
+  _id: 'a1',
+  doctor: { name: 'Smith' },
+  appointmentDate: '2030-01-07',
+  appointmentTime: '10:00',
+  status: 'confirmed',
+};
+
+describe('appointmentReminders', () => {
+  afterEach(() => {
+    delete global.Notification;
+  });
+
+  it('creates one reminder per lead time for upcoming appointments only', () => {
+    const reminders = getAppointmentReminders(
+      [
+        appointment,
+        { ...appointment, _id: 'a2', status: 'cancelled' },
+        { ...appointment, _id: 'a3', appointmentTime: '' },
+      ],
+      [24 * 60, 60],
+    );
+    expect(
+      reminders.map(({ id, leadMinutes, remindAt, startsAt }) => ({
+        id,
+        leadMinutes,
+        remindAt,
+        startsAt,
+      })),
+    ).toEqual([
+      {
+        id: `a1@${STARTS_AT}/1440`,
+        leadMinutes: 1440,
+        remindAt: STARTS_AT - 24 * HOUR,
+        startsAt: STARTS_AT,
+      },
+      {
+        id: `a1@${STARTS_AT}/60`,
+        leadMinutes: 60,
+        remindAt: STARTS_AT - HOUR,
+        startsAt: STARTS_AT,
+      },
+    ]);
+  });
+
+  it('a rescheduled appointment gets new reminder ids', () => {
+    const [before] = getAppointmentReminders([appointment], [60]);
+    const [after] = getAppointmentReminders(
+      [{ ...appointment, appointmentTime: '11:00' }],
+      [60],
+    );
+    expect(after.id).not.toBe(before.id);
+    expect(after.startsAt - before.startsAt).toBe(HOUR);
+  });
+
+  it('is due from its lead time until the appointment starts, latest lead time first', () => {
+    const reminders = getAppointmentReminders([appointment], [24 * 60, 60]);
+    expect(getDueReminders(reminders, STARTS_AT - 25 * HOUR)).toEqual([]);
+    expect(
+      getDueReminders(reminders, STARTS_AT - 2 * HOUR).map(
+        ({ leadMinutes }) => leadMinutes,
+      ),
+    ).toEqual([1440]);
+    expect(
+      getDueReminders(reminders, STARTS_AT - HOUR / 2).map(
+        ({ leadMinutes }) => leadMinutes,
+      ),
+    ).toEqual([60]);
+    expect(getDueReminders(reminders, STARTS_AT)).toEqual([]);
+    expect(
+      getDueReminders(reminders, STARTS_AT - HOUR / 2, [`a1@${STARTS_AT}/60`]),
+    ).toEqual([]);
+  });
+
+  it('next change is the next reminder or the start of a due appointment', () => {
+    const reminders = getAppointmentReminders([appointment], [24 * 60, 60]);
+    expect(getNextReminderChange(reminders, STARTS_AT - 30 * HOUR)).toBe(
+      STARTS_AT - 24 * HOUR,
+    );
+    expect(getNextReminderChange(reminders, STARTS_AT - HOUR / 2)).toBe(
+      STARTS_AT,
+    );
+    expect(getNextReminderChange(reminders, STARTS_AT)).toBeNull();
+  });
+
+  it('describes the time left until the appointment', () => {
+    expect(formatTimeUntil(STARTS_AT, STARTS_AT - 45 * 60000)).toBe(
+      '45 minutes',
+    );
+    expect(formatTimeUntil(STARTS_AT, STARTS_AT - 60 * HOUR)).toBe('3 days');
+    const [reminder] = getAppointmentReminders([appointment], [60]);
+    expect(describeReminder(reminder, STARTS_AT - HOUR)).toBe(
+      'Your appointment with Dr. Smith is in 1 hour (Jan 07 at 10:00).',
+    );
+    expect(
+      describeReminder(
+        reminder,
+        STARTS_AT - 3 * HOUR,
+        createI18n({ locale: 'es', timeFormat: '12h' }),
+      ),
+    ).toBe(
+      'Su cita con el Dr. Smith es dentro de 3 horas (7 ene a las 10 AM).',
+    );
+  });
+
+  it('labels lead times in weeks, hours or minutes', () => {
+    expect(formatReminderLeadTime(7 * 24 * 60)).toBe('1 week');
+    expect(formatReminderLeadTime(24 * 60)).toBe('24 hours');
+    expect(formatReminderLeadTime(15, createI18n({ locale: 'pl' }))).toBe(
+      '15 minut',
+    );
+  });
+
+  it('preferences keep known lead times and default when missing', async () => {
+    expect(normalizeReminderPreferences(null)).toBe(
+      DEFAULT_REMINDER_PREFERENCES,
+    );
+    expect(
+      normalizeReminderPreferences({ leadTimes: [60, 5, 10080], browser: 1 }),
+    ).toEqual({ leadTimes: [10080, 60], browser: false });
+
+    await saveReminderPreferences('user-1', { leadTimes: [15], browser: true });
+    expect(await loadReminderPreferences('user-1')).toEqual({
+      leadTimes: [15],
+      browser: true,
+    });
+    expect(await loadReminderPreferences('user-2')).toBe(
+      DEFAULT_REMINDER_PREFERENCES,
+    );
+  });
+
+  it('shows a browser notification only when permitted', () => {
+    const [reminder] = getAppointmentReminders([appointment], [60]);
+    expect(showBrowserNotification(reminder, STARTS_AT - HOUR)).toBe(false);
+
+    global.Notification = jest.fn();
+    global.Notification.permission = 'denied';
+    expect(showBrowserNotification(reminder, STARTS_AT - HOUR)).toBe(false);
+
+    global.Notification.permission = 'granted';
+    expect(showBrowserNotification(reminder, STARTS_AT - HOUR)).toBe(true);
+    expect(global.Notification).toHaveBeenCalledWith('Appointment reminder', {
+      body: 'Your appointment with Dr. Smith is in 1 hour (Jan 07 at 10:00).',
+      tag: reminder.id,
+    });
+  });
+
+  it('asks for permission only where the browser supports it', async () => {
+    expect(await requestNotificationPermission()).toBe('unsupported');
+
+    global.Notification = jest.fn();
+    global.Notification.permission = 'default';
+    global.Notification.requestPermission = jest.fn(() =>
+      Promise.resolve('granted'),
+    );
+    expect(await requestNotificationPermission()).toBe('granted');
+
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.Notification.requestPermission = jest.fn(() =>
+      Promise.reject(new Error('Not allowed in this webview')),
+    );
+    expect(await requestNotificationPermission()).toBe('default');
+    expect(error).toHaveBeenCalledWith(
+      'Failed to request notification permission',
+    );
+    error.mockRestore();
+  });
+  it('ignores read and dismiss before the saved state loads and keeps every change', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(STARTS_AT - HOUR / 2);
+    try {
+      const { result } = renderHook(() =>
+        useAppointmentReminders('user-3', [appointment]),
+      );
+      expect(() => result.current.markAllRead()).not.toThrow();
+      expect(() => result.current.dismiss('a1')).not.toThrow();
+      expect(result.current.reminders).toEqual([]);
+
+      await waitFor(() => expect(result.current.unreadCount).toBe(1));
+      const [{ id }] = result.current.reminders;
+      act(() => result.current.markAllRead());
+      expect(result.current.unreadCount).toBe(0);
+      await waitFor(async () =>
+        expect(await getOfflineValue(getReminderStateKey('user-3'))).toEqual({
+          read: [id],
+          dismissed: [],
+          notified: [id],
+        }),
+      );
+      act(() => result.current.dismiss(id));
+      expect(result.current.reminders).toEqual([]);
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Booking form drafts: the in-progress booking is autosaved per user and restored when the form reopens.
+ *
+ * - Keyed by the signed-in user's id so a draft never shows up for another account on a shared device;
+ *   nothing is saved without a user id.
+ * - Stored in the offline store (IndexedDB); an empty form removes the draft.
+ * - A follow-up booking keeps the id of its AI analysis with the draft, so the link survives a reload.
+ */
+
+import {
+  deleteOfflineValue,
+  getOfflineValue,
+  setOfflineValue,
+} from '../../utils/offlineStore';
+
+const DRAFT_FIELDS = [
+  'doctor',
+  'appointmentDate',
+  'appointmentTime',
+  'reason',
+  'symptoms',
+];
+
+export function getBookingDraftKey(userId) {
+  return `appointments.draft.${userId}`;
+}
+
+export function isBookingDraftEmpty(formData) {
+  return DRAFT_FIELDS.every((name) => !String(formData[name] ?? '').trim());
+}
+
+/** Saved draft for the user ({ formData, analysisId }; analysisId '' when not a follow-up), or null. */
+export async function loadBookingDraft(userId) {
+  if (!userId) return null;
+  const draft = await getOfflineValue(getBookingDraftKey(userId));
+  if (!draft?.formData) return null;
+  return {
+    formData: Object.fromEntries(
+      DRAFT_FIELDS.map((name) => [name, draft.formData[name] ?? '']),
+    ),
+    analysisId: draft.analysisId ?? '',
+  };
+}
+
+export function saveBookingDraft(userId, formData, analysisId = '') {
+  if (!userId) return Promise.resolve();
+  if (isBookingDraftEmpty(formData)) return clearBookingDraft(userId);
+  return setOfflineValue(getBookingDraftKey(userId), {
+    formData,
+    analysisId,
+    savedAt: new Date().toISOString(),
+  });
+}
+
+export function clearBookingDraft(userId) {
+  if (!userId) return Promise.resolve();
+  return deleteOfflineValue(getBookingDraftKey(userId));
+}
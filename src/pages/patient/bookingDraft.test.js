@@ -0,0 +1,65 @@
+import {
+  clearBookingDraft,
+  getBookingDraftKey,
+  isBookingDraftEmpty,
+  loadBookingDraft,
+  saveBookingDraft,
+} from './bookingDraft';
+
+const draft = {
+  doctor: 'd1',
+  appointmentDate: '2030-01-07',
+  appointmentTime: '10:00',
+  reason: 'Knee pain after running',
+  symptoms: '',
+};
+
+describe('bookingDraft', () => {
+  it('keys drafts by user id', () => {
+    expect(getBookingDraftKey('u1')).toBe('appointments.draft.u1');
+  });
+  it('empty means no field has content', () => {
+    expect(
+      isBookingDraftEmpty({
+        ...draft,
+        doctor: '',
+        appointmentDate: '',
+        appointmentTime: '',
+        reason: '  ',
+      }),
+    ).toBe(true);
+    expect(isBookingDraftEmpty(draft)).toBe(false);
+  });
+  it('saves, loads and clears per user', async () => {
+    await saveBookingDraft('u1', draft);
+    expect(await loadBookingDraft('u1')).toEqual({
+      formData: draft,
+      analysisId: '',
+    });
+    expect(await loadBookingDraft('u2')).toBeNull();
+    await clearBookingDraft('u1');
+    expect(await loadBookingDraft('u1')).toBeNull();
+  });
+  it('keeps the follow-up analysis with the draft', async () => {
+    await saveBookingDraft('u1', draft, 'an1');
+    expect((await loadBookingDraft('u1')).analysisId).toBe('an1');
+    await saveBookingDraft('u1', draft);
+    expect((await loadBookingDraft('u1')).analysisId).toBe('');
+    await clearBookingDraft('u1');
+  });
+  it('saving an empty form removes the draft', async () => {
+    await saveBookingDraft('u1', draft);
+    await saveBookingDraft('u1', {
+      ...draft,
+      doctor: '',
+      appointmentDate: '',
+      appointmentTime: '',
+      reason: '',
+    });
+    expect(await loadBookingDraft('u1')).toBeNull();
+  });
+  it('nothing is stored without a user', async () => {
+    await saveBookingDraft('', draft);
+    expect(await loadBookingDraft('')).toBeNull();
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Booking form validation schema (utils/validation) and the helpers the form and its tests use.
+ *
+ * - Rules: doctor required; date today or later (clinic zone), within the booking horizon (90 days) and a working
+ *   day; time within the doctor's hours on the chosen date, at least the minimum lead time (2 hours) from now and
+ *   not already booked; reason at least 10 characters. Empty date/time show no error (the submit button stays
+ *   disabled until they are filled).
+ * - A reschedule sends only the date and time (RESCHEDULE_FIELDS); the other fields stay as booked and their errors
+ *   are dropped (pickFieldErrors), so an appointment booked under older rules can still be moved.
+ * - context: { schedule, bookedTimes } of the selected doctor, loaded by the form; defaults when missing.
+ *   minLeadMinutes, maxHorizonDays and now (ms) override the booking window. Messages are in context.i18n's
+ *   language (utils/i18n; English by default).
+ * - Async (on submit): the slot is re-checked against the doctor's current bookings (context.loadBookedTimes), so a
+ *   slot taken since the form loaded is caught before the request is sent.
+ * - Server errors: field codes from a rejected booking are translated here (BOOKING_ERROR_CODES) and shown on
+ *   their fields (symptoms too, which has no client rule); codes for other fields go to the form banner (a
+ *   generic message when the code is unknown too), and a response without errors shows the caller's translated
+ *   fallback, never the server's own text.
+ */
+
+import {
+  getSchemaFields,
+  mapServerErrors,
+  minLength,
+  optional,
+  required,
+  validateField,
+  validateValues,
+  validateValuesAsync,
+} from '../../utils/validation';
+import {
+  CLINIC_TIME_ZONE,
+  addDaysToDateKey,
+  getTodayKey,
+  isOnOrAfterToday,
+  zonedTimeToUtc,
+} from '../../utils/dateTime';
+import { defaultI18n } from '../../utils/i18n';
+import {
+  DEFAULT_SCHEDULE,
+  formatScheduleHours,
+  isWithinSchedule,
+  isWorkingDay,
+} from './doctorSchedule';
+
+export const REASON_MIN_LENGTH = 10;
+export const BOOKING_MIN_LEAD_MINUTES = 120;
+export const BOOKING_MAX_HORIZON_DAYS = 90;
+
+/** Req: "Date must be in the future" (today or later, in the clinic's time zone). */
+export function isDateInFuture(dateStr, timeZone = CLINIC_TIME_ZONE) {
+  return isOnOrAfterToday(dateStr, timeZone);
+}
+
+/** Req: "Time must be during business hours". Hours come from the doctor's schedule (date-specific when given). */
+export function isBusinessHours(timeStr, schedule = DEFAULT_SCHEDULE, dateStr) {
+  return isWithinSchedule(timeStr, schedule, dateStr);
+}
+
+/** Last bookable clinic day: today plus the booking horizon. */
+export function getLastBookableDateKey(
+  maxHorizonDays = BOOKING_MAX_HORIZON_DAYS,
+  todayKey = getTodayKey(),
+) {
+  return addDaysToDateKey(todayKey, maxHorizonDays);
+}
+
+const getLeadMinutes = (context) =>
+  context.minLeadMinutes ?? BOOKING_MIN_LEAD_MINUTES;
+
+/** True when date + time (clinic wall clock) starts less than the minimum lead time from now. */
+export function isTooSoonToBook(dateStr, timeStr, context = {}) {
+  if (!dateStr || !timeStr) return false;
+  const earliest =
+    (context.now ?? Date.now()) + getLeadMinutes(context) * 60000;
+  return zonedTimeToUtc(dateStr, timeStr).getTime() < earliest;
+}
+
+/** "2 hours", "1 hour", "90 minutes" (in i18n's language). */
+export function formatLeadTime(minutes, { t } = defaultI18n) {
+  return minutes % 60
+    ? t('duration.minutes', { count: minutes })
+    : t('duration.hours', { count: minutes / 60 });
+}
+
+const getSchedule = (context) => context.schedule ?? DEFAULT_SCHEDULE;
+const getHorizonDays = (context) =>
+  context.maxHorizonDays ?? BOOKING_MAX_HORIZON_DAYS;
+const getI18n = (context) => context.i18n ?? defaultI18n;
+const translate = (context, key, params) => getI18n(context).t(key, params);
+// Message in the context's language, for rules that take a message.
+const message = (key, params) => (context) => translate(context, key, params);
+
+/** Message for each of the server's error codes; default covers unknown codes on a known field. */
+export const BOOKING_ERROR_CODES = {
+  REQUIRED: message('validation.required'),
+  DOCTOR_NOT_FOUND: message('validation.doctorNotFound'),
+  DATE_IN_PAST: message('validation.dateInFuture'),
+  DATE_TOO_FAR: message('validation.dateWithinHorizon', {
+    count: BOOKING_MAX_HORIZON_DAYS,
+  }),
+  DOCTOR_UNAVAILABLE: message('validation.doctorUnavailable'),
+  OUTSIDE_BUSINESS_HOURS: message('validation.outsideBusinessHours'),
+  TOO_SOON: (context) =>
+    translate(context, 'validation.leadTime', {
+      duration: formatLeadTime(BOOKING_MIN_LEAD_MINUTES, getI18n(context)),
+    }),
+  SLOT_TAKEN: message('validation.slotTaken'),
+  REASON_TOO_SHORT: message('validation.reasonMinLength', {
+    count: REASON_MIN_LENGTH,
+  }),
+  DUPLICATE_BOOKING: message('validation.duplicateBooking'),
+  APPOINTMENT_NOT_FOUND: message('validation.appointmentNotFound'),
+  default: message('validation.checkField'),
+  unknown: message('validation.checkBooking'),
+};
+
+export const bookingSchema = {
+  fields: {
+    doctor: [required(message('validation.doctorRequired'))],
+    appointmentDate: [
+      optional(
+        (value, values, context) =>
+          isDateInFuture(value)
+            ? ''
+            : translate(context, 'validation.dateInFuture'),
+        (value, values, context) =>
+          value <= getLastBookableDateKey(getHorizonDays(context))
+            ? ''
+            : translate(context, 'validation.dateWithinHorizon', {
+                count: getHorizonDays(context),
+              }),
+        (value, values, context) =>
+          isWorkingDay(value, getSchedule(context))
+            ? ''
+            : translate(context, 'validation.doctorUnavailable'),
+      ),
+    ],
+    // Cross-field: hours and the lead time depend on the chosen date.
+    appointmentTime: [
+      optional(
+        (value, values, context) =>
+          isBusinessHours(value, getSchedule(context), values.appointmentDate)
+            ? ''
+            : translate(context, 'validation.businessHours', {
+                hours: formatScheduleHours(
+                  getSchedule(context),
+                  values.appointmentDate,
+                  getI18n(context).scheduleLabels,
+                ),
+              }),
+        (value, values, context) =>
+          isTooSoonToBook(values.appointmentDate, value, context)
+            ? translate(context, 'validation.leadTime', {
+                duration: formatLeadTime(
+                  getLeadMinutes(context),
+                  getI18n(context),
+                ),
+              })
+            : '',
+        (value, values, context) =>
+          context.bookedTimes?.has(value)
+            ? translate(context, 'validation.slotTaken')
+            : '',
+      ),
+    ],
+    reason: [
+      minLength(
+        REASON_MIN_LENGTH,
+        message('validation.reasonMinLength', { count: REASON_MIN_LENGTH }),
+      ),
+    ],
+    // No client rules; listed so the server's errors for it show on the field.
+    symptoms: [],
+  },
+  asyncFields: {
+    // A failed lookup doesn't block the booking; the server has the final say.
+    appointmentTime: [
+      async (value, values, context) => {
+        if (!value || !context.loadBookedTimes) return '';
+        try {
+          const booked = await context.loadBookedTimes(values);
+          return booked.has(value)
+            ? translate(context, 'validation.slotTaken')
+            : '';
+        } catch {
+          return '';
+        }
+      },
+    ],
+  },
+};
+
+/** Fields a reschedule sends; reason and symptoms stay as originally booked. */
+export const RESCHEDULE_FIELDS = ['appointmentDate', 'appointmentTime'];
+
+/** Errors with those outside `fields` cleared (e.g. RESCHEDULE_FIELDS). */
+export function pickFieldErrors(errors, fields) {
+  return Object.fromEntries(
+    Object.entries(errors).map(([name, error]) => [
+      name,
+      fields.includes(name) ? error : '',
+    ]),
+  );
+}
+
+/**
+ * Inline error for a single field ('' when valid).
+ * context: { schedule, appointmentDate, bookedTimes } of the selected doctor and i18n (optional).
+ */
+export function getFieldValidationError(name, value, context = {}) {
+  return validateField(
+    bookingSchema,
+    name,
+    { appointmentDate: context.appointmentDate, [name]: value },
+    context,
+  );
+}
+
+export function validateBookingForm(data, context = {}) {
+  return validateValues(bookingSchema, data, context);
+}
+
+/** validateBookingForm plus the async rules (context.loadBookedTimes(values) → Promise<Set of taken times>). */
+export function validateBookingFormAsync(data, context = {}) {
+  return validateValuesAsync(bookingSchema, data, context);
+}
+
+/**
+ * Errors from a rejected booking request: { fieldErrors, formError }, in i18n's language.
+ * formError is '' when every error belongs to a field; fallback is the banner when nothing else is known.
+ */
+export function getBookingSubmitErrors(error, fallback, i18n = defaultI18n) {
+  const data = error?.response?.data;
+  const messages = Object.fromEntries(
+    Object.entries(BOOKING_ERROR_CODES).map(([code, getMessage]) => [
+      code,
+      getMessage({ i18n }),
+    ]),
+  );
+  const { fieldErrors, formErrors } = mapServerErrors(
+    data,
+    getSchemaFields(bookingSchema),
+    messages,
+  );
+  const codeMessage = data?.code ? messages[data.code] : '';
+  if (codeMessage && !formErrors.includes(codeMessage)) {
+    formErrors.unshift(codeMessage);
+  }
+  if (formErrors.length) {
+    return { fieldErrors, formError: formErrors.join(' ') };
+  }
+  if (Object.keys(fieldErrors).length) return { fieldErrors, formError: '' };
+  // The server's message is untranslated (and may be internal), so it is never shown.
+  return { fieldErrors, formError: fallback };
+}
@@ -0,0 +1,183 @@
+import {
+  formatLeadTime,
+  getBookingSubmitErrors,
+  getFieldValidationError,
+  getLastBookableDateKey,
+  isTooSoonToBook,
+  pickFieldErrors,
+  RESCHEDULE_FIELDS,
+  validateBookingForm,
+  validateBookingFormAsync,
+} from './bookingValidation';
+import { addDaysToDateKey, getTodayKey } from '../../utils/dateTime';
+
+const values = () => ({
+  doctor: 'd1',
+  appointmentDate: addDaysToDateKey(getTodayKey(), 1),
+  appointmentTime: '10:00',
+  reason: 'Annual checkup and blood work',
+  symptoms: '',
+});
+
+describe('bookingValidation', () => {
+  it('checks the time against the hours of the given date', () => {
+    const afternoons = [{ start: '13:00', end: '17:00' }];
+    const schedule = {
+      weekly: Object.fromEntries(
+        [0, 1, 2, 3, 4, 5, 6].map((day) => [day, afternoons]),
+      ),
+    };
+    expect(
+      getFieldValidationError('appointmentTime', '10:00', {
+        schedule,
+        appointmentDate: values().appointmentDate,
+      }),
+    ).toMatch(/^Time must be during business hours/);
+    expect(getFieldValidationError('appointmentTime', '', { schedule })).toBe(
+      '',
+    );
+  });
+
+  it('enforces the minimum lead time and the booking horizon', () => {
+    // 2030-01-07 13:00 in New York.
+    const now = Date.UTC(2030, 0, 7, 18);
+    expect(isTooSoonToBook('2030-01-07', '14:30', { now })).toBe(true);
+    expect(isTooSoonToBook('2030-01-07', '15:00', { now })).toBe(false);
+    expect(
+      isTooSoonToBook('2030-01-07', '15:00', { now, minLeadMinutes: 90 }),
+    ).toBe(false);
+    expect(
+      isTooSoonToBook('2030-01-07', '15:00', { now, minLeadMinutes: 180 }),
+    ).toBe(true);
+    expect(isTooSoonToBook('', '15:00', { now })).toBe(false);
+    expect(
+      getFieldValidationError('appointmentTime', '14:00', {
+        now,
+        minLeadMinutes: 90,
+        appointmentDate: '2030-01-07',
+      }),
+    ).toBe('Time must be at least 90 minutes from now');
+    expect(formatLeadTime(60)).toBe('1 hour');
+    expect(formatLeadTime(120)).toBe('2 hours');
+
+    expect(getLastBookableDateKey(90, '2030-01-07')).toBe('2030-04-07');
+    const lastDay = getLastBookableDateKey(30);
+    expect(
+      getFieldValidationError('appointmentDate', addDaysToDateKey(lastDay, 1), {
+        maxHorizonDays: 30,
+      }),
+    ).toBe('Date must be within 30 days');
+  });
+
+  it('re-checks the slot against the latest bookings', async () => {
+    const loadBookedTimes = jest.fn(() => Promise.resolve(new Set(['10:00'])));
+    expect(
+      await validateBookingFormAsync(values(), { loadBookedTimes }),
+    ).toEqual({
+      doctor: '',
+      appointmentDate: '',
+      appointmentTime: 'This time is already booked for the selected doctor',
+      reason: '',
+      symptoms: '',
+    });
+    expect(loadBookedTimes).toHaveBeenCalledWith(values());
+  });
+
+  it('does not block the booking when the lookup fails or is not needed', async () => {
+    const failing = () => Promise.reject(new Error('offline'));
+    expect(
+      (await validateBookingFormAsync(values(), { loadBookedTimes: failing }))
+        .appointmentTime,
+    ).toBe('');
+    const loadBookedTimes = jest.fn();
+    await validateBookingFormAsync(
+      { ...values(), appointmentTime: '03:00' },
+      { loadBookedTimes },
+    );
+    expect(loadBookedTimes).not.toHaveBeenCalled();
+  });
+
+  it('keeps only the date and time errors for a reschedule', () => {
+    const errors = validateBookingForm({ ...values(), reason: 'Checkup' });
+    expect(errors.reason).toMatch(/at least 10 characters/);
+    expect(pickFieldErrors(errors, RESCHEDULE_FIELDS)).toEqual({
+      doctor: '',
+      appointmentDate: '',
+      appointmentTime: '',
+      reason: '',
+      symptoms: '',
+    });
+    expect(
+      pickFieldErrors(
+        { ...errors, appointmentTime: 'Taken' },
+        RESCHEDULE_FIELDS,
+      ).appointmentTime,
+    ).toBe('Taken');
+  });
+
+  it('translates server error codes instead of showing server text', () => {
+    const rejected = (data) => ({ response: { status: 422, data } });
+    expect(
+      getBookingSubmitErrors(
+        rejected({
+          message: 'E_SLOT',
+          errors: {
+            appointmentTime: { code: 'SLOT_TAKEN', message: 'E_SLOT' },
+          },
+        }),
+        'Failed',
+      ),
+    ).toEqual({
+      fieldErrors: {
+        appointmentTime: 'This time is already booked for the selected doctor',
+      },
+      formError: '',
+    });
+    expect(
+      getBookingSubmitErrors(
+        rejected({
+          errors: [{ field: 'insurance', code: 'DUPLICATE_BOOKING' }],
+        }),
+        'Failed',
+      ).formError,
+    ).toBe('You already have an appointment at this time');
+    expect(
+      getBookingSubmitErrors(
+        rejected({
+          errors: [
+            { field: 'insurance', code: 'X' },
+            { field: 'reason', code: 'REASON_TOO_SHORT' },
+          ],
+        }),
+        'Failed',
+      ),
+    ).toEqual({
+      fieldErrors: { reason: 'Reason must be at least 10 characters' },
+      formError: 'Some booking details were not accepted. Please check them.',
+    });
+    expect(
+      getBookingSubmitErrors(
+        rejected({ code: 'APPOINTMENT_NOT_FOUND' }),
+        'Failed',
+      ).formError,
+    ).toBe('This appointment no longer exists');
+    expect(getBookingSubmitErrors(new Error('boom'), 'Failed').formError).toBe(
+      'Failed',
+    );
+    expect(
+      getBookingSubmitErrors(
+        rejected({ message: 'ValidationError: slot d1@10:00' }),
+        'Failed',
+      ).formError,
+    ).toBe('Failed');
+    expect(
+      getBookingSubmitErrors(
+        rejected({ errors: [{ field: 'symptoms', code: 'TOO_LONG' }] }),
+        'Failed',
+      ),
+    ).toEqual({
+      fieldErrors: { symptoms: 'Please check this field' },
+      formError: '',
+    });
+  });
+});
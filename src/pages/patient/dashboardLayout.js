@@ -0,0 +1,63 @@
+/**
+ * Patient Dashboard layout: which widgets are shown and in what order, persisted per user.
+ *
+ * - Layout is a list of { id, visible } in display order; ids come from the widget registry (dashboardWidgets).
+ * - Saved layouts are normalized against the registry: unknown ids dropped, widgets added later appended.
+ * - Stored in the offline store keyed by user id; nothing is saved without one.
+ */
+
+import { getOfflineValue, setOfflineValue } from '../../utils/offlineStore';
+
+/** Default layout for a list of widget ids (all visible, registry order). */
+export function getDefaultDashboardLayout(widgetIds) {
+  return widgetIds.map((id) => ({ id, visible: true }));
+}
+
+export function normalizeDashboardLayout(layout, widgetIds) {
+  if (!Array.isArray(layout)) return getDefaultDashboardLayout(widgetIds);
+  const seen = new Set();
+  const normalized = [];
+  for (const item of layout) {
+    if (!widgetIds.includes(item?.id) || seen.has(item.id)) continue;
+    seen.add(item.id);
+    normalized.push({ id: item.id, visible: item.visible !== false });
+  }
+  for (const id of widgetIds) {
+    if (!seen.has(id)) normalized.push({ id, visible: true });
+  }
+  return normalized;
+}
+
+export function toggleDashboardWidget(layout, id) {
+  return layout.map((item) =>
+    item.id === id ? { ...item, visible: !item.visible } : item,
+  );
+}
+
+/** Moves a widget by `offset` positions (-1 = up); unchanged at either end. */
+export function moveDashboardWidget(layout, id, offset) {
+  const from = layout.findIndex((item) => item.id === id);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= layout.length) return layout;
+  const next = [...layout];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+export function getDashboardLayoutKey(userId) {
+  return `dashboard.layout.${userId}`;
+}
+
+/** Saved layout for the user (normalized), or the default one. */
+export async function loadDashboardLayout(userId, widgetIds) {
+  const saved = userId
+    ? await getOfflineValue(getDashboardLayoutKey(userId))
+    : null;
+  return normalizeDashboardLayout(saved, widgetIds);
+}
+
+export function saveDashboardLayout(userId, layout) {
+  if (!userId) return Promise.resolve();
+  return setOfflineValue(getDashboardLayoutKey(userId), layout);
+}
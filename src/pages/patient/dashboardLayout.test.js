@@ -0,0 +1,63 @@
+import {
+  getDefaultDashboardLayout,
+  normalizeDashboardLayout,
+  toggleDashboardWidget,
+  moveDashboardWidget,
+  loadDashboardLayout,
+  saveDashboardLayout,
+} from './dashboardLayout';
+
+const ids = ['stats', 'recent', 'trends'];
+
+describe('dashboardLayout', () => {
+  it('default shows every widget in registry order', () => {
+    expect(getDefaultDashboardLayout(ids)).toEqual([
+      { id: 'stats', visible: true },
+      { id: 'recent', visible: true },
+      { id: 'trends', visible: true },
+    ]);
+  });
+  it('normalize drops unknown/duplicate ids and appends new widgets', () => {
+    expect(
+      normalizeDashboardLayout(
+        [
+          { id: 'trends', visible: false },
+          { id: 'removed', visible: true },
+          { id: 'trends', visible: true },
+          { id: 'stats' },
+        ],
+        ids,
+      ),
+    ).toEqual([
+      { id: 'trends', visible: false },
+      { id: 'stats', visible: true },
+      { id: 'recent', visible: true },
+    ]);
+    expect(normalizeDashboardLayout(null, ids)).toEqual(
+      getDefaultDashboardLayout(ids),
+    );
+  });
+  it('toggle and move', () => {
+    const layout = getDefaultDashboardLayout(ids);
+    expect(toggleDashboardWidget(layout, 'recent')[1]).toEqual({
+      id: 'recent',
+      visible: false,
+    });
+    expect(
+      moveDashboardWidget(layout, 'trends', -1).map(({ id }) => id),
+    ).toEqual(['stats', 'trends', 'recent']);
+    expect(moveDashboardWidget(layout, 'stats', -1)).toBe(layout);
+    expect(moveDashboardWidget(layout, 'trends', 1)).toBe(layout);
+  });
+  it('persists per user', async () => {
+    const layout = toggleDashboardWidget(
+      getDefaultDashboardLayout(ids),
+      'stats',
+    );
+    await saveDashboardLayout('u1', layout);
+    expect(await loadDashboardLayout('u1', ids)).toEqual(layout);
+    expect(await loadDashboardLayout('u2', ids)).toEqual(
+      getDefaultDashboardLayout(ids),
+    );
+  });
+});
@@ -0,0 +1,436 @@
+/**
+ * Patient Dashboard widgets and their registry.
+ *
+ * - Each widget declares the data sources it needs (stats, appointments, analyses, trends); DashboardWidget
+ *   shows that widget's own loading/error state and renders the body only once its sources have loaded.
+ * - Registry order is the default layout order; size picks the grid span (small = one stat column).
+ * - Health Trends has its own module (HealthTrendsWidget) for its range/metric controls.
+ * - Recent analyses link to their detail view and to a prefilled follow-up booking (analysisFollowUp);
+ *   View All opens the full history (Analyses).
+ * - Titles (titleKey), labels, dates and times are in the patient's language (patientI18n).
+ */
+
+import { Link } from 'react-router-dom';
+import {
+  Calendar,
+  Download,
+  Activity,
+  FileText,
+  Stethoscope,
+  TrendingUp,
+  User,
+} from 'lucide-react';
+import {
+  Card,
+  CardHeader,
+  CardTitle,
+  CardContent,
+} from '../../components/Card';
+import { Button } from '../../components/Button';
+import { isUpcomingAppointment } from './appointmentFilters';
+import {
+  buildIcsCalendar,
+  downloadIcs,
+  getEventSequences,
+  getIcsFilename,
+} from './appointmentIcs';
+import { HealthTrendsWidget } from './HealthTrendsWidget';
+import { getAnalysisExcerpt, getAnalysisPath } from './analysisHistory';
+import { getFollowUpPath } from './analysisFollowUp';
+import { usePatientI18n } from './patientI18n';
+
+const RECENT_LIMIT = 3;
+
+const SIZE_CLASSES = {
+  small: '',
+  medium: 'md:col-span-2',
+  wide: 'md:col-span-2 lg:col-span-4',
+};
+
+function getStatusBadgeClass(status) {
+  switch (status) {
+    case 'confirmed':
+      return 'bg-green-100 text-green-800';
+    case 'pending':
+      return 'bg-yellow-100 text-yellow-800';
+    default:
+      return 'bg-gray-100 text-gray-800';
+  }
+}
+
+function getSeverityClass(severity) {
+  switch (severity) {
+    case 'high':
+      return 'text-orange-600';
+    case 'medium':
+      return 'text-yellow-600';
+    default:
+      return 'text-green-600';
+  }
+}
+
+/** Severity badge text; severities without a translation are shown as sent, upper-cased. */
+function getSeverityLabel(severity, t) {
+  const key = `widgets.severity.${severity ?? 'low'}`;
+  const label = t(key);
+  return label === key ? String(severity).toUpperCase() : label;
+}
+
+function AppointmentStatsWidget({ data }) {
+  const { t } = usePatientI18n();
+  return (
+    <>
+      <div className="text-2xl font-bold">
+        {data.appointments.patientAppointments.length}
+      </div>
+      <p className="text-xs text-muted-foreground">
+        {t('widgets.upcoming', { count: data.appointments.upcomingCount })}
+      </p>
+    </>
+  );
+}
+
+function AnalysesStatsWidget({ data }) {
+  const { t } = usePatientI18n();
+  return (
+    <>
+      <div className="text-2xl font-bold">{data.stats.myAnalyses ?? 0}</div>
+      <p className="text-xs text-muted-foreground">
+        {t('widgets.totalAnalyses')}
+      </p>
+    </>
+  );
+}
+
+function ReportsStatsWidget({ data }) {
+  const { t } = usePatientI18n();
+  return (
+    <>
+      <div className="text-2xl font-bold">{data.stats.myReports ?? 0}</div>
+      <p className="text-xs text-muted-foreground">
+        {t('widgets.medicalReports')}
+      </p>
+    </>
+  );
+}
+
+const QUICK_ACTIONS = [
+  {
+    to: '/patient/appointments',
+    labelKey: 'widgets.actions.appointments',
+    Icon: Calendar,
+  },
+  {
+    to: '/patient/symptom-checker',
+    labelKey: 'widgets.actions.symptomChecker',
+    Icon: Stethoscope,
+  },
+  {
+    to: '/patient/reports',
+    labelKey: 'widgets.actions.reports',
+    Icon: FileText,
+  },
+  {
+    to: '/patient/analyses',
+    labelKey: 'widgets.actions.analyses',
+    Icon: Activity,
+  },
+  { to: '/patient/profile', labelKey: 'widgets.actions.profile', Icon: User },
+];
+
+function QuickActionsWidget() {
+  const { t } = usePatientI18n();
+  return (
+    <div className="space-y-2">
+      {QUICK_ACTIONS.map(({ to, labelKey, Icon }) => (
+        <Link key={to} to={to}>
+          <Button variant="outline" className="w-full justify-start">
+            <Icon className="mr-2 h-4 w-4" aria-hidden />
+            {t(labelKey)}
+          </Button>
+        </Link>
+      ))}
+    </div>
+  );
+}
+
+function RecentAppointmentsWidget({ data, userId }) {
+  const { t, formatDate, formatTime } = usePatientI18n();
+  const recentAppointments = data.appointments.patientAppointments.slice(
+    0,
+    RECENT_LIMIT,
+  );
+  // Same SEQUENCE as the Appointments list's export, so calendars take the newer file as an update.
+  const downloadEvent = async (appointment) => {
+    const sequences = await getEventSequences(userId, [appointment]);
+    downloadIcs(
+      getIcsFilename(appointment),
+      buildIcsCalendar([appointment], new Date(), sequences),
+    );
+  };
+  if (recentAppointments.length === 0) {
+    return (
+      <p className="text-sm text-muted-foreground text-center py-4">
+        {t('widgets.noRecentAppointments')}
+      </p>
+    );
+  }
+  return (
+    <div className="space-y-3">
+      {recentAppointments.map((appointment) => (
+        <div
+          key={appointment._id}
+          className="flex justify-between items-center p-2 border rounded-lg"
+        >
+          <div>
+            <p className="font-medium text-sm">
+              {t('common.doctorName', {
+                name: appointment.doctor?.name ?? t('common.unknownDoctor'),
+              })}
+            </p>
+            <p className="text-xs text-muted-foreground">
+              {t('common.dateAtTime', {
+                date: formatDate(appointment.appointmentDate, 'dayMonth'),
+                time: formatTime(appointment.appointmentTime),
+              })}
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            {isUpcomingAppointment(appointment) && (
+              <button
+                type="button"
+                className="text-muted-foreground hover:text-foreground"
+                aria-label={t('widgets.downloadEvent')}
+                onClick={() => downloadEvent(appointment)}
+              >
+                <Download className="h-4 w-4" aria-hidden />
+              </button>
+            )}
+            <span
+              className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusBadgeClass(
+                appointment.status,
+              )}`}
+            >
+              {t(`status.${appointment.status}`)}
+            </span>
+          </div>
+        </div>
+      ))}
+      <Link to="/patient/appointments">
+        <Button variant="outline" size="sm" className="w-full mt-2">
+          {t('common.viewAll')}
+        </Button>
+      </Link>
+    </div>
+  );
+}
+
+function RecentAnalysesWidget({ data }) {
+  const { t, formatInstant } = usePatientI18n();
+  const recentAnalyses = data.analyses.slice(0, RECENT_LIMIT);
+  if (recentAnalyses.length === 0) {
+    return (
+      <p className="text-sm text-muted-foreground text-center py-4">
+        {t('widgets.noAnalyses')}
+      </p>
+    );
+  }
+  return (
+    <div className="space-y-3">
+      {recentAnalyses.map((analysis) => (
+        <div key={analysis._id} className="p-2 border rounded-lg">
+          <div className="flex justify-between items-center mb-1">
+            <Link
+              className="text-sm font-medium underline"
+              to={getAnalysisPath(analysis._id)}
+            >
+              {formatInstant(analysis.createdAt, 'dayMonth')}
+            </Link>
+            <span
+              className={`text-xs font-medium ${getSeverityClass(
+                analysis.aiResponse?.severity,
+              )}`}
+            >
+              {getSeverityLabel(analysis.aiResponse?.severity, t)}
+            </span>
+          </div>
+          <p className="text-xs text-muted-foreground line-clamp-2">
+            {getAnalysisExcerpt(analysis.userInput, 100)}
+          </p>
+          <Link
+            className="text-xs underline"
+            to={getFollowUpPath(analysis._id)}
+          >
+            {t('widgets.bookFollowUp')}
+          </Link>
+        </div>
+      ))}
+      <Link to="/patient/analyses">
+        <Button variant="outline" size="sm" className="w-full mt-2">
+          {t('common.viewAll')}
+        </Button>
+      </Link>
+    </div>
+  );
+}
+
+/** Widget registry: id, title (catalog key), grid size, header icon, data sources and body component. */
+export const DASHBOARD_WIDGETS = [
+  {
+    id: 'appointmentStats',
+    titleKey: 'widgets.appointmentStats',
+    size: 'small',
+    Icon: Calendar,
+    sources: ['appointments'],
+    Component: AppointmentStatsWidget,
+  },
+  {
+    id: 'analysesStats',
+    titleKey: 'widgets.analysesStats',
+    size: 'small',
+    Icon: Activity,
+    sources: ['stats'],
+    Component: AnalysesStatsWidget,
+  },
+  {
+    id: 'reportsStats',
+    titleKey: 'widgets.reportsStats',
+    size: 'small',
+    Icon: FileText,
+    sources: ['stats'],
+    Component: ReportsStatsWidget,
+  },
+  {
+    id: 'quickActions',
+    titleKey: 'widgets.quickActions',
+    size: 'medium',
+    sources: [],
+    Component: QuickActionsWidget,
+  },
+  {
+    id: 'recentAppointments',
+    titleKey: 'widgets.recentAppointments',
+    size: 'medium',
+    sources: ['appointments'],
+    Component: RecentAppointmentsWidget,
+  },
+  {
+    id: 'recentAnalyses',
+    titleKey: 'widgets.recentAnalyses',
+    size: 'medium',
+    sources: ['analyses'],
+    Component: RecentAnalysesWidget,
+  },
+  {
+    id: 'trends',
+    titleKey: 'widgets.trends',
+    size: 'wide',
+    Icon: TrendingUp,
+    sources: ['trends'],
+    Component: HealthTrendsWidget,
+  },
+];
+
+export const DASHBOARD_WIDGET_IDS = DASHBOARD_WIDGETS.map(({ id }) => id);
+
+export function getDashboardWidget(id) {
+  return DASHBOARD_WIDGETS.find((widget) => widget.id === id);
+}
+
+/**
+ * One widget in its card. `sources` maps source name → { data, loading, error, stale, updatedAt }; the body
+ * gets the loaded data and the signed-in user's id.
+ * The body renders once every source has data (possibly stale); otherwise loading, or an inline error with
+ * a retry button. Stale data carries a notice and the same retry.
+ */
+export function DashboardWidget({ widget, sources, userId, onRetry }) {
+  const { t, formatDateTime } = usePatientI18n();
+  const { titleKey, size, Icon, Component } = widget;
+  const title = t(titleKey);
+  const states = widget.sources.map((name) => sources[name]);
+  const loading = states.some((state) => state.loading);
+  const failed = states.some((state) => state.error);
+  const hasData = states.every((state) => state.data != null);
+  const data = Object.fromEntries(
+    widget.sources.map((name) => [name, sources[name].data]),
+  );
+  const staleSince = states
+    .filter((state) => state.stale && state.updatedAt)
+    .map((state) => state.updatedAt)
+    .sort()[0];
+
+  const retryFailed = () => {
+    widget.sources
+      .filter((name) => sources[name].error)
+      .forEach((name) => onRetry(name));
+  };
+  const retryButton = (
+    <Button
+      variant="outline"
+      size="sm"
+      onClick={retryFailed}
+      disabled={loading}
+      aria-label={t('widgets.retry', { title })}
+    >
+      {t(loading ? 'common.retrying' : 'common.retry')}
+    </Button>
+  );
+
+  let body;
+  if (hasData) {
+    body = (
+      <>
+        {failed && (
+          <div className="mb-2 flex items-center justify-between space-x-2 text-xs text-muted-foreground">
+            <p role="alert">
+              {t('widgets.refreshFailed')}{' '}
+              {staleSince
+                ? t('widgets.staleSince', { date: formatDateTime(staleSince) })
+                : t('widgets.staleEarlier')}
+            </p>
+            {retryButton}
+          </div>
+        )}
+        <Component data={data} userId={userId} />
+      </>
+    );
+  } else if (loading && !failed) {
+    body = (
+      <p className="text-sm text-muted-foreground" role="status">
+        {t('common.loading')}
+      </p>
+    );
+  } else {
+    body = (
+      <div className="space-y-2">
+        <p className="text-sm text-red-600" role="alert">
+          {t('widgets.loadFailed', { title })}
+        </p>
+        {retryButton}
+      </div>
+    );
+  }
+
+  return (
+    <section className={SIZE_CLASSES[size]} aria-label={title}>
+      <Card>
+        {size === 'small' ? (
+          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+            <CardTitle className="text-sm font-medium">{title}</CardTitle>
+            {Icon && (
+              <Icon className="h-4 w-4 text-muted-foreground" aria-hidden />
+            )}
+          </CardHeader>
+        ) : (
+          <CardHeader>
+            <CardTitle className="flex items-center space-x-2">
+              {Icon && <Icon className="h-5 w-5" aria-hidden />}
+              <span>{title}</span>
+            </CardTitle>
+          </CardHeader>
+        )}
+        <CardContent>{body}</CardContent>
+      </Card>
+    </section>
+  );
+}
@@ -0,0 +1,155 @@
+/**
+ * Doctor directory for the booking form: search, filters, recently seen doctors and profile details.
+ *
+ * - Profile fields come with the doctor list (userService.getAll): bio, photoUrl, location (string or
+ *   { address }, else address), languages, rating (0–5) and nextAvailableSlot ({ date, time }). Missing ones are
+ *   left out of the preview; doctors without them never match a filter on them.
+ * - Search: case-insensitive over name, specialization, location and bio.
+ * - Recently seen: doctors of the patient's past, non-cancelled appointments, most recent first. They are listed
+ *   ahead of the others, which stay in the server's order.
+ */
+
+import {
+  addDaysToDateKey,
+  getTodayKey,
+  normalizeDateKey,
+} from '../../utils/dateTime';
+import { getAppointmentDoctorId } from './appointmentFilters';
+import { getAppointmentInterval } from './appointmentIcs';
+
+export const RECENT_DOCTORS_LIMIT = 3;
+export const DOCTOR_RATING_OPTIONS = [4.5, 4, 3];
+export const DOCTOR_AVAILABILITY_OPTIONS = [
+  { days: 0, labelKey: 'doctors.availableToday' },
+  { days: 3, labelKey: 'doctors.availableWithin3Days' },
+  { days: 7, labelKey: 'doctors.availableWithinWeek' },
+];
+
+export const emptyDoctorFilters = {
+  q: '',
+  specialization: '',
+  language: '',
+  minRating: '',
+  availableWithin: '',
+};
+
+const byName = (a, b) => a.localeCompare(b);
+
+/** Distinct specializations, sorted. */
+export function getDoctorSpecializations(doctors) {
+  return [
+    ...new Set(doctors.map((doctor) => doctor.specialization).filter(Boolean)),
+  ].sort(byName);
+}
+
+/** Distinct spoken languages, sorted. */
+export function getDoctorLanguages(doctors) {
+  return [
+    ...new Set(
+      doctors.flatMap((doctor) =>
+        Array.isArray(doctor.languages) ? doctor.languages : [],
+      ),
+    ),
+  ].sort(byName);
+}
+
+/** Rating as a number, or null when missing/invalid. */
+export function getDoctorRating(doctor) {
+  const rating = Number(doctor.rating);
+  return doctor.rating != null && Number.isFinite(rating) ? rating : null;
+}
+
+/** Next free slot as { date, time } (clinic day), or null. */
+export function getDoctorNextSlot(doctor) {
+  const date = normalizeDateKey(doctor.nextAvailableSlot?.date);
+  return date ? { date, time: doctor.nextAvailableSlot.time ?? '' } : null;
+}
+
+export function getDoctorLocation(doctor) {
+  const location =
+    doctor.location?.address ?? doctor.location ?? doctor.address;
+  return typeof location === 'string' ? location.trim() : '';
+}
+
+/** Photo URL when it is http(s); '' otherwise. */
+export function getDoctorPhotoUrl(doctor) {
+  return /^https?:\/\//i.test(doctor.photoUrl ?? '') ? doctor.photoUrl : '';
+}
+
+export function hasActiveDoctorFilters(filters) {
+  return Object.values(filters).some((value) => String(value).trim());
+}
+
+/** Doctors matching every set filter (todayKey: clinic day the availability window starts on). */
+export function filterDoctors(doctors, filters, todayKey = getTodayKey()) {
+  const query = filters.q.trim().toLowerCase();
+  const minRating = filters.minRating === '' ? null : Number(filters.minRating);
+  const lastDay =
+    filters.availableWithin === ''
+      ? ''
+      : addDaysToDateKey(todayKey, Number(filters.availableWithin));
+  return doctors.filter((doctor) => {
+    if (
+      filters.specialization &&
+      doctor.specialization !== filters.specialization
+    ) {
+      return false;
+    }
+    if (filters.language && !doctor.languages?.includes(filters.language)) {
+      return false;
+    }
+    if (minRating != null && !(getDoctorRating(doctor) >= minRating)) {
+      return false;
+    }
+    if (lastDay) {
+      const slot = getDoctorNextSlot(doctor);
+      if (!slot || slot.date < todayKey || slot.date > lastDay) return false;
+    }
+    if (query) {
+      const text = [
+        doctor.name,
+        doctor.specialization,
+        getDoctorLocation(doctor),
+        doctor.bio,
+      ]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      if (!text.includes(query)) return false;
+    }
+    return true;
+  });
+}
+
+/** Doctor ids of the patient's past, non-cancelled appointments, most recent first (unique, up to limit). */
+export function getRecentDoctorIds(
+  appointments,
+  now = Date.now(),
+  limit = RECENT_DOCTORS_LIMIT,
+) {
+  const seen = appointments
+    .filter(
+      (appointment) =>
+        appointment.status !== 'cancelled' &&
+        appointment.appointmentTime &&
+        getAppointmentDoctorId(appointment),
+    )
+    .map((appointment) => ({
+      doctorId: getAppointmentDoctorId(appointment),
+      start: getAppointmentInterval(appointment).start.getTime(),
+    }))
+    .filter(({ start }) => start < now)
+    .sort((a, b) => b.start - a.start);
+  return [...new Set(seen.map(({ doctorId }) => doctorId))].slice(0, limit);
+}
+
+/** { recent, others }: recently seen doctors in recency order, then the rest in the given order. */
+export function splitRecentDoctors(doctors, recentIds) {
+  const byId = new Map(doctors.map((doctor) => [String(doctor._id), doctor]));
+  const recent = recentIds.map((id) => byId.get(id)).filter(Boolean);
+  const recentSet = new Set(recent);
+  return {
+    recent,
+    others: doctors.filter((doctor) => !recentSet.has(doctor)),
+  };
+}
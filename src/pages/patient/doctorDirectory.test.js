@@ -0,0 +1,107 @@
+import {
+  emptyDoctorFilters,
+  filterDoctors,
+  getDoctorLanguages,
+  getDoctorLocation,
+  getDoctorNextSlot,
+  getDoctorPhotoUrl,
+  getDoctorRating,
+  getDoctorSpecializations,
+  getRecentDoctorIds,
+  hasActiveDoctorFilters,
+  splitRecentDoctors,
+} from './doctorDirectory';
+
+const TODAY = '2030-01-07';
+
+const doctors = [
+  {
+    _id: 'd1',
+    name: 'Dr. Smith',
+    specialization: 'General',
+    languages: ['English'],
+    rating: 4.2,
+    nextAvailableSlot: { date: '2030-01-07', time: '15:00' },
+    location: { address: '1 Main St, Springfield' },
+  },
+  {
+    _id: 'd2',
+    name: 'Dr. Jones',
+    specialization: 'Cardiology',
+    languages: ['Spanish', 'English'],
+    rating: '4.8',
+    nextAvailableSlot: { date: '2030-01-10T00:00:00.000Z', time: '09:00' },
+    bio: 'Heart rhythm specialist',
+  },
+  { _id: 'd3', name: 'Dr. Lee', specialization: 'Cardiology' },
+];
+
+const ids = (items) => items.map(({ _id }) => _id);
+const filter = (changes) =>
+  ids(filterDoctors(doctors, { ...emptyDoctorFilters, ...changes }, TODAY));
+
+describe('doctorDirectory', () => {
+  it('lists filter options from the doctors', () => {
+    expect(getDoctorSpecializations(doctors)).toEqual([
+      'Cardiology',
+      'General',
+    ]);
+    expect(getDoctorLanguages(doctors)).toEqual(['English', 'Spanish']);
+  });
+
+  it('reads profile fields defensively', () => {
+    expect(getDoctorRating(doctors[1])).toBe(4.8);
+    expect(getDoctorRating(doctors[2])).toBeNull();
+    expect(getDoctorNextSlot(doctors[1])).toEqual({
+      date: '2030-01-10',
+      time: '09:00',
+    });
+    expect(getDoctorNextSlot(doctors[2])).toBeNull();
+    expect(getDoctorLocation(doctors[0])).toBe('1 Main St, Springfield');
+    expect(getDoctorLocation({ address: ' 2 Oak Ave ' })).toBe('2 Oak Ave');
+    expect(getDoctorLocation(doctors[2])).toBe('');
+    expect(
+      getDoctorPhotoUrl({ photoUrl: 'https://cdn.example.com/a.jpg' }),
+    ).toBe('https://cdn.example.com/a.jpg');
+    expect(getDoctorPhotoUrl({ photoUrl: 'javascript:alert(1)' })).toBe('');
+  });
+
+  it('filters by specialization, language, rating, availability and text', () => {
+    expect(filter({})).toEqual(['d1', 'd2', 'd3']);
+    expect(filter({ specialization: 'Cardiology' })).toEqual(['d2', 'd3']);
+    expect(filter({ language: 'Spanish' })).toEqual(['d2']);
+    expect(filter({ minRating: '4.5' })).toEqual(['d2']);
+    expect(filter({ availableWithin: '0' })).toEqual(['d1']);
+    expect(filter({ availableWithin: '3' })).toEqual(['d1', 'd2']);
+    expect(filter({ q: 'rhythm' })).toEqual(['d2']);
+    expect(filter({ q: 'springfield' })).toEqual(['d1']);
+    expect(hasActiveDoctorFilters(emptyDoctorFilters)).toBe(false);
+    expect(
+      hasActiveDoctorFilters({ ...emptyDoctorFilters, availableWithin: 0 }),
+    ).toBe(true);
+  });
+
+  it('puts recently seen doctors first, most recent first', () => {
+    const now = Date.UTC(2030, 0, 7, 15);
+    const visit = (doctor, appointmentDate, status = 'completed') => ({
+      doctor,
+      appointmentDate,
+      appointmentTime: '10:00',
+      status,
+    });
+    const recentIds = getRecentDoctorIds(
+      [
+        visit({ _id: 'd3' }, '2029-11-02'),
+        visit('d2', '2029-12-20'),
+        visit({ _id: 'd3' }, '2029-10-01'),
+        visit('d1', '2029-12-28', 'cancelled'),
+        visit('d1', '2030-02-01', 'confirmed'),
+      ],
+      now,
+    );
+    expect(recentIds).toEqual(['d2', 'd3']);
+    const { recent, others } = splitRecentDoctors(doctors, recentIds);
+    expect(ids(recent)).toEqual(['d2', 'd3']);
+    expect(ids(others)).toEqual(['d1']);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Per-doctor schedule model (replaces the hard-coded 9 AM–5 PM for every doctor/weekday).
+ *
+ * Shape (as returned by userService.getSchedule):
+ *   {
+ *     weekly: { [weekday 0=Sun..6=Sat]: [{ start: 'HH:mm', end: 'HH:mm' }] },
+ *     breaks: [{ start: 'HH:mm', end: 'HH:mm' }],   // every working day
+ *     holidays: ['YYYY-MM-DD'],
+ *     slotMinutes: 30,
+ *   }
+ * Missing fields fall back to DEFAULT_SCHEDULE. A time is bookable when a whole slot from it ends by the range's
+ * close and does not overlap a break (9–17 with 30-minute slots: 16:30 is the last start).
+ * Hours text is English by default; pass the i18n scheduleLabels ({ time, weekday, break }) to localize it.
+ */
+
+import { normalizeDateKey, parseDateKey } from '../../utils/dateTime';
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ALL_DAY_HOURS = [{ start: '09:00', end: '17:00' }];
+
+export const DEFAULT_SCHEDULE = {
+  weekly: {
+    0: ALL_DAY_HOURS,
+    1: ALL_DAY_HOURS,
+    2: ALL_DAY_HOURS,
+    3: ALL_DAY_HOURS,
+    4: ALL_DAY_HOURS,
+    5: ALL_DAY_HOURS,
+    6: ALL_DAY_HOURS,
+  },
+  breaks: [],
+  holidays: [],
+  slotMinutes: 30,
+};
+
+/** Fills missing fields from DEFAULT_SCHEDULE (null/undefined → default). */
+export function normalizeSchedule(schedule) {
+  if (!schedule) return DEFAULT_SCHEDULE;
+  return {
+    weekly: schedule.weekly ?? DEFAULT_SCHEDULE.weekly,
+    breaks: schedule.breaks ?? [],
+    holidays: schedule.holidays ?? [],
+    slotMinutes: schedule.slotMinutes ?? DEFAULT_SCHEDULE.slotMinutes,
+  };
+}
+
+export function toMinutes(timeStr) {
+  const [h, m] = timeStr.split(':').map(Number);
+  return h * 60 + (m ?? 0);
+}
+
+export function toTimeString(totalMinutes) {
+  const h = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+  const m = String(totalMinutes % 60).padStart(2, '0');
+  return `${h}:${m}`;
+}
+
+/** "09:00" → "9 AM", "13:30" → "1:30 PM". */
+export function formatTimeLabel(timeStr) {
+  const minutes = toMinutes(timeStr);
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  const suffix = h >= 12 ? 'PM' : 'AM';
+  const hour12 = h % 12 === 0 ? 12 : h % 12;
+  return m
+    ? `${hour12}:${String(m).padStart(2, '0')} ${suffix}`
+    : `${hour12} ${suffix}`;
+}
+
+export const DEFAULT_SCHEDULE_LABELS = {
+  time: formatTimeLabel,
+  weekday: (day) => WEEKDAY_LABELS[day],
+  break: 'break',
+};
+
+function formatRanges(ranges, labels) {
+  return ranges
+    .map((range) => `${labels.time(range.start)} - ${labels.time(range.end)}`)
+    .join(', ');
+}
+
+/** Weekday of a "YYYY-MM-DD" string, read as a calendar date (no UTC shift). */
+export function getWeekday(dateStr) {
+  return parseDateKey(dateStr).getDay();
+}
+
+/** Working ranges for a date ([] on holidays/days off); without a date, every weekday's ranges. */
+export function getWorkingRanges(schedule, dateStr) {
+  const { weekly, holidays } = normalizeSchedule(schedule);
+  if (!dateStr) return Object.values(weekly).flat();
+  if (holidays.includes(normalizeDateKey(dateStr))) return [];
+  return weekly[getWeekday(dateStr)] ?? [];
+}
+
+export function isWorkingDay(dateStr, schedule) {
+  if (!dateStr) return false;
+  return getWorkingRanges(schedule, dateStr).length > 0;
+}
+
+// A slot starting at `minutes` lies inside the range and overlaps no break.
+function fitsSlot(minutes, range, { breaks, slotMinutes }) {
+  const end = minutes + slotMinutes;
+  if (minutes < toMinutes(range.start) || end > toMinutes(range.end)) {
+    return false;
+  }
+  return !breaks.some(
+    (pause) => minutes < toMinutes(pause.end) && end > toMinutes(pause.start),
+  );
+}
+
+/** A whole slot from the time fits a working range of the date (any weekday when no date), clear of breaks. */
+export function isWithinSchedule(timeStr, schedule, dateStr) {
+  if (!timeStr) return false;
+  const minutes = toMinutes(timeStr);
+  const normalized = normalizeSchedule(schedule);
+  return getWorkingRanges(schedule, dateStr).some((range) =>
+    fitsSlot(minutes, range, normalized),
+  );
+}
+
+/** Slot start times for the date: each slot ends by range close and does not overlap a break. */
+export function generateScheduleSlots(schedule, dateStr) {
+  const normalized = normalizeSchedule(schedule);
+  const slots = [];
+  for (const range of getWorkingRanges(schedule, dateStr)) {
+    for (
+      let minutes = toMinutes(range.start);
+      minutes + normalized.slotMinutes <= toMinutes(range.end);
+      minutes += normalized.slotMinutes
+    ) {
+      if (fitsSlot(minutes, range, normalized)) {
+        slots.push(toTimeString(minutes));
+      }
+    }
+  }
+  return slots;
+}
+
+/** Hours text for messages: "9 AM - 5 PM" plus breaks; for a date, that day's hours only. */
+export function formatScheduleHours(
+  schedule,
+  dateStr,
+  labels = DEFAULT_SCHEDULE_LABELS,
+) {
+  const { weekly, breaks } = normalizeSchedule(schedule);
+  const ranges = dateStr
+    ? getWorkingRanges(schedule, dateStr)
+    : (weekly[1] ?? Object.values(weekly).find((day) => day.length) ?? []);
+  const hours = formatRanges(ranges, labels);
+  return breaks.length
+    ? `${hours}, ${labels.break} ${formatRanges(breaks, labels)}`
+    : hours;
+}
+
+/** Weekly summary grouping consecutive days with equal hours: "Mon–Fri 9 AM - 5 PM; Sat 9 AM - 1 PM". */
+export function describeWeeklySchedule(
+  schedule,
+  labels = DEFAULT_SCHEDULE_LABELS,
+) {
+  const { weekly, breaks } = normalizeSchedule(schedule);
+  const order = [1, 2, 3, 4, 5, 6, 0];
+  const groups = [];
+  for (const day of order) {
+    const ranges = weekly[day] ?? [];
+    const hours = ranges.length ? formatRanges(ranges, labels) : '';
+    const last = groups[groups.length - 1];
+    if (last && last.hours === hours) {
+      last.to = day;
+    } else {
+      groups.push({ from: day, to: day, hours });
+    }
+  }
+  const summary = groups
+    .filter((group) => group.hours)
+    .map((group) => {
+      const days =
+        group.from === group.to
+          ? labels.weekday(group.from)
+          : `${labels.weekday(group.from)}–${labels.weekday(group.to)}`;
+      return `${days} ${group.hours}`;
+    })
+    .join('; ');
+  return breaks.length
+    ? `${summary} (${labels.break} ${formatRanges(breaks, labels)})`
+    : summary;
+}
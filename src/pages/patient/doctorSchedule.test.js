@@ -0,0 +1,101 @@
+import {
+  DEFAULT_SCHEDULE,
+  normalizeSchedule,
+  formatTimeLabel,
+  getWeekday,
+  getWorkingRanges,
+  isWorkingDay,
+  isWithinSchedule,
+  generateScheduleSlots,
+  formatScheduleHours,
+  describeWeeklySchedule,
+} from './doctorSchedule';
+
+// 2030-01-07 Mon, 2030-01-12 Sat, 2030-01-13 Sun
+const schedule = {
+  weekly: {
+    1: [{ start: '09:00', end: '17:00' }],
+    2: [{ start: '09:00', end: '17:00' }],
+    3: [{ start: '09:00', end: '17:00' }],
+    4: [{ start: '09:00', end: '17:00' }],
+    5: [{ start: '09:00', end: '17:00' }],
+    6: [{ start: '09:00', end: '13:00' }],
+  },
+  breaks: [{ start: '12:00', end: '13:00' }],
+  holidays: ['2030-01-08'],
+  slotMinutes: 60,
+};
+
+describe('normalizeSchedule', () => {
+  it('falls back to default', () => {
+    expect(normalizeSchedule(null)).toBe(DEFAULT_SCHEDULE);
+    expect(normalizeSchedule({ slotMinutes: 15 })).toEqual({
+      ...DEFAULT_SCHEDULE,
+      slotMinutes: 15,
+    });
+  });
+});
+
+describe('formatTimeLabel', () => {
+  it('12h labels', () => {
+    expect(formatTimeLabel('09:00')).toBe('9 AM');
+    expect(formatTimeLabel('12:00')).toBe('12 PM');
+    expect(formatTimeLabel('13:30')).toBe('1:30 PM');
+    expect(formatTimeLabel('00:15')).toBe('12:15 AM');
+  });
+});
+
+describe('working days', () => {
+  it('weekday of calendar date', () => {
+    expect(getWeekday('2030-01-07')).toBe(1);
+    expect(getWeekday('2030-01-13T00:00:00.000Z')).toBe(0);
+  });
+  it('days off and holidays have no ranges', () => {
+    expect(isWorkingDay('2030-01-07', schedule)).toBe(true);
+    expect(isWorkingDay('2030-01-08', schedule)).toBe(false);
+    expect(isWorkingDay('2030-01-13', schedule)).toBe(false);
+    expect(getWorkingRanges(schedule, '2030-01-12')).toEqual([
+      { start: '09:00', end: '13:00' },
+    ]);
+  });
+});
+
+describe('isWithinSchedule', () => {
+  it('the whole slot must end by closing and stay clear of breaks', () => {
+    expect(isWithinSchedule('16:00', schedule, '2030-01-07')).toBe(true);
+    expect(isWithinSchedule('16:30', schedule, '2030-01-07')).toBe(false);
+    expect(isWithinSchedule('17:00', schedule, '2030-01-07')).toBe(false);
+    expect(isWithinSchedule('11:30', schedule, '2030-01-07')).toBe(false);
+    expect(isWithinSchedule('12:30', schedule, '2030-01-07')).toBe(false);
+    expect(isWithinSchedule('13:00', schedule, '2030-01-07')).toBe(true);
+    expect(isWithinSchedule('14:00', schedule, '2030-01-12')).toBe(false);
+    expect(isWithinSchedule('', schedule, '2030-01-07')).toBe(false);
+  });
+  it('without date any weekday counts', () => {
+    expect(isWithinSchedule('16:00', schedule)).toBe(true);
+  });
+});
+
+describe('generateScheduleSlots', () => {
+  it('skips breaks and respects slot length', () => {
+    expect(generateScheduleSlots(schedule, '2030-01-12')).toEqual([
+      '09:00',
+      '10:00',
+      '11:00',
+    ]);
+    expect(generateScheduleSlots(schedule, '2030-01-07')).toHaveLength(7);
+    expect(generateScheduleSlots(schedule, '2030-01-13')).toEqual([]);
+  });
+});
+
+describe('schedule text', () => {
+  it('hours for a date and weekly summary', () => {
+    expect(formatScheduleHours(schedule, '2030-01-12')).toBe(
+      '9 AM - 1 PM, break 12 PM - 1 PM',
+    );
+    expect(formatScheduleHours(DEFAULT_SCHEDULE)).toBe('9 AM - 5 PM');
+    expect(describeWeeklySchedule(schedule)).toBe(
+      'Mon–Fri 9 AM - 5 PM; Sat 9 AM - 1 PM (break 12 PM - 1 PM)',
+    );
+  });
+});
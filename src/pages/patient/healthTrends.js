@@ -0,0 +1,325 @@
+/**
+ * Health Trends chart data: date ranges, metrics, gaps and aggregation for the dashboard trends widget.
+ *
+ * - Trend entries ({ date, confidence, accuracy, …, analysisId }) are placed on clinic calendar days
+ *   (utils/dateTime); each comes from one AI analysis (analysisId, or the entry's _id).
+ * - Ranges end today: 7d/30d/90d/1y, or a custom from/to. Ranges over a month are averaged by week, over half a
+ *   year by month.
+ * - Every bucket in the range gets a point; buckets without data have null metrics, so the chart shows a gap
+ *   rather than joining distant readings.
+ * - The same series backs the table view, the CSV/JSON exports (periods with readings only) and the text
+ *   summary ("Confidence rose from 60% to 82% over 30 days.").
+ * - Labels, periods and summaries are in the patient's language (i18n param, English by default); the export
+ *   column headers stay English.
+ */
+
+import {
+  addDaysToDateKey,
+  getTodayKey,
+  normalizeDateKey,
+  toDateKey,
+} from '../../utils/dateTime';
+import { defaultI18n } from '../../utils/i18n';
+
+/** Preset ranges; labels are the catalog's 'trends.range.<id>'. */
+export const TREND_RANGES = [
+  { id: '7d', days: 7 },
+  { id: '30d', days: 30 },
+  { id: '90d', days: 90 },
+  { id: '1y', days: 365 },
+  { id: 'custom' },
+];
+
+export const DEFAULT_TREND_RANGE = '30d';
+
+const MAX_DAILY_DAYS = 31;
+const MAX_WEEKLY_DAYS = 183;
+
+/** Known metrics (name and unit for summaries, label, line color); other numeric fields are offered too. */
+export const TREND_METRICS = [
+  {
+    key: 'confidence',
+    name: 'Confidence',
+    unit: '%',
+    label: 'Confidence %',
+    color: '#8884d8',
+  },
+  {
+    key: 'accuracy',
+    name: 'Accuracy',
+    unit: '%',
+    label: 'Accuracy %',
+    color: '#82ca9d',
+  },
+];
+
+const EXTRA_METRIC_COLORS = ['#ff7300', '#d0021b', '#0088fe', '#00c49f'];
+const NON_METRIC_FIELDS = new Set(['_id', 'id', 'analysisId']);
+
+/**
+ * Metrics present in the entries: known ones first (names translated), then other numeric fields
+ * ("heartRate" → "Heart rate").
+ */
+export function getAvailableTrendMetrics(trends, { t } = defaultI18n) {
+  const keys = new Set();
+  for (const entry of trends) {
+    for (const [key, value] of Object.entries(entry)) {
+      if (typeof value === 'number' && !NON_METRIC_FIELDS.has(key)) {
+        keys.add(key);
+      }
+    }
+  }
+  const known = TREND_METRICS.filter(({ key }) => keys.has(key)).map(
+    (metric) => {
+      const name = t(`trends.metric.${metric.key}`);
+      return { ...metric, name, label: `${name} ${metric.unit}` };
+    },
+  );
+  const extra = [...keys]
+    .filter((key) => !TREND_METRICS.some((metric) => metric.key === key))
+    .sort()
+    .map((key, index) => {
+      const words = key.replace(/([A-Z])/g, ' $1').toLowerCase();
+      const name = words.charAt(0).toUpperCase() + words.slice(1);
+      return {
+        key,
+        name,
+        unit: '',
+        label: name,
+        color: EXTRA_METRIC_COLORS[index % EXTRA_METRIC_COLORS.length],
+      };
+    });
+  return [...known, ...extra];
+}
+
+/** '' when the custom range is usable. */
+export function getTrendRangeError({ from, to } = {}, { t } = defaultI18n) {
+  if (!normalizeDateKey(from) || !normalizeDateKey(to)) {
+    return t('trends.chooseDates');
+  }
+  return from > to ? t('trends.startAfterEnd') : '';
+}
+
+/** Inclusive { from, to } date keys of a range; null for an invalid custom range. */
+export function getTrendRangeBounds(rangeId, custom, todayKey = getTodayKey()) {
+  if (rangeId === 'custom') {
+    return getTrendRangeError(custom)
+      ? null
+      : { from: custom.from, to: custom.to };
+  }
+  const range =
+    TREND_RANGES.find(({ id }) => id === rangeId) ??
+    TREND_RANGES.find(({ id }) => id === DEFAULT_TREND_RANGE);
+  return { from: addDaysToDateKey(todayKey, 1 - range.days), to: todayKey };
+}
+
+function getDaySpan(from, to) {
+  const toUtc = (dateKey) => {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    return Date.UTC(y, m - 1, d);
+  };
+  return Math.round((toUtc(to) - toUtc(from)) / 86400000) + 1;
+}
+
+/** 'day', 'week' or 'month' for the length of the range. */
+export function getTrendBucket({ from, to }) {
+  const days = getDaySpan(from, to);
+  if (days <= MAX_DAILY_DAYS) return 'day';
+  return days <= MAX_WEEKLY_DAYS ? 'week' : 'month';
+}
+
+/** First day of the bucket holding a day (weeks start on Monday). */
+export function getBucketStart(dateKey, bucket) {
+  if (bucket === 'month') return `${dateKey.slice(0, 7)}-01`;
+  if (bucket === 'week') {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    const weekday = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+    return addDaysToDateKey(dateKey, -((weekday + 6) % 7));
+  }
+  return dateKey;
+}
+
+function getNextBucketStart(bucketKey, bucket) {
+  if (bucket === 'week') return addDaysToDateKey(bucketKey, 7);
+  if (bucket === 'month') {
+    const [y, m] = bucketKey.split('-').map(Number);
+    return m === 12
+      ? `${y + 1}-01-01`
+      : `${y}-${String(m + 1).padStart(2, '0')}-01`;
+  }
+  return addDaysToDateKey(bucketKey, 1);
+}
+
+/** "Jan 07", "Week of Jan 06", "Jan 2030". */
+export function getBucketLabel(
+  bucketKey,
+  bucket,
+  { t, formatDate } = defaultI18n,
+) {
+  if (bucket === 'month') return formatDate(bucketKey, 'monthYear');
+  const day = formatDate(bucketKey, 'dayMonth');
+  return bucket === 'week' ? t('trends.weekOf', { date: day }) : day;
+}
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Clinic calendar day of a trend entry ('' when its date is missing/invalid); date-only values are kept as is. */
+export function getTrendEntryDateKey(entry) {
+  if (DATE_ONLY_PATTERN.test(entry?.date)) return normalizeDateKey(entry.date);
+  const date = new Date(entry?.date);
+  return Number.isNaN(date.getTime()) ? '' : toDateKey(date);
+}
+
+/**
+ * One point per bucket of the range: { key, label, analyses: [{ id, dateKey }], [metric]: average | null }.
+ * Averages are rounded to one decimal; a bucket without a reading of a metric has null for it.
+ */
+export function buildTrendSeries(
+  trends,
+  { from, to },
+  metricKeys,
+  i18n = defaultI18n,
+) {
+  const bucket = getTrendBucket({ from, to });
+  const points = new Map();
+  for (
+    let key = getBucketStart(from, bucket);
+    key <= to;
+    key = getNextBucketStart(key, bucket)
+  ) {
+    points.set(key, {
+      key,
+      label: getBucketLabel(key, bucket, i18n),
+      entries: [],
+    });
+  }
+
+  for (const entry of trends) {
+    const dateKey = getTrendEntryDateKey(entry);
+    if (!dateKey || dateKey < from || dateKey > to) continue;
+    points.get(getBucketStart(dateKey, bucket)).entries.push({
+      entry,
+      dateKey,
+    });
+  }
+
+  return [...points.values()].map(({ key, label, entries }) => {
+    const point = {
+      key,
+      label,
+      analyses: entries
+        .filter(({ entry }) => entry.analysisId ?? entry._id)
+        .map(({ entry, dateKey }) => ({
+          id: entry.analysisId ?? entry._id,
+          dateKey,
+        })),
+    };
+    for (const metric of metricKeys) {
+      const values = entries
+        .map(({ entry }) => entry[metric])
+        .filter((value) => typeof value === 'number');
+      point[metric] = values.length
+        ? Math.round(
+            (values.reduce((sum, value) => sum + value, 0) / values.length) *
+              10,
+          ) / 10
+        : null;
+    }
+    return point;
+  });
+}
+
+/** "30 days" for a preset range, the span of a custom one ("12 days"). */
+export function getTrendPeriodLabel(
+  rangeId,
+  { from, to },
+  { t } = defaultI18n,
+) {
+  const range = TREND_RANGES.find(({ id }) => id === rangeId);
+  if (range?.days) return t(`trends.range.${range.id}`);
+  return t('duration.days', { count: getDaySpan(from, to) });
+}
+
+/** One sentence per metric with readings: how it moved from the first to the last reading of the series. */
+export function getTrendSummary(
+  series,
+  metrics,
+  periodLabel,
+  { t } = defaultI18n,
+) {
+  return metrics.flatMap((metric) => {
+    const values = series
+      .map((point) => point[metric.key])
+      .filter((value) => value != null);
+    if (values.length === 0) return [];
+    const params = {
+      metric: metric.name,
+      period: periodLabel,
+      first: `${values[0]}${metric.unit}`,
+      last: `${values[values.length - 1]}${metric.unit}`,
+    };
+    if (values.length === 1) {
+      return [t('trends.summary.single', { ...params, value: params.first })];
+    }
+    if (values[0] === values[values.length - 1]) {
+      return [t('trends.summary.same', { ...params, value: params.first })];
+    }
+    const direction = values[values.length - 1] > values[0] ? 'rose' : 'fell';
+    return [t(`trends.summary.${direction}`, params)];
+  });
+}
+
+/** Points with a reading of at least one of the metrics (table rows and exports). */
+export function getTrendRows(series, metrics) {
+  return series.filter((point) =>
+    metrics.some(({ key }) => point[key] != null),
+  );
+}
+
+function escapeCsvValue(value) {
+  const str = value == null ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/** CSV: Period, Start date, one column per metric (empty without a reading), number of analyses. */
+export function buildTrendCsv(series, metrics) {
+  const header = [
+    'Period',
+    'Start date',
+    ...metrics.map(({ label }) => label),
+    'Analyses',
+  ];
+  const rows = getTrendRows(series, metrics).map((point) => [
+    point.label,
+    point.key,
+    ...metrics.map(({ key }) => point[key]),
+    point.analyses.length,
+  ]);
+  return [header, ...rows]
+    .map((row) => row.map(escapeCsvValue).join(','))
+    .join('\r\n');
+}
+
+/** JSON: { from, to, aggregation, metrics: [{ key, label }], points: [{ period, label, …values, analysisIds }] }. */
+export function buildTrendJson(series, metrics, { from, to }) {
+  return JSON.stringify(
+    {
+      from,
+      to,
+      aggregation: getTrendBucket({ from, to }),
+      metrics: metrics.map(({ key, label }) => ({ key, label })),
+      points: getTrendRows(series, metrics).map((point) => ({
+        period: point.key,
+        label: point.label,
+        ...Object.fromEntries(metrics.map(({ key }) => [key, point[key]])),
+        analysisIds: point.analyses.map(({ id }) => id),
+      })),
+    },
+    null,
+    2,
+  );
+}
+
+export function getTrendExportFilename({ from, to }, extension) {
+  return `health-trends-${from}-to-${to}.${extension}`;
+}
@@ -0,0 +1,284 @@
+import {
+  TREND_METRICS,
+  buildTrendCsv,
+  buildTrendJson,
+  buildTrendSeries,
+  getAvailableTrendMetrics,
+  getBucketLabel,
+  getBucketStart,
+  getTrendBucket,
+  getTrendEntryDateKey,
+  getTrendExportFilename,
+  getTrendPeriodLabel,
+  getTrendRangeBounds,
+  getTrendRangeError,
+  getTrendRows,
+  getTrendSummary,
+} from './healthTrends';
+import { createI18n } from '../../utils/i18n';
+
+const entry = (date, confidence, accuracy, analysisId) => ({
+  date,
+  confidence,
+  accuracy,
+  analysisId,
+});
+
+describe('healthTrends', () => {
+  it('range bounds end today and cover the range inclusively', () => {
+    expect(getTrendRangeBounds('7d', undefined, '2030-01-07')).toEqual({
+      from: '2030-01-01',
+      to: '2030-01-07',
+    });
+    expect(getTrendRangeBounds('1y', undefined, '2030-01-07')).toEqual({
+      from: '2029-01-08',
+      to: '2030-01-07',
+    });
+    expect(getTrendRangeBounds('unknown', undefined, '2030-01-30').from).toBe(
+      '2030-01-01',
+    );
+  });
+  it('custom range needs both dates in order', () => {
+    expect(getTrendRangeError({ from: '2030-01-01', to: '' })).toBe(
+      'Choose a start and end date',
+    );
+    expect(getTrendRangeError({ from: '2030-02-01', to: '2030-01-01' })).toBe(
+      'Start date must be on or before end date',
+    );
+    expect(
+      getTrendRangeBounds('custom', { from: '2030-02-01', to: '2030-01-01' }),
+    ).toBeNull();
+    expect(
+      getTrendRangeBounds('custom', { from: '2030-01-01', to: '2030-01-01' }),
+    ).toEqual({ from: '2030-01-01', to: '2030-01-01' });
+  });
+  it('aggregates long ranges by week, then month', () => {
+    expect(getTrendBucket({ from: '2030-01-01', to: '2030-01-31' })).toBe(
+      'day',
+    );
+    expect(getTrendBucket({ from: '2029-10-10', to: '2030-01-07' })).toBe(
+      'week',
+    );
+    expect(getTrendBucket({ from: '2029-01-08', to: '2030-01-07' })).toBe(
+      'month',
+    );
+  });
+  it('buckets start on Monday or the first of the month', () => {
+    // 2030-01-10 is a Thursday.
+    expect(getBucketStart('2030-01-10', 'week')).toBe('2030-01-07');
+    expect(getBucketStart('2030-01-07', 'week')).toBe('2030-01-07');
+    expect(getBucketStart('2030-01-10', 'month')).toBe('2030-01-01');
+    expect(getBucketLabel('2030-01-07', 'week')).toBe('Week of Jan 07');
+    expect(getBucketLabel('2030-01-01', 'month')).toBe('Jan 2030');
+    expect(
+      getBucketLabel('2030-01-07', 'week', createI18n({ locale: 'es' })),
+    ).toBe('Semana del 7 ene');
+  });
+  it('places entries on clinic days, not UTC days', () => {
+    // 03:00 UTC on Jan 8 is still Jan 7 in New York.
+    expect(getTrendEntryDateKey({ date: '2030-01-08T03:00:00.000Z' })).toBe(
+      '2030-01-07',
+    );
+    expect(getTrendEntryDateKey({ date: 'not a date' })).toBe('');
+  });
+  it('keeps date-only entries on their own day', () => {
+    expect(getTrendEntryDateKey({ date: '2030-01-07' })).toBe('2030-01-07');
+    const series = buildTrendSeries(
+      [entry('2030-01-01', 80, 70, 'an1'), entry('2030-01-02', 90, 60, 'an2')],
+      { from: '2030-01-01', to: '2030-01-02' },
+      ['confidence'],
+    );
+    expect(series.map(({ analyses }) => analyses)).toEqual([
+      [{ id: 'an1', dateKey: '2030-01-01' }],
+      [{ id: 'an2', dateKey: '2030-01-02' }],
+    ]);
+  });
+  it('offers known metrics first, then other numeric fields', () => {
+    expect(
+      getAvailableTrendMetrics([
+        { date: '2030-01-01', accuracy: 1, heartRate: 70, analysisId: 'x' },
+        { date: '2030-01-02', confidence: 2, note: 'text' },
+      ]).map(({ key, label }) => [key, label]),
+    ).toEqual([
+      ['confidence', 'Confidence %'],
+      ['accuracy', 'Accuracy %'],
+      ['heartRate', 'Heart rate'],
+    ]);
+  });
+  it('fills every day of the range and leaves gaps as null', () => {
+    const series = buildTrendSeries(
+      [
+        entry('2030-01-01T15:00:00.000Z', 80, 70, 'an1'),
+        entry('2030-01-03T15:00:00.000Z', 90, null, 'an2'),
+        entry('2029-12-01T15:00:00.000Z', 10, 10, 'old'),
+      ],
+      { from: '2030-01-01', to: '2030-01-03' },
+      ['confidence', 'accuracy'],
+    );
+    expect(series).toEqual([
+      {
+        key: '2030-01-01',
+        label: 'Jan 01',
+        analyses: [{ id: 'an1', dateKey: '2030-01-01' }],
+        confidence: 80,
+        accuracy: 70,
+      },
+      {
+        key: '2030-01-02',
+        label: 'Jan 02',
+        analyses: [],
+        confidence: null,
+        accuracy: null,
+      },
+      {
+        key: '2030-01-03',
+        label: 'Jan 03',
+        analyses: [{ id: 'an2', dateKey: '2030-01-03' }],
+        confidence: 90,
+        accuracy: null,
+      },
+    ]);
+  });
+  it('averages entries per week and keeps every analysis of the bucket', () => {
+    const series = buildTrendSeries(
+      [
+        entry('2030-01-07T15:00:00.000Z', 80, 60, 'an1'),
+        entry('2030-01-09T15:00:00.000Z', 85, 65, 'an2'),
+        { date: '2030-01-10T15:00:00.000Z', confidence: 90, _id: 'an3' },
+      ],
+      { from: '2029-11-01', to: '2030-01-13' },
+      ['confidence', 'accuracy'],
+    );
+    const week = series.find(({ key }) => key === '2030-01-07');
+    expect(week).toMatchObject({
+      label: 'Week of Jan 07',
+      confidence: 85,
+      accuracy: 62.5,
+    });
+    expect(week.analyses.map(({ id }) => id)).toEqual(['an1', 'an2', 'an3']);
+    expect(series[0].key).toBe('2029-10-29');
+    expect(series.at(-1).key).toBe('2030-01-07');
+  });
+
+  describe('table, exports and summary', () => {
+    const series = [
+      {
+        key: '2030-01-01',
+        label: 'Jan 01',
+        analyses: [{ id: 'an1', dateKey: '2030-01-01' }],
+        confidence: 60,
+        accuracy: 70,
+      },
+      {
+        key: '2030-01-02',
+        label: 'Jan 02',
+        analyses: [],
+        confidence: null,
+        accuracy: null,
+      },
+      {
+        key: '2030-01-03',
+        label: 'Jan 03',
+        analyses: [
+          { id: 'an2', dateKey: '2030-01-03' },
+          { id: 'an3', dateKey: '2030-01-03' },
+        ],
+        confidence: 82,
+        accuracy: null,
+      },
+    ];
+
+    it('rows are the periods with a reading', () => {
+      expect(getTrendRows(series, TREND_METRICS).map(({ key }) => key)).toEqual(
+        ['2030-01-01', '2030-01-03'],
+      );
+    });
+    it('CSV leaves missing readings empty and quotes when needed', () => {
+      expect(buildTrendCsv(series, TREND_METRICS)).toBe(
+        [
+          'Period,Start date,Confidence %,Accuracy %,Analyses',
+          'Jan 01,2030-01-01,60,70,1',
+          'Jan 03,2030-01-03,82,,2',
+        ].join('\r\n'),
+      );
+      expect(
+        buildTrendCsv(series.slice(0, 1), [
+          { key: 'confidence', label: 'Score, "raw"' },
+        ]).split('\r\n')[0],
+      ).toBe('Period,Start date,"Score, ""raw""",Analyses');
+    });
+    it('JSON carries the range, aggregation and analysis ids', () => {
+      const exported = JSON.parse(
+        buildTrendJson(series, TREND_METRICS.slice(0, 1), {
+          from: '2030-01-01',
+          to: '2030-01-03',
+        }),
+      );
+      expect(exported).toEqual({
+        from: '2030-01-01',
+        to: '2030-01-03',
+        aggregation: 'day',
+        metrics: [{ key: 'confidence', label: 'Confidence %' }],
+        points: [
+          {
+            period: '2030-01-01',
+            label: 'Jan 01',
+            confidence: 60,
+            analysisIds: ['an1'],
+          },
+          {
+            period: '2030-01-03',
+            label: 'Jan 03',
+            confidence: 82,
+            analysisIds: ['an2', 'an3'],
+          },
+        ],
+      });
+      expect(
+        getTrendExportFilename({ from: '2030-01-01', to: '2030-01-03' }, 'csv'),
+      ).toBe('health-trends-2030-01-01-to-2030-01-03.csv');
+    });
+    it('summarizes how each metric moved over the period', () => {
+      expect(getTrendSummary(series, TREND_METRICS, '30 days')).toEqual([
+        'Confidence rose from 60% to 82% over 30 days.',
+        'Accuracy was 70% (one reading in 30 days).',
+      ]);
+      const confidence = TREND_METRICS.slice(0, 1);
+      expect(
+        getTrendSummary(
+          [{ confidence: 90 }, { confidence: 75 }, { confidence: null }],
+          confidence,
+          '7 days',
+        ),
+      ).toEqual(['Confidence fell from 90% to 75% over 7 days.']);
+      expect(
+        getTrendSummary(
+          [{ confidence: 80 }, { confidence: 80 }],
+          confidence,
+          '7 days',
+        ),
+      ).toEqual(['Confidence stayed at 80% over 7 days.']);
+      const es = createI18n({ locale: 'es' });
+      expect(
+        getTrendSummary(
+          series,
+          getAvailableTrendMetrics([{ confidence: 1 }], es),
+          getTrendPeriodLabel(
+            '30d',
+            { from: '2030-01-01', to: '2030-01-30' },
+            es,
+          ),
+          es,
+        ),
+      ).toEqual(['Confianza subió de 60% a 82% en 30 días.']);
+    });
+    it('period label is the preset or the custom span', () => {
+      expect(
+        getTrendPeriodLabel('1y', { from: '2029-01-08', to: '2030-01-07' }),
+      ).toBe('1 year');
+      expect(
+        getTrendPeriodLabel('custom', { from: '2030-01-01', to: '2030-01-12' }),
+      ).toBe('12 days');
+    });
+  });
+});
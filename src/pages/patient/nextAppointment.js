@@ -0,0 +1,150 @@
+/**
+ * Next-appointment hero card data: which visit is next, the countdown to it, where it happens and how to prepare.
+ *
+ * - The next appointment is the soonest pending/confirmed one of the patient's filtered list that hasn't ended.
+ * - Telehealth visits link to their https meeting URL; in-person ones get a map directions link to the location
+ *   (appointment location, else the doctor's address).
+ * - The preparation checklist always has the basics, plus items matched from the appointment reason/symptoms.
+ *   Ticked items are kept per user and appointment in the offline store.
+ * - Countdown and checklist text come from the message catalogs ('countdown.*', 'checklist.<id>'); helpers take
+ *   the patient's i18n and default to English.
+ */
+
+import { isUpcomingAppointment } from './appointmentFilters';
+import { getAppointmentInterval } from './appointmentIcs';
+import { getOfflineValue, setOfflineValue } from '../../utils/offlineStore';
+import { defaultI18n } from '../../utils/i18n';
+
+/** Soonest pending/confirmed appointment that hasn't ended at `now`; null when there is none. */
+export function getNextAppointment(appointments, now = Date.now()) {
+  let next = null;
+  let nextStart = Infinity;
+  for (const appointment of appointments) {
+    if (!isUpcomingAppointment(appointment) || !appointment.appointmentTime) {
+      continue;
+    }
+    const { start, end } = getAppointmentInterval(appointment);
+    if (end.getTime() > now && start.getTime() < nextStart) {
+      next = appointment;
+      nextStart = start.getTime();
+    }
+  }
+  return next;
+}
+
+/** "3d 04h 12m" a day or more ahead, "4h 12m", "12m 05s" within the hour; "Now" once it has started. */
+export function formatCountdown(ms, { t } = defaultI18n) {
+  if (ms <= 0) return t('countdown.now');
+  const totalSeconds = Math.floor(ms / 1000);
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+  if (days > 0) {
+    return t('countdown.days', {
+      days,
+      hours: pad(hours),
+      minutes: pad(minutes),
+    });
+  }
+  if (hours > 0) return t('countdown.hours', { hours, minutes: pad(minutes) });
+  return t('countdown.minutes', { minutes, seconds: pad(seconds) });
+}
+
+function getHttpsUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' ? url.href : '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * { type: 'telehealth', url } for a visit with a meeting link, { type: 'in-person', address, directionsUrl }
+ * with a known address, otherwise null.
+ */
+export function getAppointmentLocation(appointment) {
+  const meetingUrl = getHttpsUrl(appointment.telehealthUrl);
+  if (meetingUrl) return { type: 'telehealth', url: meetingUrl };
+  const { location } = appointment;
+  const address =
+    (typeof location === 'string' ? location : location?.address) ||
+    appointment.doctor?.address ||
+    '';
+  if (!address) return null;
+  return {
+    type: 'in-person',
+    address,
+    directionsUrl: `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(address)}`,
+  };
+}
+
+const BASE_CHECKLIST = ['id-insurance', 'medications', 'questions'];
+
+/** Items added when the reason/symptoms mention one of the words (English, like the clinic's records). */
+const CHECKLIST_RULES = [
+  {
+    words: ['blood test', 'lab', 'fasting', 'cholesterol'],
+    items: ['fasting'],
+  },
+  {
+    words: ['blood pressure', 'hypertension', 'chest', 'heart', 'palpitation'],
+    items: ['bp-readings'],
+  },
+  {
+    words: ['diabetes', 'glucose', 'sugar', 'insulin'],
+    items: ['glucose-log'],
+  },
+  {
+    words: ['rash', 'skin', 'mole', 'itch'],
+    items: ['skin-photos', 'no-lotion'],
+  },
+  {
+    words: ['follow-up', 'follow up', 'results', 'scan', 'x-ray', 'mri'],
+    items: ['previous-results'],
+  },
+];
+
+const SYMPTOMS_ITEM = 'symptom-diary';
+
+const TELEHEALTH_ITEMS = ['test-devices', 'quiet-room'];
+
+/** Checklist items ({ id, label }) for an appointment: basics, then matched ones, without duplicates. */
+export function getPreparationChecklist(appointment, { t } = defaultI18n) {
+  const text =
+    `${appointment.reason ?? ''} ${appointment.symptoms ?? ''}`.toLowerCase();
+  const items = [...BASE_CHECKLIST];
+  for (const rule of CHECKLIST_RULES) {
+    if (rule.words.some((word) => text.includes(word))) {
+      items.push(...rule.items);
+    }
+  }
+  if (appointment.symptoms?.trim()) items.push(SYMPTOMS_ITEM);
+  if (getAppointmentLocation(appointment)?.type === 'telehealth') {
+    items.push(...TELEHEALTH_ITEMS);
+  }
+  return [...new Set(items)].map((id) => ({ id, label: t(`checklist.${id}`) }));
+}
+
+export function getChecklistProgressKey(userId, appointmentId) {
+  return `nextAppointment.checklist.${userId}.${appointmentId}`;
+}
+
+/** Ids of the ticked checklist items. */
+export async function loadChecklistProgress(userId, appointmentId) {
+  if (!userId) return [];
+  const saved = await getOfflineValue(
+    getChecklistProgressKey(userId, appointmentId),
+  );
+  return Array.isArray(saved) ? saved : [];
+}
+
+export function saveChecklistProgress(userId, appointmentId, checkedIds) {
+  if (!userId) return Promise.resolve();
+  return setOfflineValue(
+    getChecklistProgressKey(userId, appointmentId),
+    checkedIds,
+  );
+}
@@ -0,0 +1,120 @@
+import {
+  formatCountdown,
+  getAppointmentLocation,
+  getNextAppointment,
+  getPreparationChecklist,
+  loadChecklistProgress,
+  saveChecklistProgress,
+} from './nextAppointment';
+import { createI18n } from '../../utils/i18n';
+
+// 10:00 in New York on 2030-01-07 (EST).
+const STARTS_AT = Date.UTC(2030, 0, 7, 15);
+
+const visit = (overrides) => ({
+  _id: 'a1',
+  doctor: { name: 'Smith', specialization: 'Cardiology' },
+  appointmentDate: '2030-01-07',
+  appointmentTime: '10:00',
+  status: 'confirmed',
+  ...overrides,
+});
+
+describe('nextAppointment', () => {
+  it('picks the soonest pending/confirmed appointment that has not ended', () => {
+    const appointments = [
+      visit({ _id: 'later', appointmentDate: '2030-01-09' }),
+      visit({
+        _id: 'cancelled',
+        appointmentTime: '08:00',
+        status: 'cancelled',
+      }),
+      visit({ _id: 'soonest', appointmentTime: '09:00', status: 'pending' }),
+      visit({ _id: 'a1' }),
+    ];
+    expect(getNextAppointment(appointments, STARTS_AT - 86400000)._id).toBe(
+      'soonest',
+    );
+    // 09:00 has ended by 09:45 (30 minutes long); 10:00 is next.
+    expect(getNextAppointment(appointments, STARTS_AT - 15 * 60000)._id).toBe(
+      'a1',
+    );
+    expect(getNextAppointment([], STARTS_AT)).toBeNull();
+  });
+
+  it('formats the countdown by how far away the visit is', () => {
+    expect(formatCountdown((3 * 86400 + 4 * 3600 + 12 * 60) * 1000)).toBe(
+      '3d 04h 12m',
+    );
+    expect(formatCountdown((4 * 3600 + 5 * 60 + 59) * 1000)).toBe('4h 05m');
+    expect(formatCountdown((12 * 60 + 5) * 1000)).toBe('12m 05s');
+    expect(formatCountdown(0)).toBe('Now');
+    expect(
+      formatCountdown((4 * 3600 + 5 * 60) * 1000, createI18n({ locale: 'pl' })),
+    ).toBe('4 godz. 05 min');
+  });
+
+  it('links telehealth visits and gives directions to in-person ones', () => {
+    expect(
+      getAppointmentLocation(
+        visit({ telehealthUrl: 'https://meet.example.com/abc' }),
+      ),
+    ).toEqual({ type: 'telehealth', url: 'https://meet.example.com/abc' });
+    expect(
+      getAppointmentLocation(
+        visit({ location: { address: '1 Main St, Springfield' } }),
+      ),
+    ).toEqual({
+      type: 'in-person',
+      address: '1 Main St, Springfield',
+      directionsUrl:
+        'https://www.google.com/maps/dir/?api=1&destination=1%20Main%20St%2C%20Springfield',
+    });
+    // Only https meeting links; the doctor's address is the fallback.
+    expect(
+      getAppointmentLocation(
+        visit({
+          telehealthUrl: 'javascript:alert(1)',
+          doctor: { name: 'Smith', address: '2 Oak Ave' },
+        }),
+      ),
+    ).toMatchObject({ type: 'in-person', address: '2 Oak Ave' });
+    expect(getAppointmentLocation(visit())).toBeNull();
+  });
+
+  it('adds checklist items matching the reason and symptoms', () => {
+    const ids = (appointment) =>
+      getPreparationChecklist(appointment).map(({ id }) => id);
+    expect(ids(visit())).toEqual(['id-insurance', 'medications', 'questions']);
+    expect(
+      ids(
+        visit({
+          reason: 'Follow-up on blood pressure',
+          symptoms: 'Chest tightness',
+          telehealthUrl: 'https://meet.example.com/abc',
+        }),
+      ),
+    ).toEqual([
+      'id-insurance',
+      'medications',
+      'questions',
+      'bp-readings',
+      'previous-results',
+      'symptom-diary',
+      'test-devices',
+      'quiet-room',
+    ]);
+    expect(
+      getPreparationChecklist(visit(), createI18n({ locale: 'es' }))[0].label,
+    ).toBe('Traiga un documento de identidad con foto y su tarjeta del seguro');
+  });
+
+  it('keeps ticked items per user and appointment', async () => {
+    await saveChecklistProgress('user-1', 'a1', ['medications']);
+    expect(await loadChecklistProgress('user-1', 'a1')).toEqual([
+      'medications',
+    ]);
+    expect(await loadChecklistProgress('user-1', 'a2')).toEqual([]);
+    expect(await loadChecklistProgress('', 'a1')).toEqual([]);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Language and time format of the signed-in patient (utils/i18n) for the patient pages.
+ *
+ * - Read from the profile (user.preferences.language / timeFormat); English with the language's time format
+ *   when unset.
+ * - A change applies at once on every patient page and is saved to the profile
+ *   (userService.updateProfile({ preferences })). A failed save keeps the choice for this session.
+ */
+
+import { useCallback, useMemo, useSyncExternalStore } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { userService } from '../../services/userService';
+import { createI18n, getLocalePreferences } from '../../utils/i18n';
+import { getCurrentPatientId } from './patientQueries';
+
+// Choices made this session, per user, ahead of the (possibly stale) profile.
+const sessionPreferences = new Map();
+const listeners = new Set();
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function setSessionPreferences(userId, preferences) {
+  sessionPreferences.set(userId, preferences);
+  listeners.forEach((listener) => listener());
+}
+
+/** Forgets this session's choices (e.g. between tests). */
+export function clearSessionLocalePreferences() {
+  sessionPreferences.clear();
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * i18n for the signed-in patient (createI18n: t, formatDate, formatTime, ...) plus
+ * updatePreferences({ locale?, timeFormat? }).
+ */
+export function usePatientI18n() {
+  const { user } = useAuth();
+  const userId = getCurrentPatientId(user);
+  const sessionChoice = useSyncExternalStore(subscribe, () =>
+    sessionPreferences.get(userId),
+  );
+  const { locale, timeFormat } = {
+    ...getLocalePreferences(user),
+    ...sessionChoice,
+  };
+  const i18n = useMemo(
+    () => createI18n({ locale, timeFormat }),
+    [locale, timeFormat],
+  );
+
+  const updatePreferences = useCallback(
+    async (changes) => {
+      const next = { locale, timeFormat, ...changes };
+      setSessionPreferences(userId, next);
+      try {
+        await userService.updateProfile({
+          preferences: { language: next.locale, timeFormat: next.timeFormat },
+        });
+      } catch {
+        console.error('Failed to save language preference');
+      }
+    },
+    [userId, locale, timeFormat],
+  );
+
+  // Stable between renders, so memos keyed on it only recompute when the language or format changes.
+  return useMemo(
+    () => ({ ...i18n, updatePreferences }),
+    [i18n, updatePreferences],
+  );
+}
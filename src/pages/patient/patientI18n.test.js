@@ -0,0 +1,28 @@
+/**
+ * @jest-environment jsdom
+ */
+import { act, renderHook } from '@testing-library/react';
+import { clearSessionLocalePreferences, usePatientI18n } from './patientI18n';
+
+jest.mock('../../context/AuthContext', () => ({
+  useAuth: () => ({ user: { _id: 'patient-1' } }),
+}));
+
+jest.mock('../../services/userService', () => ({
+  userService: { updateProfile: jest.fn(() => Promise.resolve({})) },
+}));
+
+describe('usePatientI18n', () => {
+  afterEach(() => act(() => clearSessionLocalePreferences()));
+
+  it('returns the same object until the language changes', async () => {
+    const { result, rerender } = renderHook(() => usePatientI18n());
+    const first = result.current;
+    rerender();
+    expect(result.current).toBe(first);
+
+    await act(() => result.current.updatePreferences({ locale: 'es' }));
+    expect(result.current).not.toBe(first);
+    expect(result.current.locale).toBe('es');
+  });
+});
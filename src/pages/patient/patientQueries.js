@@ -0,0 +1,93 @@
+/**
+ * Query keys and cache-aware service calls shared by the patient pages (utils/queryCache).
+ *
+ * - Reads go through useQuery/fetchQuery with these keys so Appointments and the dashboard share cached data.
+ * - Appointment mutations invalidate every ['appointments', …] query on success, so the list, slot
+ *   availability and dashboard counts refresh without a manual refetch.
+ * - getCurrentPatientId(user) is the user id every per-user key (queries, offline data) is built from.
+ * - removeUserQueries(userId) drops a user's cached data when they sign out (patientSession).
+ */
+
+import { appointmentService } from '../../services/appointmentService';
+import { userService } from '../../services/userService';
+import { aiService } from '../../services/aiService';
+import { invalidateQueries, removeQueries } from '../../utils/queryCache';
+
+/** Returns current user id (supports user._id and user.id for JWT/API). */
+export function getCurrentPatientId(user) {
+  return user ? String(user._id ?? user.id ?? '') : '';
+}
+
+export const patientQueryKeys = {
+  appointments: ['appointments'],
+  doctorDay: (doctorId, date) => ['appointments', 'doctorDay', doctorId, date],
+  doctors: ['users', 'doctors'],
+  doctorSchedule: (doctorId) => ['users', 'schedule', doctorId],
+  // The signed-in user's own data is keyed by user id, so it is never shared between accounts.
+  appointmentList: (userId, limit) => [
+    'appointments',
+    'list',
+    userId,
+    { limit },
+  ],
+  patientAppointments: (patientId) => ['appointments', 'patient', patientId],
+  stats: (userId) => ['users', 'stats', userId],
+  trends: (userId) => ['users', 'trends', userId],
+  analyses: (userId) => ['ai', 'analyses', userId],
+};
+
+/** Fetchers per key (service response unwrapped). */
+export const patientQueries = {
+  appointmentList: (limit) => () => appointmentService.getAll({ limit }),
+  patientAppointments: (patientId) => () =>
+    appointmentService
+      .getAll({ patient: patientId })
+      .then((response) => response?.appointments ?? []),
+  doctorDay: (doctorId, date) => () =>
+    appointmentService
+      .getAll({ doctor: doctorId, date })
+      .then((response) => response?.appointments ?? []),
+  doctors: () =>
+    userService
+      .getAll({ role: 'doctor' })
+      .then((response) => response?.users ?? []),
+  doctorSchedule: (doctorId) => () =>
+    userService.getSchedule(doctorId).then((response) => response?.schedule),
+  stats: () => userService.getStats().then((response) => response?.stats ?? {}),
+  trends: () =>
+    userService.getTrends().then((response) => response?.trends ?? []),
+  analyses: () =>
+    aiService.getAll().then((response) => response?.analyses ?? []),
+};
+
+/** Drops the cached queries holding the user's own data (their id is part of those keys). */
+export function removeUserQueries(userId) {
+  if (!userId) return;
+  removeQueries((key) => key.includes(userId));
+}
+
+async function withAppointmentsInvalidation(request) {
+  const result = await request;
+  invalidateQueries(patientQueryKeys.appointments);
+  return result;
+}
+
+export function createAppointment(data) {
+  return withAppointmentsInvalidation(appointmentService.create(data));
+}
+
+export function updateAppointment(id, changes) {
+  return withAppointmentsInvalidation(appointmentService.update(id, changes));
+}
+
+export function createAppointmentSeries(seriesRequest) {
+  return withAppointmentsInvalidation(
+    appointmentService.createSeries(seriesRequest),
+  );
+}
+
+export function cancelAppointmentSeries(seriesId) {
+  return withAppointmentsInvalidation(
+    appointmentService.cancelSeries(seriesId),
+  );
+}
@@ -0,0 +1,72 @@
+import {
+  createAppointment,
+  patientQueries,
+  patientQueryKeys,
+} from './patientQueries';
+import { appointmentService } from '../../services/appointmentService';
+import {
+  clearQueryCache,
+  fetchQuery,
+  subscribeQuery,
+} from '../../utils/queryCache';
+
+jest.mock('../../services/appointmentService', () => ({
+  appointmentService: {
+    getAll: jest.fn(() => Promise.resolve({ appointments: [] })),
+    create: jest.fn(() => Promise.resolve({ appointment: { _id: 'new' } })),
+  },
+}));
+
+jest.mock('../../services/userService', () => ({ userService: {} }));
+jest.mock('../../services/aiService', () => ({ aiService: {} }));
+
+beforeEach(() => {
+  clearQueryCache();
+  jest.clearAllMocks();
+});
+
+describe('patientQueries', () => {
+  it('unwraps the patient appointment list', async () => {
+    appointmentService.getAll.mockResolvedValueOnce({
+      appointments: [{ _id: 'a1' }],
+    });
+    await expect(
+      patientQueries.patientAppointments('patient-1')(),
+    ).resolves.toEqual([{ _id: 'a1' }]);
+    expect(appointmentService.getAll).toHaveBeenCalledWith({
+      patient: 'patient-1',
+    });
+  });
+
+  it('keys per-user data by user id', () => {
+    expect(patientQueryKeys.stats('u1')).not.toEqual(
+      patientQueryKeys.stats('u2'),
+    );
+  });
+});
+
+describe('appointment mutations', () => {
+  it('refetch appointment queries in use after a booking', async () => {
+    const key = patientQueryKeys.patientAppointments('patient-1');
+    await fetchQuery(key, patientQueries.patientAppointments('patient-1'));
+    subscribeQuery(key, () => {});
+    expect(appointmentService.getAll).toHaveBeenCalledTimes(1);
+
+    await expect(createAppointment({ doctor: 'd1' })).resolves.toEqual({
+      appointment: { _id: 'new' },
+    });
+    expect(appointmentService.getAll).toHaveBeenCalledTimes(2);
+  });
+
+  it('leave the cache alone when the request fails', async () => {
+    const key = patientQueryKeys.patientAppointments('patient-1');
+    await fetchQuery(key, patientQueries.patientAppointments('patient-1'));
+    subscribeQuery(key, () => {});
+    appointmentService.create.mockRejectedValueOnce(new Error('Conflict'));
+
+    await expect(createAppointment({ doctor: 'd1' })).rejects.toThrow(
+      'Conflict',
+    );
+    expect(appointmentService.getAll).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Sign-out cleanup for the patient pages: what they keep on the device for a user is removed once that user
+ * signs out, so the next account on a shared device starts clean.
+ *
+ * - clearPatientSession(userId) removes every offline store value kept for the user (outbox, cached lists,
+ *   drafts, dashboard layout and caches, reminders, checklists, calendar export revisions) and their data in
+ *   the shared query cache (patientQueries); call it when a user signs out.
+ * - Per-user offline keys hold the user id as one of their dot-separated parts ("appointments.draft.<id>").
+ * - usePatientSessionCleanup(user) runs it for the previous account when a patient page renders for another
+ *   user or none. The last account is kept in the offline store, so a sign-out made elsewhere in the app is
+ *   cleaned up even after a reload.
+ */
+
+import { useEffect } from 'react';
+import { getCurrentPatientId, removeUserQueries } from './patientQueries';
+import {
+  deleteOfflineValues,
+  getOfflineValue,
+  setOfflineValue,
+} from '../../utils/offlineStore';
+
+const LAST_USER_KEY = 'patientSession.lastUser';
+
+// Checks run one after another, so two quick account changes never read the same last user.
+let pendingCheck = Promise.resolve();
+
+/** Removes the user's data kept by the patient pages; resolves once it is gone. */
+export function clearPatientSession(userId) {
+  if (!userId) return Promise.resolve();
+  removeUserQueries(userId);
+  return deleteOfflineValues((key) => String(key).split('.').includes(userId));
+}
+
+async function checkSessionUser(userId) {
+  const lastUserId = await getOfflineValue(LAST_USER_KEY, '');
+  if (lastUserId === userId) return;
+  if (lastUserId) await clearPatientSession(lastUserId);
+  await setOfflineValue(LAST_USER_KEY, userId);
+}
+
+/** Clears the previous account's data when the signed-in user changes. */
+export function usePatientSessionCleanup(user) {
+  const userId = getCurrentPatientId(user);
+  useEffect(() => {
+    pendingCheck = pendingCheck.then(() => checkSessionUser(userId));
+  }, [userId]);
+}
@@ -0,0 +1,84 @@
+/**
+ * @jest-environment jsdom
+ */
+import { renderHook, waitFor } from '@testing-library/react';
+import { usePatientSessionCleanup } from './patientSession';
+import {
+  cacheAppointments,
+  createBookingEntry,
+  enqueueOutboxEntry,
+  loadCachedAppointments,
+  loadOutbox,
+} from './appointmentOutbox';
+import { patientQueryKeys } from './patientQueries';
+import { loadBookingDraft, saveBookingDraft } from './bookingDraft';
+import { saveDashboardLayout } from './dashboardLayout';
+import { getOfflineValue, setOfflineValue } from '../../utils/offlineStore';
+import { getQueryState, setQueryData } from '../../utils/queryCache';
+
+jest.mock('../../services/appointmentService', () => ({
+  appointmentService: {},
+}));
+
+const booking = {
+  doctor: 'd1',
+  appointmentDate: '2030-01-07',
+  appointmentTime: '10:00',
+  reason: 'Follow-up on blood work',
+};
+
+describe('usePatientSessionCleanup', () => {
+  it("clears the previous account's offline data when another user signs in", async () => {
+    await enqueueOutboxEntry('patient-1', createBookingEntry(booking));
+    await cacheAppointments('patient-1', [{ _id: 'a1', ...booking }]);
+    await enqueueOutboxEntry('patient-2', createBookingEntry(booking));
+    setQueryData(patientQueryKeys.appointmentList('patient-1', 20), {
+      appointments: [],
+    });
+
+    const { rerender } = renderHook(
+      ({ user }) => usePatientSessionCleanup(user),
+      { initialProps: { user: { _id: 'patient-1' } } },
+    );
+    rerender({ user: { _id: 'patient-1' } });
+    expect(await loadOutbox('patient-1')).toHaveLength(1);
+
+    rerender({ user: { _id: 'patient-2' } });
+    await waitFor(async () =>
+      expect(await loadOutbox('patient-1')).toEqual([]),
+    );
+    expect(await loadCachedAppointments('patient-1')).toBeNull();
+    expect(
+      getQueryState(patientQueryKeys.appointmentList('patient-1', 20)).data,
+    ).toBeUndefined();
+    expect(await loadOutbox('patient-2')).toHaveLength(1);
+  });
+  it("clears the last account's drafts, layout and caches after a reload", async () => {
+    // The account that signed out before the page was reloaded.
+    await setOfflineValue('patientSession.lastUser', 'patient-3');
+    await saveBookingDraft('patient-3', {
+      ...booking,
+      symptoms: 'Private notes',
+    });
+    await saveDashboardLayout('patient-3', [{ id: 'stats', visible: true }]);
+    await setOfflineValue('dashboard.stats.patient-3', { data: {} });
+    await setOfflineValue('nextAppointment.checklist.patient-3.a1', ['id']);
+    await setOfflineValue('reminders.state.patient-3', { shown: [] });
+    await saveBookingDraft('patient-4', booking);
+
+    renderHook(() => usePatientSessionCleanup({ _id: 'patient-4' }));
+    await waitFor(async () =>
+      expect(await loadBookingDraft('patient-3')).toBeNull(),
+    );
+    for (const key of [
+      'dashboard.layout.patient-3',
+      'dashboard.stats.patient-3',
+      'nextAppointment.checklist.patient-3.a1',
+      'reminders.state.patient-3',
+    ]) {
+      expect(await getOfflineValue(key)).toBeNull();
+    }
+    expect(await loadBookingDraft('patient-4')).not.toBeNull();
+    expect(await getOfflineValue('patientSession.lastUser')).toBe('patient-4');
+  });
+});
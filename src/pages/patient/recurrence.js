@@ -0,0 +1,130 @@
+/**
+ * Recurring bookings: occurrence dates for a series (weekly / biweekly / monthly, ending by count or date).
+ *
+ * Dates are clinic calendar days ("YYYY-MM-DD"); monthly keeps the day of month, clamped to shorter months
+ * (Jan 31 → Feb 28 → Mar 31). A series has at most MAX_OCCURRENCES dates, by count or by end date; an end date
+ * further out is an error rather than a silently shorter series.
+ */
+
+import { addMonths, format } from 'date-fns';
+import {
+  addDaysToDateKey,
+  normalizeDateKey,
+  parseDateKey,
+} from '../../utils/dateTime';
+import { defaultI18n } from '../../utils/i18n';
+
+export const RECURRENCE_FREQUENCIES = {
+  weekly: { labelKey: 'recurrence.weekly', days: 7 },
+  biweekly: { labelKey: 'recurrence.biweekly', days: 14 },
+  monthly: { labelKey: 'recurrence.monthly', months: 1 },
+};
+
+export const MIN_OCCURRENCES = 2;
+export const MAX_OCCURRENCES = 26;
+
+export const initialRecurrence = {
+  frequency: 'none',
+  endType: 'count',
+  count: 4,
+  until: '',
+};
+
+export function isRecurring(recurrence) {
+  return recurrence.frequency in RECURRENCE_FREQUENCIES;
+}
+
+/** Date of the nth occurrence (0 = start). */
+function getOccurrenceDate(startDateKey, frequency, index) {
+  const rule = RECURRENCE_FREQUENCIES[frequency];
+  if (rule.months) {
+    return format(
+      addMonths(parseDateKey(startDateKey), rule.months * index),
+      'yyyy-MM-dd',
+    );
+  }
+  return addDaysToDateKey(startDateKey, rule.days * index);
+}
+
+/** Number of occurrences from the start up to `until` (inclusive), counting no further than MAX_OCCURRENCES + 1. */
+function countOccurrencesUntil(startDateKey, frequency, until) {
+  let count = 0;
+  while (
+    count <= MAX_OCCURRENCES &&
+    getOccurrenceDate(startDateKey, frequency, count) <= until
+  ) {
+    count += 1;
+  }
+  return count;
+}
+
+/** Inline error for the recurrence options ('' when valid or not recurring), in i18n's language. */
+export function getRecurrenceError(
+  recurrence,
+  startDateKey,
+  { t } = defaultI18n,
+) {
+  if (!isRecurring(recurrence)) return '';
+  if (recurrence.endType === 'until') {
+    if (!recurrence.until) return t('recurrence.untilRequired');
+    if (startDateKey && recurrence.until <= startDateKey) {
+      return t('recurrence.untilAfterStart');
+    }
+    if (
+      normalizeDateKey(startDateKey) &&
+      countOccurrencesUntil(
+        startDateKey,
+        recurrence.frequency,
+        recurrence.until,
+      ) > MAX_OCCURRENCES
+    ) {
+      return t('recurrence.untilTooMany', { max: MAX_OCCURRENCES });
+    }
+    return '';
+  }
+  const count = Number(recurrence.count);
+  if (
+    !Number.isInteger(count) ||
+    count < MIN_OCCURRENCES ||
+    count > MAX_OCCURRENCES
+  ) {
+    return t('recurrence.countRange', {
+      min: MIN_OCCURRENCES,
+      max: MAX_OCCURRENCES,
+    });
+  }
+  return '';
+}
+
+/**
+ * Occurrence dates starting at startDateKey (inclusive). Ends after `count` dates or on/before `until`.
+ * [] when not recurring or options are invalid (including an end date past MAX_OCCURRENCES).
+ */
+export function generateOccurrenceDates(startDateKey, recurrence) {
+  const start = normalizeDateKey(startDateKey);
+  if (!start || !isRecurring(recurrence)) return [];
+  if (getRecurrenceError(recurrence, start)) return [];
+  const limit =
+    recurrence.endType === 'until' ? MAX_OCCURRENCES : Number(recurrence.count);
+  const dates = [];
+  for (let i = 0; i < limit; i++) {
+    const date = getOccurrenceDate(start, recurrence.frequency, i);
+    if (recurrence.endType === 'until' && date > recurrence.until) break;
+    dates.push(date);
+  }
+  return dates;
+}
+
+/** Payload for appointmentService.createSeries: the rule plus the concrete dates the patient previewed. */
+export function buildSeriesRequest(formData, recurrence, dates) {
+  return {
+    ...formData,
+    recurrence: {
+      frequency: recurrence.frequency,
+      ...(recurrence.endType === 'until'
+        ? { until: recurrence.until }
+        : { count: Number(recurrence.count) }),
+    },
+    dates,
+  };
+}
@@ -0,0 +1,109 @@
+import {
+  initialRecurrence,
+  isRecurring,
+  getRecurrenceError,
+  generateOccurrenceDates,
+  buildSeriesRequest,
+} from './recurrence';
+
+const weekly = { ...initialRecurrence, frequency: 'weekly', count: 3 };
+
+describe('isRecurring', () => {
+  it('only known frequencies', () => {
+    expect(isRecurring(initialRecurrence)).toBe(false);
+    expect(isRecurring(weekly)).toBe(true);
+  });
+});
+
+describe('getRecurrenceError', () => {
+  it('count bounds and end date', () => {
+    expect(getRecurrenceError(weekly, '2030-01-07')).toBe('');
+    expect(getRecurrenceError({ ...weekly, count: 1 }, '2030-01-07')).toMatch(
+      /between 2 and 26/,
+    );
+    expect(
+      getRecurrenceError({ ...weekly, count: '27' }, '2030-01-07'),
+    ).toMatch(/between 2 and 26/);
+    const until = { ...weekly, endType: 'until' };
+    expect(getRecurrenceError(until, '2030-01-07')).toBe(
+      'End date is required',
+    );
+    expect(
+      getRecurrenceError({ ...until, until: '2030-01-07' }, '2030-01-07'),
+    ).toMatch(/after the first/);
+    // 2030-01-07 + 25 weeks is the 26th date; one week more would be the 27th.
+    expect(
+      getRecurrenceError({ ...until, until: '2030-07-01' }, '2030-01-07'),
+    ).toBe('');
+    expect(
+      getRecurrenceError({ ...until, until: '2030-07-08' }, '2030-01-07'),
+    ).toMatch(/at most 26 appointments/);
+  });
+});
+
+describe('generateOccurrenceDates', () => {
+  it('weekly / biweekly by count', () => {
+    expect(generateOccurrenceDates('2030-12-24', weekly)).toEqual([
+      '2030-12-24',
+      '2030-12-31',
+      '2031-01-07',
+    ]);
+    expect(
+      generateOccurrenceDates('2030-01-07', {
+        ...weekly,
+        frequency: 'biweekly',
+      }),
+    ).toEqual(['2030-01-07', '2030-01-21', '2030-02-04']);
+  });
+  it('monthly clamps to shorter months', () => {
+    expect(
+      generateOccurrenceDates('2030-01-31', {
+        ...weekly,
+        frequency: 'monthly',
+        count: 3,
+      }),
+    ).toEqual(['2030-01-31', '2030-02-28', '2030-03-31']);
+  });
+  it('no dates when the end date would exceed the limit', () => {
+    expect(
+      generateOccurrenceDates('2030-01-07', {
+        ...weekly,
+        endType: 'until',
+        until: '2031-01-07',
+      }),
+    ).toEqual([]);
+  });
+  it('until is inclusive', () => {
+    expect(
+      generateOccurrenceDates('2030-01-07', {
+        ...weekly,
+        endType: 'until',
+        until: '2030-01-21',
+      }),
+    ).toEqual(['2030-01-07', '2030-01-14', '2030-01-21']);
+  });
+  it('empty when not recurring, invalid or no start', () => {
+    expect(generateOccurrenceDates('2030-01-07', initialRecurrence)).toEqual(
+      [],
+    );
+    expect(
+      generateOccurrenceDates('2030-01-07', { ...weekly, count: 0 }),
+    ).toEqual([]);
+    expect(generateOccurrenceDates('', weekly)).toEqual([]);
+  });
+});
+
+describe('buildSeriesRequest', () => {
+  it('rule plus previewed dates', () => {
+    expect(
+      buildSeriesRequest({ doctor: 'd1' }, { ...weekly, count: '2' }, [
+        '2030-01-07',
+        '2030-01-14',
+      ]),
+    ).toEqual({
+      doctor: 'd1',
+      recurrence: { frequency: 'weekly', count: 2 },
+      dates: ['2030-01-07', '2030-01-14'],
+    });
+  });
+});
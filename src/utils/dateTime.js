@@ -0,0 +1,162 @@
+/**
+ * Time-zone-aware date/time helpers shared by the patient pages.
+ *
+ * - Appointment dates are calendar days ("YYYY-MM-DD") and times are wall-clock ("HH:mm") in the clinic's zone.
+ *   Never parse them with new Date(dateStr): that is UTC midnight and shifts the day west of UTC.
+ * - "Today" is always asked for a specific zone (clinic by default); the patient's zone is the browser's.
+ * - The clinic's zone is configuration: CLINIC_TIME_ZONE in the build environment, an IANA zone name.
+ */
+
+import { format } from 'date-fns';
+
+/** Zone used when the build doesn't configure the clinic's (or configures an unknown zone). */
+export const DEFAULT_CLINIC_TIME_ZONE = 'America/New_York';
+
+/** The configured zone when the runtime knows it, else DEFAULT_CLINIC_TIME_ZONE. */
+export function resolveClinicTimeZone(configured) {
+  if (!configured) return DEFAULT_CLINIC_TIME_ZONE;
+  try {
+    return new Intl.DateTimeFormat('en-US', {
+      timeZone: configured,
+    }).resolvedOptions().timeZone;
+  } catch {
+    console.error('Unknown clinic time zone in the configuration');
+    return DEFAULT_CLINIC_TIME_ZONE;
+  }
+}
+
+/** IANA zone the clinic books in; appointment date/time values are wall-clock here. */
+export const CLINIC_TIME_ZONE = resolveClinicTimeZone(
+  typeof process === 'undefined' ? '' : process.env.CLINIC_TIME_ZONE,
+);
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+const partsFormatters = new Map();
+
+function getPartsFormatter(timeZone) {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23',
+      }),
+    );
+  }
+  return partsFormatters.get(timeZone);
+}
+
+/** Patient's zone as reported by the browser. */
+export function getPatientTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/** Wall-clock parts of an instant in a zone: { year, month (1-12), day, hour, minute, second }. */
+export function getZonedParts(date, timeZone = CLINIC_TIME_ZONE) {
+  const parts = {};
+  for (const part of getPartsFormatter(timeZone).formatToParts(date)) {
+    if (part.type !== 'literal') parts[part.type] = Number(part.value);
+  }
+  return parts;
+}
+
+/** Offset of a zone from UTC at an instant, in minutes (New York in winter → -300). */
+export function getTimeZoneOffsetMinutes(date, timeZone = CLINIC_TIME_ZONE) {
+  const { year, month, day, hour, minute, second } = getZonedParts(
+    date,
+    timeZone,
+  );
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/** Calendar day ("YYYY-MM-DD") of an instant in a zone. */
+export function toDateKey(date, timeZone = CLINIC_TIME_ZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+export function getTodayKey(timeZone = CLINIC_TIME_ZONE) {
+  return toDateKey(new Date(), timeZone);
+}
+
+/** "YYYY-MM-DD" from an API date ("YYYY-MM-DD" or midnight-UTC ISO string); '' when missing/invalid. */
+export function normalizeDateKey(value) {
+  if (!value) return '';
+  const str = String(value);
+  return DATE_KEY_PATTERN.test(str) ? str.slice(0, 10) : '';
+}
+
+/** Local Date for a calendar day (for date-fns formatting/weekday), never shifted by UTC parsing. */
+export function parseDateKey(dateKey) {
+  const [y, m, d] = normalizeDateKey(dateKey).split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+/** date-fns format of a calendar day ('' when missing/invalid); options go to format (e.g. { locale }). */
+export function formatDateKey(value, pattern, options) {
+  const dateKey = normalizeDateKey(value);
+  return dateKey ? format(parseDateKey(dateKey), pattern, options) : '';
+}
+
+export function addDaysToDateKey(dateKey, days) {
+  const [y, m, d] = normalizeDateKey(dateKey).split('-').map(Number);
+  const next = new Date(Date.UTC(y, m - 1, d + days));
+  return next.toISOString().slice(0, 10);
+}
+
+/** Calendar day is today or later in the zone (clinic by default). */
+export function isOnOrAfterToday(value, timeZone = CLINIC_TIME_ZONE) {
+  const dateKey = normalizeDateKey(value);
+  return !!dateKey && dateKey >= getTodayKey(timeZone);
+}
+
+/** Instant of a wall-clock date/time in a zone (DST-safe: offset re-checked at the result). */
+export function zonedTimeToUtc(dateKey, timeStr, timeZone = CLINIC_TIME_ZONE) {
+  const [y, m, d] = normalizeDateKey(dateKey).split('-').map(Number);
+  const [h, min] = (timeStr || '00:00').split(':').map(Number);
+  const wallClockAsUtc = Date.UTC(y, m - 1, d, h, min ?? 0);
+  let offset = getTimeZoneOffsetMinutes(new Date(wallClockAsUtc), timeZone);
+  const guess = new Date(wallClockAsUtc - offset * 60000);
+  offset = getTimeZoneOffsetMinutes(guess, timeZone);
+  return new Date(wallClockAsUtc - offset * 60000);
+}
+
+/** "HH:mm" of an instant in a zone. */
+export function formatTimeInZone(date, timeZone) {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Clinic wall-clock appointment time as seen by the patient: { date, time ("HH:mm") }, where date is the
+ * patient's calendar day ("YYYY-MM-DD") when it differs from the clinic's, else ''. Null when both zones agree
+ * at that moment (nothing extra to show).
+ */
+export function getPatientLocalTime(
+  dateKey,
+  timeStr,
+  patientTimeZone = getPatientTimeZone(),
+  clinicTimeZone = CLINIC_TIME_ZONE,
+) {
+  if (!normalizeDateKey(dateKey) || !timeStr) return null;
+  const instant = zonedTimeToUtc(dateKey, timeStr, clinicTimeZone);
+  if (
+    getTimeZoneOffsetMinutes(instant, patientTimeZone) ===
+    getTimeZoneOffsetMinutes(instant, clinicTimeZone)
+  ) {
+    return null;
+  }
+  const patientDateKey = toDateKey(instant, patientTimeZone);
+  return {
+    date: patientDateKey === normalizeDateKey(dateKey) ? '' : patientDateKey,
+    time: formatTimeInZone(instant, patientTimeZone),
+  };
+}
@@ -0,0 +1,144 @@
+import {
+  CLINIC_TIME_ZONE,
+  getZonedParts,
+  getTimeZoneOffsetMinutes,
+  toDateKey,
+  getTodayKey,
+  normalizeDateKey,
+  parseDateKey,
+  formatDateKey,
+  addDaysToDateKey,
+  isOnOrAfterToday,
+  zonedTimeToUtc,
+  getPatientLocalTime,
+  resolveClinicTimeZone,
+} from './dateTime';
+
+// Pin the process zone (patient's browser) and the clock: 2030-01-08 04:30 UTC
+// = Jan 7 23:30 in New York (clinic) = Jan 7 20:30 in Los Angeles.
+const originalTz = process.env.TZ;
+
+beforeAll(() => {
+  process.env.TZ = 'America/Los_Angeles';
+});
+
+afterAll(() => {
+  process.env.TZ = originalTz;
+});
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2030-01-08T04:30:00.000Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('zoned parts and offsets', () => {
+  it('reads wall clock in a zone', () => {
+    expect(getZonedParts(new Date(), 'America/New_York')).toMatchObject({
+      year: 2030,
+      month: 1,
+      day: 7,
+      hour: 23,
+      minute: 30,
+    });
+  });
+  it('offsets follow DST', () => {
+    expect(
+      getTimeZoneOffsetMinutes(
+        new Date('2030-01-15T12:00:00Z'),
+        'America/New_York',
+      ),
+    ).toBe(-300);
+    expect(
+      getTimeZoneOffsetMinutes(
+        new Date('2030-07-15T12:00:00Z'),
+        'America/New_York',
+      ),
+    ).toBe(-240);
+    expect(getTimeZoneOffsetMinutes(new Date(), 'UTC')).toBe(0);
+  });
+});
+
+describe('clinic time zone', () => {
+  it('comes from the configuration, with a default for unset or unknown zones', () => {
+    expect(resolveClinicTimeZone('Europe/Warsaw')).toBe('Europe/Warsaw');
+    expect(resolveClinicTimeZone('')).toBe('America/New_York');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      expect(resolveClinicTimeZone('Mars/Olympus')).toBe('America/New_York');
+      expect(console.error).toHaveBeenCalled();
+    } finally {
+      console.error.mockRestore();
+    }
+  });
+});
+
+describe('today', () => {
+  it('depends on the zone, not on UTC', () => {
+    expect(CLINIC_TIME_ZONE).toBe('America/New_York');
+    expect(getTodayKey()).toBe('2030-01-07');
+    expect(getTodayKey('UTC')).toBe('2030-01-08');
+    expect(toDateKey(new Date(), 'Asia/Tokyo')).toBe('2030-01-08');
+  });
+  it('isOnOrAfterToday near midnight', () => {
+    expect(isOnOrAfterToday('2030-01-07')).toBe(true);
+    expect(isOnOrAfterToday('2030-01-06')).toBe(false);
+    expect(isOnOrAfterToday('2030-01-07', 'UTC')).toBe(false);
+    expect(isOnOrAfterToday('')).toBe(false);
+  });
+});
+
+describe('calendar days', () => {
+  it('normalizes API dates without UTC shift', () => {
+    expect(normalizeDateKey('2030-01-07')).toBe('2030-01-07');
+    expect(normalizeDateKey('2030-01-07T00:00:00.000Z')).toBe('2030-01-07');
+    expect(normalizeDateKey('not a date')).toBe('');
+    expect(normalizeDateKey(null)).toBe('');
+  });
+  it('parses and formats in local time west of UTC', () => {
+    expect(parseDateKey('2030-01-07T00:00:00.000Z').getDate()).toBe(7);
+    expect(formatDateKey('2030-01-07T00:00:00.000Z', 'MMM dd, yyyy')).toBe(
+      'Jan 07, 2030',
+    );
+    expect(formatDateKey(undefined, 'MMM dd')).toBe('');
+  });
+  it('adds days across month/year ends', () => {
+    expect(addDaysToDateKey('2030-12-31', 1)).toBe('2031-01-01');
+    expect(addDaysToDateKey('2030-03-01', -1)).toBe('2030-02-28');
+  });
+});
+
+describe('wall clock ↔ instant', () => {
+  it('clinic time to UTC, including DST days', () => {
+    expect(zonedTimeToUtc('2030-01-07', '09:00').toISOString()).toBe(
+      '2030-01-07T14:00:00.000Z',
+    );
+    expect(zonedTimeToUtc('2030-07-07', '09:00').toISOString()).toBe(
+      '2030-07-07T13:00:00.000Z',
+    );
+    // 2030-03-10: New York springs forward at 02:00
+    expect(zonedTimeToUtc('2030-03-10', '09:00').toISOString()).toBe(
+      '2030-03-10T13:00:00.000Z',
+    );
+  });
+  it('patient local time only when zones differ', () => {
+    expect(
+      getPatientLocalTime('2030-01-07', '09:00', 'America/Los_Angeles'),
+    ).toEqual({ date: '', time: '06:00' });
+    expect(
+      getPatientLocalTime('2030-01-07', '09:00', 'America/New_York'),
+    ).toBeNull();
+    expect(getPatientLocalTime('', '09:00')).toBeNull();
+  });
+  it('patient local time has the date when it falls on another day', () => {
+    expect(getPatientLocalTime('2030-01-07', '21:00', 'Asia/Tokyo')).toEqual({
+      date: '2030-01-08',
+      time: '11:00',
+    });
+    expect(
+      getPatientLocalTime('2030-01-07', '01:00', 'America/Los_Angeles'),
+    ).toEqual({ date: '2030-01-06', time: '22:00' });
+  });
+});
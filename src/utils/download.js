@@ -0,0 +1,16 @@
+/**
+ * Browser file downloads of generated text (calendar files, data exports).
+ */
+
+/** Triggers a download of `content` as `filename` with the given MIME type. */
+export function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
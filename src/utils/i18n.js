@@ -0,0 +1,135 @@
+/**
+ * Translations and locale-aware formatting shared by the patient pages.
+ *
+ * - Message catalogs (src/locales) map keys to text with {name} placeholders. A message can be a set of plural
+ *   forms ({ one, few, many, other }), picked for params.count with Intl.PluralRules (Polish uses few/many).
+ *   Keys missing from a catalog fall back to English, then to the key itself.
+ * - Dates use the catalog's date-fns patterns ('format.*') with the language's date-fns locale.
+ * - Times are stored as clinic wall-clock "HH:mm" and shown as 12h or 24h: the patient's preference, else the
+ *   language's convention ('format.timeFormat'; 'format.scheduleTimeFormat' for a doctor's hour ranges).
+ * - createI18n is pure; the patient pages get theirs for the signed-in user from usePatientI18n.
+ */
+
+import { format } from 'date-fns';
+import { enUS, es, pl } from 'date-fns/locale';
+import { catalogs } from '../locales';
+import { formatDateKey } from './dateTime';
+
+export const SUPPORTED_LOCALES = ['en', 'es', 'pl'];
+export const DEFAULT_LOCALE = 'en';
+export const TIME_FORMATS = ['12h', '24h'];
+
+/** Each language's name in that language, for the switcher. */
+export const LANGUAGE_NAMES = { en: 'English', es: 'Español', pl: 'Polski' };
+
+const DATE_FNS_LOCALES = { en: enUS, es, pl };
+
+/** Supported language of a code ('es-MX' → 'es'); DEFAULT_LOCALE for anything else. */
+export function resolveLocale(value) {
+  const language = String(value ?? '')
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+/** { locale, timeFormat } saved in the profile (user.preferences); timeFormat '' → the language's default. */
+export function getLocalePreferences(user) {
+  const preferences = user?.preferences ?? {};
+  return {
+    locale: resolveLocale(preferences.language),
+    timeFormat: TIME_FORMATS.includes(preferences.timeFormat)
+      ? preferences.timeFormat
+      : '',
+  };
+}
+
+function interpolate(message, params) {
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] != null ? String(params[name]) : match,
+  );
+}
+
+/**
+ * Translator and formatters for a language: { locale, timeFormat, t, formatDate, formatInstant, formatTime,
+ * formatDateTime, scheduleLabels }. timeFormat is resolved ('12h' or '24h').
+ */
+export function createI18n({ locale, timeFormat } = {}) {
+  const language = resolveLocale(locale);
+  const messages = catalogs[language];
+  const pluralRules = new Intl.PluralRules(language);
+  const dateLocale = DATE_FNS_LOCALES[language];
+
+  const t = (key, params = {}) => {
+    let message = messages[key] ?? catalogs[DEFAULT_LOCALE][key] ?? key;
+    if (typeof message === 'object') {
+      message = message[pluralRules.select(params.count)] ?? message.other;
+    }
+    return interpolate(message, params);
+  };
+
+  const resolvedTimeFormat = TIME_FORMATS.includes(timeFormat)
+    ? timeFormat
+    : t('format.timeFormat');
+
+  /** "HH:mm" as "14:30" (24h) or "2:30 PM" / "2 PM" (12h, minutes only when set). */
+  const formatTimeAs = (timeStr, clock) => {
+    if (!timeStr) return '';
+    const [h, m = 0] = String(timeStr).split(':').map(Number);
+    if (clock === '24h') {
+      return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+    }
+    return format(new Date(2000, 0, 1, h, m), m ? 'h:mm a' : 'h a', {
+      locale: dateLocale,
+    });
+  };
+  const formatTime = (timeStr) => formatTimeAs(timeStr, resolvedTimeFormat);
+
+  // Hour ranges keep the language's own convention unless the patient chose a time format.
+  const scheduleTimeFormat = TIME_FORMATS.includes(timeFormat)
+    ? timeFormat
+    : t('format.scheduleTimeFormat');
+
+  /** Calendar day ("YYYY-MM-DD") in a catalog style: dayMonth, date, weekdayDate, weekdayDayMonth, monthYear. */
+  const formatDate = (value, style = 'date') =>
+    formatDateKey(value, t(`format.${style}`), { locale: dateLocale });
+
+  /** Timestamp (Date or ISO string) in a catalog style, in the browser's zone ('' when invalid). */
+  const formatInstant = (value, style = 'date') => {
+    const date = value ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) return '';
+    return format(date, t(`format.${style}`), { locale: dateLocale });
+  };
+
+  /** Timestamp as day, month and time ("Jan 20, 3:05 PM"). */
+  const formatDateTime = (value) => {
+    const date = formatInstant(value, 'dayMonth');
+    if (!date) return '';
+    return t('format.dateTime', {
+      date,
+      time: formatTime(format(new Date(value), 'HH:mm')),
+    });
+  };
+
+  // Labels for doctorSchedule's hour ranges (same shape as its English defaults).
+  const scheduleLabels = {
+    time: (timeStr) => formatTimeAs(timeStr, scheduleTimeFormat),
+    // 2023-01-01 was a Sunday, so weekday 0..6 maps to Jan 1..7.
+    weekday: (day) =>
+      format(new Date(2023, 0, 1 + day), 'EEE', { locale: dateLocale }),
+    break: t('schedule.break'),
+  };
+
+  return {
+    locale: language,
+    timeFormat: resolvedTimeFormat,
+    t,
+    formatDate,
+    formatInstant,
+    formatTime,
+    formatDateTime,
+    scheduleLabels,
+  };
+}
+
+/** English with the language's default time format: for code that runs without a signed-in user's i18n. */
+export const defaultI18n = createI18n();
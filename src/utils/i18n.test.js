@@ -0,0 +1,118 @@
+import {
+  createI18n,
+  getLocalePreferences,
+  resolveLocale,
+  SUPPORTED_LOCALES,
+} from './i18n';
+import { catalogs } from '../locales';
+
+describe('resolveLocale', () => {
+  it('maps regional codes to a supported language and falls back to English', () => {
+    expect(resolveLocale('es-MX')).toBe('es');
+    expect(resolveLocale('PL_pl')).toBe('pl');
+    expect(resolveLocale('fr')).toBe('en');
+    expect(resolveLocale(undefined)).toBe('en');
+  });
+});
+
+describe('getLocalePreferences', () => {
+  it('reads the language and time format saved in the profile', () => {
+    expect(
+      getLocalePreferences({
+        preferences: { language: 'pl', timeFormat: '12h' },
+      }),
+    ).toEqual({ locale: 'pl', timeFormat: '12h' });
+    expect(
+      getLocalePreferences({ preferences: { timeFormat: 'bogus' } }),
+    ).toEqual({ locale: 'en', timeFormat: '' });
+    expect(getLocalePreferences(null)).toEqual({
+      locale: 'en',
+      timeFormat: '',
+    });
+  });
+});
+
+describe('createI18n', () => {
+  it('interpolates params and falls back to English, then to the key', () => {
+    const { t } = createI18n({ locale: 'es' });
+    expect(t('dashboard.welcome', { name: 'Ana' })).toBe(
+      'Bienvenido de nuevo, Ana',
+    );
+    const withoutKey = { ...catalogs.es };
+    delete withoutKey['dashboard.overview'];
+    const original = catalogs.es;
+    catalogs.es = withoutKey;
+    try {
+      expect(createI18n({ locale: 'es' }).t('dashboard.overview')).toBe(
+        "Here's your health overview",
+      );
+    } finally {
+      catalogs.es = original;
+    }
+    expect(t('no.such.key')).toBe('no.such.key');
+  });
+
+  it('picks plural forms by language', () => {
+    const en = createI18n({ locale: 'en' });
+    expect(en.t('widgets.upcoming', { count: 1 })).toBe('1 upcoming');
+    expect(en.t('appointments.seriesBooked', { count: 1 })).toBe(
+      '1 appointment booked successfully.',
+    );
+    expect(en.t('appointments.seriesBooked', { count: 3 })).toBe(
+      '3 appointments booked successfully.',
+    );
+
+    const pl = createI18n({ locale: 'pl' });
+    expect(pl.t('widgets.upcoming', { count: 1 })).toBe('1 nadchodząca');
+    expect(pl.t('widgets.upcoming', { count: 3 })).toBe('3 nadchodzące');
+    expect(pl.t('widgets.upcoming', { count: 5 })).toBe('5 nadchodzących');
+    expect(pl.t('widgets.upcoming', { count: 22 })).toBe('22 nadchodzące');
+  });
+
+  it('shows 24h times unless the patient chose 12h', () => {
+    expect(createI18n({ locale: 'en' }).formatTime('14:30')).toBe('14:30');
+    expect(createI18n({ locale: 'es' }).formatTime('09:00')).toBe('09:00');
+    const en12 = createI18n({ locale: 'en', timeFormat: '12h' });
+    expect(en12.formatTime('14:30')).toBe('2:30 PM');
+    expect(en12.formatTime('09:00')).toBe('9 AM');
+    expect(createI18n({ locale: 'pl', timeFormat: '12h' }).timeFormat).toBe(
+      '12h',
+    );
+    expect(createI18n().formatTime('')).toBe('');
+  });
+
+  it('formats calendar days with the language patterns and month names', () => {
+    expect(createI18n({ locale: 'en' }).formatDate('2030-01-07')).toBe(
+      'Jan 07, 2030',
+    );
+    expect(createI18n({ locale: 'es' }).formatDate('2030-01-07')).toBe(
+      '7 de ene de 2030',
+    );
+    expect(
+      createI18n({ locale: 'pl' }).formatDate('2030-01-07', 'weekdayDate'),
+    ).toMatch(/^pon\.?, 7 sty\.? 2030$/);
+    expect(createI18n({ locale: 'en' }).formatInstant('not a date')).toBe('');
+  });
+
+  it('labels schedule hours in the language', () => {
+    const { scheduleLabels } = createI18n({ locale: 'es' });
+    expect(scheduleLabels.time('13:00')).toBe('13:00');
+    expect(createI18n({ locale: 'en' }).scheduleLabels.time('13:00')).toBe(
+      '1 PM',
+    );
+    expect(
+      createI18n({ locale: 'en', timeFormat: '24h' }).scheduleLabels.time(
+        '13:00',
+      ),
+    ).toBe('13:00');
+    expect(scheduleLabels.break).toBe('descanso');
+    expect(scheduleLabels.weekday(1)).toMatch(/^lun/);
+  });
+
+  it('has every English key in each catalog', () => {
+    const keys = Object.keys(catalogs.en).sort();
+    SUPPORTED_LOCALES.forEach((locale) => {
+      expect(Object.keys(catalogs[locale]).sort()).toEqual(keys);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Persistent key-value store for data that must survive going offline (IndexedDB, one object store).
+ *
+ * - Values are structured-cloned (plain objects/arrays); every call resolves, failures are logged without the data.
+ * - Falls back to memory when IndexedDB is unavailable (private browsing, tests): data then lasts for the session.
+ */
+
+const DB_NAME = 'patient-portal';
+const DB_VERSION = 1;
+const STORE_NAME = 'offline';
+
+const memoryStore = new Map();
+let databasePromise = null;
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Failed to open offline store');
+        resolve(null);
+      };
+    });
+  }
+  return databasePromise;
+}
+
+/** Runs one request in its own transaction; resolves with its result once the transaction commits. */
+function runRequest(database, mode, makeRequest) {
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = makeRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/** Stored value, or `fallback` when missing. */
+export async function getOfflineValue(key, fallback = null) {
+  const database = await openDatabase();
+  if (!database) return memoryStore.has(key) ? memoryStore.get(key) : fallback;
+  try {
+    const value = await runRequest(database, 'readonly', (store) =>
+      store.get(key),
+    );
+    return value === undefined ? fallback : value;
+  } catch {
+    console.error('Failed to read offline store');
+    return fallback;
+  }
+}
+
+export async function setOfflineValue(key, value) {
+  const database = await openDatabase();
+  if (!database) {
+    memoryStore.set(key, value);
+    return;
+  }
+  try {
+    await runRequest(database, 'readwrite', (store) => store.put(value, key));
+  } catch {
+    console.error('Failed to write offline store');
+  }
+}
+
+export async function deleteOfflineValue(key) {
+  const database = await openDatabase();
+  if (!database) {
+    memoryStore.delete(key);
+    return;
+  }
+  try {
+    await runRequest(database, 'readwrite', (store) => store.delete(key));
+  } catch {
+    console.error('Failed to write offline store');
+  }
+}
+
+/** Deletes every stored key `matches(key)` accepts; resolves once they are gone. */
+export async function deleteOfflineValues(matches) {
+  const database = await openDatabase();
+  if (!database) {
+    for (const key of [...memoryStore.keys()]) {
+      if (matches(key)) memoryStore.delete(key);
+    }
+    return;
+  }
+  try {
+    const keys = await runRequest(database, 'readonly', (store) =>
+      store.getAllKeys(),
+    );
+    const stale = keys.filter(matches);
+    if (stale.length === 0) return;
+    // One transaction for all of them; it completes once the last delete has.
+    await runRequest(database, 'readwrite', (store) =>
+      stale.map((key) => store.delete(key)).at(-1),
+    );
+  } catch {
+    console.error('Failed to write offline store');
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * Shared stale-while-revalidate query cache for service calls.
+ *
+ * - Queries are keyed by arrays (['appointments', 'list', { limit: 20 }]); one entry per key for the whole app,
+ *   so pages that read the same data share it across navigation.
+ * - Cached data is returned at once; when older than its stale time it is refetched in the background.
+ * - Concurrent fetches of a key share one in-flight request. A forced fetch (refetch, invalidation) starts a
+ *   new request instead, since the one in flight may predate a change; only the latest request's result is kept.
+ * - invalidateQueries(prefix) marks matching entries stale and refetches the ones a mounted component uses;
+ *   `invalidatedAt` tells such a refetch apart from a background revalidation.
+ * - removeQueries(match) drops the entries whose key matches (e.g. a user's data on sign-out).
+ * - updateQueriesData(prefix, updater) patches cached data in place (server-pushed changes) without a fetch.
+ * - A failed refetch keeps the previous data and sets `error` (the data is then stale).
+ */
+
+import { useEffect, useState } from 'react';
+
+export const DEFAULT_STALE_TIME_MS = 30000;
+
+const queries = new Map();
+
+export function hashQueryKey(key) {
+  return JSON.stringify(key);
+}
+
+function getEntry(key) {
+  const hash = hashQueryKey(key);
+  if (!queries.has(hash)) {
+    queries.set(hash, {
+      key,
+      data: undefined,
+      error: null,
+      updatedAt: 0,
+      invalidated: false,
+      invalidatedAt: 0,
+      promise: null,
+      requestId: 0,
+      fetcher: null,
+      listeners: new Set(),
+    });
+  }
+  return queries.get(hash);
+}
+
+function notify(entry) {
+  entry.listeners.forEach((listener) => listener());
+}
+
+/** Snapshot of a query: { data, error, updatedAt, invalidatedAt, fetching }. */
+export function getQueryState(key) {
+  const entry = queries.get(hashQueryKey(key));
+  return {
+    data: entry?.data,
+    error: entry?.error ?? null,
+    updatedAt: entry?.updatedAt ?? 0,
+    invalidatedAt: entry?.invalidatedAt ?? 0,
+    fetching: !!entry?.promise,
+  };
+}
+
+function isStale(entry, staleTime) {
+  return (
+    entry.data === undefined ||
+    entry.invalidated ||
+    Date.now() - entry.updatedAt >= staleTime
+  );
+}
+
+/**
+ * Cached data when fresh, otherwise fetches (sharing any in-flight request for the key).
+ * `force` refetches even fresh data and does not reuse an in-flight request.
+ */
+export function fetchQuery(
+  key,
+  fetcher,
+  { force = false, staleTime = DEFAULT_STALE_TIME_MS } = {},
+) {
+  const entry = getEntry(key);
+  entry.fetcher = fetcher;
+  if (!force) {
+    if (entry.promise) return entry.promise;
+    if (!isStale(entry, staleTime)) return Promise.resolve(entry.data);
+  }
+
+  // A request superseded by a later one settles without touching the entry.
+  const requestId = ++entry.requestId;
+  const isLatest = () => entry.requestId === requestId;
+  entry.promise = fetcher()
+    .then((data) => {
+      if (isLatest()) {
+        entry.data = data;
+        entry.error = null;
+        entry.updatedAt = Date.now();
+        entry.invalidated = false;
+      }
+      return data;
+    })
+    .catch((error) => {
+      if (isLatest()) entry.error = error;
+      throw error;
+    })
+    .finally(() => {
+      if (!isLatest()) return;
+      entry.promise = null;
+      notify(entry);
+    });
+  notify(entry);
+  return entry.promise;
+}
+
+export function setQueryData(key, data) {
+  const entry = getEntry(key);
+  entry.data = data;
+  entry.error = null;
+  entry.updatedAt = Date.now();
+  entry.invalidated = false;
+  notify(entry);
+}
+
+function matchesPrefix(key, prefix) {
+  return prefix.every(
+    (part, index) => hashQueryKey(part) === hashQueryKey(key[index]),
+  );
+}
+
+/**
+ * Rewrites cached data of queries whose key starts with `prefix` (pushed changes). `updater(data, key)` returns
+ * the same data to leave an entry alone; updatedAt is kept, so this is not mistaken for a refetch.
+ */
+export function updateQueriesData(prefix, updater) {
+  for (const entry of queries.values()) {
+    if (entry.data === undefined || !matchesPrefix(entry.key, prefix)) continue;
+    const data = updater(entry.data, entry.key);
+    if (data === entry.data) continue;
+    entry.data = data;
+    notify(entry);
+  }
+}
+
+/** Marks queries whose key starts with `prefix` as stale; ones in use are refetched now. */
+export function invalidateQueries(prefix) {
+  const refetches = [];
+  for (const entry of queries.values()) {
+    if (!matchesPrefix(entry.key, prefix)) continue;
+    entry.invalidated = true;
+    entry.invalidatedAt = Date.now();
+    if (entry.listeners.size && entry.fetcher) {
+      refetches.push(
+        fetchQuery(entry.key, entry.fetcher, { force: true }).catch(() => {}),
+      );
+    }
+  }
+  return Promise.all(refetches);
+}
+
+export function subscribeQuery(key, listener) {
+  const entry = getEntry(key);
+  entry.listeners.add(listener);
+  return () => entry.listeners.delete(listener);
+}
+
+/** Drops cached queries whose key matches; for data no mounted component uses (a signed-out user's). */
+export function removeQueries(match) {
+  for (const [hash, entry] of queries) {
+    if (match(entry.key)) queries.delete(hash);
+  }
+}
+
+/** Drops every cached query (sign-out, tests). */
+export function clearQueryCache() {
+  queries.clear();
+}
+
+/**
+ * Subscribes a component to a query: cached data immediately, background refresh when stale (also when the
+ * window regains focus). `loading` is true only while there is neither data nor an error yet.
+ */
+export function useQuery(
+  key,
+  fetcher,
+  { enabled = true, staleTime = DEFAULT_STALE_TIME_MS } = {},
+) {
+  const hash = hashQueryKey(key);
+  const [state, setState] = useState(() => ({ hash, ...getQueryState(key) }));
+
+  useEffect(() => {
+    if (!enabled) return;
+    const update = () => setState({ hash, ...getQueryState(key) });
+    const revalidate = () => {
+      fetchQuery(key, fetcher, { staleTime }).catch(() => {});
+    };
+    const unsubscribe = subscribeQuery(key, update);
+    update();
+    revalidate();
+    window.addEventListener('focus', revalidate);
+    return () => {
+      unsubscribe();
+      window.removeEventListener('focus', revalidate);
+    };
+  }, [hash, enabled]);
+
+  // Until the effect runs for a new key, read that key's snapshot rather than the previous key's state.
+  let current = state.hash === hash ? state : getQueryState(key);
+  if (!enabled) {
+    current = {
+      data: undefined,
+      error: null,
+      updatedAt: 0,
+      invalidatedAt: 0,
+      fetching: false,
+    };
+  }
+  const { data, error, updatedAt, invalidatedAt, fetching } = current;
+  return {
+    data,
+    error,
+    updatedAt,
+    invalidatedAt,
+    fetching,
+    loading: enabled && data === undefined && !error,
+    refetch: () => fetchQuery(key, fetcher, { force: true, staleTime }),
+  };
+}
@@ -0,0 +1,261 @@
+/**
+ * @jest-environment jsdom
+ */
+import { act, renderHook, waitFor } from '@testing-library/react';
+import {
+  clearQueryCache,
+  fetchQuery,
+  getQueryState,
+  invalidateQueries,
+  removeQueries,
+  setQueryData,
+  subscribeQuery,
+  updateQueriesData,
+  useQuery,
+} from './queryCache';
+
+beforeEach(() => {
+  clearQueryCache();
+  jest.useFakeTimers({ now: new Date('2030-01-07T12:00:00.000Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('fetchQuery', () => {
+  it('shares one in-flight request between concurrent callers', async () => {
+    const fetcher = jest.fn(() => Promise.resolve(['a']));
+    const [first, second] = await Promise.all([
+      fetchQuery(['items'], fetcher),
+      fetchQuery(['items'], fetcher),
+    ]);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(first).toEqual(['a']);
+    expect(second).toBe(first);
+  });
+
+  it('returns fresh data from the cache and refetches once it is stale', async () => {
+    const fetcher = jest
+      .fn()
+      .mockResolvedValueOnce('first')
+      .mockResolvedValueOnce('second');
+    await fetchQuery(['items'], fetcher);
+
+    jest.advanceTimersByTime(29999);
+    await expect(fetchQuery(['items'], fetcher)).resolves.toBe('first');
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(1);
+    await expect(fetchQuery(['items'], fetcher)).resolves.toBe('second');
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('refetches fresh data when forced', async () => {
+    const fetcher = jest.fn(() => Promise.resolve('data'));
+    await fetchQuery(['items'], fetcher);
+    await fetchQuery(['items'], fetcher, { force: true });
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not reuse an in-flight request when forced and keeps the latest result', async () => {
+    let resolveOld;
+    const fetcher = jest
+      .fn()
+      .mockImplementationOnce(
+        () =>
+          new Promise((resolve) => {
+            resolveOld = resolve;
+          }),
+      )
+      .mockResolvedValueOnce('new');
+    const old = fetchQuery(['items'], fetcher);
+    await expect(fetchQuery(['items'], fetcher, { force: true })).resolves.toBe(
+      'new',
+    );
+    resolveOld('old');
+    await expect(old).resolves.toBe('old');
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(getQueryState(['items'])).toMatchObject({
+      data: 'new',
+      fetching: false,
+    });
+  });
+
+  it('keeps the previous data when a refetch fails', async () => {
+    const error = new Error('Server error');
+    const fetcher = jest
+      .fn()
+      .mockResolvedValueOnce('data')
+      .mockRejectedValueOnce(error);
+    await fetchQuery(['items'], fetcher);
+    await expect(fetchQuery(['items'], fetcher, { force: true })).rejects.toBe(
+      error,
+    );
+    expect(getQueryState(['items'])).toMatchObject({
+      data: 'data',
+      error,
+      fetching: false,
+    });
+  });
+
+  it('treats keys with equal contents as the same query', async () => {
+    setQueryData(['items', { limit: 20 }], 'cached');
+    const fetcher = jest.fn();
+    await expect(fetchQuery(['items', { limit: 20 }], fetcher)).resolves.toBe(
+      'cached',
+    );
+    expect(fetcher).not.toHaveBeenCalled();
+  });
+});
+
+describe('invalidateQueries', () => {
+  it('refetches matching queries in use and marks the others stale', async () => {
+    const listFetcher = jest.fn(() => Promise.resolve('list'));
+    const dayFetcher = jest.fn(() => Promise.resolve('day'));
+    const doctorsFetcher = jest.fn(() => Promise.resolve('doctors'));
+    await fetchQuery(['appointments', 'list'], listFetcher);
+    await fetchQuery(['appointments', 'day'], dayFetcher);
+    await fetchQuery(['doctors'], doctorsFetcher);
+    subscribeQuery(['appointments', 'list'], () => {});
+    subscribeQuery(['doctors'], () => {});
+
+    await invalidateQueries(['appointments']);
+    expect(listFetcher).toHaveBeenCalledTimes(2);
+    expect(dayFetcher).toHaveBeenCalledTimes(1);
+    expect(doctorsFetcher).toHaveBeenCalledTimes(1);
+
+    // Not in use, so fetched on next read even though it is younger than the stale time.
+    await fetchQuery(['appointments', 'day'], dayFetcher);
+    expect(dayFetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('refetches after a change even while an older request is in flight', async () => {
+    let resolveBeforeChange;
+    const fetcher = jest
+      .fn()
+      .mockImplementationOnce(
+        () =>
+          new Promise((resolve) => {
+            resolveBeforeChange = resolve;
+          }),
+      )
+      .mockResolvedValueOnce('after change');
+    subscribeQuery(['appointments', 'list'], () => {});
+    fetchQuery(['appointments', 'list'], fetcher);
+
+    await invalidateQueries(['appointments']);
+    resolveBeforeChange('before change');
+    await Promise.resolve();
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(getQueryState(['appointments', 'list'])).toMatchObject({
+      data: 'after change',
+      invalidatedAt: Date.now(),
+    });
+    // Fresh again: the next read is served from the cache.
+    await fetchQuery(['appointments', 'list'], fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('removeQueries', () => {
+  it('drops only the matching queries', () => {
+    setQueryData(['appointments', 'list', 'patient-1'], 'mine');
+    setQueryData(['users', 'doctors'], 'doctors');
+    removeQueries((key) => key.includes('patient-1'));
+    expect(getQueryState(['appointments', 'list', 'patient-1']).data).toBe(
+      undefined,
+    );
+    expect(getQueryState(['users', 'doctors']).data).toBe('doctors');
+  });
+});
+
+describe('updateQueriesData', () => {
+  it('patches matching queries in place without changing their freshness', () => {
+    setQueryData(['appointments', 'list'], ['a']);
+    setQueryData(['doctors'], ['d']);
+    const { updatedAt } = getQueryState(['appointments', 'list']);
+    const listener = jest.fn();
+    subscribeQuery(['appointments', 'list'], listener);
+
+    jest.advanceTimersByTime(1000);
+    updateQueriesData(['appointments'], (data) => [...data, 'b']);
+    expect(getQueryState(['appointments', 'list'])).toMatchObject({
+      data: ['a', 'b'],
+      updatedAt,
+    });
+    expect(getQueryState(['doctors']).data).toEqual(['d']);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('skips queries the updater leaves unchanged', () => {
+    setQueryData(['appointments', 'list'], ['a']);
+    const listener = jest.fn();
+    subscribeQuery(['appointments', 'list'], listener);
+    updateQueriesData(['appointments'], (data) => data);
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
+
+describe('useQuery', () => {
+  it('loads, then serves cached data to later components without loading', async () => {
+    const fetcher = jest.fn(() => Promise.resolve('data'));
+    const first = renderHook(() => useQuery(['items'], fetcher));
+    expect(first.result.current.loading).toBe(true);
+    await waitFor(() => expect(first.result.current.data).toBe('data'));
+    expect(first.result.current.loading).toBe(false);
+
+    const second = renderHook(() => useQuery(['items'], fetcher));
+    expect(second.result.current).toMatchObject({
+      data: 'data',
+      loading: false,
+    });
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not fetch while disabled', () => {
+    const fetcher = jest.fn(() => Promise.resolve('data'));
+    const { result } = renderHook(() =>
+      useQuery(['items'], fetcher, { enabled: false }),
+    );
+    expect(fetcher).not.toHaveBeenCalled();
+    expect(result.current.loading).toBe(false);
+  });
+
+  it('updates when the query is invalidated elsewhere', async () => {
+    const fetcher = jest
+      .fn()
+      .mockResolvedValueOnce('old')
+      .mockResolvedValueOnce('new');
+    const { result } = renderHook(() =>
+      useQuery(['appointments', 'list'], fetcher),
+    );
+    await waitFor(() => expect(result.current.data).toBe('old'));
+
+    expect(result.current.invalidatedAt).toBe(0);
+
+    await act(() => invalidateQueries(['appointments']));
+    expect(result.current.data).toBe('new');
+    expect(result.current.invalidatedAt).toBe(Date.now());
+  });
+
+  it('revalidates stale data when the window regains focus', async () => {
+    const fetcher = jest
+      .fn()
+      .mockResolvedValueOnce('old')
+      .mockResolvedValueOnce('new');
+    const { result } = renderHook(() => useQuery(['items'], fetcher));
+    await waitFor(() => expect(result.current.data).toBe('old'));
+
+    act(() => {
+      window.dispatchEvent(new Event('focus'));
+    });
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(30000);
+    act(() => {
+      window.dispatchEvent(new Event('focus'));
+    });
+    await waitFor(() => expect(result.current.data).toBe('new'));
+  });
+});
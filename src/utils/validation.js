@@ -0,0 +1,128 @@
+/**
+ * Declarative form validation shared by the app's forms.
+ *
+ * - A schema lists each field's rules: { fields: { name: [rule, ...] }, asyncFields: { name: [asyncRule, ...] } }.
+ *   A field's error is the message of its first failing rule ('' when valid).
+ * - Rule: (value, values, context) => message | ''. Rules get the whole form (values), so cross-field rules
+ *   (a time checked against the chosen date) are ordinary rules that read other fields. context carries data the
+ *   form has loaded (schedules, bookings). Built-in rules take a message or a function of context that returns
+ *   one, so translated messages can come from the context.
+ * - Async rules resolve to a message and run only on demand (validateValuesAsync, e.g. on submit), for fields
+ *   that pass their sync rules.
+ * - Server errors: the API reports rejected fields as { errors: { field: { code } } } (or [{ field, code }]).
+ *   mapServerErrors turns them into field messages from a local code table, so raw server text is never shown;
+ *   errors for fields the form doesn't have are returned as form-level messages for the banner.
+ */
+
+function isEmpty(value) {
+  return value == null || !String(value).trim();
+}
+
+function resolveMessage(message, context) {
+  return typeof message === 'function' ? message(context ?? {}) : message;
+}
+
+/** Fails with message when the value is empty or blank. */
+export function required(message) {
+  return (value, values, context) =>
+    isEmpty(value) ? resolveMessage(message, context) : '';
+}
+
+/** Fails with message when the trimmed value is shorter than length (empty included). */
+export function minLength(length, message) {
+  return (value, values, context) =>
+    String(value ?? '').trim().length >= length
+      ? ''
+      : resolveMessage(message, context);
+}
+
+/** Runs rules only when the value is filled; an empty value is valid. */
+export function optional(...rules) {
+  return (value, values, context) =>
+    isEmpty(value) ? '' : runRules(rules, value, values, context);
+}
+
+function runRules(rules, value, values, context) {
+  for (const rule of rules) {
+    const message = rule(value, values, context);
+    if (message) return message;
+  }
+  return '';
+}
+
+export function getSchemaFields(schema) {
+  return Object.keys(schema.fields);
+}
+
+/** Error for one field ('' when valid or not in the schema). */
+export function validateField(schema, name, values, context = {}) {
+  const rules = schema.fields[name];
+  return rules ? runRules(rules, values[name], values, context) : '';
+}
+
+/** { field: error } for every schema field. */
+export function validateValues(schema, values, context = {}) {
+  return Object.fromEntries(
+    getSchemaFields(schema).map((name) => [
+      name,
+      validateField(schema, name, values, context),
+    ]),
+  );
+}
+
+export function hasValidationErrors(errors) {
+  return Object.values(errors).some(Boolean);
+}
+
+/** Sync errors plus async ones for fields that passed their sync rules (rules run in order, per field). */
+export async function validateValuesAsync(schema, values, context = {}) {
+  const errors = validateValues(schema, values, context);
+  await Promise.all(
+    Object.entries(schema.asyncFields ?? {}).map(async ([name, rules]) => {
+      if (errors[name]) return;
+      for (const rule of rules) {
+        const message = await rule(values[name], values, context);
+        if (message) {
+          errors[name] = message;
+          return;
+        }
+      }
+    }),
+  );
+  return errors;
+}
+
+function getServerErrorEntries(errors) {
+  if (Array.isArray(errors)) {
+    return errors.map((entry) => [entry?.field, entry?.code]);
+  }
+  if (errors && typeof errors === 'object') {
+    return Object.entries(errors).map(([field, entry]) => [
+      field,
+      typeof entry === 'string' ? entry : entry?.code,
+    ]);
+  }
+  return [];
+}
+
+/**
+ * { fieldErrors: { field: message }, formErrors: [message] } from a server error body.
+ * messages: { [code]: message }; unknown codes get messages.default on a field, and messages.unknown in
+ * formErrors when the field is unknown too, so no rejection goes unreported.
+ */
+export function mapServerErrors(data, fields, messages) {
+  const fieldErrors = {};
+  const formErrors = [];
+  for (const [field, code] of getServerErrorEntries(data?.errors)) {
+    const message = messages[code];
+    if (fields.includes(field)) {
+      fieldErrors[field] ??= message ?? messages.default;
+      continue;
+    }
+    const formMessage = message ?? messages.unknown;
+    if (formMessage && !formErrors.includes(formMessage)) {
+      formErrors.push(formMessage);
+    }
+  }
+  return { fieldErrors, formErrors };
+}
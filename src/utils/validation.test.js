@@ -0,0 +1,116 @@
+import {
+  getSchemaFields,
+  hasValidationErrors,
+  mapServerErrors,
+  minLength,
+  optional,
+  required,
+  validateField,
+  validateValues,
+  validateValuesAsync,
+} from './validation';
+
+const schema = {
+  fields: {
+    name: [required('Name is required'), minLength(3, 'Name is too short')],
+    start: [optional((value) => (value >= '09:00' ? '' : 'Too early'))],
+    // Cross-field: end must come after start.
+    end: [
+      optional((value, values) =>
+        values.start && value <= values.start ? 'End must be after start' : '',
+      ),
+    ],
+  },
+  asyncFields: {
+    name: [
+      async (value, values, context) =>
+        (await context.isTaken(value)) ? 'Name is taken' : '',
+    ],
+  },
+};
+
+describe('validation', () => {
+  it('reports the first failing rule per field', () => {
+    expect(getSchemaFields(schema)).toEqual(['name', 'start', 'end']);
+    expect(validateValues(schema, { name: ' ', start: '', end: '' })).toEqual({
+      name: 'Name is required',
+      start: '',
+      end: '',
+    });
+    expect(validateField(schema, 'name', { name: 'Al' })).toBe(
+      'Name is too short',
+    );
+    expect(validateField(schema, 'unknown', { unknown: 'x' })).toBe('');
+  });
+
+  it('skips optional rules for empty values and reads other fields', () => {
+    expect(validateField(schema, 'start', { start: '08:00' })).toBe(
+      'Too early',
+    );
+    expect(
+      validateValues(schema, { name: 'Alice', start: '10:00', end: '09:30' }),
+    ).toEqual({ name: '', start: '', end: 'End must be after start' });
+    expect(
+      hasValidationErrors(
+        validateValues(schema, { name: 'Alice', start: '10:00', end: '11:00' }),
+      ),
+    ).toBe(false);
+  });
+
+  it('runs async rules only for fields that pass their sync rules', async () => {
+    const isTaken = jest.fn((name) => Promise.resolve(name === 'Alice'));
+    expect(
+      await validateValuesAsync(
+        schema,
+        { name: 'Alice', start: '', end: '' },
+        { isTaken },
+      ),
+    ).toEqual({ name: 'Name is taken', start: '', end: '' });
+    expect(
+      await validateValuesAsync(
+        schema,
+        { name: 'Al', start: '', end: '' },
+        { isTaken },
+      ),
+    ).toMatchObject({ name: 'Name is too short' });
+    expect(isTaken).toHaveBeenCalledTimes(1);
+  });
+
+  it('maps server error codes to fields and the rest to form errors', () => {
+    const messages = {
+      TAKEN: 'Name is taken',
+      LOCKED: 'Account is locked',
+      default: 'Please check this field',
+      unknown: 'Please check your details',
+    };
+    const fields = ['name', 'start', 'end'];
+    expect(
+      mapServerErrors(
+        {
+          errors: {
+            name: { code: 'TAKEN', message: 'dup key' },
+            start: 'WEIRD',
+            account: { code: 'LOCKED' },
+            other: { code: 'WEIRD' },
+          },
+        },
+        fields,
+        messages,
+      ),
+    ).toEqual({
+      fieldErrors: { name: 'Name is taken', start: 'Please check this field' },
+      formErrors: ['Account is locked', 'Please check your details'],
+    });
+    expect(
+      mapServerErrors(
+        { errors: [{ field: 'end', code: 'TAKEN' }] },
+        fields,
+        messages,
+      ).fieldErrors,
+    ).toEqual({ end: 'Name is taken' });
+    expect(mapServerErrors({ message: 'Oops' }, fields, messages)).toEqual({
+      fieldErrors: {},
+      formErrors: [],
+    });
+  });
+});